@@ -1,10 +1,11 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
-import { Provider as PaperProvider, IconButton } from 'react-native-paper';
+import { Provider as PaperProvider, IconButton, ActivityIndicator } from 'react-native-paper';
 import { StatusBar } from 'expo-status-bar';
-import { TaskProvider } from './src/context/TaskContext';
+import { TaskProvider, TaskContext } from './src/context/TaskContext';
+import { AuthProvider, AuthContext } from './src/context/AuthContext';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import { View, StyleSheet, Image, Dimensions } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -12,11 +13,16 @@ import { LinearGradient } from 'expo-linear-gradient';
 // Import screens
 import HomeScreen from './src/screens/HomeScreen';
 import AddQuestScreen from './src/screens/AddQuestScreen';
+import ImportQuestsScreen from './src/screens/ImportQuestsScreen';
+import StoryThemeScreen from './src/screens/StoryThemeScreen';
 import QuestDetailScreen from './src/screens/QuestDetailScreen';
 import StatsScreen from './src/screens/StatsScreen';
+import ChronicleScreen from './src/screens/ChronicleScreen';
+import LoginScreen from './src/screens/LoginScreen';
+import LevelUpCelebration from './src/components/LevelUpCelebration';
 
 // Import theme
-import { paperTheme, COLORS, SHADOWS, RADIUS } from './src/utils/theme';
+import { paperTheme, COLORS, SHADOWS, RADIUS, getStoryIcons } from './src/utils/theme';
 
 // Create navigation stacks and tabs
 const QuestStack = createStackNavigator();
@@ -42,126 +48,244 @@ const LogoTitle = () => {
   );
 };
 
-// Create the Quest stack with Home, Add, and Detail screens
-const QuestStackScreen = () => (
-  <QuestStack.Navigator
-    screenOptions={{
-      headerStyle: {
-        backgroundColor: COLORS.primary,
-        elevation: 0, // Remove shadow on Android
-        shadowOpacity: 0, // Remove shadow on iOS
-        height: 110, // Taller header for better visibility
-      },
-      headerTintColor: '#fff',
-      headerTitleAlign: 'center',
-    }}
-  >
-    <QuestStack.Screen 
-      name="QuestList" 
-      component={HomeScreen} 
-      options={{
-        headerTitle: (props) => <LogoTitle {...props} />,
-        title: 'My Quests',
-      }}
-    />
-    <QuestStack.Screen 
-      name="AddQuest" 
-      component={AddQuestScreen} 
-      options={{ 
-        title: 'New Quest',
+// Create the Quest stack with Home, Add, Import, Edit, Detail, and Story Theme screens
+// It reads the story theme so its header colors and icons follow theme changes
+const QuestStackScreen = () => {
+  const { storyTheme } = useContext(TaskContext);
+  const icons = getStoryIcons(storyTheme?.key);
+  
+  return (
+    <QuestStack.Navigator
+      screenOptions={{
         headerStyle: {
           backgroundColor: COLORS.primary,
-          elevation: 4,
-          shadowOpacity: 0.2,
-          height: 90,
+          elevation: 0, // Remove shadow on Android
+          shadowOpacity: 0, // Remove shadow on iOS
+          height: 110, // Taller header for better visibility
         },
+        headerTintColor: '#fff',
+        headerTitleAlign: 'center',
       }}
-    />
-    <QuestStack.Screen 
-      name="QuestDetail" 
-      component={QuestDetailScreen} 
-      options={{ 
-        title: 'Quest Details',
-        headerStyle: {
-          backgroundColor: COLORS.primary,
-          elevation: 4,
-          shadowOpacity: 0.2,
-          height: 90,
+    >
+      <QuestStack.Screen 
+        name="QuestList" 
+        component={HomeScreen} 
+        options={({ navigation }) => ({
+          headerTitle: (props) => <LogoTitle {...props} />,
+          title: 'My Quests',
+          headerRight: () => (
+            <IconButton
+              icon={icons.theme}
+              iconColor="#fff"
+              onPress={() => navigation.navigate('StoryTheme')}
+              accessibilityLabel="Story theme"
+            />
+          ),
+        })}
+      />
+      <QuestStack.Screen 
+        name="AddQuest" 
+        component={AddQuestScreen} 
+        options={{ 
+          title: 'New Quest',
+          headerStyle: {
+            backgroundColor: COLORS.primary,
+            elevation: 4,
+            shadowOpacity: 0.2,
+            height: 90,
+          },
+        }}
+      />
+      <QuestStack.Screen 
+        name="ImportQuests" 
+        component={ImportQuestsScreen} 
+        options={{ 
+          title: 'Import Quests',
+          headerStyle: {
+            backgroundColor: COLORS.primary,
+            elevation: 4,
+            shadowOpacity: 0.2,
+            height: 90,
+          },
+        }}
+      />
+      <QuestStack.Screen 
+        name="EditQuest" 
+        component={AddQuestScreen} 
+        options={{ 
+          title: 'Edit Quest',
+          headerStyle: {
+            backgroundColor: COLORS.primary,
+            elevation: 4,
+            shadowOpacity: 0.2,
+            height: 90,
+          },
+        }}
+      />
+      <QuestStack.Screen 
+        name="QuestDetail" 
+        component={QuestDetailScreen} 
+        options={{ 
+          title: 'Quest Details',
+          headerStyle: {
+            backgroundColor: COLORS.primary,
+            elevation: 4,
+            shadowOpacity: 0.2,
+            height: 90,
+          },
+        }}
+      />
+      <QuestStack.Screen 
+        name="StoryTheme" 
+        component={StoryThemeScreen} 
+        options={{ 
+          title: 'Story Theme',
+          headerStyle: {
+            backgroundColor: COLORS.primary,
+            elevation: 4,
+            shadowOpacity: 0.2,
+            height: 90,
+          },
+        }}
+      />
+    </QuestStack.Navigator>
+  );
+};
+
+// Bottom tabs, with the quest tab icon of the player's story theme
+const MainTabs = () => {
+  const { storyTheme } = useContext(TaskContext);
+  const { logout } = useContext(AuthContext);
+  const icons = getStoryIcons(storyTheme?.key);
+  
+  return (
+    <Tab.Navigator
+      screenOptions={({ route }) => ({
+        headerShown: false,
+        tabBarIcon: ({ focused, color, size }) => {
+          let iconName;
+          
+          if (route.name === 'Quests') {
+            iconName = focused ? icons.questTab : icons.questTabInactive;
+          } else if (route.name === 'Chronicle') {
+            iconName = focused ? 'book-open-variant' : 'book-outline';
+          } else if (route.name === 'Stats') {
+            iconName = focused ? 'trophy-award' : 'trophy-outline';
+          }
+          
+          return <MaterialCommunityIcons name={iconName} size={size} color={color} />;
         },
-      }}
-    />
-  </QuestStack.Navigator>
-);
+        tabBarActiveTintColor: COLORS.primary,
+        tabBarInactiveTintColor: COLORS.textSecondary,
+        tabBarStyle: {
+          paddingVertical: 8,
+          borderTopWidth: 0,
+          elevation: 8,
+          shadowOpacity: 0.1,
+          shadowRadius: 4,
+          shadowOffset: { width: 0, height: -2 },
+          height: 60,
+          backgroundColor: '#fff',
+          borderTopLeftRadius: 20,
+          borderTopRightRadius: 20,
+        },
+        tabBarLabelStyle: {
+          fontSize: 12,
+          fontWeight: '600',
+          paddingBottom: 4,
+        },
+        tabBarItemStyle: {
+          paddingTop: 4,
+        }
+      })}
+    >
+      <Tab.Screen name="Quests" component={QuestStackScreen} />
+      <Tab.Screen 
+        name="Chronicle" 
+        component={ChronicleScreen} 
+        options={{
+          headerShown: true,
+          headerStyle: { 
+            backgroundColor: COLORS.primary,
+            elevation: 0,
+            shadowOpacity: 0,
+            height: 90,
+          },
+          headerTintColor: '#fff',
+          headerTitle: 'Chronicle',
+          headerTitleAlign: 'center',
+          headerTitleStyle: {
+            fontSize: 20,
+            fontWeight: '600',
+          },
+        }}
+      />
+      <Tab.Screen 
+        name="Stats" 
+        component={StatsScreen} 
+        options={{
+          headerShown: true,
+          headerStyle: { 
+            backgroundColor: COLORS.primary,
+            elevation: 0,
+            shadowOpacity: 0,
+            height: 90,
+          },
+          headerTintColor: '#fff',
+          headerTitle: 'My Progress',
+          headerTitleAlign: 'center',
+          headerTitleStyle: {
+            fontSize: 20,
+            fontWeight: '600',
+          },
+          headerRight: () => (
+            <IconButton
+              icon="logout"
+              iconColor="#fff"
+              onPress={logout}
+              accessibilityLabel="Log out"
+            />
+          ),
+        }}
+      />
+    </Tab.Navigator>
+  );
+};
+
+// Show the login flow until the user is authenticated
+const AppContent = () => {
+  const { isAuthenticated, isLoading } = useContext(AuthContext);
+  
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator color={COLORS.primary} size="large" />
+      </View>
+    );
+  }
+  
+  if (!isAuthenticated) {
+    return <LoginScreen />;
+  }
+  
+  return (
+    <TaskProvider>
+      <NavigationContainer>
+        <MainTabs />
+      </NavigationContainer>
+      <LevelUpCelebration />
+    </TaskProvider>
+  );
+};
 
 // Main App component
 export default function App() {
   return (
     <PaperProvider theme={paperTheme}>
       <StatusBar style="light" />
-      <TaskProvider>
-        <NavigationContainer>
-          <Tab.Navigator
-            screenOptions={({ route }) => ({
-              headerShown: false,
-              tabBarIcon: ({ focused, color, size }) => {
-                let iconName;
-                
-                if (route.name === 'Quests') {
-                  iconName = focused ? 'map-marker-path' : 'map-marker';
-                } else if (route.name === 'Stats') {
-                  iconName = focused ? 'trophy-award' : 'trophy-outline';
-                }
-                
-                return <MaterialCommunityIcons name={iconName} size={size} color={color} />;
-              },
-              tabBarActiveTintColor: COLORS.primary,
-              tabBarInactiveTintColor: COLORS.textSecondary,
-              tabBarStyle: {
-                paddingVertical: 8,
-                borderTopWidth: 0,
-                elevation: 8,
-                shadowOpacity: 0.1,
-                shadowRadius: 4,
-                shadowOffset: { width: 0, height: -2 },
-                height: 60,
-                backgroundColor: '#fff',
-                borderTopLeftRadius: 20,
-                borderTopRightRadius: 20,
-              },
-              tabBarLabelStyle: {
-                fontSize: 12,
-                fontWeight: '600',
-                paddingBottom: 4,
-              },
-              tabBarItemStyle: {
-                paddingTop: 4,
-              }
-            })}
-          >
-            <Tab.Screen name="Quests" component={QuestStackScreen} />
-            <Tab.Screen 
-              name="Stats" 
-              component={StatsScreen} 
-              options={{
-                headerShown: true,
-                headerStyle: { 
-                  backgroundColor: COLORS.primary,
-                  elevation: 0,
-                  shadowOpacity: 0,
-                  height: 90,
-                },
-                headerTintColor: '#fff',
-                headerTitle: 'My Progress',
-                headerTitleAlign: 'center',
-                headerTitleStyle: {
-                  fontSize: 20,
-                  fontWeight: '600',
-                },
-              }}
-            />
-          </Tab.Navigator>
-        </NavigationContainer>
-      </TaskProvider>
+      <AuthProvider>
+        <AppContent />
+      </AuthProvider>
     </PaperProvider>
   );
 }
@@ -186,4 +310,10 @@ const styles = StyleSheet.create({
     height: 48,
     resizeMode: 'contain',
   },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
 });
@@ -0,0 +1,103 @@
+import React, { useContext, useEffect, useRef } from 'react';
+import { View, StyleSheet, Modal, Animated } from 'react-native';
+import { Text, Button } from 'react-native-paper';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { TaskContext } from '../context/TaskContext';
+import { questCompletionAnimation } from '../utils/animationUtils';
+import { COLORS, RADIUS, SPACING, SHADOWS } from '../utils/theme';
+
+// Shown over every screen when the player reaches a new level, until dismissed
+const LevelUpCelebration = () => {
+  const { levelUp, dismissLevelUp } = useContext(TaskContext);
+  const scale = useRef(new Animated.Value(0.6)).current;
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!levelUp) return;
+    scale.setValue(0.6);
+    opacity.setValue(0);
+    questCompletionAnimation(scale, opacity);
+  }, [levelUp]);
+
+  if (!levelUp) {
+    return null;
+  }
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={dismissLevelUp}>
+      <View style={styles.backdrop}>
+        <Animated.View style={[styles.card, { opacity, transform: [{ scale }] }]}>
+          <View style={[styles.iconCircle, { backgroundColor: COLORS.primary }]}>
+            <MaterialCommunityIcons name="trophy-award" size={48} color="white" />
+          </View>
+          <Text style={[styles.heading, { color: COLORS.primary }]}>Level Up!</Text>
+          <Text style={styles.level}>You reached level {levelUp.level}</Text>
+          {levelUp.unlockedTitles.length > 0 ? (
+            <Text style={styles.title}>
+              New title unlocked: {levelUp.unlockedTitles[levelUp.unlockedTitles.length - 1]}
+            </Text>
+          ) : (
+            <Text style={styles.subtitle}>{levelUp.title}</Text>
+          )}
+          <Button mode="contained" onPress={dismissLevelUp} style={styles.button}>
+            Onward!
+          </Button>
+        </Animated.View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.lg,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 340,
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: RADIUS.lg,
+    padding: SPACING.lg,
+    ...SHADOWS.large,
+  },
+  iconCircle: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: SPACING.md,
+  },
+  heading: {
+    fontSize: 28,
+    fontWeight: 'bold',
+  },
+  level: {
+    fontSize: 18,
+    marginTop: SPACING.sm,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: COLORS.secondary,
+    marginTop: SPACING.sm,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: SPACING.sm,
+  },
+  button: {
+    marginTop: SPACING.lg,
+    borderRadius: 25,
+    alignSelf: 'stretch',
+  },
+});
+
+export default LevelUpCelebration;
@@ -0,0 +1,91 @@
+import React, { createContext, useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  loadSession,
+  login as loginRequest,
+  register as registerRequest,
+  logout as logoutRequest,
+  setSessionExpiredHandler
+} from '../utils/authUtils';
+import { cancelAllQuestReminders } from '../utils/notificationUtils';
+
+// Create the Auth Context
+export const AuthContext = createContext();
+
+// Local data that belongs to the logged-in user
+const USER_DATA_KEYS = ['tasks', 'userStats', 'sync_queue'];
+
+// Remove the signed-out user's tasks, stats, queued changes and reminders from
+// the device, so the next account to log in doesn't sync them as its own
+const clearUserData = async () => {
+  try {
+    await AsyncStorage.multiRemove(USER_DATA_KEYS);
+    await cancelAllQuestReminders();
+  } catch (error) {
+    console.error('Error clearing user data:', error);
+  }
+};
+
+// Auth Provider Component
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Restore a stored session on mount - works offline, tokens are refreshed on first use
+  useEffect(() => {
+    const restoreSession = async () => {
+      const session = await loadSession();
+      setUser(session?.user || null);
+      setIsLoading(false);
+    };
+
+    setSessionExpiredHandler(async () => {
+      await clearUserData();
+      setUser(null);
+    });
+    restoreSession();
+
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  // Log in with email and password
+  const login = async (email, password) => {
+    const session = await loginRequest(email.trim(), password);
+    setUser(session.user);
+    return session.user;
+  };
+
+  // Register a new account
+  const register = async (email, password) => {
+    const session = await registerRequest(email.trim(), password);
+    setUser(session.user);
+    return session.user;
+  };
+
+  // Log out and remove this user's local data from the device
+  const logout = async () => {
+    try {
+      await logoutRequest();
+      await clearUserData();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    } finally {
+      setUser(null);
+    }
+  };
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user,
+        isAuthenticated: !!user,
+        isLoading,
+        login,
+        register,
+        logout
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
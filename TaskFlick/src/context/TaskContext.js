@@ -1,6 +1,46 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { generateQuestTitle, generateQuestNarrative, generateAchievementBadge } from '../utils/aiTransformer';
+import NetInfo from '@react-native-community/netinfo';
+import {
+  generateQuestTitle,
+  generateQuestNarrative,
+  generateAchievementBadge,
+  generateFallbackQuest,
+  generateFallbackQuestChain,
+  recordRateLimit,
+  isRateLimited
+} from '../utils/aiTransformer';
+import {
+  SYNCED_FIELDS,
+  stampFields,
+  enqueueOperation,
+  getPendingCount,
+  mergeTasks,
+  toCreatePayload,
+  syncWithBackend
+} from '../utils/syncEngine';
+import { authFetch } from '../utils/authUtils';
+import { isOverdue } from '../utils/dueDateUtils';
+import {
+  getPointsForDifficulty,
+  getPointsForTask,
+  getQuestXp,
+  calculateStreak,
+  getLevel,
+  getLevelUp
+} from '../utils/xpEngine';
+import { syncQuestReminders } from '../utils/notificationUtils';
+import {
+  getFirstOccurrence,
+  getNextOccurrence,
+  getCurrentOccurrence,
+  getOccurrenceDueDate,
+  hasPeriodEnded
+} from '../utils/recurrenceUtils';
+import { getStepPoints, getAwardedStepPoints, mergeEditedSteps } from '../utils/stepUtils';
+import { MIN_CHAIN_LENGTH, MAX_CHAIN_LENGTH } from '../utils/chainUtils';
+import { getThemeParams, loadStoryTheme, saveStoryTheme } from '../utils/storyThemes';
+import { applyStoryPalette } from '../utils/theme';
 import { v4 as uuidv4 } from 'uuid';
 import { Alert } from 'react-native';
 
@@ -10,6 +50,82 @@ export const TaskContext = createContext();
 // API URL - Update with your actual backend URL when deployed
 const API_URL = 'http://localhost:3000/api';
 
+// The largest batch the backend transforms in one request, and how often a batch job is polled
+const MAX_BATCH_SIZE = 100;
+const BATCH_POLL_INTERVAL_MS = 1000;
+
+// Earlier stories kept per quest so a reroll or edit can be reverted, and how many of them a reroll avoids
+const MAX_NARRATIVE_HISTORY = 10;
+const MAX_REROLL_PREVIOUS = 5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Changes that give a quest a new story, keeping its current story at the top of its history
+const replaceQuestContent = (task, content) => ({
+  questTitle: content.questTitle,
+  questNarrative: content.questNarrative,
+  isAIGenerated: content.isAIGenerated || false,
+  promptVariant: content.promptVariant || null,
+  isNarrativeEdited: content.isNarrativeEdited || false,
+  narrativeHistory: [
+    ...(task.questTitle ? [{
+      questTitle: task.questTitle,
+      questNarrative: task.questNarrative || '',
+      isAIGenerated: task.isAIGenerated || false,
+      promptVariant: task.promptVariant || null,
+      isNarrativeEdited: task.isNarrativeEdited || false,
+      replacedAt: new Date().toISOString()
+    }] : []),
+    ...(task.narrativeHistory || [])
+  ].slice(0, MAX_NARRATIVE_HISTORY)
+});
+
+// Fields copied from one instance of a recurring quest to the next
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficulty',
+  'questTitle',
+  'questNarrative',
+  'isAIGenerated',
+  'recurrence',
+  'seriesId'
+];
+
+// Build the instance of a recurring quest for another occurrence day.
+// Ids are derived from the series so two devices spawning the same occurrence create one task.
+const createRecurringInstance = (task, occurrenceDate, seriesStreak) => {
+  const createdAt = new Date().toISOString();
+  const instance = {
+    id: `${task.seriesId}-${occurrenceDate}`,
+    dueDate: getOccurrenceDueDate(occurrenceDate, task.dueDate),
+    occurrenceDate,
+    seriesStreak,
+    seriesBestStreak: Math.max(task.seriesBestStreak || 0, seriesStreak),
+    steps: (task.steps || []).map(step => ({ ...step, completed: false, completedAt: null, pointsAwarded: 0 })),
+    completed: false,
+    createdAt
+  };
+  SERIES_FIELDS.forEach(field => {
+    instance[field] = task[field];
+  });
+  return stampFields(instance, SYNCED_FIELDS, createdAt);
+};
+
+// Series fields for a quest that starts repeating
+const startSeries = (task, recurrence) => {
+  const occurrenceDate = getFirstOccurrence(recurrence, task.dueDate ? new Date(task.dueDate) : new Date());
+  return {
+    recurrence,
+    seriesId: task.seriesId || task.id,
+    occurrenceDate,
+    dueDate: getOccurrenceDueDate(occurrenceDate, task.dueDate),
+    seriesStreak: task.seriesStreak || 0,
+    seriesBestStreak: task.seriesBestStreak || 0
+  };
+};
+
 // Task Provider Component
 export const TaskProvider = ({ children }) => {
   // State for tasks and user stats
@@ -25,10 +141,26 @@ export const TaskProvider = ({ children }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [isConnectedToBackend, setIsConnectedToBackend] = useState(false);
   const [resetOnStartup, setResetOnStartup] = useState(true); // Add state for tracking reset preference
+  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [storyTheme, setStoryTheme] = useState(null); // { key, style } once loaded
+  const [levelUp, setLevelUp] = useState(null); // The latest level-up, until the celebration is dismissed
+  
+  // Latest tasks for callbacks registered once (e.g. the NetInfo listener)
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+  const isRetryingQuestsRef = useRef(false);
+  const levelRef = useRef(null);
 
   // Check backend connection and reset data on mount
   useEffect(() => {
+    let unsubscribeNetInfo = null;
+    
     const initialize = async () => {
+      const theme = await loadStoryTheme();
+      applyStoryPalette(theme.key);
+      setStoryTheme(theme);
+      
       await checkBackendConnection();
       
       // Check if we should reset data on startup
@@ -37,28 +169,29 @@ export const TaskProvider = ({ children }) => {
       if (shouldReset !== 'false') {
         console.log("Resetting all data on app startup");
         await clearAllData();
-        // Reset session on backend if connected
-        if (isConnectedToBackend) {
-          try {
-            await fetch(`${API_URL}/reset-session`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              }
-            });
-            console.log("Backend session reset successfully");
-          } catch (error) {
-            console.error("Failed to reset backend session:", error);
-          }
-        }
       } else {
         await loadData();
       }
       
       setIsLoading(false);
+      setPendingSyncCount(await getPendingCount());
+      
+      // Sync whenever the device is online - NetInfo also reports the current
+      // state right away, which replays offline changes made before this launch
+      unsubscribeNetInfo = NetInfo.addEventListener(state => {
+        if (state.isConnected) {
+          syncNow();
+        }
+      });
     };
     
     initialize();
+    
+    return () => {
+      if (unsubscribeNetInfo) {
+        unsubscribeNetInfo();
+      }
+    };
   }, []);
 
   // Save data whenever tasks or userStats change
@@ -68,6 +201,44 @@ export const TaskProvider = ({ children }) => {
     }
   }, [tasks, userStats]);
 
+  // Keep due date reminders in line with the quests
+  useEffect(() => {
+    if (!isLoading) {
+      syncQuestReminders(tasks);
+    }
+  }, [tasks, isLoading]);
+
+  // Respawn recurring quests whose period rolled over, now and every minute
+  useEffect(() => {
+    if (isLoading) return;
+    
+    rollOverRecurringQuests();
+    const intervalId = setInterval(rollOverRecurringQuests, 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, [isLoading]);
+
+  // Celebrate when the player's XP reaches a new level on this device; the level
+  // the app starts with, levels pulled from the server by a sync and levels lost
+  // to a reset are not celebrated
+  useEffect(() => {
+    if (isLoading) return;
+    
+    const level = getLevel(userStats.points);
+    if (levelRef.current !== null && level > levelRef.current) {
+      setLevelUp(getLevelUp(levelRef.current, level));
+    }
+    levelRef.current = level;
+  }, [userStats.points, isLoading]);
+
+  const dismissLevelUp = () => setLevelUp(null);
+
+  // Quests told offline or with the fallback story get a generated one once the backend is reachable
+  useEffect(() => {
+    if (!isLoading && isConnectedToBackend) {
+      retryFallbackQuests();
+    }
+  }, [isLoading, isConnectedToBackend]);
+
   // Check if backend is available
   const checkBackendConnection = async () => {
     try {
@@ -94,6 +265,46 @@ export const TaskProvider = ({ children }) => {
     }
   };
 
+  // Replay queued changes against the backend and merge in server state
+  const syncNow = async () => {
+    try {
+      const connected = await checkBackendConnection();
+      if (!connected) return false;
+      
+      setIsSyncing(true);
+      const result = await syncWithBackend(tasksRef.current);
+      
+      if (result) {
+        setTasks(currentTasks => mergeTasks(currentTasks, result.tasks));
+        // Server is the source of truth for XP and streaks once everything is replayed.
+        // Its level becomes the baseline, so XP earned elsewhere isn't celebrated as a level-up.
+        if (result.stats) {
+          levelRef.current = getLevel(result.stats.points);
+          setUserStats(result.stats);
+        }
+      }
+      
+      setPendingSyncCount(await getPendingCount());
+      return !!result;
+    } catch (error) {
+      console.error('Error syncing with backend:', error);
+      return false;
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Queue a change for the backend and try to send it right away
+  const queueSync = async (type, taskId, payload) => {
+    try {
+      const pending = await enqueueOperation(type, taskId, payload);
+      setPendingSyncCount(pending);
+      syncNow();
+    } catch (error) {
+      console.error('Error queueing sync operation:', error);
+    }
+  };
+
   // Load data from AsyncStorage
   const loadData = async () => {
     try {
@@ -132,6 +343,378 @@ export const TaskProvider = ({ children }) => {
     }
   };
 
+  // Generate quest title and narrative for a task, falling back to a plain quest
+  // Pass previousQuests ({ questTitle, questNarrative }) to ask for a story unlike them
+  const generateQuestContent = async (taskData, { previousQuests } = {}) => {
+    try {
+      // Generate locally while the backend's rate limit or daily quota is used up
+      if (isRateLimited()) {
+        return generateFallbackQuest(taskData.title, taskData.category, taskData.difficulty);
+      }
+      
+      // Try to use the backend if connected
+      if (isConnectedToBackend) {
+        try {
+          const response = await authFetch(`${API_URL}/transform-task`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              taskTitle: taskData.title,
+              category: taskData.category,
+              difficulty: taskData.difficulty,
+              previousQuests,
+              ...getThemeParams()
+            }),
+          });
+          
+          if (recordRateLimit(response.status, response.headers.get('Retry-After'))) {
+            return generateFallbackQuest(taskData.title, taskData.category, taskData.difficulty);
+          }
+          if (!response.ok) {
+            throw new Error(`API request failed with status ${response.status}`);
+          }
+          
+          const questData = await response.json();
+          
+          // Apply the quest data to the task
+          if (questData && questData.questTitle && questData.questNarrative) {
+            return {
+              questTitle: questData.questTitle,
+              questNarrative: questData.questNarrative,
+              // The backend's own fallback story has no prompt variant
+              isAIGenerated: Boolean(questData.promptVariant),
+              promptVariant: questData.promptVariant || null
+            };
+          } else if (questData && questData.data && questData.data.questTitle && questData.data.questNarrative) {
+            // Handle nested data structure
+            return {
+              questTitle: questData.data.questTitle,
+              questNarrative: questData.data.questNarrative,
+              isAIGenerated: Boolean(questData.data.promptVariant),
+              promptVariant: questData.data.promptVariant || null
+            };
+          } else {
+            console.error('Incomplete quest data received:', questData);
+            throw new Error('Incomplete quest data received');
+          }
+        } catch (error) {
+          console.error('Backend API error:', error);
+          throw error; // Let the outer catch block handle it
+        }
+      } else {
+        // Use local generation if backend not available
+        return {
+          questTitle: await generateQuestTitle(taskData.title, taskData.category),
+          questNarrative: await generateQuestNarrative(taskData.title, taskData.category, taskData.difficulty),
+          isAIGenerated: false,
+          promptVariant: null
+        };
+      }
+    } catch (error) {
+      console.error('Error generating quest content:', error);
+      // Fallback to title as quest title if AI generation fails
+      return {
+        questTitle: `Quest: ${taskData.title}`,
+        questNarrative: 'A mysterious quest awaits your completion...',
+        isAIGenerated: false,
+        promptVariant: null
+      };
+    }
+  };
+
+  // Ask the backend for a chapter narrative for each step that doesn't have one yet
+  const generateStepChapters = async (task) => {
+    const steps = task.steps || [];
+    if (!isConnectedToBackend || isRateLimited() || !steps.some(step => !step.narrative)) {
+      return steps;
+    }
+    
+    try {
+      const response = await authFetch(`${API_URL}/generate-chapters`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          questTitle: task.questTitle || task.title,
+          steps: steps.map(step => step.title),
+          category: task.category,
+          ...getThemeParams()
+        }),
+      });
+      
+      if (!response.ok) {
+        recordRateLimit(response.status, response.headers.get('Retry-After'));
+        throw new Error(`API request failed with status ${response.status}`);
+      }
+      
+      const { chapters } = await response.json();
+      return steps.map((step, index) => ({
+        ...step,
+        narrative: step.narrative || chapters?.[index] || null
+      }));
+    } catch (error) {
+      console.error('Error generating step chapters:', error);
+      return steps;
+    }
+  };
+
+  // Generate quest content for many tasks with the batch endpoint, one result per task in order
+  // Tasks the backend couldn't generate get a local quest, or null with { localFallback: false }
+  const generateQuestContentBatch = async (tasksData, { onProgress = () => {}, localFallback = true } = {}) => {
+    const contents = new Array(tasksData.length).fill(null);
+    
+    const applyResults = (start, results) => {
+      results.forEach(result => {
+        if (result.status === 'generated' || result.status === 'fallback') {
+          contents[start + result.index] = {
+            questTitle: result.questTitle,
+            questNarrative: result.questNarrative,
+            isAIGenerated: result.status === 'generated',
+            promptVariant: result.promptVariant || null
+          };
+        }
+      });
+    };
+    
+    if (isConnectedToBackend) {
+      for (let start = 0; start < tasksData.length && !isRateLimited(); start += MAX_BATCH_SIZE) {
+        const chunk = tasksData.slice(start, start + MAX_BATCH_SIZE);
+        try {
+          const response = await authFetch(`${API_URL}/transform-tasks`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              tasks: chunk.map(task => ({
+                id: task.id,
+                taskTitle: task.title,
+                category: task.category,
+                difficulty: task.difficulty
+              })),
+              ...getThemeParams()
+            }),
+          });
+          
+          if (recordRateLimit(response.status, response.headers.get('Retry-After'))) {
+            break;
+          }
+          if (!response.ok) {
+            throw new Error(`API request failed with status ${response.status}`);
+          }
+          
+          // Large batches run as a job on the server, polled until it is done
+          let batch = await response.json();
+          while (batch.status === 'running') {
+            onProgress(start + batch.completed, tasksData.length);
+            await wait(BATCH_POLL_INTERVAL_MS);
+            const jobResponse = await authFetch(`${API_URL}/transform-tasks/${batch.jobId}`);
+            if (!jobResponse.ok) {
+              throw new Error(`API request failed with status ${jobResponse.status}`);
+            }
+            batch = await jobResponse.json();
+          }
+          
+          applyResults(start, batch.results || []);
+        } catch (error) {
+          console.error('Error generating quests in batch:', error);
+        }
+        onProgress(Math.min(start + MAX_BATCH_SIZE, tasksData.length), tasksData.length);
+      }
+    }
+    
+    if (!localFallback) {
+      return contents;
+    }
+    return contents.map((content, index) => content || generateFallbackQuest(
+      tasksData[index].title,
+      tasksData[index].category,
+      tasksData[index].difficulty
+    ));
+  };
+
+  // Add many quests at once, e.g. a to-do list pasted from another app
+  const importTasks = async (titles, { category = 'personal', difficulty = 'normal' } = {}, { onProgress } = {}) => {
+    try {
+      const createdAt = new Date().toISOString();
+      const newTasks = titles.map(title => ({
+        id: uuidv4(),
+        title: title.trim(),
+        description: '',
+        category,
+        difficulty,
+        dueDate: null,
+        recurrence: null,
+        steps: [],
+        completed: false,
+        createdAt,
+      }));
+      
+      const contents = await generateQuestContentBatch(newTasks, { onProgress });
+      const stampedTasks = newTasks.map((task, index) => stampFields({ ...task, ...contents[index] }, SYNCED_FIELDS, createdAt));
+      
+      setTasks(prevTasks => [...stampedTasks, ...prevTasks]);
+      stampedTasks.forEach(task => queueSync('create', task.id, toCreatePayload(task)));
+      
+      return stampedTasks;
+    } catch (error) {
+      console.error('Error importing tasks:', error);
+      Alert.alert('Error', 'Failed to import quests. Please try again.');
+      throw error;
+    }
+  };
+
+  // Give quests the stories generated for them in a batch, one content (or null) per task
+  // Applied to the current tasks, so edits made while the batch ran are kept, and
+  // quests whose story changed in the meantime keep that story
+  const applyQuestContents = (batchTasks, contents) => {
+    const now = new Date().toISOString();
+    const currentTasks = new Map(tasksRef.current.map(task => [task.id, task]));
+    const changesById = new Map();
+    batchTasks.forEach((task, index) => {
+      const current = currentTasks.get(task.id);
+      if (contents[index] && current && current.questNarrative === task.questNarrative) {
+        changesById.set(task.id, replaceQuestContent(current, contents[index]));
+      }
+    });
+    
+    setTasks(prevTasks => prevTasks.map(task => {
+      const changes = changesById.get(task.id);
+      return changes ? stampFields({ ...task, ...changes }, Object.keys(changes), now) : task;
+    }));
+    changesById.forEach((changes, taskId) => queueSync('update', taskId, changes));
+    
+    return changesById.size;
+  };
+
+  // Give every open quest a new story, e.g. after the story theme changed
+  // Quests the backend couldn't regenerate, and stories the player wrote, are kept
+  const regenerateNarratives = async ({ onProgress } = {}) => {
+    const openTasks = tasksRef.current.filter(task => !task.completed && !task.isNarrativeEdited);
+    const contents = await generateQuestContentBatch(openTasks, { onProgress, localFallback: false });
+    
+    return { updated: applyQuestContents(openTasks, contents), total: openTasks.length };
+  };
+
+  // Try again to generate the stories of open quests that were told locally or with the fallback
+  const retryFallbackQuests = async () => {
+    const fallbackTasks = tasksRef.current.filter(task => (
+      !task.completed && !task.isAIGenerated && !task.isNarrativeEdited
+    ));
+    if (isRetryingQuestsRef.current || fallbackTasks.length === 0 || isRateLimited()) {
+      return;
+    }
+    
+    isRetryingQuestsRef.current = true;
+    try {
+      const contents = await generateQuestContentBatch(fallbackTasks, { localFallback: false });
+      applyQuestContents(fallbackTasks, contents.map(content => (content?.isAIGenerated ? content : null)));
+    } catch (error) {
+      console.error('Error retrying fallback quests:', error);
+    } finally {
+      isRetryingQuestsRef.current = false;
+    }
+  };
+
+  // Apply story changes made with replaceQuestContent to a quest
+  const applyQuestChanges = (task, changes) => {
+    const now = new Date().toISOString();
+    const fields = Object.keys(changes);
+    setTasks(prevTasks => prevTasks.map(t => (t.id === task.id ? stampFields({ ...t, ...changes }, fields, now) : t)));
+    queueSync('update', task.id, changes);
+    
+    return stampFields({ ...task, ...changes }, fields, now);
+  };
+
+  // Generate a new story for a quest, unlike its current and earlier ones
+  const rerollNarrative = async (taskId) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    if (!task) {
+      throw new Error('Quest not found');
+    }
+    
+    const previousQuests = [task, ...(task.narrativeHistory || [])]
+      .filter(quest => quest.questTitle && quest.questNarrative)
+      .slice(0, MAX_REROLL_PREVIOUS)
+      .map(({ questTitle, questNarrative }) => ({ questTitle, questNarrative }));
+    const content = await generateQuestContent(task, { previousQuests });
+    
+    // Don't swap a generated story for a local one
+    if (task.isAIGenerated && !content.isAIGenerated) {
+      throw new Error('The storyteller could not be reached. Please try again later.');
+    }
+    
+    return applyQuestChanges(task, replaceQuestContent(task, content));
+  };
+
+  // Replace a quest's story with one the player wrote
+  const editNarrative = (taskId, { questTitle, questNarrative }) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    if (!task) {
+      throw new Error('Quest not found');
+    }
+    if (!questTitle?.trim() || !questNarrative?.trim()) {
+      throw new Error('A quest needs a title and a story');
+    }
+    if (questTitle.trim() === task.questTitle && questNarrative.trim() === task.questNarrative) {
+      return task;
+    }
+    
+    return applyQuestChanges(task, replaceQuestContent(task, {
+      questTitle: questTitle.trim(),
+      questNarrative: questNarrative.trim(),
+      isNarrativeEdited: true
+    }));
+  };
+
+  // Bring back an earlier story of a quest from its history; the current story takes its place there
+  const revertNarrative = (taskId, historyIndex) => {
+    const task = tasksRef.current.find(t => t.id === taskId);
+    const entry = task?.narrativeHistory?.[historyIndex];
+    if (!entry) {
+      throw new Error('Story not found');
+    }
+    
+    const remainingHistory = task.narrativeHistory.filter((_, index) => index !== historyIndex);
+    return applyQuestChanges(task, replaceQuestContent({ ...task, narrativeHistory: remainingHistory }, entry));
+  };
+
+  // Read the story campaign: the story so far and a chapter per completed quest, oldest first
+  // Returns null when the backend can't be reached
+  const loadCampaign = async () => {
+    try {
+      const response = await authFetch(`${API_URL}/campaign`);
+      if (!response.ok) {
+        throw new Error(`API request failed with status ${response.status}`);
+      }
+      
+      const { summary, chapters, writing } = await response.json();
+      return { summary, chapters, writing };
+    } catch (error) {
+      console.error('Error loading campaign:', error);
+      return null;
+    }
+  };
+
+  // Start a new campaign: the story so far is forgotten and new quests begin a fresh story
+  const startNewCampaign = async () => {
+    const response = await authFetch(`${API_URL}/campaign`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(`API request failed with status ${response.status}`);
+    }
+  };
+
+  // Switch to another story theme and retell the open quests in it
+  const changeStoryTheme = async (key, style, { onProgress } = {}) => {
+    const theme = await saveStoryTheme(key, style);
+    applyStoryPalette(theme.key);
+    setStoryTheme(theme);
+    return regenerateNarratives({ onProgress });
+  };
+
   // Add a new task
   const addTask = async (taskData, navigation) => {
     try {
@@ -144,76 +727,33 @@ export const TaskProvider = ({ children }) => {
         description: taskData.description || '',
         category: taskData.category || 'personal',
         difficulty: taskData.difficulty || 'normal',
+        dueDate: taskData.dueDate || null,
+        recurrence: null,
+        steps: mergeEditedSteps(taskData.steps || []),
         completed: false,
         createdAt: now.toISOString(),
       };
       
-      // Generate quest title and narrative using AI
-      try {
-        // Try to use the backend if connected
-        if (isConnectedToBackend) {
-          try {
-            console.log('Using backend API for quest generation');
-            const response = await fetch(`${API_URL}/transform-task`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                taskTitle: taskData.title,
-                category: taskData.category,
-                difficulty: taskData.difficulty
-              }),
-            });
-            
-            if (!response.ok) {
-              throw new Error(`API request failed with status ${response.status}`);
-            }
-            
-            const questData = await response.json();
-            console.log('Received quest data:', JSON.stringify(questData));
-            
-            // Apply the quest data to the task
-            if (questData && questData.questTitle && questData.questNarrative) {
-              newTask.questTitle = questData.questTitle;
-              newTask.questNarrative = questData.questNarrative;
-              newTask.isAIGenerated = true;
-            } else if (questData && questData.data && questData.data.questTitle && questData.data.questNarrative) {
-              // Handle nested data structure
-              newTask.questTitle = questData.data.questTitle;
-              newTask.questNarrative = questData.data.questNarrative;
-              newTask.isAIGenerated = true;
-            } else {
-              console.error('Incomplete quest data received:', questData);
-              throw new Error('Incomplete quest data received');
-            }
-          } catch (error) {
-            console.error('Backend API error:', error);
-            throw error; // Let the outer catch block handle it
-          }
-        } else {
-          // Use local generation if backend not available
-          newTask.questTitle = await generateQuestTitle(taskData.title, taskData.category);
-          newTask.questNarrative = await generateQuestNarrative(taskData.title, taskData.category, taskData.difficulty);
-          newTask.isAIGenerated = false;
-        }
-      } catch (error) {
-        console.error('Error generating quest content:', error);
-        // Fallback to title as quest title if AI generation fails
-        newTask.questTitle = `Quest: ${taskData.title}`;
-        newTask.questNarrative = 'A mysterious quest awaits your completion...';
-        newTask.isAIGenerated = false;
+      // Recurring quests start a series; this is its first instance
+      if (taskData.recurrence) {
+        Object.assign(newTask, startSeries(newTask, taskData.recurrence));
       }
       
+      // Generate quest title and narrative using AI
+      Object.assign(newTask, await generateQuestContent(newTask));
+      newTask.steps = await generateStepChapters(newTask);
+      
       // Update state with new task
-      setTasks(prevTasks => [newTask, ...prevTasks]);
+      const stampedTask = stampFields(newTask, SYNCED_FIELDS, newTask.createdAt);
+      setTasks(prevTasks => [stampedTask, ...prevTasks]);
+      queueSync('create', stampedTask.id, toCreatePayload(stampedTask));
       
       // Navigate to home screen after creating quest
       if (navigation) {
         navigation.navigate('Home');
       }
       
-      return newTask;
+      return stampedTask;
     } catch (error) {
       console.error('Error adding task:', error);
       Alert.alert('Error', 'Failed to create quest. Please try again.');
@@ -221,6 +761,96 @@ export const TaskProvider = ({ children }) => {
     }
   };
   
+  // Ask the backend to split a large task into a chain of smaller quests
+  const proposeQuestChain = async (taskData) => {
+    if (!isConnectedToBackend) {
+      throw new Error('Splitting a quest needs a connection to the server');
+    }
+    if (isRateLimited()) {
+      return generateFallbackQuestChain(taskData.title, taskData.category);
+    }
+    
+    const response = await authFetch(`${API_URL}/decompose-task`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        taskTitle: taskData.title,
+        description: taskData.description,
+        category: taskData.category,
+        ...getThemeParams()
+      }),
+    });
+    
+    if (recordRateLimit(response.status, response.headers.get('Retry-After'))) {
+      return generateFallbackQuestChain(taskData.title, taskData.category);
+    }
+    if (!response.ok) {
+      throw new Error(`API request failed with status ${response.status}`);
+    }
+    
+    const { quests } = await response.json();
+    if (!Array.isArray(quests) || quests.length < MIN_CHAIN_LENGTH) {
+      throw new Error('Incomplete quest chain received');
+    }
+    return quests.slice(0, MAX_CHAIN_LENGTH);
+  };
+
+  // Add every quest of a chain at once, in order
+  const addQuestChain = async (taskData, chain, navigation) => {
+    try {
+      const chainId = uuidv4();
+      const createdAt = new Date().toISOString();
+      
+      const newTasks = [];
+      for (const [index, quest] of chain.entries()) {
+        const newTask = {
+          id: uuidv4(),
+          title: quest.title.trim(),
+          description: '',
+          category: taskData.category || 'personal',
+          difficulty: quest.difficulty || 'normal',
+          // The whole chain shares the deadline of the task it was split from
+          dueDate: taskData.dueDate || null,
+          recurrence: null,
+          steps: [],
+          chainId,
+          chainIndex: index,
+          chainTitle: taskData.title,
+          estimatedMinutes: quest.estimatedMinutes || null,
+          completed: false,
+          createdAt,
+        };
+        
+        // Quests the user added to the chain have no quest content yet
+        Object.assign(newTask, quest.questTitle && quest.questNarrative
+          ? {
+              questTitle: quest.questTitle,
+              questNarrative: quest.questNarrative,
+              isAIGenerated: quest.isAIGenerated !== false,
+              promptVariant: quest.promptVariant || null
+            }
+          : await generateQuestContent(newTask));
+        
+        newTasks.push(stampFields(newTask, SYNCED_FIELDS, createdAt));
+      }
+      
+      setTasks(prevTasks => [...newTasks, ...prevTasks]);
+      newTasks.forEach(task => queueSync('create', task.id, toCreatePayload(task)));
+      
+      if (navigation) {
+        navigation.navigate('Home');
+      }
+      
+      return newTasks;
+    } catch (error) {
+      console.error('Error adding quest chain:', error);
+      Alert.alert('Error', 'Failed to create the quest chain. Please try again.');
+      throw error;
+    }
+  };
+  
   // Mark a task as completed
   const completeTask = async (taskId) => {
     try {
@@ -232,60 +862,31 @@ export const TaskProvider = ({ children }) => {
       const taskIndex = updatedTasks.findIndex(task => task.id === taskId);
       
       if (taskIndex !== -1 && !updatedTasks[taskIndex].completed) {
-        // Mark task as completed
-        updatedTasks[taskIndex] = {
-          ...updatedTasks[taskIndex],
+        // Mark task as completed with the XP multiplier it earned - finishing an
+        // overdue quest lifts its curse, at the cost of some XP
+        const openTask = updatedTasks[taskIndex];
+        const { multiplier } = getQuestXp(openTask, userStats, now);
+        updatedTasks[taskIndex] = stampFields({
+          ...openTask,
           completed: true,
-          completedAt: now.toISOString()
-        };
+          completedAt: now.toISOString(),
+          cursed: isOverdue(openTask, now),
+          xpMultiplier: multiplier,
+          steps: (openTask.steps || []).map(step => (
+            step.completed ? step : { ...step, completed: true, completedAt: now.toISOString(), pointsAwarded: 0 }
+          ))
+        }, ['completed', 'completedAt', 'cursed', 'xpMultiplier', 'steps'], now.toISOString());
         
         // Update stats
         const task = updatedTasks[taskIndex];
         
-        // Calculate points based on difficulty
-        let pointsEarned = 0;
-        switch (task.difficulty) {
-          case 'mini': 
-            pointsEarned = 10;
-            break;
-          case 'boss': 
-            pointsEarned = 50;
-            break;
-          default: // normal
-            pointsEarned = 25;
-        }
+        // The quest's XP, minus what its steps already earned
+        const pointsEarned = Math.max(0, getPointsForTask(task) - getAwardedStepPoints(openTask));
         
-        // Update points and completed quests count
+        // Update points, completed quests count and streak
         updatedStats.points += pointsEarned;
         updatedStats.completedQuests += 1;
-        
-        // Update streak
-        const lastCompletedDate = updatedStats.lastCompletedDate 
-          ? new Date(updatedStats.lastCompletedDate) 
-          : null;
-        
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-        
-        if (lastCompletedDate) {
-          const lastDate = new Date(lastCompletedDate);
-          lastDate.setHours(0, 0, 0, 0);
-          
-          if (lastDate.getTime() === yesterday.getTime() || lastDate.getTime() === today.getTime()) {
-            // Increment streak if completed yesterday or already completed today
-            updatedStats.currentStreak += 1;
-          } else if (lastDate.getTime() < yesterday.getTime()) {
-            // Reset streak if more than a day has passed
-            updatedStats.currentStreak = 1;
-          }
-          // If already completed today, the streak doesn't change
-        } else {
-          // First completion ever
-          updatedStats.currentStreak = 1;
-        }
+        updatedStats.currentStreak = calculateStreak(userStats, now);
         
         // Update longest streak if current streak is longer
         if (updatedStats.currentStreak > updatedStats.longestStreak) {
@@ -298,9 +899,28 @@ export const TaskProvider = ({ children }) => {
         // Check for and add achievements/badges
         await checkAndAddAchievements(updatedStats);
         
+        // Recurring quests respawn for their next occurrence, carrying the series streak
+        let nextInstance = null;
+        if (task.recurrence && task.occurrenceDate) {
+          const nextOccurrence = getNextOccurrence(task.recurrence, task.occurrenceDate);
+          const instanceId = `${task.seriesId}-${nextOccurrence}`;
+          if (nextOccurrence && !updatedTasks.some(t => t.id === instanceId)) {
+            nextInstance = createRecurringInstance(task, nextOccurrence, (task.seriesStreak || 0) + 1);
+            updatedTasks = [nextInstance, ...updatedTasks];
+          }
+        }
+        
         // Update state
         setTasks(updatedTasks);
         setUserStats(updatedStats);
+        queueSync('complete', taskId, {
+          completedAt: now.toISOString(),
+          timezoneOffset: now.getTimezoneOffset(),
+          ...getThemeParams()
+        });
+        if (nextInstance) {
+          queueSync('create', nextInstance.id, toCreatePayload(nextInstance));
+        }
       }
     } catch (error) {
       console.error('Error completing task:', error);
@@ -308,11 +928,135 @@ export const TaskProvider = ({ children }) => {
     }
   };
 
+  // Update a task's details, regenerating the quest if the title changed
+  const updateTask = async (taskId, updates, { keepNarrative = false } = {}) => {
+    try {
+      const task = tasksRef.current.find(t => t.id === taskId);
+      if (!task) {
+        throw new Error('Quest not found');
+      }
+      
+      const now = new Date().toISOString();
+      const changes = {};
+      ['title', 'description', 'category', 'difficulty', 'dueDate', 'recurrence'].forEach(field => {
+        if (updates[field] !== undefined && updates[field] !== (task[field] ?? null)) {
+          changes[field] = updates[field];
+        }
+      });
+      
+      // Edited steps keep the progress of steps that already existed
+      if (updates.steps !== undefined) {
+        const steps = mergeEditedSteps(updates.steps, task.steps);
+        if (JSON.stringify(steps) !== JSON.stringify(task.steps || [])) {
+          changes.steps = steps;
+        }
+      }
+      
+      // A quest that starts repeating becomes the first instance of a series
+      if (changes.recurrence && !task.recurrence) {
+        Object.assign(changes, startSeries({ ...task, ...changes }, changes.recurrence));
+      }
+      
+      // A new title gets a new quest unless the player wants to keep the old story
+      if (changes.title && !keepNarrative) {
+        Object.assign(changes, replaceQuestContent(task, await generateQuestContent({ ...task, ...changes })));
+      }
+      
+      if (changes.steps) {
+        changes.steps = await generateStepChapters({ ...task, ...changes });
+      }
+      
+      const changedFields = Object.keys(changes);
+      if (changedFields.length === 0) {
+        return task;
+      }
+      
+      const updatedTask = stampFields({ ...task, ...changes }, changedFields, now);
+      setTasks(prevTasks => prevTasks.map(t => (t.id === taskId ? updatedTask : t)));
+      
+      // XP follows the quest: a completed quest's difficulty, or the checked-off steps an open quest still has
+      const pointsDelta = task.completed
+        ? getPointsForTask(updatedTask) - getPointsForTask(task)
+        : getAwardedStepPoints(updatedTask) - getAwardedStepPoints(task);
+      if (pointsDelta !== 0) {
+        setUserStats(prevStats => ({
+          ...prevStats,
+          points: Math.max(0, prevStats.points + pointsDelta)
+        }));
+      }
+      
+      queueSync('update', taskId, changes);
+      
+      return updatedTask;
+    } catch (error) {
+      console.error('Error updating task:', error);
+      throw error;
+    }
+  };
+
+  // Check off (or un-check) a sub-step of an open quest, awarding a share of its XP
+  const toggleStep = (taskId, stepId) => {
+    try {
+      const task = tasksRef.current.find(t => t.id === taskId);
+      if (!task || task.completed) return null;
+      
+      const steps = task.steps || [];
+      const index = steps.findIndex(step => step.id === stepId);
+      if (index === -1) return null;
+      
+      const now = new Date().toISOString();
+      const completed = !steps[index].completed;
+      const pointsAwarded = completed ? getStepPoints(steps, getPointsForDifficulty(task.difficulty))[index] : 0;
+      const pointsDelta = completed ? pointsAwarded : -(steps[index].pointsAwarded || 0);
+      
+      const updatedTask = stampFields({
+        ...task,
+        steps: steps.map((step, i) => (i === index ? {
+          ...step,
+          completed,
+          completedAt: completed ? now : null,
+          pointsAwarded
+        } : step))
+      }, ['steps'], now);
+      
+      setTasks(prevTasks => prevTasks.map(t => (t.id === taskId ? updatedTask : t)));
+      setUserStats(prevStats => ({
+        ...prevStats,
+        points: Math.max(0, prevStats.points + pointsDelta)
+      }));
+      queueSync('step', taskId, { stepId, completed });
+      
+      return updatedTask;
+    } catch (error) {
+      console.error('Error updating step:', error);
+      throw error;
+    }
+  };
+
+  // Replace recurring quests whose period ended without completion by the
+  // instance for the current period. Missing a period breaks the series streak.
+  const rollOverRecurringQuests = () => {
+    const now = new Date();
+    const currentTasks = tasksRef.current;
+    const expired = currentTasks.filter(task => !task.completed && hasPeriodEnded(task, now));
+    if (expired.length === 0) return;
+    
+    const expiredIds = new Set(expired.map(task => task.id));
+    const replacements = expired
+      .map(task => createRecurringInstance(task, getCurrentOccurrence(task.recurrence, task.occurrenceDate, now), 0))
+      .filter(instance => !currentTasks.some(task => task.id === instance.id));
+    
+    setTasks(prevTasks => [...replacements, ...prevTasks.filter(task => !expiredIds.has(task.id))]);
+    expired.forEach(task => queueSync('delete', task.id));
+    replacements.forEach(instance => queueSync('create', instance.id, toCreatePayload(instance)));
+  };
+
   // Delete a task
   const deleteTask = (taskId) => {
     try {
       const updatedTasks = tasks.filter(task => task.id !== taskId);
       setTasks(updatedTasks);
+      queueSync('delete', taskId);
     } catch (error) {
       console.error('Error deleting task:', error);
       throw error;
@@ -368,18 +1112,19 @@ export const TaskProvider = ({ children }) => {
       // If we added new badges, try to get custom achievement badges from AI backend
       const newBadges = Array.from(existingBadges).filter(badge => !updatedStats.badges.includes(badge));
       
-      if (newBadges.length > 0 && isConnectedToBackend) {
+      if (newBadges.length > 0 && isConnectedToBackend && !isRateLimited()) {
         try {
           // For each new badge, try to get a custom description from the backend
           for (const badge of newBadges) {
-            const badgeResponse = await fetch(`${API_URL}/achievement-badge`, {
+            const badgeResponse = await authFetch(`${API_URL}/achievement-badge`, {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json',
               },
               body: JSON.stringify({
                 achievementType: badge,
-                milestone: getAchievementMilestone(badge, stats)
+                milestone: getAchievementMilestone(badge, stats),
+                ...getThemeParams()
               }),
             });
             
@@ -387,6 +1132,8 @@ export const TaskProvider = ({ children }) => {
               const badgeData = await badgeResponse.json();
               console.log(`New achievement unlocked: ${badgeData.badgeName} - ${badgeData.badgeDescription}`);
               // Display notification here if desired
+            } else if (recordRateLimit(badgeResponse.status, badgeResponse.headers.get('Retry-After'))) {
+              break;
             }
           }
         } catch (error) {
@@ -422,7 +1169,8 @@ export const TaskProvider = ({ children }) => {
     try {
       await AsyncStorage.removeItem('tasks');
       await AsyncStorage.removeItem('userStats');
-      // Don't remove resetOnStartup preference
+      // Don't remove resetOnStartup preference or the sync queue -
+      // unsynced changes are still replayed and the server copy is pulled again
       
       setTasks([]);
       setUserStats({
@@ -450,7 +1198,25 @@ export const TaskProvider = ({ children }) => {
         isLoading,
         isConnectedToBackend,
         resetOnStartup,
+        pendingSyncCount,
+        isSyncing,
+        syncNow,
         addTask,
+        importTasks,
+        regenerateNarratives,
+        rerollNarrative,
+        editNarrative,
+        revertNarrative,
+        storyTheme,
+        changeStoryTheme,
+        levelUp,
+        dismissLevelUp,
+        loadCampaign,
+        startNewCampaign,
+        proposeQuestChain,
+        addQuestChain,
+        updateTask,
+        toggleStep,
         completeTask,
         deleteTask,
         clearAllData,
@@ -1,8 +1,21 @@
 import React, { useState, useContext, useEffect, useRef } from 'react';
-import { View, ScrollView, StyleSheet, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
-import { TextInput, Button, Headline, Subheading, Chip, HelperText, Text, Card, Paragraph } from 'react-native-paper';
+import { View, ScrollView, StyleSheet, TouchableOpacity, Alert, ActivityIndicator, Platform } from 'react-native';
+import { TextInput, Button, Headline, Subheading, Chip, HelperText, Text, Card, Paragraph, Switch, IconButton } from 'react-native-paper';
 import { TaskContext } from '../context/TaskContext';
-import { generateQuestNarrative } from '../utils/aiTransformer';
+import { streamQuestNarrative } from '../utils/aiTransformer';
+import { formatDueDate } from '../utils/dueDateUtils';
+import {
+  RECURRENCE_PRESETS,
+  WEEKDAY_LABELS,
+  buildRecurrence,
+  describeRecurrence,
+  getRecurrencePreset
+} from '../utils/recurrenceUtils';
+import { MAX_STEPS } from '../utils/stepUtils';
+import { DIFFICULTY_XP } from '../utils/xpEngine';
+import { MIN_CHAIN_LENGTH, MAX_CHAIN_LENGTH, formatDuration } from '../utils/chainUtils';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { v4 as uuidv4 } from 'uuid';
 
 // Category and difficulty data
 const categories = [
@@ -14,20 +27,48 @@ const categories = [
 ];
 
 const difficulties = [
-  { key: 'mini', label: 'Mini Quest', icon: '🔰', description: 'Quick and easy (10 XP)', color: '#4CAF50' },
-  { key: 'normal', label: 'Normal Quest', icon: '⚔️', description: 'Balanced challenge (25 XP)', color: '#2196F3' },
-  { key: 'boss', label: 'Boss Quest', icon: '👑', description: 'Major challenge (50 XP)', color: '#FF5722' },
+  { key: 'mini', label: 'Mini Quest', icon: '🔰', description: `Quick and easy (${DIFFICULTY_XP.mini} XP)`, color: '#4CAF50' },
+  { key: 'normal', label: 'Normal Quest', icon: '⚔️', description: `Balanced challenge (${DIFFICULTY_XP.normal} XP)`, color: '#2196F3' },
+  { key: 'boss', label: 'Boss Quest', icon: '👑', description: `Major challenge (${DIFFICULTY_XP.boss} XP)`, color: '#FF5722' },
 ];
 
-const AddQuestScreen = ({ navigation }) => {
-  const { addTask } = useContext(TaskContext);
+// Default due date offered by the picker: this evening, or tomorrow evening if that has passed
+const getDefaultDueDate = () => {
+  const date = new Date();
+  date.setHours(18, 0, 0, 0);
+  if (date <= new Date()) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+};
+
+const AddQuestScreen = ({ route, navigation }) => {
+  const { tasks, addTask, updateTask, proposeQuestChain, addQuestChain } = useContext(TaskContext);
+  
+  // When opened with a questId the form edits that quest instead of creating one
+  const questId = route?.params?.questId;
+  const existingTask = questId ? tasks.find(t => t.id === questId) : null;
+  const isEditing = !!existingTask;
   
   // State variables
-  const [title, setTitle] = useState('');
-  const [description, setDescription] = useState('');
-  const [category, setCategory] = useState('');
-  const [difficulty, setDifficulty] = useState('');
-  const [questPreview, setQuestPreview] = useState(null);
+  const [title, setTitle] = useState(existingTask?.title || '');
+  const [description, setDescription] = useState(existingTask?.description || '');
+  const [category, setCategory] = useState(existingTask?.category || '');
+  const [difficulty, setDifficulty] = useState(existingTask?.difficulty || '');
+  const [dueDate, setDueDate] = useState(existingTask?.dueDate ? new Date(existingTask.dueDate) : null);
+  const [pickerMode, setPickerMode] = useState(null); // null, 'date' or 'time'
+  const initialRepeat = getRecurrencePreset(existingTask?.recurrence);
+  const [repeatPreset, setRepeatPreset] = useState(initialRepeat.preset);
+  const [repeatDays, setRepeatDays] = useState(initialRepeat.byDay);
+  const [repeatInterval, setRepeatInterval] = useState(String(initialRepeat.interval));
+  const [steps, setSteps] = useState(
+    (existingTask?.steps || []).map(({ id, title, completed }) => ({ id, title, completed }))
+  );
+  const [keepNarrative, setKeepNarrative] = useState(false);
+  const [chain, setChain] = useState(null); // Proposed quest chain while splitting a boss quest
+  const [chainLoading, setChainLoading] = useState(false);
+  const [questPreview, setQuestPreview] = useState(existingTask?.questNarrative || null);
+  const [previewLoading, setPreviewLoading] = useState(false); // Until the first words of the preview arrive
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -35,28 +76,69 @@ const AddQuestScreen = ({ navigation }) => {
   // Prevent duplicate submissions
   const submitLock = useRef(false);
 
+  // Only a new title gives an existing quest a new story
+  const titleChanged = isEditing && title.trim() !== existingTask.title;
+  const showCurrentNarrative = isEditing && (!titleChanged || keepNarrative);
+  
+  // Recurrence rule for the chosen repeat options
+  const recurrence = buildRecurrence(repeatPreset, {
+    byDay: repeatDays,
+    interval: parseInt(repeatInterval, 10)
+  });
+  
+  // New boss quests can be split into a chain of smaller quests
+  const canSplit = !isEditing && difficulty === 'boss';
+  const isChain = canSplit && chain !== null;
+  
+  // Changing the difficulty of a completed quest changes the XP it earned
+  const xpWillChange = isEditing && existingTask.completed && difficulty !== existingTask.difficulty;
+
   // Generate a preview when title, category, and difficulty are set
   useEffect(() => {
+    if (showCurrentNarrative) {
+      setPreviewLoading(false);
+      setQuestPreview(existingTask.questNarrative || null);
+      return;
+    }
+    
+    // Cancelled when the title, category or difficulty change again
+    const controller = new AbortController();
+    
     const generatePreview = async () => {
       if (title.trim() && category && difficulty) {
-        setLoading(true);
+        setPreviewLoading(true);
         try {
-          const narrative = await generateQuestNarrative(title, category, difficulty);
-          setQuestPreview(narrative);
+          // Show the story as it is written
+          const { questNarrative } = await streamQuestNarrative(title, category, difficulty, {
+            signal: controller.signal,
+            onProgress: (narrative) => {
+              setPreviewLoading(false);
+              setQuestPreview(narrative);
+            }
+          });
+          setQuestPreview(questNarrative);
         } catch (error) {
-          console.error('Error generating quest preview:', error);
+          if (!controller.signal.aborted) {
+            console.error('Error generating quest preview:', error);
+          }
         } finally {
-          setLoading(false);
+          if (!controller.signal.aborted) {
+            setPreviewLoading(false);
+          }
         }
       } else {
+        setPreviewLoading(false);
         setQuestPreview(null);
       }
     };
     
     // Debounce to avoid too many calls
     const timeoutId = setTimeout(generatePreview, 800);
-    return () => clearTimeout(timeoutId);
-  }, [title, category, difficulty]);
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [title, category, difficulty, showCurrentNarrative]);
 
   // Form validation
   const validate = () => {
@@ -74,16 +156,160 @@ const AddQuestScreen = ({ navigation }) => {
       newErrors.difficulty = 'Please select a difficulty';
     }
     
+    if (repeatPreset === 'weekly' && repeatDays.length === 0) {
+      newErrors.recurrence = 'Please select at least one day';
+    }
+    
+    if (repeatPreset === 'interval') {
+      const interval = Number(repeatInterval);
+      if (!Number.isInteger(interval) || interval < 2 || interval > 365) {
+        newErrors.recurrence = 'Repeat every 2 to 365 days';
+      }
+    }
+    
+    // An unchanged due date may already have passed on an existing quest
+    const dueDateChanged = !isEditing || (dueDate ? dueDate.toISOString() : null) !== (existingTask.dueDate || null);
+    if (dueDate && dueDateChanged && dueDate <= new Date()) {
+      newErrors.dueDate = 'Due date must be in the future';
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  // Handle quest creation
+  // Validate the quest chain being edited
+  const validateChain = () => {
+    let chainError = null;
+    
+    if (chain.length < MIN_CHAIN_LENGTH || chain.length > MAX_CHAIN_LENGTH) {
+      chainError = `A quest chain needs ${MIN_CHAIN_LENGTH} to ${MAX_CHAIN_LENGTH} quests`;
+    } else if (chain.some(quest => !quest.title.trim())) {
+      chainError = 'Every quest in the chain needs a name';
+    } else if (chain.some(quest => quest.estimatedMinutes && !(Number.isInteger(Number(quest.estimatedMinutes)) && Number(quest.estimatedMinutes) > 0))) {
+      chainError = 'Estimated minutes must be a whole number';
+    }
+    
+    setErrors(current => ({ ...current, chain: chainError }));
+    return !chainError;
+  };
+
+  // Ask for a proposed quest chain for the boss quest
+  const handleSplitQuest = async () => {
+    if (chainLoading || !validate()) return;
+    
+    setChainLoading(true);
+    try {
+      const quests = await proposeQuestChain({ title: title.trim(), description: description.trim(), category });
+      setChain(quests.map(quest => ({
+        ...quest,
+        id: uuidv4(),
+        proposedTitle: quest.title,
+        estimatedMinutes: quest.estimatedMinutes ? String(quest.estimatedMinutes) : ''
+      })));
+    } catch (error) {
+      console.error('Error splitting quest:', error);
+      Alert.alert('Error', error.message || 'Could not split the quest. Please try again.');
+    } finally {
+      setChainLoading(false);
+    }
+  };
+
+  // Quest chain editing
+  const updateChainQuest = (id, changes) => {
+    setChain(current => current.map(quest => (quest.id === id ? { ...quest, ...changes } : quest)));
+  };
+  
+  const addChainQuest = () => {
+    setChain(current => [...current, { id: uuidv4(), title: '', difficulty: 'normal', estimatedMinutes: '' }]);
+  };
+  
+  const removeChainQuest = (id) => {
+    setChain(current => current.filter(quest => quest.id !== id));
+  };
+  
+  const moveChainQuest = (index, direction) => {
+    setChain(current => {
+      const target = index + direction;
+      if (target < 0 || target >= current.length) return current;
+      const reordered = [...current];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  // Sub-step editing
+  const addStep = () => {
+    setSteps(current => [...current, { id: uuidv4(), title: '', completed: false }]);
+  };
+  
+  const updateStepTitle = (id, stepTitle) => {
+    setSteps(current => current.map(step => (step.id === id ? { ...step, title: stepTitle } : step)));
+  };
+  
+  const removeStep = (id) => {
+    setSteps(current => current.filter(step => step.id !== id));
+  };
+  
+  const moveStep = (index, direction) => {
+    setSteps(current => {
+      const target = index + direction;
+      if (target < 0 || target >= current.length) return current;
+      const reordered = [...current];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  // Pick a repeat option; weekly starts with today's weekday selected
+  const selectRepeatPreset = (preset) => {
+    if (preset === 'weekly' && repeatDays.length === 0) {
+      setRepeatDays([new Date().getDay()]);
+    }
+    setRepeatPreset(preset);
+  };
+
+  // Add or remove a day of a weekly repeat
+  const toggleRepeatDay = (day) => {
+    setRepeatDays(days => (
+      days.includes(day) ? days.filter(d => d !== day) : [...days, day]
+    ));
+  };
+
+  // Show the due date picker; iOS pickers edit the value in place, so start from the default
+  const openDueDatePicker = () => {
+    if (Platform.OS === 'ios' && !dueDate) {
+      setDueDate(getDefaultDueDate());
+    }
+    setPickerMode('date');
+  };
+
+  // Apply a date or time picked for the due date
+  const handleDueDateChange = (event, selected) => {
+    if (event.type === 'dismissed' || !selected) {
+      setPickerMode(null);
+      return;
+    }
+    
+    const next = new Date(dueDate || getDefaultDueDate());
+    if (pickerMode === 'date') {
+      next.setFullYear(selected.getFullYear(), selected.getMonth(), selected.getDate());
+    } else {
+      next.setHours(selected.getHours(), selected.getMinutes(), 0, 0);
+    }
+    setDueDate(next);
+    
+    // Android pickers are dialogs: pick the date, then the time
+    if (Platform.OS === 'android') {
+      setPickerMode(pickerMode === 'date' ? 'time' : null);
+    }
+  };
+
+  // Handle quest creation or update
   const handleCreateQuest = async () => {
     // Prevent duplicate submissions
     if (submitLock.current || isSubmitting) return;
     
-    if (!validate()) return;
+    if (!validate() || (isChain && !validateChain())) return;
     
     setIsSubmitting(true);
     submitLock.current = true;
@@ -96,21 +322,53 @@ const AddQuestScreen = ({ navigation }) => {
         description: description.trim(),
         category,
         difficulty,
+        dueDate: dueDate ? dueDate.toISOString() : null,
+        recurrence,
+        steps,
       };
       
-      // Use the updated addTask function which now handles navigation
-      await addTask(newTask, navigation);
+      if (isEditing) {
+        await updateTask(existingTask.id, newTask, { keepNarrative });
+        navigation.goBack();
+        return;
+      }
+      
+      if (isChain) {
+        const quests = chain.map(quest => ({
+          title: quest.title.trim(),
+          difficulty: quest.difficulty,
+          estimatedMinutes: quest.estimatedMinutes ? Number(quest.estimatedMinutes) : null,
+          // A renamed quest no longer matches its proposed story, so it gets a new one
+          ...(quest.title.trim() === quest.proposedTitle
+            ? {
+                questTitle: quest.questTitle,
+                questNarrative: quest.questNarrative,
+                promptVariant: quest.promptVariant,
+                isAIGenerated: quest.isAIGenerated
+              }
+            : {})
+        }));
+        await addQuestChain(newTask, quests, navigation);
+      } else {
+        // Use the updated addTask function which now handles navigation
+        await addTask(newTask, navigation);
+      }
       
       // Reset form
       setTitle('');
       setDescription('');
       setCategory('');
       setDifficulty('');
+      setDueDate(null);
+      setRepeatPreset('none');
+      setRepeatDays([]);
+      setSteps([]);
+      setChain(null);
       setQuestPreview(null);
       
     } catch (error) {
-      console.error('Error creating quest:', error);
-      Alert.alert('Error', 'Failed to create quest. Please try again.');
+      console.error(`Error ${isEditing ? 'updating' : 'creating'} quest:`, error);
+      Alert.alert('Error', `Failed to ${isEditing ? 'update' : 'create'} quest. Please try again.`);
     } finally {
       setLoading(false);
       setIsSubmitting(false);
@@ -125,9 +383,11 @@ const AddQuestScreen = ({ navigation }) => {
     <ScrollView style={styles.container}>
       <Card style={styles.headerCard}>
         <Card.Content>
-          <Headline style={styles.headline}>Create New Quest</Headline>
+          <Headline style={styles.headline}>{isEditing ? 'Edit Quest' : 'Create New Quest'}</Headline>
           <Paragraph style={styles.subtitle}>
-            Transform your mundane task into an epic adventure!
+            {isEditing
+              ? 'Change the details of your adventure'
+              : 'Transform your mundane task into an epic adventure!'}
           </Paragraph>
         </Card.Content>
       </Card>
@@ -157,6 +417,18 @@ const AddQuestScreen = ({ navigation }) => {
           numberOfLines={3}
           disabled={loading || isSubmitting}
         />
+        
+        {titleChanged && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Keep the current quest story</Text>
+            <Switch
+              value={keepNarrative}
+              onValueChange={setKeepNarrative}
+              color="#6200ee"
+              disabled={isSubmitting}
+            />
+          </View>
+        )}
       </View>
       
       {/* Category selection */}
@@ -218,16 +490,336 @@ const AddQuestScreen = ({ navigation }) => {
           ))}
         </View>
         {errors.difficulty && <HelperText type="error">{errors.difficulty}</HelperText>}
+        {xpWillChange && (
+          <HelperText type="info">
+            This quest is already completed - your XP will be adjusted to the new difficulty.
+          </HelperText>
+        )}
+        {canSplit && !isChain && (
+          <>
+            <Button
+              mode="outlined"
+              icon="call-split"
+              onPress={handleSplitQuest}
+              loading={chainLoading}
+              disabled={chainLoading || isSubmitting}
+              style={styles.splitButton}
+            >
+              Split into Quest Chain
+            </Button>
+            <HelperText type="info">
+              Break this boss quest into {MIN_CHAIN_LENGTH} to {MAX_CHAIN_LENGTH} smaller quests you can tackle one by one.
+            </HelperText>
+          </>
+        )}
+      </View>
+      
+      {/* Quest chain */}
+      {isChain && (
+        <View style={styles.formSection}>
+          <Subheading style={styles.sectionTitle}>Quest Chain</Subheading>
+          
+          {chain.map((quest, index) => (
+            <View key={quest.id} style={styles.chainQuest}>
+              <View style={styles.stepRow}>
+                <Text style={styles.stepNumber}>{index + 1}.</Text>
+                <TextInput
+                  value={quest.title}
+                  onChangeText={value => updateChainQuest(quest.id, { title: value })}
+                  placeholder={`Quest ${index + 1}`}
+                  style={[styles.input, styles.stepInput]}
+                  mode="outlined"
+                  dense
+                  disabled={isSubmitting}
+                />
+                <IconButton
+                  icon="arrow-up"
+                  size={18}
+                  onPress={() => moveChainQuest(index, -1)}
+                  disabled={index === 0 || isSubmitting}
+                  style={styles.stepButton}
+                />
+                <IconButton
+                  icon="arrow-down"
+                  size={18}
+                  onPress={() => moveChainQuest(index, 1)}
+                  disabled={index === chain.length - 1 || isSubmitting}
+                  style={styles.stepButton}
+                />
+                <IconButton
+                  icon="close"
+                  size={18}
+                  onPress={() => removeChainQuest(quest.id)}
+                  disabled={isSubmitting}
+                  style={styles.stepButton}
+                />
+              </View>
+              
+              <View style={styles.chainQuestOptions}>
+                {difficulties.map(item => (
+                  <Chip
+                    key={item.key}
+                    compact
+                    selected={quest.difficulty === item.key}
+                    onPress={() => updateChainQuest(quest.id, { difficulty: item.key })}
+                    disabled={isSubmitting}
+                    style={[
+                      styles.chainChip,
+                      quest.difficulty === item.key ? styles.selectedChip : null
+                    ]}
+                    selectedColor={quest.difficulty === item.key ? item.color : undefined}
+                  >
+                    {item.icon}
+                  </Chip>
+                ))}
+                <TextInput
+                  label="Minutes"
+                  value={quest.estimatedMinutes}
+                  onChangeText={value => updateChainQuest(quest.id, { estimatedMinutes: value })}
+                  style={[styles.input, styles.minutesInput]}
+                  mode="outlined"
+                  dense
+                  keyboardType="number-pad"
+                  disabled={isSubmitting}
+                />
+              </View>
+              
+              {quest.questTitle && quest.title.trim() === quest.proposedTitle && (
+                <Text style={styles.chainQuestTitle}>{quest.questTitle}</Text>
+              )}
+            </View>
+          ))}
+          
+          <Button
+            mode="text"
+            icon="plus"
+            onPress={addChainQuest}
+            disabled={chain.length >= MAX_CHAIN_LENGTH || isSubmitting}
+            style={styles.addStepButton}
+          >
+            Add Quest
+          </Button>
+          
+          {errors.chain && <HelperText type="error">{errors.chain}</HelperText>}
+          <HelperText type="info">
+            {formatDuration(chain.reduce((sum, quest) => sum + (Number(quest.estimatedMinutes) || 0), 0)) || 'No estimate'} in total.
+            Every quest earns its own XP and shares the due date below.
+          </HelperText>
+          
+          <Button
+            mode="text"
+            onPress={() => setChain(null)}
+            disabled={isSubmitting}
+          >
+            Keep as One Quest
+          </Button>
+        </View>
+      )}
+      
+      {/* Sub-steps */}
+      {!isChain && (
+        <View style={styles.formSection}>
+          <Subheading style={styles.sectionTitle}>Quest Steps (Optional)</Subheading>
+          
+          {steps.map((step, index) => (
+            <View key={step.id} style={styles.stepRow}>
+              <Text style={styles.stepNumber}>{step.completed ? '✓' : `${index + 1}.`}</Text>
+              <TextInput
+                value={step.title}
+                onChangeText={value => updateStepTitle(step.id, value)}
+                placeholder={`Step ${index + 1}`}
+                style={[styles.input, styles.stepInput]}
+                mode="outlined"
+                dense
+                disabled={isSubmitting}
+              />
+              <IconButton
+                icon="arrow-up"
+                size={18}
+                onPress={() => moveStep(index, -1)}
+                disabled={index === 0 || isSubmitting}
+                style={styles.stepButton}
+              />
+              <IconButton
+                icon="arrow-down"
+                size={18}
+                onPress={() => moveStep(index, 1)}
+                disabled={index === steps.length - 1 || isSubmitting}
+                style={styles.stepButton}
+              />
+              <IconButton
+                icon="close"
+                size={18}
+                onPress={() => removeStep(step.id)}
+                disabled={isSubmitting}
+                style={styles.stepButton}
+              />
+            </View>
+          ))}
+          
+          <Button
+            mode="text"
+            icon="plus"
+            onPress={addStep}
+            disabled={steps.length >= MAX_STEPS || isSubmitting}
+            style={styles.addStepButton}
+          >
+            Add Step
+          </Button>
+          
+          {steps.length > 0 && (
+            <HelperText type="info">
+              Each step you check off earns part of the quest's XP. Finish the quest to claim the rest.
+            </HelperText>
+          )}
+        </View>
+      )}
+      
+      {/* Due date selection */}
+      <View style={styles.formSection}>
+        <Subheading style={styles.sectionTitle}>Due Date (Optional)</Subheading>
+        
+        {dueDate ? (
+          <View style={styles.dueDateRow}>
+            <Chip
+              icon="calendar-clock"
+              onPress={openDueDatePicker}
+              disabled={isSubmitting}
+              style={styles.chip}
+            >
+              {formatDueDate(dueDate.toISOString())}
+            </Chip>
+            <Button
+              mode="text"
+              compact
+              onPress={() => {
+                setDueDate(null);
+                setPickerMode(null);
+              }}
+              disabled={isSubmitting}
+            >
+              Clear
+            </Button>
+          </View>
+        ) : (
+          <Button
+            mode="outlined"
+            icon="calendar-plus"
+            onPress={openDueDatePicker}
+            style={styles.dueDateButton}
+            disabled={isSubmitting}
+          >
+            Set Due Date
+          </Button>
+        )}
+        
+        {pickerMode && (
+          <DateTimePicker
+            value={dueDate || getDefaultDueDate()}
+            mode={pickerMode}
+            minimumDate={pickerMode === 'date' ? new Date() : undefined}
+            display={Platform.OS === 'ios' ? (pickerMode === 'date' ? 'inline' : 'spinner') : 'default'}
+            onChange={handleDueDateChange}
+          />
+        )}
+        
+        {/* iOS pickers stay on screen, so step through them with a button */}
+        {pickerMode && Platform.OS === 'ios' && (
+          <Button
+            mode="text"
+            onPress={() => setPickerMode(pickerMode === 'date' ? 'time' : null)}
+          >
+            {pickerMode === 'date' ? 'Next: Time' : 'Done'}
+          </Button>
+        )}
+        
+        {errors.dueDate && <HelperText type="error">{errors.dueDate}</HelperText>}
+        {dueDate && (
+          <HelperText type="info">
+            You'll get a reminder before the deadline. Quests left past their due date become cursed and only earn half XP.
+          </HelperText>
+        )}
       </View>
       
+      {/* Recurrence selection */}
+      {!isChain && (
+        <View style={styles.formSection}>
+          <Subheading style={styles.sectionTitle}>Repeat</Subheading>
+        
+          <View style={styles.chipContainer}>
+            {RECURRENCE_PRESETS.map(item => (
+              <TouchableOpacity 
+                key={item.key}
+                onPress={() => selectRepeatPreset(item.key)}
+                disabled={isSubmitting}
+              >
+                <Chip
+                  selected={repeatPreset === item.key}
+                  style={[
+                    styles.chip,
+                    repeatPreset === item.key ? styles.selectedChip : null
+                  ]}
+                  selectedColor={repeatPreset === item.key ? '#6200ee' : undefined}
+                >
+                  {item.label}
+                </Chip>
+              </TouchableOpacity>
+            ))}
+          </View>
+        
+          {repeatPreset === 'weekly' && (
+            <View style={styles.chipContainer}>
+              {WEEKDAY_LABELS.map((label, day) => (
+                <TouchableOpacity 
+                  key={label}
+                  onPress={() => toggleRepeatDay(day)}
+                  disabled={isSubmitting}
+                >
+                  <Chip
+                    selected={repeatDays.includes(day)}
+                    style={[
+                      styles.chip,
+                      repeatDays.includes(day) ? styles.selectedChip : null
+                    ]}
+                    selectedColor={repeatDays.includes(day) ? '#6200ee' : undefined}
+                  >
+                    {label}
+                  </Chip>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        
+          {repeatPreset === 'interval' && (
+            <TextInput
+              label="Repeat every (days)"
+              value={repeatInterval}
+              onChangeText={setRepeatInterval}
+              style={styles.input}
+              mode="outlined"
+              keyboardType="number-pad"
+              error={!!errors.recurrence}
+              disabled={isSubmitting}
+            />
+          )}
+        
+          {errors.recurrence && <HelperText type="error">{errors.recurrence}</HelperText>}
+          {recurrence && !errors.recurrence && (
+            <HelperText type="info">
+              {describeRecurrence(recurrence)}. A new quest appears when you complete this one, or when its day passes - missing one breaks the quest's streak.
+            </HelperText>
+          )}
+        </View>
+      )}
+      
       {/* Quest preview */}
-      {(loading || questPreview) && (
+      {!isChain && (previewLoading || questPreview) && (
         <View style={styles.previewContainer}>
           <Subheading style={styles.sectionTitle}>Quest Preview</Subheading>
           
           <Card style={styles.previewCard}>
             <Card.Content>
-              {loading ? (
+              {previewLoading ? (
                 <View style={styles.loadingContainer}>
                   <ActivityIndicator color="#6200ee" />
                   <Text style={styles.loadingText}>Preparing your epic quest...</Text>
@@ -235,7 +827,9 @@ const AddQuestScreen = ({ navigation }) => {
               ) : (
                 <>
                   <Text style={styles.previewTitle}>
-                    Your task will become a grand adventure!
+                    {showCurrentNarrative
+                      ? 'Your current quest story'
+                      : 'Your task will become a grand adventure!'}
                   </Text>
                   <Paragraph style={styles.previewText}>{questPreview}</Paragraph>
                 </>
@@ -254,7 +848,11 @@ const AddQuestScreen = ({ navigation }) => {
           disabled={loading || isSubmitting}
           loading={isSubmitting}
         >
-          {isSubmitting ? 'Creating...' : 'Create Quest'}
+          {isEditing
+            ? (isSubmitting ? 'Saving...' : 'Save Changes')
+            : isChain
+              ? (isSubmitting ? 'Creating...' : `Create ${chain.length} Quests`)
+              : (isSubmitting ? 'Creating...' : 'Create Quest')}
         </Button>
         <Button 
           mode="outlined" 
@@ -264,6 +862,16 @@ const AddQuestScreen = ({ navigation }) => {
         >
           Cancel
         </Button>
+        {!isEditing && (
+          <Button 
+            mode="text" 
+            onPress={() => navigation.navigate('ImportQuests')} 
+            icon="playlist-plus"
+            disabled={loading || isSubmitting}
+          >
+            Import a To-Do List Instead
+          </Button>
+        )}
       </View>
     </ScrollView>
   );
@@ -307,6 +915,16 @@ const styles = StyleSheet.create({
     backgroundColor: 'transparent',
     marginBottom: 8,
   },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  switchLabel: {
+    flex: 1,
+    color: '#666',
+  },
   chipContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -348,6 +966,61 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     color: '#666',
   },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepNumber: {
+    width: 24,
+    color: '#666',
+    fontWeight: 'bold',
+  },
+  stepInput: {
+    flex: 1,
+  },
+  stepButton: {
+    margin: 0,
+  },
+  addStepButton: {
+    alignSelf: 'flex-start',
+  },
+  splitButton: {
+    marginTop: 4,
+    borderRadius: 25,
+  },
+  chainQuest: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chainQuestOptions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginLeft: 24,
+  },
+  chainChip: {
+    marginRight: 4,
+  },
+  minutesInput: {
+    width: 90,
+    marginLeft: 4,
+    marginBottom: 0,
+  },
+  chainQuestTitle: {
+    marginLeft: 24,
+    marginTop: 4,
+    fontStyle: 'italic',
+    color: '#6200ee',
+  },
+  dueDateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  dueDateButton: {
+    borderRadius: 25,
+  },
   previewContainer: {
     padding: 16,
     backgroundColor: 'white',
@@ -388,6 +1061,7 @@ const styles = StyleSheet.create({
   cancelButton: {
     paddingVertical: 8,
     borderRadius: 25,
+    marginBottom: 12,
   },
 });
 
@@ -0,0 +1,191 @@
+import React, { useContext, useState, useEffect, useCallback } from 'react';
+import { View, ScrollView, StyleSheet, RefreshControl, Alert } from 'react-native';
+import { Card, Title, Paragraph, Text, Button, ActivityIndicator } from 'react-native-paper';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { TaskContext } from '../context/TaskContext';
+import { COLORS, getStoryIcons } from '../utils/theme';
+
+// How long to wait before reading the campaign again while a chapter is being written
+const WRITING_POLL_MS = 2000;
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// The chronicle is built from the completed quests, newest first. Quests with a
+// campaign chapter show its recap; the rest (completed offline, or before the
+// campaign started) show their own story.
+const buildEntries = (tasks, chapters) => {
+  const chaptersByTask = new Map(chapters.map(chapter => [chapter.taskId, chapter]));
+  return tasks
+    .filter(task => task.completed)
+    .sort((a, b) => new Date(b.completedAt || b.createdAt) - new Date(a.completedAt || a.createdAt))
+    .map(task => ({
+      id: task.id,
+      questTitle: task.questTitle || task.title,
+      completedAt: task.completedAt || task.createdAt,
+      text: chaptersByTask.get(task.id)?.recap || task.questNarrative
+    }));
+};
+
+const ChronicleScreen = ({ navigation }) => {
+  const { tasks, loadCampaign, startNewCampaign, storyTheme } = useContext(TaskContext);
+  const [campaign, setCampaign] = useState(null); // { summary, chapters, writing }, null while offline
+  const [isLoading, setIsLoading] = useState(true);
+  const storyIcons = getStoryIcons(storyTheme?.key);
+
+  const refresh = useCallback(async () => {
+    setCampaign(await loadCampaign());
+    setIsLoading(false);
+  }, [loadCampaign]);
+
+  // Read the campaign whenever the screen is shown
+  useEffect(() => navigation.addListener('focus', refresh), [navigation, refresh]);
+
+  // A chapter is still being written for a quest that was just completed
+  useEffect(() => {
+    if (!campaign?.writing) return;
+    const timeoutId = setTimeout(refresh, WRITING_POLL_MS);
+    return () => clearTimeout(timeoutId);
+  }, [campaign]);
+
+  const handleNewCampaign = () => {
+    Alert.alert(
+      'Start a New Campaign?',
+      'Your completed quests stay in the chronicle, but new quests will no longer refer back to them.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Start Over',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await startNewCampaign();
+              await refresh();
+            } catch (error) {
+              Alert.alert('Error', 'Could not start a new campaign. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const entries = buildEntries(tasks, campaign?.chapters || []);
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={false} onRefresh={refresh} />}
+    >
+      <Card style={[styles.summaryCard, { backgroundColor: COLORS.primary }]}>
+        <Card.Content>
+          <View style={styles.summaryHeader}>
+            <MaterialCommunityIcons name={storyIcons.story} size={24} color="white" />
+            <Title style={styles.summaryTitle}>The Story So Far</Title>
+          </View>
+          {isLoading ? (
+            <ActivityIndicator color="white" style={styles.loading} />
+          ) : (
+            <Paragraph style={styles.summaryText}>
+              {campaign === null
+                ? 'Connect to the server to read your campaign.'
+                : campaign.summary || 'Your campaign begins with your next completed quest.'}
+            </Paragraph>
+          )}
+          {campaign?.writing && (
+            <Text style={styles.writingText}>The chronicler is writing your latest chapter...</Text>
+          )}
+        </Card.Content>
+      </Card>
+
+      {entries.length === 0 ? (
+        <Text style={styles.emptyText}>Completed quests will appear here as chapters of your story.</Text>
+      ) : (
+        entries.map((entry, index) => (
+          <Card key={entry.id} style={styles.chapterCard}>
+            <Card.Content>
+              <Text style={[styles.chapterNumber, { color: COLORS.primary }]}>
+                Chapter {entries.length - index} · {formatDate(entry.completedAt)}
+              </Text>
+              <Title style={styles.chapterTitle}>{entry.questTitle}</Title>
+              {entry.text ? <Paragraph style={styles.chapterText}>{entry.text}</Paragraph> : null}
+            </Card.Content>
+          </Card>
+        ))
+      )}
+
+      {campaign?.summary ? (
+        <Button mode="outlined" onPress={handleNewCampaign} style={styles.newCampaignButton}>
+          Start a New Campaign
+        </Button>
+      ) : null}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  summaryCard: {
+    margin: 16,
+    marginBottom: 8,
+    borderRadius: 10,
+    elevation: 4,
+  },
+  summaryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  summaryTitle: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  summaryText: {
+    color: 'rgba(255, 255, 255, 0.9)',
+    lineHeight: 22,
+  },
+  writingText: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontStyle: 'italic',
+    marginTop: 8,
+  },
+  loading: {
+    marginVertical: 8,
+  },
+  emptyText: {
+    color: '#666',
+    textAlign: 'center',
+    margin: 24,
+  },
+  chapterCard: {
+    marginHorizontal: 16,
+    marginVertical: 6,
+    borderRadius: 10,
+    elevation: 2,
+  },
+  chapterNumber: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+  chapterTitle: {
+    fontSize: 18,
+  },
+  chapterText: {
+    color: '#444',
+  },
+  newCampaignButton: {
+    margin: 16,
+    marginBottom: 32,
+    borderRadius: 25,
+  },
+});
+
+export default ChronicleScreen;
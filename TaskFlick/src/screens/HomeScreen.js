@@ -11,15 +11,26 @@ import {
   StatusBar,
   Image
 } from 'react-native';
-import { Card, Title, Paragraph, Badge, Chip, Button, ActivityIndicator, IconButton } from 'react-native-paper';
+import { Card, Title, Paragraph, Badge, Chip, Button, ActivityIndicator, IconButton, ProgressBar } from 'react-native-paper';
 import { TaskContext } from '../context/TaskContext';
-import { generateMotivationalMessage } from '../utils/aiTransformer';
+import {
+  generateMotivationalMessage,
+  getMotivationContext,
+  getMotivationQuery,
+  recordRateLimit,
+  isRateLimited
+} from '../utils/aiTransformer';
+import { authFetch } from '../utils/authUtils';
+import { isOverdue, isDueSoon, getDueLabel, compareByDueDate } from '../utils/dueDateUtils';
+import { describeRecurrence } from '../utils/recurrenceUtils';
+import { getStepProgress } from '../utils/stepUtils';
+import { getChainPosition, compareByChainOrder } from '../utils/chainUtils';
 import { 
   fadeIn, 
   staggeredAnimations,
   createPulseAnimation
 } from '../utils/animationUtils';
-import { COLORS, FONTS, SPACING, RADIUS, SHADOWS, commonStyles } from '../utils/theme';
+import { COLORS, FONTS, SPACING, RADIUS, SHADOWS, commonStyles, getStoryIcons } from '../utils/theme';
 import { LinearGradient } from 'expo-linear-gradient';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
@@ -68,7 +79,8 @@ const getCategoryIcon = (category) => {
 };
 
 const HomeScreen = ({ navigation }) => {
-  const { tasks, userStats, completeTask, isConnectedToBackend } = useContext(TaskContext);
+  const { tasks, userStats, completeTask, isConnectedToBackend, pendingSyncCount, isSyncing, syncNow, storyTheme } = useContext(TaskContext);
+  const storyIcons = getStoryIcons(storyTheme?.key);
   const [motivationMessage, setMotivationMessage] = useState('Your quests await, brave adventurer!');
   const [refreshing, setRefreshing] = useState(false);
   const [motivationLoading, setMotivationLoading] = useState(false);
@@ -78,6 +90,13 @@ const HomeScreen = ({ navigation }) => {
   const fabScale = useRef(new Animated.Value(1)).current;
   const pulseAnim = useRef(new Animated.Value(1)).current;
   
+  // Current time, refreshed every minute so due labels and curses stay up to date
+  const [now, setNow] = useState(new Date());
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+  
   // Pulse animation for connected status
   useEffect(() => {
     if (isConnectedToBackend) {
@@ -133,8 +152,9 @@ const HomeScreen = ({ navigation }) => {
     );
   }, [tasks.length]);
 
-  // Generate a new motivational message with animation
+  // Generate a new motivational message about the player's progress, with animation
   const refreshMotivation = async () => {
+    const motivationContext = getMotivationContext(tasks, userStats);
     setMotivationLoading(true);
     Animated.timing(fadeMotivation, {
       toValue: 0,
@@ -149,11 +169,11 @@ const HomeScreen = ({ navigation }) => {
         const timestamp = new Date().getTime();
         
         // Get the proper API URL using connectionUtils
-        const apiUrl = await getApiUrl(`motivational-message?t=${timestamp}`);
+        const apiUrl = await getApiUrl(`motivational-message?${getMotivationQuery(motivationContext)}&t=${timestamp}`);
         
-        if (apiUrl) {
+        if (apiUrl && !isRateLimited()) {
           // Call the API directly with the discovered URL
-          const result = await fetch(apiUrl, {
+          const result = await authFetch(apiUrl, {
             method: 'GET',
             headers: {
               'Content-Type': 'application/json',
@@ -171,19 +191,20 @@ const HomeScreen = ({ navigation }) => {
             setMotivationMessage(message);
           } else {
             // API call was not successful, use the utility function as fallback
-            const message = await generateMotivationalMessage();
+            recordRateLimit(result.status, result.headers.get('Retry-After'));
+            const message = await generateMotivationalMessage(motivationContext);
             setMotivationMessage(message);
           }
         } else {
-          // No API URL available, use the utility function
-          const message = await generateMotivationalMessage();
+          // No API URL available or rate limited, use the utility function
+          const message = await generateMotivationalMessage(motivationContext);
           setMotivationMessage(message);
         }
       } catch (error) {
         console.log('Error refreshing motivation:', error);
         // Fallback to the aiTransformer utility function
         try {
-          const message = await generateMotivationalMessage();
+          const message = await generateMotivationalMessage(motivationContext);
           setMotivationMessage(message);
         } catch (innerError) {
           // If even that fails, use a hardcoded message
@@ -227,18 +248,28 @@ const HomeScreen = ({ navigation }) => {
     completeTask(id);
   };
 
-  // Filter tasks to show incomplete ones first, then completed ones
+  // Show incomplete ones first - overdue and soonest due at the top - then completed ones
   const sortedTasks = [...tasks].sort((a, b) => {
-    if (a.completed === b.completed) {
-      return new Date(b.createdAt) - new Date(a.createdAt);
+    if (a.completed !== b.completed) {
+      return a.completed ? 1 : -1;
     }
-    return a.completed ? 1 : -1;
+    if (!a.completed) {
+      const byDueDate = compareByDueDate(a, b);
+      if (byDueDate !== 0) return byDueDate;
+      const byChainOrder = compareByChainOrder(a, b);
+      if (byChainOrder !== 0) return byChainOrder;
+    }
+    return new Date(b.createdAt) - new Date(a.createdAt);
   });
 
   // Render each quest/task
   const renderQuest = ({ item, index }) => {
     const difficulty = difficultyConfig[item.difficulty] || difficultyConfig.normal;
     const categoryIcon = getCategoryIcon(item.category);
+    const overdue = isOverdue(item, now);
+    const dueSoon = isDueSoon(item, now);
+    const stepProgress = getStepProgress(item);
+    const chainPosition = getChainPosition(item, tasks);
     
     // Get animation for this item
     const animatedStyle = {
@@ -259,7 +290,8 @@ const HomeScreen = ({ navigation }) => {
         <Card 
           style={[
             styles.questCard, 
-            item.completed && styles.completedQuest
+            item.completed && styles.completedQuest,
+            overdue && styles.cursedQuest
           ]} 
           onPress={() => navigation.navigate('QuestDetail', { questId: item.id })}
         >
@@ -294,6 +326,28 @@ const HomeScreen = ({ navigation }) => {
                     </Text>
                   </View>
                 </View>
+                
+                {/* Due date badge - overdue quests are cursed */}
+                {!item.completed && item.dueDate && (
+                  <View style={[
+                    styles.dueChip,
+                    dueSoon && styles.dueSoonChip,
+                    overdue && styles.cursedChip
+                  ]}>
+                    <MaterialCommunityIcons 
+                      name={overdue ? 'skull-outline' : 'clock-outline'} 
+                      size={14} 
+                      color={overdue ? COLORS.error : dueSoon ? COLORS.warning : COLORS.textSecondary} 
+                    />
+                    <Text style={[
+                      styles.dueText,
+                      dueSoon && { color: COLORS.warning },
+                      overdue && { color: COLORS.error }
+                    ]}>
+                      {overdue ? `Cursed • ${getDueLabel(item, now)}` : getDueLabel(item, now)}
+                    </Text>
+                  </View>
+                )}
               </View>
               
               <Title style={[
@@ -313,6 +367,46 @@ const HomeScreen = ({ navigation }) => {
                 {item.questNarrative || item.description || 'A mysterious quest awaits...'}
               </Paragraph>
               
+              {/* Recurring quest with its series streak */}
+              {item.recurrence && (
+                <View style={styles.seriesRow}>
+                  <MaterialCommunityIcons name="repeat" size={14} color={COLORS.primary} />
+                  <Text style={styles.seriesText}>{describeRecurrence(item.recurrence)}</Text>
+                  {item.seriesStreak > 0 && (
+                    <>
+                      <MaterialCommunityIcons name="fire" size={14} color={COLORS.warning} style={styles.seriesStreakIcon} />
+                      <Text style={styles.seriesText}>{item.seriesStreak} in a row</Text>
+                    </>
+                  )}
+                </View>
+              )}
+              
+              {/* Place in the quest chain it was split into */}
+              {chainPosition && (
+                <View style={styles.seriesRow}>
+                  <MaterialCommunityIcons name="link-variant" size={14} color={COLORS.primary} />
+                  <Text style={styles.seriesText} numberOfLines={1}>
+                    Part {chainPosition.position} of {chainPosition.total} • {item.chainTitle}
+                  </Text>
+                </View>
+              )}
+              
+              {/* Progress through the quest's steps */}
+              {stepProgress.total > 0 && (
+                <View style={styles.stepProgressContainer}>
+                  <View style={styles.stepProgressTrack}>
+                    <ProgressBar 
+                      progress={stepProgress.ratio} 
+                      color={COLORS.success} 
+                      style={styles.stepProgressBar} 
+                    />
+                  </View>
+                  <Text style={styles.stepProgressText}>
+                    {stepProgress.done}/{stepProgress.total} steps
+                  </Text>
+                </View>
+              )}
+              
               {!item.completed ? (
                 <TouchableOpacity 
                   style={styles.completeButton}
@@ -332,7 +426,9 @@ const HomeScreen = ({ navigation }) => {
               ) : (
                 <View style={styles.completedBanner}>
                   <MaterialCommunityIcons name="check-circle" size={16} color={COLORS.success} style={{marginRight: 6}} />
-                  <Text style={styles.completedBannerText}>Quest Completed</Text>
+                  <Text style={styles.completedBannerText}>
+                    {item.cursed ? 'Completed Late • Half XP' : 'Quest Completed'}
+                  </Text>
                 </View>
               )}
               
@@ -375,6 +471,25 @@ const HomeScreen = ({ navigation }) => {
           </Animated.View>
         )}
         
+        {/* Local changes waiting to reach the backend - tap to retry now */}
+        {(pendingSyncCount > 0 || isSyncing) && (
+          <TouchableOpacity 
+            style={styles.pendingSyncIndicator}
+            onPress={syncNow}
+            disabled={isSyncing}
+            activeOpacity={0.8}
+          >
+            <MaterialCommunityIcons 
+              name={isSyncing ? 'cloud-sync' : 'cloud-upload-outline'} 
+              size={14} 
+              color={COLORS.accent} 
+            />
+            <Text style={styles.pendingSyncText}>
+              {isSyncing ? 'Syncing...' : `${pendingSyncCount} pending sync`}
+            </Text>
+          </TouchableOpacity>
+        )}
+        
         <View style={styles.headerContent}>
           <View style={styles.statsRow}>
             <View style={styles.statItem}>
@@ -414,7 +529,7 @@ const HomeScreen = ({ navigation }) => {
               start={{ x: 0, y: 0 }}
               end={{ x: 1, y: 1 }}
             >
-              <MaterialCommunityIcons name="message-text" size={18} color="rgba(255,255,255,0.9)" style={styles.motivationIcon} />
+              <MaterialCommunityIcons name={storyIcons.message} size={18} color="rgba(255,255,255,0.9)" style={styles.motivationIcon} />
               {motivationLoading ? (
                 <ActivityIndicator color="#fff" size={18} style={{ alignSelf: 'center' }} />
               ) : (
@@ -467,6 +582,14 @@ const HomeScreen = ({ navigation }) => {
               >
                 Create Your First Quest
               </Button>
+              <Button 
+                mode="text" 
+                onPress={() => navigation.navigate('ImportQuests')}
+                style={styles.importButton}
+                icon="playlist-plus"
+              >
+                Import a To-Do List
+              </Button>
             </View>
           }
         />
@@ -531,6 +654,25 @@ const styles = StyleSheet.create({
     fontWeight: FONTS.weights.medium,
     marginLeft: 4,
   },
+  pendingSyncIndicator: {
+    position: 'absolute',
+    top: 15,
+    left: 15,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 4,
+    borderRadius: RADIUS.round,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.accent,
+    backgroundColor: 'rgba(255, 192, 72, 0.2)',
+  },
+  pendingSyncText: {
+    color: COLORS.accent,
+    fontSize: FONTS.sizes.caption,
+    fontWeight: FONTS.weights.medium,
+    marginLeft: 4,
+  },
   statsRow: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -682,6 +824,26 @@ const styles = StyleSheet.create({
     fontWeight: FONTS.weights.medium,
     marginLeft: 4,
   },
+  dueChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 4,
+    borderRadius: RADIUS.round,
+  },
+  dueSoonChip: {
+    backgroundColor: 'rgba(255, 170, 44, 0.12)',
+  },
+  cursedChip: {
+    backgroundColor: 'rgba(255, 76, 106, 0.12)',
+  },
+  dueText: {
+    fontSize: FONTS.sizes.caption,
+    color: COLORS.textSecondary,
+    fontWeight: FONTS.weights.medium,
+    marginLeft: 4,
+  },
   questTitle: {
     marginTop: SPACING.sm,
     marginBottom: SPACING.xs,
@@ -696,9 +858,47 @@ const styles = StyleSheet.create({
     fontSize: FONTS.sizes.body2,
     lineHeight: 20,
   },
+  seriesRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: -SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  seriesText: {
+    fontSize: FONTS.sizes.caption,
+    color: COLORS.primary,
+    fontWeight: FONTS.weights.medium,
+    marginLeft: 4,
+  },
+  seriesStreakIcon: {
+    marginLeft: SPACING.sm,
+  },
+  stepProgressContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: SPACING.sm,
+  },
+  stepProgressTrack: {
+    flex: 1,
+  },
+  stepProgressBar: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(108, 92, 231, 0.1)',
+  },
+  stepProgressText: {
+    fontSize: FONTS.sizes.caption,
+    color: COLORS.textSecondary,
+    fontWeight: FONTS.weights.medium,
+    marginLeft: SPACING.sm,
+  },
   completedQuest: {
     borderColor: 'rgba(0, 208, 126, 0.2)',
   },
+  cursedQuest: {
+    borderColor: COLORS.error,
+    borderWidth: 2,
+  },
   completedText: {
     color: COLORS.textDisabled,
   },
@@ -811,6 +1011,9 @@ const styles = StyleSheet.create({
     fontWeight: FONTS.weights.medium,
     fontSize: FONTS.sizes.body2,
   },
+  importButton: {
+    marginTop: SPACING.sm,
+  },
 });
 
 export default HomeScreen;
\ No newline at end of file
@@ -0,0 +1,230 @@
+import React, { useState, useContext } from 'react';
+import { View, ScrollView, StyleSheet, TouchableOpacity } from 'react-native';
+import { TextInput, Button, Headline, Subheading, Chip, HelperText, Card, Paragraph, ProgressBar, Text } from 'react-native-paper';
+import { TaskContext } from '../context/TaskContext';
+
+// Category and difficulty given to every imported quest
+const categories = [
+  { key: 'work', label: 'Work', icon: '💼' },
+  { key: 'personal', label: 'Personal', icon: '🌟' },
+  { key: 'health', label: 'Health', icon: '❤️' },
+  { key: 'learning', label: 'Learning', icon: '📚' },
+  { key: 'chores', label: 'Chores', icon: '🧹' },
+];
+
+const difficulties = [
+  { key: 'mini', label: 'Mini Quest', icon: '🔰' },
+  { key: 'normal', label: 'Normal Quest', icon: '⚔️' },
+  { key: 'boss', label: 'Boss Quest', icon: '👑' },
+];
+
+// Most tasks imported at once
+const MAX_IMPORT = 200;
+
+// One task per line; list markers and checkboxes from other apps are dropped
+const parseTaskList = (text) => text
+  .split('\n')
+  .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)]|\[[ xX]?\])\s*/, '').trim())
+  .filter(Boolean)
+  .map(line => line.substring(0, 100));
+
+const ImportQuestsScreen = ({ navigation }) => {
+  const { importTasks } = useContext(TaskContext);
+
+  const [text, setText] = useState('');
+  const [category, setCategory] = useState('personal');
+  const [difficulty, setDifficulty] = useState('normal');
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [error, setError] = useState(null);
+
+  const titles = parseTaskList(text);
+  const isImporting = progress !== null;
+
+  const handleImport = async () => {
+    if (titles.length === 0) {
+      setError('Enter at least one task');
+      return;
+    }
+    if (titles.length > MAX_IMPORT) {
+      setError(`You can import at most ${MAX_IMPORT} tasks at once`);
+      return;
+    }
+
+    setError(null);
+    setProgress({ done: 0, total: titles.length });
+    try {
+      await importTasks(titles, { category, difficulty }, {
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      navigation.navigate('QuestList');
+    } catch (importError) {
+      // importTasks already told the player
+      setProgress(null);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={styles.headerCard}>
+        <Card.Content>
+          <Headline style={styles.headline}>Import Quests</Headline>
+          <Paragraph style={styles.subtitle}>
+            Turn a whole to-do list into quests at once
+          </Paragraph>
+        </Card.Content>
+      </Card>
+
+      <View style={styles.formSection}>
+        <Subheading style={styles.sectionTitle}>Tasks</Subheading>
+        <TextInput
+          label="One task per line"
+          value={text}
+          onChangeText={setText}
+          style={styles.input}
+          mode="outlined"
+          multiline
+          numberOfLines={8}
+          error={!!error}
+          disabled={isImporting}
+        />
+        {error
+          ? <HelperText type="error">{error}</HelperText>
+          : <HelperText type="info">{titles.length} {titles.length === 1 ? 'task' : 'tasks'}</HelperText>}
+      </View>
+
+      <View style={styles.formSection}>
+        <Subheading style={styles.sectionTitle}>Quest Category</Subheading>
+        <View style={styles.chipContainer}>
+          {categories.map(item => (
+            <TouchableOpacity key={item.key} onPress={() => setCategory(item.key)} disabled={isImporting}>
+              <Chip
+                selected={category === item.key}
+                style={[styles.chip, category === item.key ? styles.selectedChip : null]}
+                selectedColor={category === item.key ? '#6200ee' : undefined}
+              >
+                {item.icon} {item.label}
+              </Chip>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Subheading style={styles.sectionTitle}>Quest Difficulty</Subheading>
+        <View style={styles.chipContainer}>
+          {difficulties.map(item => (
+            <TouchableOpacity key={item.key} onPress={() => setDifficulty(item.key)} disabled={isImporting}>
+              <Chip
+                selected={difficulty === item.key}
+                style={[styles.chip, difficulty === item.key ? styles.selectedChip : null]}
+                selectedColor={difficulty === item.key ? '#6200ee' : undefined}
+              >
+                {item.icon} {item.label}
+              </Chip>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {isImporting && (
+        <View style={styles.formSection}>
+          <Text style={styles.progressLabel}>
+            Writing quest stories... {progress.done} of {progress.total}
+          </Text>
+          <ProgressBar progress={progress.total ? progress.done / progress.total : 0} color="#6200ee" />
+        </View>
+      )}
+
+      <View style={styles.buttonContainer}>
+        <Button
+          mode="contained"
+          onPress={handleImport}
+          style={styles.importButton}
+          disabled={isImporting || titles.length === 0}
+          loading={isImporting}
+        >
+          {isImporting
+            ? 'Importing...'
+            : titles.length === 1 ? 'Import 1 Quest' : `Import ${titles.length > 0 ? `${titles.length} ` : ''}Quests`}
+        </Button>
+        <Button
+          mode="outlined"
+          onPress={() => navigation.goBack()}
+          style={styles.cancelButton}
+          disabled={isImporting}
+        >
+          Cancel
+        </Button>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  headerCard: {
+    marginBottom: 16,
+    backgroundColor: '#6200ee',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 10,
+  },
+  headline: {
+    color: 'white',
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  subtitle: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    textAlign: 'center',
+  },
+  formSection: {
+    padding: 16,
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 8,
+    elevation: 2,
+  },
+  sectionTitle: {
+    marginBottom: 12,
+    fontWeight: 'bold',
+    color: '#6200ee',
+  },
+  input: {
+    backgroundColor: 'transparent',
+    marginBottom: 8,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    margin: 4,
+    paddingHorizontal: 4,
+  },
+  selectedChip: {
+    backgroundColor: 'rgba(98, 0, 238, 0.1)',
+  },
+  progressLabel: {
+    color: '#666',
+    marginBottom: 8,
+  },
+  buttonContainer: {
+    padding: 16,
+    marginBottom: 24,
+  },
+  importButton: {
+    paddingVertical: 8,
+    borderRadius: 25,
+    marginBottom: 12,
+  },
+  cancelButton: {
+    paddingVertical: 8,
+    borderRadius: 25,
+  },
+});
+
+export default ImportQuestsScreen;
@@ -0,0 +1,218 @@
+import React, { useState, useContext } from 'react';
+import { ScrollView, StyleSheet, Image, KeyboardAvoidingView, Platform } from 'react-native';
+import { TextInput, Button, Text, HelperText, Card } from 'react-native-paper';
+import { LinearGradient } from 'expo-linear-gradient';
+import { AuthContext } from '../context/AuthContext';
+import { COLORS, FONTS, SPACING, RADIUS, SHADOWS } from '../utils/theme';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const LoginScreen = () => {
+  const { login, register } = useContext(AuthContext);
+
+  // State variables
+  const [mode, setMode] = useState('login'); // 'login' or 'register'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  // Form validation
+  const validate = () => {
+    const newErrors = {};
+
+    if (!email.trim()) {
+      newErrors.email = 'Email is required';
+    }
+
+    if (!password) {
+      newErrors.password = 'Password is required';
+    } else if (isRegister && password.length < MIN_PASSWORD_LENGTH) {
+      newErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+
+    if (isRegister && password !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle login or registration
+  const handleSubmit = async () => {
+    if (isSubmitting || !validate()) return;
+
+    setIsSubmitting(true);
+    try {
+      if (isRegister) {
+        await register(email, password);
+      } else {
+        await login(email, password);
+      }
+    } catch (error) {
+      console.error('Authentication failed:', error.message);
+      setErrors({ form: error.message });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Switch between login and register
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setErrors({});
+    setConfirmPassword('');
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <LinearGradient
+        colors={[COLORS.primaryDark, COLORS.primary]}
+        style={styles.background}
+        start={{ x: 0, y: 0 }}
+        end={{ x: 1, y: 1 }}
+      >
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <Image
+            source={require('../../assets/logo2.png')}
+            style={styles.logo}
+            resizeMode="contain"
+          />
+          <Text style={styles.tagline}>
+            {isRegister ? 'Begin your legend' : 'Welcome back, adventurer'}
+          </Text>
+
+          <Card style={styles.card}>
+            <Card.Content>
+              <TextInput
+                label="Email"
+                value={email}
+                onChangeText={setEmail}
+                style={styles.input}
+                mode="outlined"
+                autoCapitalize="none"
+                autoComplete="email"
+                keyboardType="email-address"
+                error={!!errors.email}
+                disabled={isSubmitting}
+              />
+              {errors.email && <HelperText type="error">{errors.email}</HelperText>}
+
+              <TextInput
+                label="Password"
+                value={password}
+                onChangeText={setPassword}
+                style={styles.input}
+                mode="outlined"
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                right={
+                  <TextInput.Icon
+                    icon={showPassword ? 'eye-off' : 'eye'}
+                    onPress={() => setShowPassword(!showPassword)}
+                  />
+                }
+                error={!!errors.password}
+                disabled={isSubmitting}
+              />
+              {errors.password && <HelperText type="error">{errors.password}</HelperText>}
+
+              {isRegister && (
+                <>
+                  <TextInput
+                    label="Confirm Password"
+                    value={confirmPassword}
+                    onChangeText={setConfirmPassword}
+                    style={styles.input}
+                    mode="outlined"
+                    secureTextEntry={!showPassword}
+                    autoCapitalize="none"
+                    error={!!errors.confirmPassword}
+                    disabled={isSubmitting}
+                  />
+                  {errors.confirmPassword && (
+                    <HelperText type="error">{errors.confirmPassword}</HelperText>
+                  )}
+                </>
+              )}
+
+              {errors.form && <HelperText type="error" style={styles.formError}>{errors.form}</HelperText>}
+
+              <Button
+                mode="contained"
+                onPress={handleSubmit}
+                style={styles.submitButton}
+                loading={isSubmitting}
+                disabled={isSubmitting}
+              >
+                {isRegister ? 'Create Account' : 'Log In'}
+              </Button>
+
+              <Button
+                mode="text"
+                onPress={toggleMode}
+                disabled={isSubmitting}
+              >
+                {isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+              </Button>
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </LinearGradient>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  background: {
+    flex: 1,
+  },
+  content: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: SPACING.lg,
+  },
+  logo: {
+    width: 220,
+    height: 66,
+    alignSelf: 'center',
+    marginBottom: SPACING.sm,
+  },
+  tagline: {
+    color: 'rgba(255, 255, 255, 0.85)',
+    fontSize: FONTS.sizes.body1,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginBottom: SPACING.lg,
+  },
+  card: {
+    borderRadius: RADIUS.lg,
+    ...SHADOWS.large,
+  },
+  input: {
+    backgroundColor: 'transparent',
+    marginBottom: SPACING.xs,
+  },
+  formError: {
+    textAlign: 'center',
+  },
+  submitButton: {
+    marginTop: SPACING.md,
+    marginBottom: SPACING.sm,
+    paddingVertical: 6,
+    borderRadius: RADIUS.round,
+  },
+});
+
+export default LoginScreen;
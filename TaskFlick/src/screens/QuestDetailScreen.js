@@ -1,10 +1,15 @@
 import React, { useContext, useState, useEffect, useRef } from 'react';
 import { View, ScrollView, StyleSheet, Animated, TouchableOpacity } from 'react-native';
-import { Text, Card, Title, Paragraph, Button, Chip, Badge, Divider, ActivityIndicator } from 'react-native-paper';
+import { Text, Card, Title, Paragraph, Button, Chip, Badge, Divider, ActivityIndicator, TextInput, HelperText } from 'react-native-paper';
 import { TaskContext } from '../context/TaskContext';
-import { generateMotivationalMessage } from '../utils/aiTransformer';
-import { COLORS, RADIUS, SPACING, SHADOWS } from '../utils/theme';
+import { generateMotivationalMessage, getMotivationContext } from '../utils/aiTransformer';
+import { COLORS, RADIUS, SPACING, SHADOWS, getStoryIcons } from '../utils/theme';
 import { fadeIn, createBounceAnimation, createShineAnimation } from '../utils/animationUtils';
+import { isOverdue, formatDueDate, getDueLabel } from '../utils/dueDateUtils';
+import { getPointsForDifficulty, getPointsForTask, getQuestXp } from '../utils/xpEngine';
+import { describeRecurrence } from '../utils/recurrenceUtils';
+import { getStepPoints, getStepProgress } from '../utils/stepUtils';
+import { getChainPosition, formatDuration } from '../utils/chainUtils';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
 // Difficulty level configurations with icons
@@ -12,29 +17,43 @@ const difficultyConfig = {
   mini: { 
     color: COLORS.mini, 
     label: 'Mini Quest', 
-    points: 10,
     icon: 'flag-outline'
   },
   normal: { 
     color: COLORS.normal, 
     label: 'Quest', 
-    points: 25,
     icon: 'flag-checkered'
   },
   boss: { 
     color: COLORS.boss, 
     label: 'Boss Quest', 
-    points: 50,
     icon: 'crown'
   }
 };
 
 const QuestDetailScreen = ({ route, navigation }) => {
   const { questId } = route.params;
-  const { tasks, completeTask, deleteTask } = useContext(TaskContext);
+  const {
+    tasks,
+    userStats,
+    completeTask,
+    deleteTask,
+    toggleStep,
+    storyTheme,
+    rerollNarrative,
+    editNarrative,
+    revertNarrative
+  } = useContext(TaskContext);
+  const storyIcons = getStoryIcons(storyTheme?.key);
   const [motivationalMessage, setMotivationalMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   
+  // Story rerolls, inline edits and earlier versions
+  const [isRerolling, setIsRerolling] = useState(false);
+  const [storyDraft, setStoryDraft] = useState(null); // { questTitle, questNarrative } while editing
+  const [showHistory, setShowHistory] = useState(false);
+  const [storyError, setStoryError] = useState(null);
+  
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const scaleAnim = useRef(new Animated.Value(0.9)).current;
@@ -60,11 +79,11 @@ const QuestDetailScreen = ({ route, navigation }) => {
       createShineAnimation(shineAnim).start();
     }
     
-    // Generate motivational message
+    // Generate a motivational message about this quest and the player's progress
     const loadMotivationalMessage = async () => {
       setIsLoading(true);
       try {
-        const message = await generateMotivationalMessage();
+        const message = await generateMotivationalMessage(getMotivationContext(tasks, userStats, task));
         setMotivationalMessage(message);
       } catch (error) {
         console.error('Error loading motivational message:', error);
@@ -95,6 +114,60 @@ const QuestDetailScreen = ({ route, navigation }) => {
 
   const difficulty = difficultyConfig[task.difficulty] || difficultyConfig.normal;
   const categoryColor = COLORS[task.category] || COLORS.personal;
+  
+  // The XP a completed quest earned, or what completing it now would earn.
+  // Overdue quests are cursed and only earn part of their XP; streaks and the
+  // first victory of the day earn more.
+  const overdue = isOverdue(task);
+  const cursed = overdue || task.cursed;
+  const questXp = task.completed ? null : getQuestXp(task, userStats);
+  const points = task.completed ? getPointsForTask(task) : questXp.points;
+  const xpBonuses = questXp ? questXp.multipliers.filter(({ id }) => id !== 'cursed') : [];
+  
+  // Checklist steps and the XP each one is worth
+  const steps = task.steps || [];
+  const stepPoints = getStepPoints(steps, getPointsForDifficulty(task.difficulty));
+  const stepProgress = getStepProgress(task);
+  const chainPosition = getChainPosition(task, tasks);
+
+  const narrativeHistory = task.narrativeHistory || [];
+  
+  const handleReroll = async () => {
+    setStoryError(null);
+    setIsRerolling(true);
+    try {
+      await rerollNarrative(task.id);
+    } catch (error) {
+      setStoryError(error.message);
+    } finally {
+      setIsRerolling(false);
+    }
+  };
+  
+  const handleSaveStory = () => {
+    try {
+      editNarrative(task.id, storyDraft);
+      setStoryDraft(null);
+      setStoryError(null);
+    } catch (error) {
+      setStoryError(error.message);
+    }
+  };
+  
+  const handleRevert = (index) => {
+    try {
+      revertNarrative(task.id, index);
+      setStoryError(null);
+    } catch (error) {
+      setStoryError(error.message);
+    }
+  };
+  
+  // Where a version of the story came from
+  const describeStory = (story) => {
+    if (story.isNarrativeEdited) return 'Written by you';
+    return story.isAIGenerated ? 'Generated' : 'Told offline';
+  };
 
   // Format date for display
   const formatDate = (dateString) => {
@@ -135,8 +208,17 @@ const QuestDetailScreen = ({ route, navigation }) => {
           {/* Quest Banner */}
           <View style={[styles.banner, { backgroundColor: difficulty.color }]}>
             <MaterialCommunityIcons name={difficulty.icon} size={24} color="white" />
-            <Text style={styles.bannerText}>{difficulty.label} • {difficulty.points} XP</Text>
+            <Text style={styles.bannerText}>{difficulty.label} • {points} XP{cursed ? ' (cursed)' : ''}</Text>
           </View>
+          
+          {xpBonuses.length > 0 && (
+            <View style={styles.bonusRow}>
+              <MaterialCommunityIcons name="star-four-points" size={16} color={COLORS.primary} />
+              <Text style={[styles.bonusText, { color: COLORS.primary }]}>
+                {xpBonuses.map(({ label, multiplier }) => `${label} ×${multiplier}`).join(' • ')}
+              </Text>
+            </View>
+          )}
 
           <Card.Content>
             {/* Category and Status */}
@@ -201,18 +283,140 @@ const QuestDetailScreen = ({ route, navigation }) => {
               <Paragraph style={styles.realTaskName}>(Task: {task.title})</Paragraph>
             )}
             
-            {/* Quest narrative */}
-            <View style={styles.narrativeContainer}>
-              <View style={styles.narrativeIcon}>
-                <MaterialCommunityIcons name="book-open-page-variant" size={24} color={COLORS.primary} />
+            {/* Quest narrative, or the inline editor for it */}
+            {storyDraft ? (
+              <View style={styles.storyEditor}>
+                <TextInput
+                  label="Quest Title"
+                  value={storyDraft.questTitle}
+                  onChangeText={questTitle => setStoryDraft({ ...storyDraft, questTitle })}
+                  mode="outlined"
+                  maxLength={60}
+                  style={styles.storyInput}
+                />
+                <TextInput
+                  label="Quest Story"
+                  value={storyDraft.questNarrative}
+                  onChangeText={questNarrative => setStoryDraft({ ...storyDraft, questNarrative })}
+                  mode="outlined"
+                  multiline
+                  numberOfLines={4}
+                  style={styles.storyInput}
+                />
+                <View style={styles.storyActions}>
+                  <Button mode="contained" compact onPress={handleSaveStory}>Save Story</Button>
+                  <Button mode="text" compact onPress={() => { setStoryDraft(null); setStoryError(null); }}>Cancel</Button>
+                </View>
               </View>
-              <Paragraph style={styles.narrativeText}>
-                {task.questNarrative || 'A mysterious quest awaits you...'}
-              </Paragraph>
-            </View>
+            ) : (
+              <View style={styles.narrativeContainer}>
+                <View style={styles.narrativeIcon}>
+                  <MaterialCommunityIcons name={storyIcons.story} size={24} color={COLORS.primary} />
+                </View>
+                <Paragraph style={styles.narrativeText}>
+                  {task.questNarrative || 'A mysterious quest awaits you...'}
+                </Paragraph>
+              </View>
+            )}
+            
+            {!storyDraft && (
+              <View style={styles.storyActions}>
+                <Button
+                  mode="text"
+                  compact
+                  icon="dice-multiple"
+                  onPress={handleReroll}
+                  loading={isRerolling}
+                  disabled={isRerolling}
+                >
+                  Reroll
+                </Button>
+                <Button
+                  mode="text"
+                  compact
+                  icon="pencil-outline"
+                  onPress={() => setStoryDraft({ questTitle: task.questTitle || task.title, questNarrative: task.questNarrative || '' })}
+                  disabled={isRerolling}
+                >
+                  Edit Story
+                </Button>
+                {narrativeHistory.length > 0 && (
+                  <Button
+                    mode="text"
+                    compact
+                    icon="history"
+                    onPress={() => setShowHistory(!showHistory)}
+                    disabled={isRerolling}
+                  >
+                    {`History (${narrativeHistory.length})`}
+                  </Button>
+                )}
+              </View>
+            )}
+            
+            {storyError && <HelperText type="error">{storyError}</HelperText>}
+            
+            {!task.isAIGenerated && !task.isNarrativeEdited && !storyDraft && (
+              <Text style={styles.storyNote}>
+                This story was told offline. It will be retold once the server can be reached.
+              </Text>
+            )}
+            
+            {/* Earlier versions of the story, newest first */}
+            {showHistory && !storyDraft && narrativeHistory.map((story, index) => (
+              <View key={`${story.replacedAt}-${index}`} style={styles.historyEntry}>
+                <View style={styles.historyText}>
+                  <Text style={styles.historyTitle}>{story.questTitle}</Text>
+                  <Text style={styles.historyNarrative} numberOfLines={3}>{story.questNarrative}</Text>
+                  <Text style={styles.historyMeta}>
+                    {describeStory(story)}{story.replacedAt ? ` • replaced ${getDaysAgo(story.replacedAt).toLowerCase()}` : ''}
+                  </Text>
+                </View>
+                <Button mode="text" compact onPress={() => handleRevert(index)} disabled={isRerolling}>
+                  Restore
+                </Button>
+              </View>
+            ))}
             
             <Divider style={styles.divider} />
             
+            {/* Quest steps */}
+            {steps.length > 0 && (
+              <View style={styles.stepsContainer}>
+                <Text style={styles.sectionTitle}>
+                  Quest Steps ({stepProgress.done}/{stepProgress.total}):
+                </Text>
+                {steps.map((step, index) => (
+                  <TouchableOpacity
+                    key={step.id}
+                    style={styles.stepRow}
+                    onPress={() => toggleStep(task.id, step.id)}
+                    disabled={task.completed}
+                    activeOpacity={0.7}
+                  >
+                    <MaterialCommunityIcons 
+                      name={step.completed ? 'checkbox-marked-circle' : 'checkbox-blank-circle-outline'} 
+                      size={22} 
+                      color={step.completed ? COLORS.mini : COLORS.primary} 
+                    />
+                    <View style={styles.stepContent}>
+                      <Text style={[styles.stepTitle, step.completed && styles.stepTitleDone]}>
+                        {step.title}
+                      </Text>
+                      {step.narrative && (
+                        <Text style={styles.stepNarrative}>{step.narrative}</Text>
+                      )}
+                    </View>
+                    {!task.completed && (
+                      <Text style={styles.stepPoints}>
+                        +{step.completed ? step.pointsAwarded || 0 : stepPoints[index]} XP
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            
             {/* Task details */}
             {task.description && (
               <View>
@@ -235,6 +439,55 @@ const QuestDetailScreen = ({ route, navigation }) => {
               </Text>
             </View>
             
+            {task.dueDate && (
+              <View style={styles.dateContainer}>
+                <MaterialCommunityIcons 
+                  name={overdue ? 'skull-outline' : 'calendar-clock'} 
+                  size={18} 
+                  color={overdue ? COLORS.error : '#666'} 
+                />
+                <Text style={[styles.dateText, overdue && { color: COLORS.error }]}>
+                  Due: {formatDueDate(task.dueDate)}
+                  {!task.completed ? ` (${getDueLabel(task)})` : ''}
+                </Text>
+              </View>
+            )}
+            
+            {task.recurrence && (
+              <View style={styles.dateContainer}>
+                <MaterialCommunityIcons name="repeat" size={18} color="#666" />
+                <Text style={styles.dateText}>
+                  Repeats: {describeRecurrence(task.recurrence)}
+                  {` • Streak: ${task.seriesStreak || 0} (best ${task.seriesBestStreak || 0})`}
+                </Text>
+              </View>
+            )}
+            
+            {chainPosition && (
+              <View style={styles.dateContainer}>
+                <MaterialCommunityIcons name="link-variant" size={18} color="#666" />
+                <Text style={styles.dateText}>
+                  Part {chainPosition.position} of {chainPosition.total} of "{task.chainTitle}"
+                  {` • ${chainPosition.done} done`}
+                </Text>
+              </View>
+            )}
+            
+            {task.estimatedMinutes && (
+              <View style={styles.dateContainer}>
+                <MaterialCommunityIcons name="timer-sand" size={18} color="#666" />
+                <Text style={styles.dateText}>
+                  Estimated: {formatDuration(task.estimatedMinutes)}
+                </Text>
+              </View>
+            )}
+            
+            {overdue && (
+              <Text style={styles.cursedText}>
+                This quest is cursed! Complete it to lift the curse, but it will only earn half XP.
+              </Text>
+            )}
+            
             {task.completed && task.completedAt && (
               <View style={styles.dateContainer}>
                 <MaterialCommunityIcons name="calendar-check" size={18} color={COLORS.mini} />
@@ -250,7 +503,7 @@ const QuestDetailScreen = ({ route, navigation }) => {
                 <ActivityIndicator color={COLORS.primary} />
               ) : (
                 <View style={{flexDirection: 'row'}}>
-                  <MaterialCommunityIcons name="message-text" size={20} color={COLORS.primary} style={styles.motivationIcon} />
+                  <MaterialCommunityIcons name={storyIcons.message} size={20} color={COLORS.primary} style={styles.motivationIcon} />
                   <Text style={styles.motivationalMessage}>{motivationalMessage}</Text>
                 </View>
               )}
@@ -291,6 +544,15 @@ const QuestDetailScreen = ({ route, navigation }) => {
                 </View>
               )}
               
+              <Button 
+                mode="outlined" 
+                icon="pencil"
+                style={styles.actionButton}
+                onPress={() => navigation.navigate('EditQuest', { questId: task.id })}
+              >
+                Edit Quest
+              </Button>
+              
               <Button 
                 mode="outlined" 
                 icon="close"
@@ -359,6 +621,18 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginLeft: 8,
   },
+  bonusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 6,
+    backgroundColor: '#f8f4ff',
+  },
+  bonusText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
   headerRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -406,6 +680,51 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     flex: 1,
   },
+  storyEditor: {
+    marginVertical: 16,
+  },
+  storyInput: {
+    marginBottom: 8,
+    backgroundColor: 'white',
+  },
+  storyActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    marginTop: -8,
+  },
+  storyNote: {
+    fontSize: 13,
+    color: '#666',
+    fontStyle: 'italic',
+    marginBottom: SPACING.sm,
+  },
+  historyEntry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  historyText: {
+    flex: 1,
+  },
+  historyTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  historyNarrative: {
+    fontSize: 13,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  historyMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
   divider: {
     marginVertical: 16,
     height: 1.5,
@@ -436,6 +755,44 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 8,
   },
+  stepsContainer: {
+    marginBottom: SPACING.md,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 6,
+  },
+  stepContent: {
+    flex: 1,
+    marginLeft: SPACING.sm,
+  },
+  stepTitle: {
+    fontSize: 15,
+    color: '#333',
+  },
+  stepTitleDone: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  stepNarrative: {
+    fontSize: 13,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  stepPoints: {
+    fontSize: 12,
+    color: COLORS.primary,
+    fontWeight: 'bold',
+    marginLeft: SPACING.sm,
+  },
+  cursedText: {
+    fontSize: 14,
+    color: COLORS.error,
+    fontStyle: 'italic',
+    marginBottom: SPACING.sm,
+  },
   motivationContainer: {
     flexDirection: 'row',
     backgroundColor: '#fffde7',
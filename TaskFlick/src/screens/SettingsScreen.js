@@ -3,6 +3,7 @@ import { View, StyleSheet, ScrollView, Alert } from 'react-native';
 import { Text, Switch, Button, Card, Divider, Title, Paragraph, List, Surface } from 'react-native-paper';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getUseBackendGeneration, setUseBackendGeneration } from '../utils/aiTransformer';
+import { getBackendStatus } from '../utils/connectionUtils';
 import { COLORS, SPACING, RADIUS, FONTS, SHADOWS } from '../utils/theme';
 import { LinearGradient } from 'expo-linear-gradient';
 
@@ -13,11 +14,19 @@ import {
   SHOW_SERVER_LOGS 
 } from '@env';
 
+// How each backend readiness status is shown
+const SERVER_STATUS_LABELS = {
+  ready: 'Ready',
+  degraded: 'Running, AI unavailable (using templates)',
+  unavailable: 'Unavailable (cannot save data)'
+};
+
 const SettingsScreen = () => {
   const [useBackend, setUseBackend] = useState(USE_BACKEND_GENERATION === 'true');
   const [showLogs, setShowLogs] = useState(SHOW_SERVER_LOGS === 'true');
   const [isLoading, setIsLoading] = useState(false);
   const [backendUrl, setBackendUrl] = useState(API_BASE_URL || 'http://localhost:3000/api');
+  const [serverStatus, setServerStatus] = useState(getBackendStatus());
   
   // Load settings on component mount
   useEffect(() => {
@@ -40,6 +49,8 @@ const SettingsScreen = () => {
       if (savedUrl) {
         setBackendUrl(savedUrl);
       }
+      
+      setServerStatus(getBackendStatus());
     } catch (error) {
       console.error("Failed to load settings:", error);
     } finally {
@@ -179,6 +190,11 @@ const SettingsScreen = () => {
                 description={backendUrl}
                 left={() => <List.Icon icon="server" color={COLORS.primary} />}
               />
+              <List.Item
+                title="Server Status"
+                description={SERVER_STATUS_LABELS[serverStatus] || 'Not connected'}
+                left={() => <List.Icon icon="heart-pulse" color={serverStatus === 'ready' ? COLORS.success : COLORS.warning} />}
+              />
               <List.Item
                 title="Current Mode"
                 description={useBackend ? "AI Generation (Backend)" : "Template Generation (Local)"}
@@ -3,6 +3,7 @@ import { View, ScrollView, StyleSheet, Dimensions, Animated } from 'react-native
 import { Card, Title, Paragraph, Text, Button, Badge, Divider, Avatar } from 'react-native-paper';
 import { TaskContext } from '../context/TaskContext';
 import { generateAchievementBadge } from '../utils/aiTransformer';
+import { getLevelProgress, getClassTitle, getNextClassTitle, CLASS_TITLES } from '../utils/xpEngine';
 
 // Mock achievements - in a real app, these would be stored in a database
 const achievementDefinitions = [
@@ -14,27 +15,16 @@ const achievementDefinitions = [
   { id: 'boss_slayer', name: 'Boss Slayer', description: 'Completed 5 boss quests', icon: '🐉', requirement: 5 },
 ];
 
-// Level calculation
-const calculateLevel = (points) => {
-  return Math.floor(Math.sqrt(points / 10)) + 1;
-};
-
-// Get next level requirement
-const getNextLevelPoints = (level) => {
-  return (level * level) * 10;
-};
-
 const StatsScreen = ({ navigation }) => {
   const { tasks, userStats } = useContext(TaskContext);
   const [achievements, setAchievements] = useState([]);
   const [progressAnim] = useState(new Animated.Value(0));
   
-  // Calculate the current level and progress to next level
-  const currentLevel = calculateLevel(userStats.points);
-  const pointsForCurrentLevel = getNextLevelPoints(currentLevel - 1);
-  const pointsForNextLevel = getNextLevelPoints(currentLevel);
-  const pointsNeededForNextLevel = pointsForNextLevel - pointsForCurrentLevel;
-  const currentLevelProgress = ((userStats.points - pointsForCurrentLevel) / pointsNeededForNextLevel) * 100;
+  // The current level, progress to the next one and the class titles it unlocks
+  const levelProgress = getLevelProgress(userStats.points);
+  const currentLevel = levelProgress.level;
+  const currentLevelProgress = levelProgress.progress * 100;
+  const nextClassTitle = getNextClassTitle(currentLevel);
   
   // Calculate category breakdown - how many tasks completed in each category
   const categoryBreakdown = tasks.reduce((acc, task) => {
@@ -122,11 +112,7 @@ const StatsScreen = ({ navigation }) => {
           </View>
           <View style={styles.heroInfo}>
             <Title style={styles.heroName}>Level {currentLevel} Adventurer</Title>
-            <Paragraph style={styles.heroTitle}>
-              {currentLevel < 5 ? 'Novice Quester' : 
-               currentLevel < 10 ? 'Skilled Adventurer' :
-               currentLevel < 15 ? 'Hero of the Realm' : 'Legendary Champion'}
-            </Paragraph>
+            <Paragraph style={styles.heroTitle}>{getClassTitle(currentLevel)}</Paragraph>
           </View>
         </View>
         
@@ -134,7 +120,7 @@ const StatsScreen = ({ navigation }) => {
           {/* Level progress bar */}
           <View style={styles.levelContainer}>
             <Text style={styles.levelText}>
-              Level Progress: {userStats.points - pointsForCurrentLevel}/{pointsNeededForNextLevel} XP
+              Level Progress: {levelProgress.xpIntoLevel}/{levelProgress.xpForLevel} XP
             </Text>
             <View style={styles.progressBarContainer}>
               <Animated.View
@@ -148,7 +134,7 @@ const StatsScreen = ({ navigation }) => {
               />
             </View>
             <Text style={styles.nextLevelText}>
-              Next level at {pointsForNextLevel} XP
+              Next level at {levelProgress.nextLevelXp} XP
             </Text>
           </View>
           
@@ -174,6 +160,31 @@ const StatsScreen = ({ navigation }) => {
         </Card.Content>
       </Card>
       
+      {/* Class titles, unlocked by level */}
+      <Card style={styles.sectionCard}>
+        <Card.Content>
+          <Title style={styles.sectionTitle}>Class Titles</Title>
+          <Divider style={styles.divider} />
+          
+          {CLASS_TITLES.map(({ level, title }) => {
+            const unlocked = currentLevel >= level;
+            return (
+              <View key={title} style={styles.titleItem}>
+                <Text style={[styles.titleName, !unlocked && styles.titleLocked]}>
+                  {unlocked ? '🏅' : '🔒'} {title}
+                </Text>
+                <Text style={styles.titleLevel}>Level {level}</Text>
+              </View>
+            );
+          })}
+          {nextClassTitle && (
+            <Text style={styles.nextTitleText}>
+              Reach level {nextClassTitle.level} to unlock the title {nextClassTitle.title}
+            </Text>
+          )}
+        </Card.Content>
+      </Card>
+      
       {/* Achievements section */}
       <Card style={styles.sectionCard}>
         <Card.Content>
@@ -307,6 +318,30 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f5f5f5',
   },
+  titleItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  titleName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  titleLocked: {
+    color: '#aaa',
+    fontWeight: 'normal',
+  },
+  titleLevel: {
+    fontSize: 14,
+    color: '#666',
+  },
+  nextTitleText: {
+    marginTop: 8,
+    fontSize: 14,
+    color: '#666',
+    fontStyle: 'italic',
+  },
   heroCard: {
     margin: 16,
     marginBottom: 8,
@@ -0,0 +1,227 @@
+import React, { useState, useContext } from 'react';
+import { View, ScrollView, StyleSheet, TouchableOpacity } from 'react-native';
+import { TextInput, Button, Headline, Subheading, HelperText, Card, Paragraph, ProgressBar, Text } from 'react-native-paper';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { TaskContext } from '../context/TaskContext';
+import { STORY_THEMES, DEFAULT_STORY_THEME, MAX_THEME_STYLE_LENGTH } from '../utils/storyThemes';
+import { COLORS, STORY_PALETTES, getStoryIcons } from '../utils/theme';
+
+const StoryThemeScreen = ({ navigation }) => {
+  const { storyTheme, changeStoryTheme } = useContext(TaskContext);
+
+  const [themeKey, setThemeKey] = useState(storyTheme?.key || DEFAULT_STORY_THEME);
+  const [style, setStyle] = useState(storyTheme?.style || '');
+  const [progress, setProgress] = useState(null); // { done, total } while retelling quests
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null); // { updated, total } once done
+
+  const isApplying = progress !== null;
+  const isCustom = themeKey === 'custom';
+  const isUnchanged = themeKey === storyTheme?.key && (!isCustom || style.trim() === storyTheme?.style);
+
+  const handleApply = async () => {
+    if (isCustom && !style.trim()) {
+      setError('Describe the style of your custom theme');
+      return;
+    }
+
+    setError(null);
+    setResult(null);
+    setProgress({ done: 0, total: 0 });
+    try {
+      const regenerated = await changeStoryTheme(themeKey, style, {
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      setResult(regenerated);
+    } catch (applyError) {
+      setError(applyError.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <Card style={[styles.headerCard, { backgroundColor: COLORS.primary }]}>
+        <Card.Content>
+          <Headline style={styles.headline}>Story Theme</Headline>
+          <Paragraph style={styles.subtitle}>
+            Choose the world your quests are told in
+          </Paragraph>
+        </Card.Content>
+      </Card>
+
+      <View style={styles.formSection}>
+        {Object.entries(STORY_THEMES).map(([key, theme]) => {
+          const isSelected = themeKey === key;
+          const color = STORY_PALETTES[key].primary;
+          return (
+            <TouchableOpacity
+              key={key}
+              onPress={() => setThemeKey(key)}
+              disabled={isApplying}
+              style={[styles.themeOption, isSelected ? { borderColor: color, backgroundColor: `${color}14` } : null]}
+            >
+              <View style={[styles.themeIcon, { backgroundColor: color }]}>
+                <MaterialCommunityIcons name={getStoryIcons(key).theme} size={22} color="#fff" />
+              </View>
+              <View style={styles.themeText}>
+                <Text style={styles.themeLabel}>{theme.label}</Text>
+                <Text style={styles.themeDescription}>{theme.description}</Text>
+              </View>
+              {isSelected && <MaterialCommunityIcons name="check-circle" size={22} color={color} />}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {isCustom && (
+        <View style={styles.formSection}>
+          <Subheading style={[styles.sectionTitle, { color: COLORS.primary }]}>Your Story Style</Subheading>
+          <TextInput
+            label="e.g. a cat running a bakery in Paris"
+            value={style}
+            onChangeText={setStyle}
+            style={styles.input}
+            mode="outlined"
+            multiline
+            maxLength={MAX_THEME_STYLE_LENGTH}
+            disabled={isApplying}
+          />
+          <HelperText type="info">{style.length}/{MAX_THEME_STYLE_LENGTH}</HelperText>
+        </View>
+      )}
+
+      {error && <HelperText type="error" style={styles.errorText}>{error}</HelperText>}
+
+      {isApplying && (
+        <View style={styles.formSection}>
+          <Text style={styles.progressLabel}>
+            Retelling your quests... {progress.done} of {progress.total}
+          </Text>
+          <ProgressBar progress={progress.total ? progress.done / progress.total : 0} color={COLORS.primary} />
+        </View>
+      )}
+
+      {result && (
+        <Text style={styles.message}>
+          {result.total === 0
+            ? 'Theme changed. New quests will be told in it.'
+            : `Theme changed. ${result.updated} of ${result.total} open quests were retold.`}
+        </Text>
+      )}
+
+      <View style={styles.buttonContainer}>
+        <Button
+          mode="contained"
+          onPress={handleApply}
+          style={styles.applyButton}
+          disabled={isApplying || isUnchanged}
+          loading={isApplying}
+        >
+          {isApplying ? 'Applying...' : 'Apply Theme'}
+        </Button>
+        <Button
+          mode="outlined"
+          onPress={() => navigation.goBack()}
+          style={styles.cancelButton}
+          disabled={isApplying}
+        >
+          {result ? 'Done' : 'Cancel'}
+        </Button>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  headerCard: {
+    marginBottom: 16,
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 10,
+  },
+  headline: {
+    color: 'white',
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  subtitle: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    textAlign: 'center',
+  },
+  formSection: {
+    padding: 16,
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 8,
+    elevation: 2,
+  },
+  sectionTitle: {
+    marginBottom: 12,
+    fontWeight: 'bold',
+  },
+  themeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  themeIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  themeText: {
+    flex: 1,
+  },
+  themeLabel: {
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  themeDescription: {
+    color: '#666',
+  },
+  input: {
+    backgroundColor: 'transparent',
+  },
+  progressLabel: {
+    color: '#666',
+    marginBottom: 8,
+  },
+  errorText: {
+    marginHorizontal: 16,
+    textAlign: 'center',
+  },
+  message: {
+    marginHorizontal: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+  buttonContainer: {
+    padding: 16,
+    marginBottom: 24,
+  },
+  applyButton: {
+    paddingVertical: 8,
+    borderRadius: 25,
+    marginBottom: 12,
+  },
+  cancelButton: {
+    paddingVertical: 8,
+    borderRadius: 25,
+  },
+});
+
+export default StoryThemeScreen;
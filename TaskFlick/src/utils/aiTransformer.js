@@ -2,12 +2,28 @@
 // Later will connect to our backend API which uses IBM Granite
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { discoverBackendUrl, getApiUrl } from './connectionUtils';
+import { v4 as uuidv4 } from 'uuid';
+import { authFetch, getAuthHeaders } from './authUtils';
+import { getThemePack, getThemeParams, getCategoryGroup } from './storyThemes';
+import { isOverdue } from './dueDateUtils';
 
-// Configuration for AI functionality
-// Use environment variable for backend generation setting
-const USE_BACKEND_GENERATION = process.env.EXPO_PUBLIC_USE_BACKEND_GENERATION === 'true' || process.env.EXPO_PUBLIC_USE_BACKEND_GENERATION === true || false;
-const ENABLE_SERVER_LOGS = process.env.EXPO_PUBLIC_ENABLE_SERVER_LOGS === 'true' || process.env.EXPO_PUBLIC_ENABLE_SERVER_LOGS === true || true;
-const ENABLE_API_CACHE = process.env.EXPO_PUBLIC_ENABLE_API_CACHE === 'true' || process.env.EXPO_PUBLIC_ENABLE_API_CACHE === true || true;
+/**
+ * Read an on/off setting from the environment
+ * @param {string|boolean} value - The variable's value ('true' or 'false')
+ * @param {boolean} defaultValue - Used when the variable is not set
+ */
+const readFlag = (value, defaultValue) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return defaultValue;
+};
+
+// Configuration for AI functionality, from environment variables
+// (EXPO_PUBLIC_* variables must be read by name so Expo can inline them)
+const USE_BACKEND_GENERATION = readFlag(process.env.EXPO_PUBLIC_USE_BACKEND_GENERATION, false);
+// Logs request payloads, which contain task text, so it is off unless enabled
+const ENABLE_SERVER_LOGS = readFlag(process.env.EXPO_PUBLIC_ENABLE_SERVER_LOGS, false);
+const ENABLE_API_CACHE = readFlag(process.env.EXPO_PUBLIC_ENABLE_API_CACHE, true);
 
 // Cache expiry time - from environment variables or default to 24 hours
 const CACHE_EXPIRY = (Number(process.env.EXPO_PUBLIC_CACHE_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
@@ -30,6 +46,33 @@ let discoveredBackendUrl = null;
   }
 })();
 
+// After a 429 response (rate limit or daily quota), quests are generated
+// locally until the backend's Retry-After time has passed
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+let rateLimitedUntil = 0;
+
+/**
+ * Remember a rate limited response from a generation endpoint
+ * @param {number} status - HTTP status of the response
+ * @param {string|null} retryAfter - Its Retry-After header, in seconds
+ * @returns {boolean} - Whether the response was rate limited
+ */
+export const recordRateLimit = (status, retryAfter) => {
+  if (status !== 429) return false;
+
+  const seconds = Number(retryAfter);
+  const waitSeconds = Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_RETRY_AFTER_SECONDS;
+  rateLimitedUntil = Date.now() + waitSeconds * 1000;
+  console.log(`Backend generation limit reached, using local generation for ${waitSeconds}s`);
+  return true;
+};
+
+/**
+ * Whether backend generation is paused after a rate limited response
+ * @returns {boolean}
+ */
+export const isRateLimited = () => Date.now() < rateLimitedUntil;
+
 /**
  * Log server API calls and responses if enabled
  */
@@ -83,6 +126,10 @@ const callApi = async (endpoint, method = 'GET', body = null) => {
       throw new Error('Backend generation disabled by configuration');
     }
     
+    if (isRateLimited()) {
+      throw new Error('Backend generation paused by rate limit');
+    }
+    
     // Generate cache key from endpoint and body
     const cacheKey = `taskflick_cache_${endpoint}_${body ? JSON.stringify(body) : ''}`;
     
@@ -135,11 +182,12 @@ const callApi = async (endpoint, method = 'GET', body = null) => {
     console.log(`Sending request to: ${fullUrl}`);
     logServerComm('request', endpoint, body);
     
-    const response = await fetch(fullUrl, options);
+    const response = await authFetch(fullUrl, options);
     
     if (!response.ok) {
+      recordRateLimit(response.status, response.headers.get('Retry-After'));
       const errorText = await response.text();
-      console.error(`API error (${response.status}): ${errorText}`);
+      console.error(`API error (${response.status}, request ${response.headers.get('X-Request-Id')}): ${errorText}`);
       const error = new Error(`API error: ${response.status} - ${errorText}`);
       logServerComm('error', endpoint, body, null, error);
       throw error;
@@ -196,6 +244,83 @@ const extractResponseData = (response) => {
   return response;
 };
 
+/**
+ * POST to a Server-Sent Events endpoint, passing each event to onEvent as it
+ * arrives. React Native's fetch only returns the response once it is complete,
+ * so the XMLHttpRequest response text is read as it grows instead.
+ * @param {string} url - Full API URL
+ * @param {Object} body - Request body
+ * @param {Object} headers - Extra request headers
+ * @param {Function} onEvent - Called with (event, data) for each event
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<XMLHttpRequest>} - The finished request; events are only read from 200 responses
+ */
+const postEventStream = (url, body, headers, onEvent, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new Error('Request aborted'));
+    return;
+  }
+
+  const xhr = new XMLHttpRequest();
+  let readOffset = 0;
+  let readError = null;
+
+  // Handle every complete event received since the last read
+  const readEvents = () => {
+    if (xhr.status !== 200 || readError) return;
+    const text = xhr.responseText || '';
+    let end;
+    while ((end = text.indexOf('\n\n', readOffset)) !== -1) {
+      const block = text.slice(readOffset, end);
+      readOffset = end + 2;
+
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length > 0) {
+        try {
+          onEvent(event, JSON.parse(data.join('\n')));
+        } catch (error) {
+          readError = error;
+          return;
+        }
+      }
+    }
+  };
+
+  const abort = () => xhr.abort();
+  const finish = () => signal?.removeEventListener('abort', abort);
+
+  xhr.open('POST', url);
+  Object.entries({ 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...headers })
+    .forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+  xhr.onprogress = readEvents;
+  xhr.onload = () => {
+    finish();
+    readEvents();
+    if (readError) {
+      reject(readError);
+    } else {
+      resolve(xhr);
+    }
+  };
+  xhr.onerror = () => {
+    finish();
+    reject(new Error('Network error while streaming'));
+  };
+  xhr.onabort = () => {
+    finish();
+    reject(new Error('Request aborted'));
+  };
+
+  signal?.addEventListener('abort', abort);
+  xhr.send(JSON.stringify(body));
+});
+
 /**
  * Transform a task into a quest using the backend API
  * @param {string} taskTitle - Original task title
@@ -212,7 +337,8 @@ export const transformTaskToQuest = async (taskTitle, category, difficulty) => {
       const result = await callApi('transform-task', 'POST', {
         taskTitle,
         category,
-        difficulty
+        difficulty,
+        ...getThemeParams()
       });
       
       console.log('Successfully received quest from backend:', result);
@@ -236,11 +362,126 @@ export const transformTaskToQuest = async (taskTitle, category, difficulty) => {
   }
 };
 
+/**
+ * Stream a quest narrative from the backend, for the live quest preview.
+ * onProgress is called with the narrative so far each time more text arrives.
+ * Falls back to local generation like transformTaskToQuest, except when the
+ * request was aborted with the signal (e.g. because the task was changed).
+ * @param {string} taskTitle - Original task title
+ * @param {string} category - Task category
+ * @param {string} difficulty - Task difficulty
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Object>} - { questNarrative, promptVariant, isAIGenerated }
+ */
+export const streamQuestNarrative = async (taskTitle, category, difficulty, { onProgress, signal } = {}) => {
+  try {
+    if (!USE_BACKEND_GENERATION) {
+      throw new Error('Using local generation based on .env configuration');
+    }
+    if (isRateLimited()) {
+      throw new Error('Backend generation paused by rate limit');
+    }
+
+    if (!discoveredBackendUrl) {
+      discoveredBackendUrl = await discoverBackendUrl();
+      if (!discoveredBackendUrl) {
+        throw new Error('Cannot connect to backend server');
+      }
+    }
+
+    const url = await getApiUrl('transform-task/stream', discoveredBackendUrl);
+    if (!url) {
+      throw new Error('Failed to construct API URL');
+    }
+
+    const body = { taskTitle, category, difficulty, ...getThemeParams() };
+    let narrative = '';
+    let result = null;
+    const onEvent = (event, data) => {
+      if (event === 'token') {
+        narrative += data.text;
+        if (onProgress) onProgress(narrative);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        throw new Error(data.message || 'Stream failed');
+      }
+    };
+
+    logServerComm('request', 'transform-task/stream', body);
+    // Same correlation id for the retry, like authFetch
+    const requestId = uuidv4();
+    let xhr = await postEventStream(url, body, { ...await getAuthHeaders(), 'X-Request-Id': requestId }, onEvent, signal);
+    if (xhr.status === 401) {
+      xhr = await postEventStream(url, body, { ...await getAuthHeaders(true), 'X-Request-Id': requestId }, onEvent, signal);
+    }
+    if (xhr.status !== 200) {
+      recordRateLimit(xhr.status, xhr.getResponseHeader('Retry-After'));
+      throw new Error(`API error: ${xhr.status}`);
+    }
+    if (!result) {
+      throw new Error('Stream ended without a narrative');
+    }
+
+    logServerComm('response', 'transform-task/stream', body, result);
+    return {
+      questNarrative: result.questNarrative,
+      promptVariant: result.promptVariant || null,
+      isAIGenerated: Boolean(result.promptVariant)
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    logServerComm('fallback', 'transform-task/stream', null, null, error.message);
+    console.log('Falling back to local quest narrative due to:', error.message);
+    const questNarrative = fallbackGenerateQuestNarrative(taskTitle, category, difficulty);
+    if (onProgress) onProgress(questNarrative);
+    return { questNarrative, promptVariant: null, isAIGenerated: false };
+  }
+};
+
+/**
+ * Describe the player's progress for a motivational message
+ * @param {Array} tasks - All tasks
+ * @param {Object} userStats - The player's stats
+ * @param {Object} quest - The quest being viewed, if any
+ * @returns {Object} - Context for generateMotivationalMessage
+ */
+export const getMotivationContext = (tasks, userStats, quest = null) => {
+  const today = new Date().toDateString();
+  const openTasks = tasks.filter(task => !task.completed);
+  return {
+    streak: userStats?.currentStreak || 0,
+    completedToday: tasks.filter(task => task.completed && task.completedAt &&
+      new Date(task.completedAt).toDateString() === today).length,
+    pendingBossQuests: openTasks.filter(task => task.difficulty === 'boss').length,
+    overdueQuests: openTasks.filter(task => isOverdue(task)).length,
+    ...(quest && {
+      questTitle: quest.questTitle || quest.title,
+      questDifficulty: quest.difficulty,
+      questOverdue: isOverdue(quest)
+    })
+  };
+};
+
+/**
+ * Query string of a motivational message request: the story theme and the player's progress
+ * @param {Object} context - See getMotivationContext
+ * @returns {string}
+ */
+export const getMotivationQuery = (context = {}) => (
+  Object.entries({ ...getThemeParams(), ...context })
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&')
+);
+
 /**
  * Generate a motivational message for the user
+ * @param {Object} context - The player's progress, see getMotivationContext
  * @returns {Promise<string>} - The generated motivational message
  */
-export const generateMotivationalMessage = async () => {
+export const generateMotivationalMessage = async (context = {}) => {
   try {
     console.log(`generateMotivationalMessage called, USE_BACKEND_GENERATION=${USE_BACKEND_GENERATION}`);
     
@@ -248,7 +489,7 @@ export const generateMotivationalMessage = async () => {
       console.log('Attempting to use backend for motivational message');
       
       // Add a random query parameter to force a new API call each time
-      const uniqueEndpoint = `motivational-message?random=${Math.random()}`;
+      const uniqueEndpoint = `motivational-message?${getMotivationQuery(context)}&random=${Math.random()}`;
       const result = await callApi(uniqueEndpoint, 'GET');
       console.log('Successfully received message from backend:', result);
       
@@ -286,7 +527,8 @@ export const generateAchievementBadge = async (achievementType, milestone) => {
       console.log('Attempting to use backend for badge generation');
       const payload = {
         achievementType,
-        milestone
+        milestone,
+        ...getThemeParams()
       };
       
       const result = await callApi('achievement-badge', 'POST', payload);
@@ -309,98 +551,72 @@ export const generateAchievementBadge = async (achievementType, milestone) => {
   }
 };
 
+/**
+ * Generate a quest locally, for when the backend can't be used
+ * @param {string} taskTitle - Original task title
+ * @param {string} category - Task category
+ * @param {string} difficulty - Task difficulty
+ * @returns {Object} - Quest data with title and narrative
+ */
+export const generateFallbackQuest = (taskTitle, category, difficulty) => ({
+  questTitle: fallbackGenerateQuestTitle(taskTitle, category || 'personal'),
+  questNarrative: fallbackGenerateQuestNarrative(taskTitle, category || 'personal', difficulty),
+  isAIGenerated: false,
+  promptVariant: null
+});
+
+/**
+ * Split a task into a quest chain locally, for when the backend can't be used
+ * @param {string} taskTitle - Original task title
+ * @param {string} category - Task category
+ * @returns {Array<Object>} - Quests in the shape returned by the decompose-task endpoint
+ */
+export const generateFallbackQuestChain = (taskTitle, category) => (
+  [['Prepare for', 'mini', 15], ['Work through', 'normal', 45], ['Finish', 'normal', 30]].map(([phase, difficulty, estimatedMinutes]) => {
+    const title = `${phase} ${taskTitle}`.substring(0, 60);
+    return {
+      title,
+      ...generateFallbackQuest(title, category, difficulty),
+      difficulty,
+      estimatedMinutes
+    };
+  })
+);
+
 // ======== FALLBACK FUNCTIONS ========
 // These functions are used when the backend API is unavailable
 
 /**
- * Fallback function to generate quest titles locally
+ * Fallback function to generate quest titles locally, from the player's theme pack
  */
 function fallbackGenerateQuestTitle(taskTitle, category) {
-  // Convert category to theme
-  let theme = '';
-  switch (category.toLowerCase()) {
-    case 'work':
-      theme = 'Guild';
-      break;
-    case 'education':
-    case 'study':
-    case 'learning':
-      theme = 'Arcane';
-      break;
-    case 'fitness':
-    case 'health':
-      theme = 'Warrior';
-      break;
-    case 'home':
-    case 'chores':
-      theme = 'Village';
-      break;
-    default:
-      theme = 'Adventure';
-  }
-  
-  // Simple templates
-  const templates = [
-    `The ${theme} ${capitalize(taskTitle)}`,
-    `${theme} Mission: ${capitalize(taskTitle)}`,
-    `${theme}'s Call: ${capitalize(taskTitle)}`,
-    `The ${theme} Seeker's ${capitalize(taskTitle)}`,
-    `${capitalize(taskTitle)} of the ${theme} Realm`
-  ];
+  const pack = getThemePack();
+  // Convert category to the place quests of that kind take place in
+  const place = pack.places[getCategoryGroup(category)] || pack.defaultPlace;
   
   // Select a random template
-  const randomIndex = Math.floor(Math.random() * templates.length);
-  return templates[randomIndex];
+  const randomIndex = Math.floor(Math.random() * pack.titles.length);
+  return pack.titles[randomIndex](capitalize(taskTitle), place);
 }
 
 /**
- * Fallback function to generate quest narratives locally
+ * Fallback function to generate quest narratives locally, from the player's theme pack
  */
 function fallbackGenerateQuestNarrative(taskTitle, category, difficulty) {
-  // Base narratives by category
-  const categoryNarratives = {
-    work: 'The Guild requires your expertise. Complete this task to gain favor with the Guild Masters.',
-    education: 'Ancient knowledge awaits your discovery. Master this arcane challenge to expand your wisdom.',
-    learning: 'Ancient knowledge awaits your discovery. Master this arcane challenge to expand your wisdom.',
-    fitness: 'A warrior\'s strength comes from consistent training. Push through this challenge to enhance your power.',
-    health: 'A warrior\'s strength comes from consistent training. Push through this challenge to enhance your power.',
-    home: 'The village needs your attention. Restore order to this area to improve the prosperity of your domain.',
-    chores: 'The village needs your attention. Restore order to this area to improve the prosperity of your domain.',
-    personal: 'Your personal quest awaits. Success will bring you closer to fulfilling your destiny.',
-  };
-  
-  // Difficulty modifiers
-  const difficultyModifiers = {
-    mini: 'This is but a small step in your journey, yet important nonetheless.',
-    normal: 'A worthy challenge that will test your resolve and determination.',
-    boss: 'Beware, adventurer! This formidable task will require all your skill and courage to overcome.'
-  };
+  const pack = getThemePack();
   
   // Get base narrative by category or default to personal
-  const baseCategory = Object.keys(categoryNarratives).find(
-    key => category.toLowerCase().includes(key)
-  ) || 'personal';
+  const baseNarrative = pack.narratives[getCategoryGroup(category)] || pack.narratives.personal;
   
   // Combine with difficulty modifier
-  return `${categoryNarratives[baseCategory]} ${difficultyModifiers[difficulty] || difficultyModifiers.normal}`;
+  return `${baseNarrative} ${pack.difficulties[difficulty] || pack.difficulties.normal}`;
 }
 
 /**
- * Fallback function to generate motivational messages locally
+ * Fallback function to generate motivational messages locally, from the player's theme pack
  */
 function fallbackGenerateMotivationalMessage() {
-  const messages = [
-    "The path to greatness is paved with completed quests!",
-    "Even the mightiest heroes began with small victories. Keep going!",
-    "Your quest log grows more impressive each day. The kingdom notices your deeds!",
-    "The greatest adventure is the one that transforms you. Onward!",
-    "A true hero knows that persistence unlocks all achievements.",
-    "Your journey inspires others around you. Continue your noble path!",
-    "Each completed quest brings you closer to legendary status.",
-    "The rewards of consistency are waiting just over the horizon.",
-    "Your dedication to your quests shapes your destiny.",
-    "Today's small victory is tomorrow's epic tale!"
-  ];
+  const { messages } = getThemePack();
   
   const randomIndex = Math.floor(Math.random() * messages.length);
   return messages[randomIndex];
@@ -467,6 +683,12 @@ function fallbackGenerateAchievementBadge(achievementType, milestone) {
   };
 }
 
+// One-sentence quest narrative in the player's theme
+function fallbackQuestSentence(taskName) {
+  const { hero, goal } = getThemePack();
+  return `${hero} must complete ${taskName} ${goal}.`;
+}
+
 // Helper function to capitalize first letter
 function capitalize(str) {
   if (!str || typeof str !== 'string') return '';
@@ -487,7 +709,7 @@ export const generateQuestTitle = async (taskName, taskDescription = "") => {
   }
   
   try {
-    const response = await fetch(`${API_URL}/transform-task`, {
+    const response = await authFetch(`${API_URL}/transform-task`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -495,6 +717,7 @@ export const generateQuestTitle = async (taskName, taskDescription = "") => {
       body: JSON.stringify({
         task: taskName,
         description: taskDescription,
+        ...getThemeParams(),
       }),
     });
     
@@ -520,11 +743,11 @@ export const generateQuestNarrative = async (taskName, taskDescription = "") =>
   if (!USE_BACKEND_GENERATION) {
     const fallbackReason = "Using local generation based on .env configuration";
     logFallbackUsage('quest-narrative', fallbackReason);
-    return `A brave adventurer must complete ${taskName} to help the kingdom thrive.`;
+    return fallbackQuestSentence(taskName);
   }
   
   try {
-    const response = await fetch(`${API_URL}/transform-task`, {
+    const response = await authFetch(`${API_URL}/transform-task`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -532,6 +755,7 @@ export const generateQuestNarrative = async (taskName, taskDescription = "") =>
       body: JSON.stringify({
         task: taskName,
         description: taskDescription,
+        ...getThemeParams(),
       }),
     });
     
@@ -540,9 +764,9 @@ export const generateQuestNarrative = async (taskName, taskDescription = "") =>
     }
     
     const data = await response.json();
-    return data.questNarrative || `A brave adventurer must complete ${taskName} to help the kingdom thrive.`;
+    return data.questNarrative || fallbackQuestSentence(taskName);
   } catch (error) {
     console.error("Error generating quest narrative:", error);
-    return `A brave adventurer must complete ${taskName} to help the kingdom thrive.`;
+    return fallbackQuestSentence(taskName);
   }
 };
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Utilities for user authentication against the backend
+ * Tokens are kept in the device's secure storage (Keychain / Keystore) and
+ * attached to backend requests by `authFetch`.
+ */
+import * as SecureStore from 'expo-secure-store';
+import { v4 as uuidv4 } from 'uuid';
+import { getApiUrl } from './connectionUtils';
+
+const SESSION_KEY = 'taskflick_session';
+
+// In-memory copy of the stored session: { user, accessToken, refreshToken }
+let session = null;
+let sessionLoaded = false;
+
+// A refresh already in flight, shared by concurrent requests
+let refreshPromise = null;
+
+// Called when the session can no longer be refreshed
+let sessionExpiredHandler = null;
+
+/**
+ * Register a callback for when the session expires and the user must log in again
+ * @param {Function} handler - Callback, or null to remove it
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * Load the stored session
+ * @returns {Promise<Object|null>} - { user, accessToken, refreshToken } or null if logged out
+ */
+export const loadSession = async () => {
+  if (sessionLoaded) return session;
+
+  try {
+    const stored = await SecureStore.getItemAsync(SESSION_KEY);
+    session = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading session from secure storage:', error);
+    session = null;
+  }
+
+  sessionLoaded = true;
+  return session;
+};
+
+/**
+ * Store a session returned by login, register or refresh
+ */
+const saveSession = async ({ user, accessToken, refreshToken }) => {
+  session = { user, accessToken, refreshToken };
+  sessionLoaded = true;
+  await SecureStore.setItemAsync(SESSION_KEY, JSON.stringify(session));
+  return session;
+};
+
+/**
+ * Remove the stored session
+ */
+export const clearSession = async () => {
+  session = null;
+  sessionLoaded = true;
+  try {
+    await SecureStore.deleteItemAsync(SESSION_KEY);
+  } catch (error) {
+    console.error('Error clearing session from secure storage:', error);
+  }
+};
+
+/**
+ * Post to an auth endpoint and store the returned session
+ */
+const requestSession = async (endpoint, body) => {
+  const url = await getApiUrl(endpoint);
+  if (!url) {
+    throw new Error('Cannot connect to backend server');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return saveSession(data);
+};
+
+/**
+ * Log in with email and password
+ * @returns {Promise<Object>} - The new session
+ */
+export const login = (email, password) => requestSession('auth/login', { email, password });
+
+/**
+ * Register a new account
+ * @returns {Promise<Object>} - The new session
+ */
+export const register = (email, password) => requestSession('auth/register', { email, password });
+
+/**
+ * Log out, revoking refresh tokens on the backend when it is reachable
+ */
+export const logout = async () => {
+  try {
+    const url = await getApiUrl('auth/logout');
+    if (url && session?.accessToken) {
+      await fetch(url, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${session.accessToken}` },
+      });
+    }
+  } catch (error) {
+    console.log('Could not revoke session on backend:', error.message);
+  }
+
+  await clearSession();
+};
+
+/**
+ * Exchange the refresh token for new tokens
+ * @returns {Promise<boolean>} - Whether the session was refreshed
+ */
+const refreshSession = async () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        await requestSession('auth/refresh', { refreshToken: session?.refreshToken });
+        return true;
+      } catch (error) {
+        // Only a rejected refresh token ends the session; network errors can be retried later
+        if (error.status === 401) {
+          console.log('Session expired, logging out');
+          await clearSession();
+          if (sessionExpiredHandler) sessionExpiredHandler();
+        }
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * fetch() for backend API calls: attaches the access token and, when it has
+ * expired, refreshes it once and retries the request. Each call sends an
+ * X-Request-Id header (kept for the retry) that the backend logs with
+ * everything it does for the request.
+ * @param {string} url - Full API URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}) => {
+  await loadSession();
+
+  const requestId = uuidv4();
+  const withToken = () => ({
+    ...options,
+    headers: {
+      'X-Request-Id': requestId,
+      ...options.headers,
+      ...(session?.accessToken ? { 'Authorization': `Bearer ${session.accessToken}` } : {}),
+    },
+  });
+
+  const response = await fetch(url, withToken());
+
+  if (response.status === 401 && session?.refreshToken && await refreshSession()) {
+    return fetch(url, withToken());
+  }
+
+  return response;
+};
+
+/**
+ * Authorization header for requests that can't be made with authFetch, such
+ * as streamed XMLHttpRequests
+ * @param {boolean} refresh - Refresh the access token first, after it was rejected
+ * @returns {Promise<Object>} - Headers to add to the request
+ */
+export const getAuthHeaders = async (refresh = false) => {
+  await loadSession();
+
+  if (refresh && session?.refreshToken) {
+    await refreshSession();
+  }
+
+  return session?.accessToken ? { 'Authorization': `Bearer ${session.accessToken}` } : {};
+};
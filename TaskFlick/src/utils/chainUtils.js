@@ -0,0 +1,63 @@
+/**
+ * Quest chain utilities for TaskFlick app
+ * A large (boss) task can be split into a chain of smaller quests that are
+ * done in order. Quests of a chain share a `chainId` and are ordered by
+ * `chainIndex`; `chainTitle` keeps the title of the task they were split from.
+ */
+
+// Number of quests a chain can have
+export const MIN_CHAIN_LENGTH = 3;
+export const MAX_CHAIN_LENGTH = 8;
+
+/**
+ * Format an estimated duration, e.g. "45 min" or "1h 30m"
+ * @param {number} minutes - Estimated minutes
+ * @returns {string|null} - null when there is no estimate
+ */
+export const formatDuration = (minutes) => {
+  if (!minutes) return null;
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+/**
+ * Quests of a chain, in order
+ * @param {Array} tasks - All tasks
+ * @param {string} chainId - The chain to collect
+ * @returns {Array}
+ */
+export const getChainQuests = (tasks, chainId) => {
+  if (!chainId) return [];
+  return tasks
+    .filter(task => task.chainId === chainId)
+    .sort((a, b) => (a.chainIndex || 0) - (b.chainIndex || 0));
+};
+
+/**
+ * Position of a quest in its chain, counting only quests that still exist
+ * @param {Object} task - A chain quest
+ * @param {Array} tasks - All tasks
+ * @returns {Object|null} - { position, total, done } or null if the task is not part of a chain
+ */
+export const getChainPosition = (task, tasks) => {
+  const chain = getChainQuests(tasks, task.chainId);
+  if (chain.length === 0) return null;
+
+  return {
+    position: chain.findIndex(quest => quest.id === task.id) + 1,
+    total: chain.length,
+    done: chain.filter(quest => quest.completed).length
+  };
+};
+
+/**
+ * Sort comparator keeping quests of the same chain in chain order
+ * @returns {number} - 0 for quests of different chains
+ */
+export const compareByChainOrder = (a, b) => {
+  if (!a.chainId || a.chainId !== b.chainId) return 0;
+  return (a.chainIndex || 0) - (b.chainIndex || 0);
+};
@@ -59,36 +59,50 @@ const getPossibleServerUrls = () => {
   return [...new Set(urls)];
 };
 
+// Readiness reported by the backend on the last check: 'ready', 'degraded'
+// (up, but AI generation falls back to templates) or 'unavailable'
+let backendStatus = null;
+
 /**
- * Test if a backend URL is reachable
+ * Readiness of the backend from the last connection check
+ * @returns {string|null} - 'ready', 'degraded', 'unavailable', or null if no backend was reached yet
+ */
+export const getBackendStatus = () => backendStatus;
+
+/**
+ * Test if a backend URL is reachable, using its readiness endpoint
  * @param {string} url - URL to test
- * @returns {Promise<boolean>} - Whether the URL is reachable
+ * @returns {Promise<boolean>} - Whether the URL is reachable and ready or degraded
  */
 const isUrlReachable = async (url) => {
   try {
-    // Try to fetch the health endpoint
-    const healthUrl = url.endsWith('/api') 
-      ? `${url}/health`
-      : `${url}/api/health`;
+    // Try to fetch the readiness endpoint
+    const readyUrl = url.endsWith('/api') 
+      ? `${url}/health/ready`
+      : `${url}/api/health/ready`;
     
-    console.log(`Testing connection to: ${healthUrl}`);
+    console.log(`Testing connection to: ${readyUrl}`);
     
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 3000); // 3 seconds timeout
     
-    const response = await fetch(healthUrl, { 
+    const response = await fetch(readyUrl, { 
       method: 'GET',
       signal: controller.signal
     });
     
     clearTimeout(timeoutId);
     
+    // 503 means the server is up but can't save data
+    const data = await response.json().catch(() => null);
+    backendStatus = data?.status || (response.ok ? 'ready' : 'unavailable');
+    
     if (response.ok) {
-      const data = await response.json();
-      console.log(`Connection successful to ${url}:`, data);
+      console.log(`Connection successful to ${url}: ${backendStatus}`);
       return true;
     }
     
+    console.log(`Backend at ${url} is not ready: ${backendStatus}`);
     return false;
   } catch (error) {
     console.log(`Connection failed to ${url}:`, error.message);
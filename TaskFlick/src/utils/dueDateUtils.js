@@ -0,0 +1,89 @@
+/**
+ * Due date utilities for TaskFlick app
+ * A quest that is still open after its due date is cursed: completing it
+ * lifts the curse but only earns part of the quest's XP.
+ */
+
+// Quests due within this many hours are shown as due soon
+const DUE_SOON_HOURS = 24;
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+/**
+ * Check whether an open quest has passed its due date
+ * @param {Object} task - The task to check
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isOverdue = (task, now = new Date()) => {
+  return !task.completed && !!task.dueDate && new Date(task.dueDate) < now;
+};
+
+/**
+ * Check whether an open quest is due within the next day
+ * @param {Object} task - The task to check
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isDueSoon = (task, now = new Date()) => {
+  if (task.completed || !task.dueDate) return false;
+  const timeLeft = new Date(task.dueDate) - now;
+  return timeLeft >= 0 && timeLeft <= DUE_SOON_HOURS * MS_PER_HOUR;
+};
+
+/**
+ * Format a due date for display, e.g. "Today at 18:00" or "Mon, Mar 3 at 09:30"
+ * @param {string} dueDate - ISO date string
+ * @returns {string}
+ */
+export const formatDueDate = (dueDate) => {
+  const date = new Date(dueDate);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const dayDiff = Math.round((day - today) / MS_PER_DAY);
+
+  if (dayDiff === 0) return `Today at ${time}`;
+  if (dayDiff === 1) return `Tomorrow at ${time}`;
+  if (dayDiff === -1) return `Yesterday at ${time}`;
+
+  const dateText = date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+  return `${dateText} at ${time}`;
+};
+
+/**
+ * Short label describing when a quest is due, e.g. "Due in 3h" or "Overdue by 2d"
+ * @param {Object} task - The task to describe
+ * @param {Date} now - Reference time
+ * @returns {string|null} - null when the task has no due date
+ */
+export const getDueLabel = (task, now = new Date()) => {
+  if (!task.dueDate) return null;
+
+  const diff = new Date(task.dueDate) - now;
+  const abs = Math.abs(diff);
+  const amount = abs >= MS_PER_DAY
+    ? `${Math.floor(abs / MS_PER_DAY)}d`
+    : abs >= MS_PER_HOUR
+      ? `${Math.floor(abs / MS_PER_HOUR)}h`
+      : `${Math.max(1, Math.floor(abs / 60000))}m`;
+
+  return diff < 0 ? `Overdue by ${amount}` : `Due in ${amount}`;
+};
+
+/**
+ * Sort comparator for open quests: overdue first, then by due date, then quests without one
+ * @returns {number}
+ */
+export const compareByDueDate = (a, b) => {
+  if (a.dueDate && b.dueDate) {
+    return new Date(a.dueDate) - new Date(b.dueDate);
+  }
+  if (a.dueDate) return -1;
+  if (b.dueDate) return 1;
+  return 0;
+};
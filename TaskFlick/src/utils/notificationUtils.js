@@ -0,0 +1,158 @@
+/**
+ * Local notification reminders for quest due dates
+ * Scheduled reminders are tracked per task in AsyncStorage so they can be
+ * moved or cancelled when the quest changes, is completed or deleted.
+ */
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { formatDueDate } from './dueDateUtils';
+
+const REMINDERS_KEY = 'quest_reminders';
+
+// How long before the due date the reminder fires
+export const REMINDER_LEAD_MINUTES = 60;
+
+// Show reminders while the app is open too
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Reminder updates run one after another so the stored map stays consistent
+let reminderLock = Promise.resolve();
+let permissionGranted = null;
+
+/**
+ * Ask for notification permission once
+ * @returns {Promise<boolean>} - Whether notifications may be shown
+ */
+const ensurePermission = async () => {
+  if (permissionGranted !== null) return permissionGranted;
+
+  try {
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) {
+      permissionGranted = true;
+    } else {
+      const requested = await Notifications.requestPermissionsAsync();
+      permissionGranted = requested.granted;
+    }
+  } catch (error) {
+    console.log('Could not get notification permission:', error.message);
+    permissionGranted = false;
+  }
+
+  return permissionGranted;
+};
+
+/**
+ * Pick the time a task's reminder should fire
+ * @returns {Date|null} - null if the due date has already passed
+ */
+const getReminderTime = (task, now = new Date()) => {
+  const dueDate = new Date(task.dueDate);
+  const reminderTime = new Date(dueDate.getTime() - REMINDER_LEAD_MINUTES * 60 * 1000);
+
+  if (reminderTime > now) return reminderTime;
+  if (dueDate > now) return dueDate;
+  return null;
+};
+
+/**
+ * Schedule a task's reminder
+ * @returns {Promise<string|null>} - Notification id, or null if nothing was scheduled
+ */
+const scheduleReminder = async (task) => {
+  const reminderTime = getReminderTime(task);
+  if (!reminderTime || !(await ensurePermission())) return null;
+
+  return Notifications.scheduleNotificationAsync({
+    content: {
+      title: '⏳ Quest deadline approaching',
+      body: `${task.questTitle || task.title} is due ${formatDueDate(task.dueDate).toLowerCase()}. Finish it before it becomes cursed!`,
+      data: { questId: task.id },
+    },
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date: reminderTime,
+    },
+  });
+};
+
+/**
+ * Bring scheduled reminders in line with the current task list: open quests
+ * with a future due date get a reminder, everything else has its reminder cancelled
+ * @param {Array} tasks - Current tasks
+ * @returns {Promise<void>}
+ */
+export const syncQuestReminders = (tasks) => {
+  if (Platform.OS === 'web') return Promise.resolve();
+
+  const run = reminderLock.then(async () => {
+    const stored = await AsyncStorage.getItem(REMINDERS_KEY);
+    const reminders = stored ? JSON.parse(stored) : {};
+    const updated = {};
+
+    for (const task of tasks) {
+      if (task.completed || !task.dueDate) continue;
+
+      // Title is part of the reminder text, so a rename reschedules too
+      const existing = reminders[task.id];
+      if (existing && existing.dueDate === task.dueDate && existing.title === task.questTitle) {
+        updated[task.id] = existing;
+        continue;
+      }
+
+      if (existing) {
+        await Notifications.cancelScheduledNotificationAsync(existing.notificationId);
+      }
+
+      const notificationId = await scheduleReminder(task);
+      if (notificationId) {
+        updated[task.id] = { notificationId, dueDate: task.dueDate, title: task.questTitle };
+      }
+
+      // Rescheduled above, or the due date has passed
+      if (existing) {
+        delete reminders[task.id];
+      }
+    }
+
+    // Cancel reminders of quests that were completed, deleted or lost their due date
+    for (const taskId of Object.keys(reminders)) {
+      if (!updated[taskId]) {
+        await Notifications.cancelScheduledNotificationAsync(reminders[taskId].notificationId);
+      }
+    }
+
+    await AsyncStorage.setItem(REMINDERS_KEY, JSON.stringify(updated));
+  });
+
+  reminderLock = run.catch(error => {
+    console.error('Error updating quest reminders:', error);
+  });
+  return reminderLock;
+};
+
+/**
+ * Cancel every quest reminder, e.g. on logout
+ * @returns {Promise<void>}
+ */
+export const cancelAllQuestReminders = () => {
+  if (Platform.OS === 'web') return Promise.resolve();
+
+  const run = reminderLock.then(async () => {
+    await Notifications.cancelAllScheduledNotificationsAsync();
+    await AsyncStorage.removeItem(REMINDERS_KEY);
+  });
+
+  reminderLock = run.catch(error => {
+    console.error('Error cancelling quest reminders:', error);
+  });
+  return reminderLock;
+};
@@ -0,0 +1,269 @@
+/**
+ * Recurrence utilities for TaskFlick app
+ * Recurring quests store a subset of RFC 5545 RRULE:
+ *   FREQ=DAILY|WEEKLY, INTERVAL=n and (weekly only) BYDAY=MO,TU,...
+ * Each instance of a series covers one occurrence day; the next instance is
+ * spawned when it is completed or when its period rolls over.
+ */
+
+// RRULE day codes, indexed like Date.getDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const WORKWEEK = [1, 2, 3, 4, 5];
+const MAX_INTERVAL = 365;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Repeat options offered in the quest form
+export const RECURRENCE_PRESETS = [
+  { key: 'none', label: 'Never' },
+  { key: 'daily', label: 'Daily' },
+  { key: 'weekdays', label: 'Weekdays' },
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'interval', label: 'Every N days' },
+];
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {Object|null} - { freq, interval, byDay } or null if the rule is invalid or unsupported
+ */
+export const parseRecurrence = (rule) => {
+  if (!rule || typeof rule !== 'string') return null;
+
+  const parts = {};
+  for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (!key || !value) return null;
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (freq !== 'DAILY' && freq !== 'WEEKLY') return null;
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) return null;
+
+  let byDay = [];
+  if (parts.BYDAY) {
+    if (freq !== 'WEEKLY') return null;
+    byDay = parts.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code));
+    if (byDay.includes(-1)) return null;
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY'].includes(key));
+  if (unsupported.length > 0) return null;
+
+  return { freq, interval, byDay: [...new Set(byDay)].sort() };
+};
+
+/**
+ * Build a recurrence rule string
+ * @param {Object} recurrence - { freq, interval, byDay }
+ * @returns {string}
+ */
+export const formatRecurrence = ({ freq, interval = 1, byDay = [] }) => {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (freq === 'WEEKLY' && byDay.length > 0) {
+    // Monday first, as people read a week
+    const ordered = [...byDay].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    parts.push(`BYDAY=${ordered.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Build a rule from a form preset
+ * @param {string} preset - One of RECURRENCE_PRESETS keys
+ * @param {Object} options - { byDay, interval } for the weekly and interval presets
+ * @returns {string|null} - Rule, or null for no recurrence
+ */
+export const buildRecurrence = (preset, { byDay = [], interval = 2 } = {}) => {
+  switch (preset) {
+    case 'daily':
+      return formatRecurrence({ freq: 'DAILY' });
+    case 'weekdays':
+      return formatRecurrence({ freq: 'WEEKLY', byDay: WORKWEEK });
+    case 'weekly':
+      return byDay.length > 0 ? formatRecurrence({ freq: 'WEEKLY', byDay }) : null;
+    case 'interval':
+      return formatRecurrence({ freq: 'DAILY', interval });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Map a rule back to the form preset that produces it
+ * @param {string} rule - Recurrence rule
+ * @returns {Object} - { preset, byDay, interval }
+ */
+export const getRecurrencePreset = (rule) => {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return { preset: 'none', byDay: [], interval: 2 };
+
+  if (parsed.freq === 'DAILY') {
+    return parsed.interval === 1
+      ? { preset: 'daily', byDay: [], interval: 2 }
+      : { preset: 'interval', byDay: [], interval: parsed.interval };
+  }
+
+  const isWorkweek = parsed.interval === 1 && parsed.byDay.join() === WORKWEEK.join();
+  return { preset: isWorkweek ? 'weekdays' : 'weekly', byDay: parsed.byDay, interval: parsed.interval };
+};
+
+/**
+ * Describe a rule for display, e.g. "Daily", "Every 3 days" or "Weekly on Mon, Thu"
+ * @param {string} rule - Recurrence rule
+ * @returns {string|null}
+ */
+export const describeRecurrence = (rule) => {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return null;
+
+  if (parsed.freq === 'DAILY') {
+    return parsed.interval === 1 ? 'Daily' : `Every ${parsed.interval} days`;
+  }
+
+  const { preset } = getRecurrencePreset(rule);
+  if (preset === 'weekdays') return 'Weekdays';
+
+  const days = [...parsed.byDay]
+    .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+    .map(day => WEEKDAY_LABELS[day])
+    .join(', ');
+  const every = parsed.interval === 1 ? 'Weekly' : `Every ${parsed.interval} weeks`;
+  return days ? `${every} on ${days}` : every;
+};
+
+/**
+ * Local calendar day of a date as "YYYY-MM-DD"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Local midnight of a "YYYY-MM-DD" day
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+export const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Start (Sunday) of the week a day falls in
+const startOfWeek = (date) => addDays(date, -date.getDay());
+
+/**
+ * Check whether a day matches a weekly rule, counting weeks from the anchor day
+ */
+const matchesWeekly = (parsed, anchor, date) => {
+  const byDay = parsed.byDay.length > 0 ? parsed.byDay : [anchor.getDay()];
+  if (!byDay.includes(date.getDay())) return false;
+
+  const weeks = Math.round((startOfWeek(date) - startOfWeek(anchor)) / (MS_PER_DAY * 7));
+  return weeks % parsed.interval === 0;
+};
+
+/**
+ * Get the first occurrence day strictly after a given occurrence day
+ * @param {string} rule - Recurrence rule
+ * @param {string} dateKey - Current occurrence day ("YYYY-MM-DD")
+ * @returns {string|null} - Next occurrence day, or null if the rule is invalid
+ */
+export const getNextOccurrence = (rule, dateKey) => {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return null;
+
+  const current = fromDateKey(dateKey);
+  if (parsed.freq === 'DAILY') {
+    return toDateKey(addDays(current, parsed.interval));
+  }
+
+  // At most `interval` weeks plus one week away
+  for (let offset = 1; offset <= 7 * (parsed.interval + 1); offset++) {
+    const candidate = addDays(current, offset);
+    if (matchesWeekly(parsed, current, candidate)) {
+      return toDateKey(candidate);
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the first occurrence day on or after a date, for a new series
+ * @param {string} rule - Recurrence rule
+ * @param {Date} date - Earliest day
+ * @returns {string|null}
+ */
+export const getFirstOccurrence = (rule, date = new Date()) => {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return null;
+
+  const start = fromDateKey(toDateKey(date));
+  if (parsed.freq === 'DAILY' || parsed.byDay.length === 0 || parsed.byDay.includes(start.getDay())) {
+    return toDateKey(start);
+  }
+  return getNextOccurrence(rule, toDateKey(start));
+};
+
+/**
+ * Get the occurrence whose period contains today, moving forward from a past occurrence
+ * @param {string} rule - Recurrence rule
+ * @param {string} dateKey - Occurrence day of the open instance
+ * @param {Date} now - Reference time
+ * @returns {string} - The latest occurrence day not after today (or dateKey if it is still current)
+ */
+export const getCurrentOccurrence = (rule, dateKey, now = new Date()) => {
+  const today = toDateKey(now);
+  let current = dateKey;
+  let next = getNextOccurrence(rule, current);
+
+  while (next && next <= today) {
+    current = next;
+    next = getNextOccurrence(rule, current);
+  }
+  return current;
+};
+
+/**
+ * Check whether an instance's period is over, i.e. the next occurrence has arrived
+ * @param {Object} task - A recurring task instance
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const hasPeriodEnded = (task, now = new Date()) => {
+  if (!task.recurrence || !task.occurrenceDate) return false;
+  const next = getNextOccurrence(task.recurrence, task.occurrenceDate);
+  return !!next && next <= toDateKey(now);
+};
+
+/**
+ * Due date of an instance: its occurrence day at the time of day of a previous due date
+ * @param {string} dateKey - Occurrence day
+ * @param {string|null} previousDueDate - Due date of the instance it follows
+ * @returns {string|null} - ISO date, or null if the series has no due time
+ */
+export const getOccurrenceDueDate = (dateKey, previousDueDate) => {
+  if (!previousDueDate) return null;
+
+  const time = new Date(previousDueDate);
+  const dueDate = fromDateKey(dateKey);
+  dueDate.setHours(time.getHours(), time.getMinutes(), 0, 0);
+  return dueDate.toISOString();
+};
@@ -0,0 +1,74 @@
+/**
+ * Sub-step utilities for TaskFlick app
+ * A quest can be split into ordered steps. Checking off a step awards a share
+ * of the quest's XP; completing the quest awards whatever is left, so the
+ * total never depends on how the quest was split.
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+// Share of a quest's XP spread over its sub-steps; the rest is awarded on completion
+export const STEP_XP_SHARE = 0.5;
+
+// Most steps a quest can have
+export const MAX_STEPS = 20;
+
+/**
+ * Split a quest's step XP over its steps, in order; earlier steps get any remainder
+ * @param {Array} steps - The quest's steps
+ * @param {number} questPoints - Full XP of the quest
+ * @returns {Array<number>} - XP per step
+ */
+export const getStepPoints = (steps = [], questPoints) => {
+  if (steps.length === 0) return [];
+
+  const pool = Math.round(questPoints * STEP_XP_SHARE);
+  const base = Math.floor(pool / steps.length);
+  const remainder = pool - base * steps.length;
+  return steps.map((step, index) => base + (index < remainder ? 1 : 0));
+};
+
+/**
+ * Total XP already awarded for a task's completed steps
+ * @param {Object} task - Task with a `steps` array
+ * @returns {number}
+ */
+export const getAwardedStepPoints = (task) => {
+  return (task.steps || []).reduce((sum, step) => sum + (step.completed ? step.pointsAwarded || 0 : 0), 0);
+};
+
+/**
+ * Progress through a task's steps
+ * @param {Object} task - Task with a `steps` array
+ * @returns {Object} - { done, total, ratio }
+ */
+export const getStepProgress = (task) => {
+  const steps = task.steps || [];
+  const done = steps.filter(step => step.completed).length;
+  return { done, total: steps.length, ratio: steps.length > 0 ? done / steps.length : 0 };
+};
+
+/**
+ * Apply edited step titles and order, keeping the completion state and
+ * chapter narrative of steps that already existed
+ * @param {Array} editedSteps - Steps from the form ({ id?, title })
+ * @param {Array} existingSteps - The task's current steps
+ * @returns {Array} - Steps for the task
+ */
+export const mergeEditedSteps = (editedSteps, existingSteps = []) => {
+  const existing = new Map(existingSteps.map(step => [step.id, step]));
+
+  return editedSteps
+    .filter(step => step.title && step.title.trim())
+    .slice(0, MAX_STEPS)
+    .map(step => {
+      const stored = existing.get(step.id);
+      return {
+        id: stored ? stored.id : step.id || uuidv4(),
+        title: step.title.trim(),
+        narrative: stored?.narrative || null,
+        completed: stored?.completed || false,
+        completedAt: stored?.completedAt || null,
+        pointsAwarded: stored?.pointsAwarded || 0
+      };
+    });
+};
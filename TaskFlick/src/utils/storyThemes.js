@@ -0,0 +1,312 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Story themes
+ * Quests, chapters, messages and badges are written in the player's story
+ * theme. The backend gets the theme with every generation request (see
+ * getThemeParams); each theme also has a local template pack that is used
+ * when the backend can't be reached. A custom theme is described by the
+ * player in a few words and only the backend can follow it, so its local
+ * pack is neutral.
+ */
+
+const STORAGE_KEY = 'storyTheme';
+export const DEFAULT_STORY_THEME = 'fantasy';
+// Longest custom style description the backend accepts
+export const MAX_THEME_STYLE_LENGTH = 200;
+
+export const STORY_THEMES = {
+  fantasy: {
+    label: 'Fantasy',
+    description: 'Kingdoms, dragons and brave adventurers',
+    pack: {
+      places: { work: 'Guild', learning: 'Arcane', health: 'Warrior', chores: 'Village' },
+      defaultPlace: 'Adventure',
+      titles: [
+        (task, place) => `The ${place} ${task}`,
+        (task, place) => `${place} Mission: ${task}`,
+        (task, place) => `${place}'s Call: ${task}`,
+        (task, place) => `The ${place} Seeker's ${task}`,
+        (task, place) => `${task} of the ${place} Realm`
+      ],
+      narratives: {
+        work: 'The Guild requires your expertise. Complete this task to gain favor with the Guild Masters.',
+        learning: 'Ancient knowledge awaits your discovery. Master this arcane challenge to expand your wisdom.',
+        health: 'A warrior\'s strength comes from consistent training. Push through this challenge to enhance your power.',
+        chores: 'The village needs your attention. Restore order to this area to improve the prosperity of your domain.',
+        personal: 'Your personal quest awaits. Success will bring you closer to fulfilling your destiny.'
+      },
+      difficulties: {
+        mini: 'This is but a small step in your journey, yet important nonetheless.',
+        normal: 'A worthy challenge that will test your resolve and determination.',
+        boss: 'Beware, adventurer! This formidable task will require all your skill and courage to overcome.'
+      },
+      hero: 'A brave adventurer',
+      goal: 'to help the kingdom thrive',
+      messages: [
+        "The path to greatness is paved with completed quests!",
+        "Even the mightiest heroes began with small victories. Keep going!",
+        "Your quest log grows more impressive each day. The kingdom notices your deeds!",
+        "The greatest adventure is the one that transforms you. Onward!",
+        "A true hero knows that persistence unlocks all achievements.",
+        "Your journey inspires others around you. Continue your noble path!",
+        "Each completed quest brings you closer to legendary status.",
+        "The rewards of consistency are waiting just over the horizon.",
+        "Your dedication to your quests shapes your destiny.",
+        "Today's small victory is tomorrow's epic tale!"
+      ]
+    }
+  },
+  scifi: {
+    label: 'Sci-Fi',
+    description: 'Starships, space stations and distant colonies',
+    pack: {
+      places: { work: 'Command', learning: 'Archive', health: 'Cadet', chores: 'Habitat' },
+      defaultPlace: 'Frontier',
+      titles: [
+        (task, place) => `${place} Directive: ${task}`,
+        (task, place) => `Operation ${task}`,
+        (task, place) => `The ${place} Protocol: ${task}`
+      ],
+      narratives: {
+        work: 'Command has flagged this assignment as mission-critical. Complete it to earn your next promotion.',
+        learning: 'The ship\'s archive holds data no one has decoded yet. Study it to upgrade your skills.',
+        health: 'Every cadet must pass the fitness trials before the next jump. Train hard to stay flight-ready.',
+        chores: 'The habitat module needs maintenance. Restore it before life support starts complaining.',
+        personal: 'A personal log entry awaits. Completing it keeps your course true among the stars.'
+      },
+      difficulties: {
+        mini: 'A routine check, but even routine checks keep the ship flying.',
+        normal: 'A standard mission that will test your training.',
+        boss: 'Red alert! This mission will take everything the crew has.'
+      },
+      hero: 'A daring starship cadet',
+      goal: 'to keep the colony running',
+      messages: [
+        'All systems go, cadet. Your next mission is cleared for launch!',
+        'Every completed mission brings the colony closer to the stars.',
+        'Shields up, focus locked. No task can outrun your thrusters!',
+        'The galaxy was not charted in a day. Keep logging those missions!',
+        'Mission control reports record progress. Keep it up, pilot!',
+        'Your trajectory is true. Fire the engines for the next mission!'
+      ]
+    }
+  },
+  noir: {
+    label: 'Noir',
+    description: 'Rain-soaked streets and hard-boiled cases',
+    pack: {
+      places: { work: 'Precinct', learning: 'Records', health: 'Street', chores: 'Apartment' },
+      defaultPlace: 'Case',
+      titles: [
+        (task, place) => `The Case of the ${task}`,
+        (task, place) => `${place} File: ${task}`,
+        (task, place) => `${task} After Midnight`
+      ],
+      narratives: {
+        work: 'The chief dropped a file on your desk and walked off without a word. Close it before the trail goes cold.',
+        learning: 'Somewhere in the records room lies the answer. Dig through the files and learn what they know.',
+        health: 'This city wears a detective down. Stay sharp and keep your legs ready for the chase.',
+        chores: 'Your apartment looks like somebody tossed it. Put it back together before the next client knocks.',
+        personal: 'This one is personal, and those are the cases that matter most.'
+      },
+      difficulties: {
+        mini: 'An open-and-shut case, but every case counts.',
+        normal: 'A tricky case with more than one loose end.',
+        boss: 'The biggest case of your career. Watch your back.'
+      },
+      hero: 'A sharp-eyed detective',
+      goal: 'to close the case',
+      messages: [
+        'The city never sleeps, and neither does a good detective. Crack the next case.',
+        'Every closed case is one less shadow in this town.',
+        'The clues are all there, gumshoe. You just have to follow them.',
+        'Rain on the window, a case on the desk. Time to get to work.',
+        "They said it couldn't be solved. They hadn't met you.",
+        'One more case closed, and this town sleeps a little easier.'
+      ]
+    }
+  },
+  pirate: {
+    label: 'Pirate',
+    description: 'High seas, treasure maps and rival crews',
+    pack: {
+      places: { work: "Captain's", learning: "Navigator's", health: "Boatswain's", chores: 'Galley' },
+      defaultPlace: 'Buccaneer',
+      titles: [
+        (task, place) => `The ${place} Voyage: ${task}`,
+        (task, place) => `Plunder of the ${task}`,
+        (task, place) => `${task} on the High Seas`
+      ],
+      narratives: {
+        work: 'The captain has given ye orders, and orders are to be followed. Finish the job and earn yer share of the loot.',
+        learning: 'The navigator\'s charts hold secrets of distant shores. Study them well, sailor.',
+        health: 'A weak arm can\'t haul a rope. Train hard and keep yer sea legs strong.',
+        chores: 'The galley is a mess and the cook is grumbling. Swab it clean before supper.',
+        personal: 'Every pirate has a treasure of their own to chase. This one is yours.'
+      },
+      difficulties: {
+        mini: 'A quick job between ports, but every coin counts.',
+        normal: 'A fair voyage with a few storms along the way.',
+        boss: 'Sea monsters ahead! Only the bravest crew will make it through.'
+      },
+      hero: 'A bold deckhand',
+      goal: 'to keep the ship afloat',
+      messages: [
+        'Hoist the sails! Treasure waits for those who finish their voyages.',
+        'Every task ye plunder fills the chest a little more, matey!',
+        'Steady at the helm. The next island is just over the horizon.',
+        'A true pirate never leaves a job half done. Onward, sailor!',
+        'The map is marked and the wind is fair. Set course for victory!',
+        'Yo ho! Another voyage done, and the crew sings your name.'
+      ]
+    }
+  },
+  cozy: {
+    label: 'Cozy',
+    description: 'Warm kitchens, gardens and gentle village days',
+    pack: {
+      places: { work: 'Workshop', learning: 'Library', health: 'Meadow', chores: 'Cottage' },
+      defaultPlace: 'Hearth',
+      titles: [
+        (task, place) => `A Gentle ${task}`,
+        (task, place) => `${task} at the ${place}`,
+        (task, place) => `The ${place} Errand: ${task}`
+      ],
+      narratives: {
+        work: 'The workshop hums along nicely. Finish this little job and treat yourself to a warm cup of tea.',
+        learning: 'The village library has a new book waiting just for you. Curl up and learn something lovely.',
+        health: 'The meadow is sunny today. A gentle stretch of the legs will do you good.',
+        chores: 'The cottage could use a little tidying. A clean home makes for the coziest evenings.',
+        personal: 'A small kindness to yourself today makes tomorrow a little brighter.'
+      },
+      difficulties: {
+        mini: 'Just a tiny thing, done before the kettle boils.',
+        normal: 'A pleasant afternoon\'s work.',
+        boss: 'A big project, but the whole village will lend a hand.'
+      },
+      hero: 'A kind-hearted villager',
+      goal: 'to make the village a little cozier',
+      messages: [
+        'Put the kettle on. One small task at a time makes a lovely day.',
+        'Every little thing you finish makes the village a bit warmer.',
+        'The garden grows one seed at a time, and so do you.',
+        'Take a breath, grab a blanket, and tackle the next gentle errand.',
+        'The neighbours are cheering you on from their porches!',
+        'A tidy cottage and a happy heart. You are doing wonderfully.'
+      ]
+    }
+  },
+  custom: {
+    label: 'Custom',
+    description: 'Describe your own story style',
+    pack: {
+      places: {},
+      defaultPlace: 'Story',
+      titles: [
+        (task, place) => `Chapter: ${task}`,
+        (task, place) => `The Tale of ${task}`
+      ],
+      narratives: {
+        personal: 'A new chapter of your story begins. Complete this task to see what happens next.'
+      },
+      difficulties: {
+        mini: 'A short scene, but every scene matters.',
+        normal: 'A chapter with a twist or two.',
+        boss: 'The climax of the story. Give it everything you have.'
+      },
+      hero: 'Our hero',
+      goal: 'to move the story forward',
+      messages: [
+        'Every task you finish writes a new page of your story. Keep going!',
+        'Your story is just getting good. On to the next chapter!',
+        'One task at a time, the tale unfolds. You are doing great!'
+      ]
+    }
+  }
+};
+
+// Categories that share a pack's places and narratives
+const CATEGORY_GROUPS = {
+  work: 'work',
+  education: 'learning',
+  study: 'learning',
+  learning: 'learning',
+  fitness: 'health',
+  health: 'health',
+  home: 'chores',
+  chores: 'chores'
+};
+
+/**
+ * Map a task category onto the categories theme packs are written for
+ * @param {string} category - Task category
+ * @returns {string|null} - work, learning, health, chores, or null for anything else
+ */
+export const getCategoryGroup = (category) => {
+  const lower = String(category || '').toLowerCase();
+  const key = Object.keys(CATEGORY_GROUPS).find(name => lower.includes(name));
+  return key ? CATEGORY_GROUPS[key] : null;
+};
+
+// The player's theme; module state so every generation request can read it
+let currentTheme = { key: DEFAULT_STORY_THEME, style: '' };
+
+/**
+ * The player's story theme
+ * @returns {Object} - { key, style } where style is only set for custom themes
+ */
+export const getStoryTheme = () => currentTheme;
+
+/**
+ * Local template pack of a theme
+ * @param {string} key - Theme key, the player's theme by default
+ * @returns {Object} - The pack, see STORY_THEMES
+ */
+export const getThemePack = (key = currentTheme.key) => (STORY_THEMES[key] || STORY_THEMES[DEFAULT_STORY_THEME]).pack;
+
+/**
+ * Theme fields for a generation request body or query string
+ * @returns {Object} - { theme } plus { themeStyle } for custom themes
+ */
+export const getThemeParams = () => (
+  currentTheme.key === 'custom'
+    ? { theme: 'custom', themeStyle: currentTheme.style }
+    : { theme: currentTheme.key }
+);
+
+/**
+ * Load the saved theme, falling back to the default theme
+ * @returns {Promise<Object>} - { key, style }
+ */
+export const loadStoryTheme = async () => {
+  try {
+    const saved = JSON.parse(await AsyncStorage.getItem(STORAGE_KEY) || 'null');
+    if (saved && STORY_THEMES[saved.key] && (saved.key !== 'custom' || saved.style)) {
+      currentTheme = { key: saved.key, style: saved.key === 'custom' ? saved.style : '' };
+    }
+  } catch (error) {
+    console.error('Error loading story theme:', error);
+  }
+  return currentTheme;
+};
+
+/**
+ * Make a theme the player's theme and save it
+ * @param {string} key - Theme key, see STORY_THEMES
+ * @param {string} style - Style description, for custom themes
+ * @returns {Promise<Object>} - { key, style }
+ */
+export const saveStoryTheme = async (key, style = '') => {
+  if (!STORY_THEMES[key]) {
+    throw new Error(`Unknown story theme: ${key}`);
+  }
+  const customStyle = key === 'custom' ? style.trim().substring(0, MAX_THEME_STYLE_LENGTH) : '';
+  if (key === 'custom' && !customStyle) {
+    throw new Error('Describe the style of your custom theme');
+  }
+
+  currentTheme = { key, style: customStyle };
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(currentTheme));
+  return currentTheme;
+};
@@ -0,0 +1,361 @@
+/**
+ * Offline-first sync engine
+ * Local task changes are recorded as operations in a persistent queue and
+ * replayed against the backend once it is reachable. Conflicting edits from
+ * different devices are resolved last-writer-wins per field (see
+ * `fieldUpdatedAt` on each task), and deletes are kept as server-side
+ * tombstones so a stale edit can't bring a deleted task back.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { v4 as uuidv4 } from 'uuid';
+import { getApiUrl } from './connectionUtils';
+import { authFetch } from './authUtils';
+import { getThemeParams } from './storyThemes';
+
+const QUEUE_KEY = 'sync_queue';
+
+// Task fields that are synced with the backend
+export const SYNCED_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficulty',
+  'questTitle',
+  'questNarrative',
+  'isAIGenerated',
+  'promptVariant',
+  'isNarrativeEdited',
+  'narrativeHistory',
+  'dueDate',
+  'recurrence',
+  'seriesId',
+  'occurrenceDate',
+  'seriesStreak',
+  'seriesBestStreak',
+  'chainId',
+  'chainIndex',
+  'chainTitle',
+  'estimatedMinutes',
+  'steps',
+  'completed',
+  'completedAt',
+  'cursed',
+  'xpMultiplier'
+];
+
+// Set by the complete operation rather than by edits
+const COMPLETION_FIELDS = ['completed', 'completedAt', 'cursed', 'xpMultiplier'];
+
+// Fields sent with update operations (completion has its own operation)
+const UPDATABLE_FIELDS = SYNCED_FIELDS.filter(field => !COMPLETION_FIELDS.includes(field));
+
+// HTTP statuses worth retrying later; any other error means the operation can never succeed
+const RETRYABLE_STATUSES = [401, 408, 429];
+
+// All queue access goes through this chain so reads and writes never interleave
+let queueLock = Promise.resolve();
+let isReplaying = false;
+
+/**
+ * Run a function against the stored queue and save the queue afterwards
+ * @param {Function} fn - Receives the queue array and may mutate it
+ */
+const withQueue = (fn) => {
+  const run = queueLock.then(async () => {
+    let queue = [];
+    try {
+      const stored = await AsyncStorage.getItem(QUEUE_KEY);
+      queue = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error reading sync queue:', error);
+    }
+
+    const result = await fn(queue);
+    await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    return result;
+  });
+
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Record the change time of the given fields on a task
+ * @param {Object} task - Task to stamp
+ * @param {Array<string>} fields - Changed fields
+ * @param {string} timestamp - ISO change time
+ * @returns {Object} - Task with updated `fieldUpdatedAt`
+ */
+export const stampFields = (task, fields, timestamp) => {
+  const fieldUpdatedAt = { ...task.fieldUpdatedAt };
+  fields.forEach(field => {
+    fieldUpdatedAt[field] = timestamp;
+  });
+  return { ...task, fieldUpdatedAt };
+};
+
+/**
+ * Add an operation to the sync queue
+ * @param {string} type - create, update, complete, step or delete
+ * @param {string} taskId - Task the operation applies to
+ * @param {Object} payload - Operation data
+ * @returns {Promise<number>} - Number of pending operations
+ */
+export const enqueueOperation = (type, taskId, payload = {}) => {
+  return withQueue(queue => {
+    queue.push({
+      id: uuidv4(),
+      type,
+      taskId,
+      payload,
+      timestamp: new Date().toISOString()
+    });
+    return queue.length;
+  });
+};
+
+/**
+ * Get the number of operations waiting to be synced
+ * @returns {Promise<number>}
+ */
+export const getPendingCount = () => withQueue(queue => queue.length);
+
+/**
+ * Call the backend API
+ * @returns {Promise<Object>} - { ok, status, data }
+ */
+const request = async (endpoint, method = 'GET', body = null) => {
+  const url = await getApiUrl(endpoint);
+  if (!url) {
+    throw new Error('Cannot connect to backend server');
+  }
+
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+  };
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await authFetch(url, options);
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    // Non-JSON error bodies are ignored
+  }
+
+  return { ok: response.ok, status: response.status, data };
+};
+
+/**
+ * Send a single queued operation to the backend
+ * @returns {Promise<boolean>} - true when the operation is done (or can never succeed),
+ *   false when it should stay queued and be retried later
+ */
+const sendOperation = async (operation) => {
+  const { type, taskId, payload, timestamp } = operation;
+  let response;
+
+  switch (type) {
+    case 'create':
+      response = await request('tasks', 'POST', { ...payload, id: taskId });
+      break;
+    case 'update':
+      response = await request(`tasks/${taskId}`, 'PUT', { ...payload, updatedAt: timestamp });
+      break;
+    case 'complete':
+      // The story theme the quest's campaign chapter is written in; the current one if none was queued.
+      // The timezone offset lets the server count streak days on the player's clock.
+      response = await request(`tasks/${taskId}/complete`, 'POST', {
+        ...getThemeParams(),
+        timezoneOffset: new Date(payload.completedAt || timestamp).getTimezoneOffset(),
+        ...payload,
+        completedAt: payload.completedAt || timestamp
+      });
+      break;
+    case 'step':
+      response = await request(`tasks/${taskId}/steps/${payload.stepId}`, 'PUT', {
+        completed: payload.completed,
+        completedAt: timestamp
+      });
+      break;
+    case 'delete':
+      response = await request(`tasks/${taskId}`, 'DELETE');
+      break;
+    default:
+      console.warn(`Dropping unknown sync operation type: ${type}`);
+      return true;
+  }
+
+  if (response.ok) {
+    return true;
+  }
+
+  if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+    console.log(`Sync operation ${type} for ${taskId} failed with ${response.status}, will retry`);
+    return false;
+  }
+
+  // 4xx such as 404 (never created) or 410 (deleted on another device)
+  console.warn(`Dropping sync operation ${type} for ${taskId}:`, response.data?.message || response.status);
+  return true;
+};
+
+/**
+ * Replay queued operations in order, stopping at the first one that has to be retried
+ * @returns {Promise<Object>} - { replayed, pending }
+ */
+export const replayQueue = async () => {
+  if (isReplaying) {
+    return { replayed: 0, pending: await getPendingCount() };
+  }
+
+  isReplaying = true;
+  let replayed = 0;
+
+  try {
+    while (true) {
+      const operation = await withQueue(queue => queue[0]);
+      if (!operation) break;
+
+      let done = false;
+      try {
+        done = await sendOperation(operation);
+      } catch (error) {
+        console.log('Sync paused, backend unreachable:', error.message);
+      }
+
+      if (!done) break;
+
+      await withQueue(queue => {
+        const index = queue.findIndex(op => op.id === operation.id);
+        if (index !== -1) queue.splice(index, 1);
+      });
+      replayed += 1;
+    }
+  } finally {
+    isReplaying = false;
+  }
+
+  return { replayed, pending: await getPendingCount() };
+};
+
+/**
+ * Merge one task from the server into the local copy, field by field
+ * @param {Object} localTask - Local task
+ * @param {Object} serverTask - Server task
+ * @returns {Object} - Merged task
+ */
+export const mergeTaskFields = (localTask, serverTask) => {
+  const merged = { ...localTask, fieldUpdatedAt: { ...localTask.fieldUpdatedAt } };
+
+  SYNCED_FIELDS.forEach(field => {
+    const localTime = localTask.fieldUpdatedAt?.[field];
+    const serverTime = serverTask.fieldUpdatedAt?.[field];
+
+    // Server wins ties and fields the local copy never stamped
+    if (serverTime && (!localTime || new Date(serverTime) >= new Date(localTime))) {
+      merged[field] = serverTask[field];
+      merged.fieldUpdatedAt[field] = serverTime;
+    }
+  });
+
+  // Completion is one-way: once either side has completed the quest, it stays completed
+  if (localTask.completed || serverTask.completed) {
+    merged.completed = true;
+    merged.completedAt = merged.completedAt || localTask.completedAt || serverTask.completedAt;
+  }
+
+  return merged;
+};
+
+/**
+ * Merge the server's task list (including tombstones) into the local list
+ * @param {Array} localTasks - Local tasks
+ * @param {Array} serverTasks - Tasks from GET /tasks?includeDeleted=true
+ * @returns {Array} - Merged tasks
+ */
+export const mergeTasks = (localTasks, serverTasks) => {
+  const merged = new Map(localTasks.map(task => [task.id, task]));
+
+  serverTasks.forEach(serverTask => {
+    if (serverTask.deleted) {
+      merged.delete(serverTask.id);
+      return;
+    }
+
+    const localTask = merged.get(serverTask.id);
+    merged.set(serverTask.id, localTask ? mergeTaskFields(localTask, serverTask) : serverTask);
+  });
+
+  return Array.from(merged.values());
+};
+
+/**
+ * Build the payload of a create operation from a task
+ */
+export const toCreatePayload = (task) => {
+  const payload = { createdAt: task.createdAt };
+  UPDATABLE_FIELDS.forEach(field => {
+    if (task[field] !== undefined) {
+      payload[field] = task[field];
+    }
+  });
+  return payload;
+};
+
+/**
+ * Replay pending operations, then pull the server's tasks and stats
+ * @param {Array} localTasks - Current local tasks, used to upload tasks the server has never seen
+ * @returns {Promise<Object|null>} - { tasks, stats, pending } or null if the backend is unreachable.
+ *   `stats` is only set when the queue is empty, since the server is then fully up to date.
+ */
+export const syncWithBackend = async (localTasks = []) => {
+  try {
+    const { pending } = await replayQueue();
+
+    const tasksResponse = await request('tasks?includeDeleted=true');
+    if (!tasksResponse.ok) {
+      throw new Error(`Task sync failed with status ${tasksResponse.status}`);
+    }
+    const serverTasks = tasksResponse.data?.tasks || [];
+
+    // Upload local tasks that predate syncing (unknown to the server, nothing queued)
+    const knownIds = new Set(serverTasks.map(task => task.id));
+    const queue = await withQueue(queue => [...queue]);
+    const queuedIds = new Set(queue.map(op => op.taskId));
+    const queuedDeletes = new Set(queue.filter(op => op.type === 'delete').map(op => op.taskId));
+    const unsyncedTasks = localTasks.filter(task => !knownIds.has(task.id) && !queuedIds.has(task.id));
+
+    for (const task of unsyncedTasks) {
+      await enqueueOperation('create', task.id, toCreatePayload(task));
+      if (task.completed) {
+        await enqueueOperation('complete', task.id, { completedAt: task.completedAt });
+      }
+    }
+
+    let stats = null;
+    const remaining = unsyncedTasks.length > 0 ? (await replayQueue()).pending : pending;
+
+    if (remaining === 0) {
+      const statsResponse = await request('stats');
+      if (statsResponse.ok) {
+        stats = statsResponse.data?.stats || null;
+      }
+    }
+
+    // Tasks deleted locally but not yet on the server must not reappear
+    const tasks = serverTasks.filter(task => !queuedDeletes.has(task.id));
+
+    return { tasks, stats, pending: remaining };
+  } catch (error) {
+    console.log('Sync with backend failed:', error.message);
+    return null;
+  }
+};
@@ -1,6 +1,7 @@
 /**
  * Theme configuration for TaskFlick app
- * Contains color palette, typography, spacing, and timing constants
+ * Contains color palette, typography, spacing, and timing constants, and the
+ * colors and icons of each story theme (see storyThemes.js)
  */
 
 import { Dimensions } from 'react-native';
@@ -82,6 +83,75 @@ export const COLORS = {
   }
 };
 
+// Main colors of each story theme, swapped into COLORS by applyStoryPalette
+export const STORY_PALETTES = {
+  fantasy: {
+    primary: '#6C5CE7',
+    primaryDark: '#5247B5',
+    primaryLight: '#A29BFE',
+    secondary: '#FF6B9B',
+    accent: '#FFC048',
+    gradient: ['#6C5CE7', '#8C7BFE'],
+  },
+  scifi: {
+    primary: '#0984E3',
+    primaryDark: '#0767B2',
+    primaryLight: '#74B9FF',
+    secondary: '#00CEC9',
+    accent: '#FDCB6E',
+    gradient: ['#0984E3', '#39A0F0'],
+  },
+  noir: {
+    primary: '#2D3436',
+    primaryDark: '#1B1F20',
+    primaryLight: '#636E72',
+    secondary: '#B33939',
+    accent: '#D1A954',
+    gradient: ['#2D3436', '#4B5659'],
+  },
+  pirate: {
+    primary: '#A0522D',
+    primaryDark: '#7A3E22',
+    primaryLight: '#D2A27A',
+    secondary: '#0E7C86',
+    accent: '#F4C430',
+    gradient: ['#A0522D', '#C0703F'],
+  },
+  cozy: {
+    primary: '#E17055',
+    primaryDark: '#C0533A',
+    primaryLight: '#FAB1A0',
+    secondary: '#55A86B',
+    accent: '#FDCB6E',
+    gradient: ['#E17055', '#F0907A'],
+  },
+  custom: {
+    primary: '#00A896',
+    primaryDark: '#028174',
+    primaryLight: '#7FD8CC',
+    secondary: '#F25F5C',
+    accent: '#FFC048',
+    gradient: ['#00A896', '#2BC4B2'],
+  },
+};
+
+// MaterialCommunityIcons names of each story theme
+export const STORY_ICONS = {
+  fantasy: { theme: 'sword-cross', questTab: 'map-marker-path', questTabInactive: 'map-marker', story: 'book-open-page-variant', message: 'message-text' },
+  scifi: { theme: 'rocket', questTab: 'rocket-launch', questTabInactive: 'rocket-launch-outline', story: 'console', message: 'radio-tower' },
+  noir: { theme: 'hat-fedora', questTab: 'magnify', questTabInactive: 'magnify', story: 'file-document-outline', message: 'typewriter' },
+  pirate: { theme: 'skull-crossbones', questTab: 'compass', questTabInactive: 'compass-outline', story: 'map-legend', message: 'message-text' },
+  cozy: { theme: 'tea', questTab: 'home-heart', questTabInactive: 'home-outline', story: 'book-heart', message: 'tea-outline' },
+  custom: { theme: 'pencil', questTab: 'map-marker-path', questTabInactive: 'map-marker', story: 'book-open-page-variant', message: 'message-text' },
+};
+
+/**
+ * Icons of a story theme
+ * @param {string} themeKey - Story theme key
+ * @returns {Object} - { theme, questTab, questTabInactive, story, message }
+ */
+export const getStoryIcons = (themeKey) => STORY_ICONS[themeKey] || STORY_ICONS.fantasy;
+
 // Typography
 export const FONTS = {
   sizes: {
@@ -322,6 +392,21 @@ export const paperTheme = {
   },
 };
 
+/**
+ * Swap a story theme's colors into COLORS and the Paper theme
+ * Styles that read COLORS while rendering follow right away; styles created
+ * with StyleSheet.create when a screen is first loaded keep the default colors.
+ * @param {string} themeKey - Story theme key
+ */
+export const applyStoryPalette = (themeKey) => {
+  const { gradient, ...colors } = STORY_PALETTES[themeKey] || STORY_PALETTES.fantasy;
+  Object.assign(COLORS, colors, { inProgress: colors.primary });
+  COLORS.gradients.primary = gradient;
+  paperTheme.colors.primary = colors.primary;
+  paperTheme.colors.accent = colors.accent;
+  paperTheme.colors.notification = colors.secondary;
+};
+
 // Export a default theme object with all properties
 export default {
   COLORS,
@@ -334,4 +419,6 @@ export default {
   ANIMATION,
   commonStyles,
   paperTheme,
+  STORY_PALETTES,
+  STORY_ICONS,
 };
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * XP and level engine for TaskFlick app
+ * The one place XP, levels and class titles are worked out. A completed quest
+ * earns its difficulty's XP times its multipliers: the curse of an overdue
+ * quest, the player's streak and the first victory of the day. The backend
+ * applies the same rules in its stats service, so XP earned offline matches
+ * what the server awards once it syncs.
+ */
+import { isOverdue } from './dueDateUtils';
+
+// XP awarded for completing a quest of each difficulty
+export const DIFFICULTY_XP = {
+  mini: 10,
+  normal: 25,
+  boss: 50
+};
+
+// Share of a quest's XP earned when it is completed after its due date
+export const CURSED_XP_MULTIPLIER = 0.5;
+
+// XP bonus while a streak is kept, highest first
+export const STREAK_MULTIPLIERS = [
+  { minStreak: 14, multiplier: 1.5 },
+  { minStreak: 7, multiplier: 1.25 },
+  { minStreak: 3, multiplier: 1.1 }
+];
+
+// XP bonus for the first quest completed on a day
+export const FIRST_VICTORY_MULTIPLIER = 1.2;
+
+// Class titles and the level that unlocks each of them
+export const CLASS_TITLES = [
+  { level: 1, title: 'Novice Quester' },
+  { level: 3, title: 'Apprentice Adventurer' },
+  { level: 5, title: 'Skilled Adventurer' },
+  { level: 8, title: 'Seasoned Veteran' },
+  { level: 10, title: 'Hero of the Realm' },
+  { level: 15, title: 'Legendary Champion' },
+  { level: 20, title: 'Mythic Paragon' }
+];
+
+// XP needed per level grows with the square of the level
+const LEVEL_XP_FACTOR = 10;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Get the XP value of a difficulty
+ * @param {string} difficulty - mini, normal or boss
+ * @returns {number}
+ */
+export const getPointsForDifficulty = (difficulty) => DIFFICULTY_XP[difficulty] || DIFFICULTY_XP.normal;
+
+/**
+ * The streak after a quest is completed
+ * @param {Object} stats - The player's stats before the completion
+ * @param {Date} now - Completion time
+ * @returns {number}
+ */
+export const calculateStreak = (stats, now = new Date()) => {
+  if (!stats.lastCompletedDate) {
+    return 1;
+  }
+
+  const today = startOfDay(now);
+  const yesterday = new Date(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const lastDate = startOfDay(stats.lastCompletedDate);
+
+  if (lastDate.getTime() === today.getTime()) {
+    // Already completed something today, the streak doesn't change
+    return Math.max(stats.currentStreak || 0, 1);
+  }
+  if (lastDate.getTime() === yesterday.getTime()) {
+    return (stats.currentStreak || 0) + 1;
+  }
+  return 1;
+};
+
+/**
+ * The multipliers a quest's XP gets when it is completed
+ * @param {Object} task - The open quest
+ * @param {Object} stats - The player's stats before the completion
+ * @param {Date} now - Completion time
+ * @returns {Array<Object>} - { id, label, multiplier } per multiplier that applies
+ */
+export const getXpMultipliers = (task, stats, now = new Date()) => {
+  const multipliers = [];
+
+  if (isOverdue(task, now)) {
+    multipliers.push({ id: 'cursed', label: 'Cursed', multiplier: CURSED_XP_MULTIPLIER });
+  }
+
+  const streak = calculateStreak(stats, now);
+  const streakBonus = STREAK_MULTIPLIERS.find(bonus => streak >= bonus.minStreak);
+  if (streakBonus) {
+    multipliers.push({ id: 'streak', label: `${streak}-day streak`, multiplier: streakBonus.multiplier });
+  }
+
+  const isFirstVictory = !stats.lastCompletedDate ||
+    startOfDay(stats.lastCompletedDate).getTime() !== startOfDay(now).getTime();
+  if (isFirstVictory) {
+    multipliers.push({ id: 'firstVictory', label: 'First victory of the day', multiplier: FIRST_VICTORY_MULTIPLIER });
+  }
+
+  return multipliers;
+};
+
+/**
+ * Combine multipliers into one, rounded to hundredths as the backend stores it
+ * @param {Array<Object>} multipliers - See getXpMultipliers
+ * @returns {number}
+ */
+export const combineMultipliers = (multipliers) => (
+  Math.round(multipliers.reduce((total, { multiplier }) => total * multiplier, 1) * 100) / 100
+);
+
+/**
+ * What completing an open quest now would earn
+ * @param {Object} task - The open quest
+ * @param {Object} stats - The player's stats
+ * @param {Date} now - Completion time
+ * @returns {Object} - { basePoints, multipliers, multiplier, points }
+ */
+export const getQuestXp = (task, stats, now = new Date()) => {
+  const basePoints = getPointsForDifficulty(task.difficulty);
+  const multipliers = getXpMultipliers(task, stats, now);
+  const multiplier = combineMultipliers(multipliers);
+  return { basePoints, multipliers, multiplier, points: Math.round(basePoints * multiplier) };
+};
+
+/**
+ * XP a completed quest is worth, with the multiplier it was completed with.
+ * Quests completed before multipliers existed only lose XP to their curse.
+ * @param {Object} task - The completed quest
+ * @returns {number}
+ */
+export const getPointsForTask = (task) => {
+  const multiplier = task.xpMultiplier ?? (task.cursed ? CURSED_XP_MULTIPLIER : 1);
+  return Math.round(getPointsForDifficulty(task.difficulty) * multiplier);
+};
+
+/**
+ * Get the level reached with an amount of XP
+ * @param {number} points - Total XP
+ * @returns {number} - Level, starting at 1
+ */
+export const getLevel = (points) => Math.floor(Math.sqrt(Math.max(0, points) / LEVEL_XP_FACTOR)) + 1;
+
+/**
+ * Total XP needed to reach a level
+ * @param {number} level - Level, starting at 1
+ * @returns {number}
+ */
+export const getLevelThreshold = (level) => (level - 1) * (level - 1) * LEVEL_XP_FACTOR;
+
+/**
+ * Progress through the current level
+ * @param {number} points - Total XP
+ * @returns {Object} - { level, levelStartXp, nextLevelXp, xpIntoLevel, xpForLevel, progress (0-1) }
+ */
+export const getLevelProgress = (points) => {
+  const level = getLevel(points);
+  const levelStartXp = getLevelThreshold(level);
+  const nextLevelXp = getLevelThreshold(level + 1);
+  const xpIntoLevel = points - levelStartXp;
+  const xpForLevel = nextLevelXp - levelStartXp;
+  return { level, levelStartXp, nextLevelXp, xpIntoLevel, xpForLevel, progress: xpIntoLevel / xpForLevel };
+};
+
+/**
+ * The class title of a level
+ * @param {number} level - Level
+ * @returns {string}
+ */
+export const getClassTitle = (level) => (
+  [...CLASS_TITLES].reverse().find(entry => level >= entry.level).title
+);
+
+/**
+ * The next class title still to unlock
+ * @param {number} level - Current level
+ * @returns {Object|null} - { level, title }, or null once every title is unlocked
+ */
+export const getNextClassTitle = (level) => CLASS_TITLES.find(entry => entry.level > level) || null;
+
+/**
+ * Describe reaching a higher level
+ * @param {number} fromLevel - Level before
+ * @param {number} level - Level now
+ * @returns {Object|null} - { fromLevel, level, title, unlockedTitles }, or null if the level didn't go up
+ */
+export const getLevelUp = (fromLevel, level) => {
+  if (level <= fromLevel) return null;
+  return {
+    fromLevel,
+    level,
+    title: getClassTitle(level),
+    unlockedTitles: CLASS_TITLES
+      .filter(entry => entry.level > fromLevel && entry.level <= level)
+      .map(entry => entry.title)
+  };
+};
@@ -9,6 +9,7 @@
  */
 require('dotenv').config();
 const { getIBMToken } = require('./services/authService');
+const { validateConfig } = require('./services/config');
 const { transformTaskToQuest, generateMotivationalMessage } = require('./services/graniteService');
 const axios = require('axios');
 
@@ -59,6 +60,12 @@ async function checkEnvironmentVariables() {
   if (missingVars.length > 0) {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
   }
+
+  // The same checks the server runs at startup
+  const problems = validateConfig();
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration: ${problems.map(({ variable, problem }) => `${variable} ${problem}`).join('; ')}`);
+  }
   
   return {
     apiKey: process.env.IBM_API_KEY ? '****' + process.env.IBM_API_KEY.slice(-4) : undefined,
@@ -0,0 +1,105 @@
+const storage = require('../services/storageService');
+const logger = require('../services/logger');
+require('dotenv').config();
+
+/**
+ * Daily AI generation quota per user
+ * Every request to a generation route counts, up to GENERATION_DAILY_QUOTA
+ * (default 200, 0 for no quota) per UTC day. Batch requests count once per task, and
+ * every campaign chapter written for a completed quest counts too. Requests the route rejects as
+ * invalid (400) are refunded, so a malformed body never uses up quota. Responses carry the quota in
+ * X-Quota-Limit, X-Quota-Remaining and X-Quota-Reset (seconds until midnight UTC).
+ */
+
+const DAILY_QUOTA = (() => {
+  const value = parseInt(process.env.GENERATION_DAILY_QUOTA, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 200;
+})();
+
+/**
+ * Seconds until the quota resets at the next UTC midnight
+ */
+const secondsUntilReset = (now) => {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+/**
+ * Count generations made outside a generation route (such as campaign
+ * chapters written when a quest is completed) against the user's daily quota
+ * @param {string} userId - User id
+ * @param {number} amount - Generations to count (default 1)
+ * @returns {Promise<boolean>} - Whether they fit in what is left today
+ */
+const useGenerations = async (userId, amount = 1) => {
+  if (DAILY_QUOTA === 0) return true;
+  const { allowed } = await storage.recordGenerationUsage(userId, new Date().toISOString().slice(0, 10), DAILY_QUOTA, amount);
+  return allowed;
+};
+
+/**
+ * Create middleware that counts a request's generations against the user's
+ * daily quota, answering 429 when they don't fit in what is left
+ * Must run after requireAuth.
+ * @param {Function} countGenerations - Number of generations a request makes (req => number)
+ * @returns {Function} - Express middleware
+ */
+const chargeGenerations = (countGenerations) => async (req, res, next) => {
+  if (DAILY_QUOTA === 0) return next();
+
+  try {
+    const amount = countGenerations(req);
+    if (amount === 0) return next();
+
+    const now = new Date();
+    const resetSeconds = secondsUntilReset(now);
+    const day = now.toISOString().slice(0, 10);
+    const { allowed, used } = await storage.recordGenerationUsage(req.userId, day, DAILY_QUOTA, amount);
+
+    res.set({
+      'X-Quota-Limit': String(DAILY_QUOTA),
+      'X-Quota-Remaining': String(Math.max(0, DAILY_QUOTA - used)),
+      'X-Quota-Reset': String(resetSeconds)
+    });
+
+    if (!allowed) {
+      logger.warn('Daily generation quota reached', { userId: req.userId, requested: amount });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: amount > 1 && used < DAILY_QUOTA
+          ? `Only ${DAILY_QUOTA - used} AI generations left today, not enough for ${amount} tasks`
+          : 'Daily AI generation quota reached, please try again tomorrow',
+        retryAfter: resetSeconds
+      });
+    }
+
+    // Routes validate their body after the quota is charged; give it back if they reject it
+    res.on('finish', () => {
+      if (res.statusCode !== 400) return;
+      storage.refundGenerationUsage(req.userId, day, amount)
+        .catch(error => logger.error('Error refunding generation quota', error));
+    });
+
+    next();
+  } catch (error) {
+    logger.error('Error checking generation quota', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// One generation per request
+const generationQuota = chargeGenerations(() => 1);
+
+/**
+ * The configured daily quota, for health checks
+ * @returns {number} - Generations per user per day, 0 for no quota
+ */
+const getDailyQuota = () => DAILY_QUOTA;
+
+module.exports = {
+  generationQuota,
+  chargeGenerations,
+  useGenerations,
+  getDailyQuota
+};
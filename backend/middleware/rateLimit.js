@@ -0,0 +1,97 @@
+const logger = require('../services/logger');
+require('dotenv').config();
+
+/**
+ * Fixed-window rate limiting, kept in memory
+ * Each limiter counts requests per client - the user id on authenticated
+ * routes, the IP address otherwise - and answers 429 with Retry-After once a
+ * client has used up its requests for the current window. The defaults of a
+ * limiter can be changed with RATE_LIMIT_<NAME>_MAX and
+ * RATE_LIMIT_<NAME>_WINDOW_SECONDS, e.g. RATE_LIMIT_TRANSFORM_TASK_MAX=20;
+ * a max of 0 turns the limiter off.
+ */
+
+const readNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Request counts per limiter and client: `${name}:${client}` -> { count, resetAt }
+const windows = new Map();
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let nextSweepAt = 0;
+
+// Configured limiters and how many requests each rejected, for health checks
+const limiters = {};
+
+/**
+ * Drop windows that have ended, so clients that went away don't use memory
+ */
+const sweepWindows = (now) => {
+  if (now < nextSweepAt) return;
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+  nextSweepAt = now + SWEEP_INTERVAL_MS;
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {string} name - Limiter name, also used for its environment variables
+ * @param {Object} defaults - { max: requests per window, windowSeconds }
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (name, { max, windowSeconds }) => {
+  const envName = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  const limit = readNumber(process.env[`RATE_LIMIT_${envName}_MAX`], max);
+  const windowMs = readNumber(process.env[`RATE_LIMIT_${envName}_WINDOW_SECONDS`], windowSeconds) * 1000;
+  const info = { max: limit, windowSeconds: windowMs / 1000, limited: 0 };
+  limiters[name] = info;
+
+  return (req, res, next) => {
+    if (limit === 0 || windowMs === 0) return next();
+
+    const now = Date.now();
+    sweepWindows(now);
+
+    const client = req.userId ? `user ${req.userId}` : `IP ${req.ip}`;
+    const key = `${name}:${client}`;
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count > limit) {
+      info.limited += 1;
+      logger.warn('Rate limit reached', { limiter: name, client });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests, please try again later',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Limits of every limiter and how many requests they rejected since the server started
+ * @returns {Object} - e.g. { 'transform-task': { max: 10, windowSeconds: 60, limited: 2 } }
+ */
+const getRateLimitStats = () => JSON.parse(JSON.stringify(limiters));
+
+module.exports = {
+  rateLimit,
+  getRateLimitStats
+};
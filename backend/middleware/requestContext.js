@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+require('dotenv').config();
+
+// Request ids accepted from clients; anything else is replaced with a new one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Log a line per completed request unless LOG_REQUESTS=false
+const LOG_REQUESTS = process.env.LOG_REQUESTS !== 'false';
+
+/**
+ * Give every request a correlation id, count it and log it when it completes
+ * The id comes from the client's X-Request-Id header when it sends a valid
+ * one, is echoed in the X-Request-Id response header, and is added to every
+ * log entry written while the request is handled.
+ */
+const requestContext = (req, res, next) => {
+  const clientId = req.get('X-Request-Id');
+  req.id = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The route pattern (e.g. /api/tasks/:id) rather than the path keeps the number of series small
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+
+    if (LOG_REQUESTS) {
+      logger.info('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        ...(req.userId ? { userId: req.userId } : {})
+      });
+    }
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestContext;
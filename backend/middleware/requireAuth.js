@@ -0,0 +1,25 @@
+const { verifyAccessToken } = require('../services/accountService');
+const logger = require('../services/logger');
+
+/**
+ * Require a valid access token in the Authorization header
+ * Sets `req.userId` to the account id so routes only see that user's data.
+ */
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.userId = payload.sub;
+    logger.addContext({ userId: req.userId });
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = requireAuth;
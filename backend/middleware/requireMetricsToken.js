@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Require METRICS_TOKEN in the Authorization header
+ * For operator endpoints that report on the whole server rather than one
+ * account, such as metrics. They are refused while no METRICS_TOKEN is set.
+ */
+const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ success: false, message: 'Set METRICS_TOKEN to enable this endpoint' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const a = Buffer.from(token || '');
+  const b = Buffer.from(expected);
+  if (scheme !== 'Bearer' || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  next();
+};
+
+module.exports = requireMetricsToken;
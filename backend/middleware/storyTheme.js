@@ -0,0 +1,22 @@
+const { resolveTheme } = require('../services/themes');
+
+/**
+ * Read the story theme of a generation request into `req.theme`
+ * Takes `theme` and, for custom themes, `themeStyle` from the body or the
+ * query string, and answers 400 for an unknown theme.
+ */
+const storyTheme = (req, res, next) => {
+  const { theme, error } = resolveTheme(
+    req.body?.theme ?? req.query.theme,
+    req.body?.themeStyle ?? req.query.themeStyle
+  );
+
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  req.theme = theme;
+  next();
+};
+
+module.exports = storyTheme;
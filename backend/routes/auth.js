@@ -0,0 +1,73 @@
+const express = require('express');
+const accountService = require('../services/accountService');
+const storage = require('../services/storageService');
+const requireAuth = require('../middleware/requireAuth');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Register a new account
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await accountService.register(email, password);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error registering account', { message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await accountService.login(email, password);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error logging in', { message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Missing required field: refreshToken' });
+    }
+    const result = await accountService.refresh(refreshToken);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error refreshing token', { message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Revoke the user's refresh tokens
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    const result = await accountService.logout(req.userId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error logging out', { message: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get the current user
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const account = await storage.getAccountById(req.userId);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    res.json({ success: true, user: accountService.toPublicAccount(account) });
+  } catch (error) {
+    logger.error('Error getting current user', { message: error.message });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const campaignService = require('../services/campaignService');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Get the user's campaign: the story so far and a chapter per completed quest, oldest first
+router.get('/', async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaign(req.userId);
+    res.json({ success: true, ...campaign });
+  } catch (error) {
+    logger.error('Error getting campaign', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Start a new campaign; completed quests keep their stories, but new quests no longer refer back to them
+router.delete('/', async (req, res) => {
+  try {
+    await campaignService.resetCampaign(req.userId);
+    res.json({ success: true, message: 'Campaign reset' });
+  } catch (error) {
+    logger.error('Error resetting campaign', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
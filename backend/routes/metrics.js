@@ -0,0 +1,88 @@
+const express = require('express');
+const logger = require('../services/logger');
+const { registerCollector, renderMetrics } = require('../services/metrics');
+const { getParseStats } = require('../services/structuredOutput');
+const { getCacheStats } = require('../services/generationCache');
+const { getRateLimitStats } = require('../middleware/rateLimit');
+const { getCircuitStats } = require('../services/resilience');
+const requireMetricsToken = require('../middleware/requireMetricsToken');
+
+const router = express.Router();
+
+// Circuit states in the order of their gauge values
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+
+// Stats other modules already keep, read when the metrics are scraped
+registerCollector(() => {
+  const cache = getCacheStats();
+  const parseStats = getParseStats();
+  const rateLimits = getRateLimitStats();
+  const circuits = getCircuitStats();
+
+  return [
+    {
+      name: 'taskflick_generation_parse_total',
+      help: 'How generated output was parsed, by type and stage (direct, extracted, repaired, invalid, error)',
+      type: 'counter',
+      samples: Object.entries(parseStats).flatMap(([type, stages]) => (
+        Object.entries(stages).map(([stage, value]) => ({ labels: { type, stage }, value }))
+      ))
+    },
+    {
+      name: 'taskflick_generation_cache_requests_total',
+      help: 'Generation cache lookups by result (hit, miss, coalesced)',
+      type: 'counter',
+      samples: [
+        { labels: { result: 'hit' }, value: cache.hits },
+        { labels: { result: 'miss' }, value: cache.misses },
+        { labels: { result: 'coalesced' }, value: cache.coalesced }
+      ]
+    },
+    {
+      name: 'taskflick_generation_cache_evictions_total',
+      help: 'Entries evicted from the generation cache',
+      type: 'counter',
+      samples: [{ value: cache.evictions }]
+    },
+    {
+      name: 'taskflick_generation_cache_entries',
+      help: 'Entries in the generation cache',
+      type: 'gauge',
+      samples: [{ value: cache.size }]
+    },
+    {
+      name: 'taskflick_rate_limited_requests_total',
+      help: 'Requests rejected by a rate limiter',
+      type: 'counter',
+      samples: Object.entries(rateLimits).map(([limiter, { limited }]) => ({ labels: { limiter }, value: limited }))
+    },
+    {
+      name: 'taskflick_llm_circuit_state',
+      help: 'Provider circuit breaker state: 0 closed, 1 half-open, 2 open',
+      type: 'gauge',
+      samples: Object.entries(circuits).map(([provider, { state }]) => ({
+        labels: { provider },
+        value: CIRCUIT_STATES.indexOf(state)
+      }))
+    },
+    {
+      name: 'taskflick_process_uptime_seconds',
+      help: 'Seconds since the server started',
+      type: 'gauge',
+      samples: [{ value: Math.round(process.uptime()) }]
+    }
+  ];
+});
+
+// Metrics in the Prometheus text format
+router.get('/', requireMetricsToken, (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  } catch (error) {
+    logger.error('Error rendering metrics', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const storage = require('../services/storageService');
+const { listTemplates } = require('../services/promptRegistry');
+const requireMetricsToken = require('../middleware/requireMetricsToken');
+const logger = require('../services/logger');
+
+const router = express.Router();
+const statsRouter = express.Router();
+
+// List the prompt templates and which versions are active
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, templates: listTemplates() });
+  } catch (error) {
+    logger.error('Error listing prompt templates', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Compare prompt variants: how many quest stories each produced and how many
+// were kept rather than regenerated or rewritten, across all users. Operators
+// only, with METRICS_TOKEN instead of a user account.
+statsRouter.get('/', requireMetricsToken, async (req, res) => {
+  try {
+    const variants = {};
+    const countFor = (id) => {
+      if (!variants[id]) {
+        variants[id] = { generated: 0, replaced: 0 };
+      }
+      return variants[id];
+    };
+
+    const tasks = await storage.listAllTasks();
+    tasks.forEach(task => {
+      if (task.promptVariant) {
+        countFor(task.promptVariant).generated += 1;
+      }
+      (task.replacedPromptVariants || []).forEach(id => {
+        const counts = countFor(id);
+        counts.generated += 1;
+        counts.replaced += 1;
+      });
+    });
+
+    const stats = Object.entries(variants)
+      .map(([promptVariant, { generated, replaced }]) => ({
+        promptVariant,
+        generated,
+        replaced,
+        kept: generated - replaced,
+        keepRate: generated > 0 ? Math.round(((generated - replaced) / generated) * 1000) / 1000 : null
+      }))
+      .sort((a, b) => a.promptVariant.localeCompare(b.promptVariant));
+
+    res.json({ success: true, variants: stats });
+  } catch (error) {
+    logger.error('Error getting prompt stats', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = { promptsRouter: router, promptStatsRouter: statsRouter };
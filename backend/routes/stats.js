@@ -0,0 +1,29 @@
+const express = require('express');
+const storage = require('../services/storageService');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+// Get the user's stats
+router.get('/', async (req, res) => {
+  try {
+    const stats = await storage.getStats(req.userId);
+    res.json({ success: true, stats });
+  } catch (error) {
+    logger.error('Error getting stats', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Reset the user's stats
+router.post('/reset', async (req, res) => {
+  try {
+    const stats = await storage.saveStats(req.userId, storage.createDefaultStats());
+    res.json({ success: true, stats });
+  } catch (error) {
+    logger.error('Error resetting stats', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,496 @@
+const express = require('express');
+const crypto = require('crypto');
+const storage = require('../services/storageService');
+const {
+  applyCompletion,
+  adjustPoints,
+  getPointsForTask,
+  getStepPoints,
+  getAwardedStepPoints
+} = require('../services/statsService');
+const { isValidRecurrence } = require('../services/recurrenceService');
+const { resolveTheme, getTheme } = require('../services/themes');
+const { isTemplateId } = require('../services/promptRegistry');
+const campaignService = require('../services/campaignService');
+const { useGenerations } = require('../middleware/generationQuota');
+const logger = require('../services/logger');
+
+const router = express.Router();
+
+const DIFFICULTIES = ['mini', 'normal', 'boss'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_STEPS = 20;
+const MAX_NARRATIVE_HISTORY = 10;
+// Ids clients may give new tasks: UUIDs, and recurring instances' `<seriesId>-<YYYY-MM-DD>`
+const TASK_ID_PATTERN = /^[A-Za-z0-9-]{1,100}$/;
+// Longest text a client may store per field, in characters
+const TEXT_FIELD_LIMITS = {
+  description: 2000,
+  category: 50,
+  questTitle: 200,
+  questNarrative: 2000,
+  chainTitle: 200
+};
+// Largest timezone offset a completion may send, in minutes (timezones run from UTC-12 to UTC+14)
+const MAX_TIMEZONE_OFFSET = 14 * 60;
+
+// Fields a client may set when creating or updating a task.
+// Completion state is only changed through POST /:id/complete so XP stays consistent.
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficulty',
+  'questTitle',
+  'questNarrative',
+  'isAIGenerated',
+  // Prompt template that generated the quest story, e.g. "quest/default@1"
+  'promptVariant',
+  // The story was written by the user rather than generated
+  'isNarrativeEdited',
+  // Earlier stories of the quest, newest first, so a reroll or edit can be reverted
+  'narrativeHistory',
+  'dueDate',
+  // Recurring quests: each instance of a series is its own task
+  'recurrence',
+  'seriesId',
+  'occurrenceDate',
+  'seriesStreak',
+  'seriesBestStreak',
+  // Quest chains: quests split from one larger task, done in order
+  'chainId',
+  'chainIndex',
+  'chainTitle',
+  'estimatedMinutes'
+];
+
+/**
+ * Copy the editable fields present in a request body
+ */
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Validate task fields, returning an error message or null
+ */
+const validateTaskFields = (fields, { requireTitle }) => {
+  if (requireTitle && !fields.title) {
+    return 'Missing required field: title';
+  }
+  if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim())) {
+    return 'Field title must be a non-empty string';
+  }
+  for (const [field, maxLength] of Object.entries(TEXT_FIELD_LIMITS)) {
+    if (fields[field] !== undefined && fields[field] !== null &&
+        (typeof fields[field] !== 'string' || fields[field].length > maxLength)) {
+      return `Field ${field} must be a string of at most ${maxLength} characters or null`;
+    }
+  }
+  if (fields.isAIGenerated !== undefined && typeof fields.isAIGenerated !== 'boolean') {
+    return 'Field isAIGenerated must be a boolean';
+  }
+  if (fields.difficulty !== undefined && !DIFFICULTIES.includes(fields.difficulty)) {
+    return `Field difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  if (fields.dueDate !== undefined && fields.dueDate !== null &&
+      (typeof fields.dueDate !== 'string' || isNaN(new Date(fields.dueDate)))) {
+    return 'Field dueDate must be an ISO date string or null';
+  }
+  if (fields.recurrence !== undefined && fields.recurrence !== null && !isValidRecurrence(fields.recurrence)) {
+    return 'Field recurrence must be a supported RRULE (FREQ=DAILY|WEEKLY, INTERVAL, BYDAY) or null';
+  }
+  if (fields.occurrenceDate !== undefined && fields.occurrenceDate !== null &&
+      !DATE_KEY_PATTERN.test(fields.occurrenceDate)) {
+    return 'Field occurrenceDate must be a YYYY-MM-DD date or null';
+  }
+  for (const field of ['seriesStreak', 'seriesBestStreak']) {
+    if (fields[field] !== undefined && (!Number.isInteger(fields[field]) || fields[field] < 0)) {
+      return `Field ${field} must be a non-negative integer`;
+    }
+  }
+  // Only ids of real templates, so clients can't skew the prompt variant stats
+  if (fields.promptVariant !== undefined && fields.promptVariant !== null && !isTemplateId(fields.promptVariant)) {
+    return 'Field promptVariant must be the id of a prompt template or null';
+  }
+  if (fields.isNarrativeEdited !== undefined && typeof fields.isNarrativeEdited !== 'boolean') {
+    return 'Field isNarrativeEdited must be a boolean';
+  }
+  if (fields.narrativeHistory !== undefined) {
+    if (!Array.isArray(fields.narrativeHistory) || fields.narrativeHistory.length > MAX_NARRATIVE_HISTORY) {
+      return `Field narrativeHistory must be an array of at most ${MAX_NARRATIVE_HISTORY} stories`;
+    }
+    if (fields.narrativeHistory.some(entry => !entry ||
+        typeof entry.questTitle !== 'string' || typeof entry.questNarrative !== 'string')) {
+      return 'Every narrativeHistory entry needs a questTitle and questNarrative string';
+    }
+  }
+  if (fields.chainIndex !== undefined && fields.chainIndex !== null &&
+      (!Number.isInteger(fields.chainIndex) || fields.chainIndex < 0)) {
+    return 'Field chainIndex must be a non-negative integer or null';
+  }
+  if (fields.estimatedMinutes !== undefined && fields.estimatedMinutes !== null &&
+      (!Number.isInteger(fields.estimatedMinutes) || fields.estimatedMinutes <= 0)) {
+    return 'Field estimatedMinutes must be a positive integer or null';
+  }
+  return null;
+};
+
+/**
+ * Validate sub-steps sent by a client, keeping the stored completion state of
+ * steps that already exist. Steps are only checked off through
+ * PUT /:id/steps/:stepId so the XP they award stays consistent.
+ * @param {Array} steps - Steps from the request body
+ * @param {Array} existingSteps - Stored steps
+ * @returns {Object} - { steps } or { error }
+ */
+const normalizeSteps = (steps, existingSteps = []) => {
+  if (!Array.isArray(steps)) {
+    return { error: 'Field steps must be an array' };
+  }
+  if (steps.length > MAX_STEPS) {
+    return { error: `A task can have at most ${MAX_STEPS} steps` };
+  }
+
+  const existing = new Map(existingSteps.map(step => [step.id, step]));
+  const normalized = [];
+  for (const step of steps) {
+    if (!step || typeof step.title !== 'string' || !step.title.trim()) {
+      return { error: 'Every step needs a non-empty title' };
+    }
+
+    const id = typeof step.id === 'string' && step.id ? step.id : crypto.randomUUID();
+    const stored = existing.get(id);
+    normalized.push({
+      id,
+      title: step.title.trim(),
+      narrative: typeof step.narrative === 'string' ? step.narrative : stored?.narrative || null,
+      completed: stored?.completed || false,
+      completedAt: stored?.completedAt || null,
+      pointsAwarded: stored?.pointsAwarded || 0
+    });
+  }
+
+  return { steps: normalized };
+};
+
+/**
+ * Parse a client-supplied change time, never trusting times in the future
+ */
+const resolveTimestamp = (value) => {
+  const now = new Date();
+  const requested = value ? new Date(value) : null;
+  return requested && !isNaN(requested) && requested <= now ? requested : now;
+};
+
+/**
+ * Apply field changes last-writer-wins: each field keeps the value with the
+ * newest change time, tracked in `fieldUpdatedAt`
+ * @param {Object} task - Stored task
+ * @param {Object} fields - Changed fields
+ * @param {string} timestamp - ISO time the change was made on the client
+ * @returns {Object} - Merged task
+ */
+const mergeFields = (task, fields, timestamp) => {
+  const merged = { ...task, fieldUpdatedAt: { ...task.fieldUpdatedAt } };
+
+  Object.entries(fields).forEach(([field, value]) => {
+    const current = merged.fieldUpdatedAt[field];
+    if (!current || new Date(timestamp) >= new Date(current)) {
+      merged[field] = value;
+      merged.fieldUpdatedAt[field] = timestamp;
+    }
+  });
+
+  return merged;
+};
+
+// List tasks (pass includeDeleted=true to also receive delete tombstones for syncing)
+router.get('/', async (req, res) => {
+  try {
+    const tasks = await storage.listTasks(req.userId, {
+      includeDeleted: req.query.includeDeleted === 'true'
+    });
+    res.json({ success: true, tasks });
+  } catch (error) {
+    logger.error('Error listing tasks', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get a single task
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await storage.getTask(req.userId, req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
+    if (task.deleted) {
+      return res.status(410).json({ success: false, message: 'Task was deleted' });
+    }
+    res.json({ success: true, task });
+  } catch (error) {
+    logger.error('Error getting task', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create a task (idempotent when the client supplies an id)
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+    const validationError = validateTaskFields(fields, { requireTitle: true });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (req.body.steps !== undefined) {
+      const result = normalizeSteps(req.body.steps);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+      fields.steps = result.steps;
+    }
+
+    if (req.body.id !== undefined && (typeof req.body.id !== 'string' || !TASK_ID_PATTERN.test(req.body.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Field id must be a string of at most 100 letters, digits and hyphens'
+      });
+    }
+
+    // Replayed creates return what we already have, including tombstones
+    const taskId = req.body.id || crypto.randomUUID();
+    const existing = await storage.getTask(req.userId, taskId);
+    if (existing) {
+      return res.json({ success: true, task: existing });
+    }
+
+    const createdAt = resolveTimestamp(req.body.createdAt).toISOString();
+    const task = mergeFields({
+      id: taskId,
+      description: '',
+      category: 'personal',
+      difficulty: 'normal',
+      isAIGenerated: false,
+      dueDate: null,
+      recurrence: null,
+      steps: [],
+      completed: false,
+      createdAt,
+      fieldUpdatedAt: {}
+    }, { ...fields, title: fields.title.trim() }, createdAt);
+    task.updatedAt = new Date().toISOString();
+
+    await storage.saveTask(req.userId, task);
+    res.status(201).json({ success: true, task });
+  } catch (error) {
+    logger.error('Error creating task', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update a task; `updatedAt` in the body is the time the edit was made on the client
+router.put('/:id', async (req, res) => {
+  try {
+    const task = await storage.getTask(req.userId, req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
+    if (task.deleted) {
+      return res.status(410).json({ success: false, message: 'Task was deleted' });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const validationError = validateTaskFields(fields, { requireTitle: false });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (req.body.steps !== undefined) {
+      const result = normalizeSteps(req.body.steps, task.steps);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+      fields.steps = result.steps;
+    }
+
+    const changedAt = resolveTimestamp(req.body.updatedAt).toISOString();
+    const merged = mergeFields(task, fields, changedAt);
+
+    // Remember prompt variants whose story was regenerated or rewritten, to compare how well they are kept
+    if (task.promptVariant && merged.questNarrative !== task.questNarrative) {
+      merged.replacedPromptVariants = [...(task.replacedPromptVariants || []), task.promptVariant];
+    }
+
+    const updatedTask = await storage.saveTask(req.userId, {
+      ...merged,
+      updatedAt: new Date().toISOString()
+    });
+
+    // XP already awarded follows the quest: a completed quest's difficulty,
+    // or the checked-off steps an open quest still has
+    const pointsDelta = task.completed
+      ? getPointsForTask(updatedTask) - getPointsForTask(task)
+      : getAwardedStepPoints(updatedTask) - getAwardedStepPoints(task);
+    if (pointsDelta !== 0) {
+      const stats = await storage.getStats(req.userId);
+      const updatedStats = await storage.saveStats(req.userId, adjustPoints(stats, pointsDelta));
+      return res.json({ success: true, task: updatedTask, stats: updatedStats, pointsDelta });
+    }
+
+    res.json({ success: true, task: updatedTask });
+  } catch (error) {
+    logger.error('Error updating task', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Complete a task and award XP
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const task = await storage.getTask(req.userId, req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
+    if (task.deleted) {
+      return res.status(410).json({ success: false, message: 'Task was deleted' });
+    }
+
+    // Minutes the player's clock is behind UTC, so streak days follow their timezone
+    const { timezoneOffset } = req.body;
+    if (timezoneOffset !== undefined && (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > MAX_TIMEZONE_OFFSET)) {
+      return res.status(400).json({
+        success: false,
+        message: `Field timezoneOffset must be a whole number of minutes between -${MAX_TIMEZONE_OFFSET} and ${MAX_TIMEZONE_OFFSET}`
+      });
+    }
+
+    const stats = await storage.getStats(req.userId);
+
+    // Completing twice is a no-op so retried requests don't award XP again
+    if (task.completed) {
+      return res.json({ success: true, task, stats, pointsEarned: 0, newBadges: [] });
+    }
+
+    // Offline clients send the time the quest was actually completed
+    const now = resolveTimestamp(req.body.completedAt);
+    const completedAt = now.toISOString();
+
+    const result = applyCompletion(stats, task, now, timezoneOffset);
+    const steps = (task.steps || []).map(step => (
+      step.completed ? step : { ...step, completed: true, completedAt, pointsAwarded: 0 }
+    ));
+    const completedTask = await storage.saveTask(req.userId, {
+      ...mergeFields(task, {
+        completed: true,
+        completedAt,
+        cursed: result.cursed,
+        xpMultiplier: result.xpMultiplier,
+        steps
+      }, completedAt),
+      updatedAt: new Date().toISOString()
+    });
+    const updatedStats = await storage.saveStats(req.userId, result.stats);
+
+    // Write the quest's campaign chapter in the background so completing stays fast.
+    // It is written in the story theme sent with the completion; an invalid theme
+    // must not fail the completion, so it falls back to the default theme. The
+    // completion is already saved, so a failed quota check only skips generation.
+    const theme = resolveTheme(req.body.theme, req.body.themeStyle).theme || getTheme();
+    const allowGeneration = await useGenerations(req.userId).catch((error) => {
+      logger.error('Error checking generation quota', error);
+      return false;
+    });
+    campaignService.recordVictory(req.userId, completedTask, { theme, seed: req.userId, allowGeneration })
+      .catch(error => logger.error('Error writing campaign chapter', error));
+
+    res.json({
+      success: true,
+      task: completedTask,
+      stats: updatedStats,
+      pointsEarned: result.pointsEarned,
+      newBadges: result.newBadges
+    });
+  } catch (error) {
+    logger.error('Error completing task', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Check off (or un-check) a sub-step, awarding its share of the quest's XP
+router.put('/:id/steps/:stepId', async (req, res) => {
+  try {
+    const task = await storage.getTask(req.userId, req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
+    if (task.deleted) {
+      return res.status(410).json({ success: false, message: 'Task was deleted' });
+    }
+    if (typeof req.body.completed !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'Field completed must be a boolean' });
+    }
+
+    const steps = task.steps || [];
+    const index = steps.findIndex(step => step.id === req.params.stepId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, message: 'Step not found' });
+    }
+
+    const stats = await storage.getStats(req.userId);
+    const step = steps[index];
+
+    // Steps of a completed quest are settled, and repeating a change is a no-op so retries are safe
+    if (task.completed || step.completed === req.body.completed) {
+      return res.json({ success: true, task, stats, pointsDelta: 0 });
+    }
+
+    const changedAt = resolveTimestamp(req.body.completedAt).toISOString();
+    const pointsAwarded = req.body.completed ? getStepPoints(task)[index] : 0;
+    const pointsDelta = req.body.completed ? pointsAwarded : -(step.pointsAwarded || 0);
+
+    // Always applied since XP changes with it, but never moves the steps' change time backwards
+    const stepsUpdatedAt = task.fieldUpdatedAt?.steps;
+    const updatedTask = await storage.saveTask(req.userId, {
+      ...task,
+      steps: steps.map((s, i) => (i === index ? {
+        ...s,
+        completed: req.body.completed,
+        completedAt: req.body.completed ? changedAt : null,
+        pointsAwarded
+      } : s)),
+      fieldUpdatedAt: {
+        ...task.fieldUpdatedAt,
+        steps: stepsUpdatedAt && new Date(stepsUpdatedAt) > new Date(changedAt) ? stepsUpdatedAt : changedAt
+      },
+      updatedAt: new Date().toISOString()
+    });
+    const updatedStats = await storage.saveStats(req.userId, adjustPoints(stats, pointsDelta));
+
+    res.json({ success: true, task: updatedTask, stats: updatedStats, pointsDelta });
+  } catch (error) {
+    logger.error('Error updating step', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a task (leaves a tombstone; deleting twice is a no-op)
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await storage.deleteTask(req.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Task not found' });
+    }
+    res.json({ success: true, message: 'Task deleted' });
+  } catch (error) {
+    logger.error('Error deleting task', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
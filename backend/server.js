@@ -1,7 +1,34 @@
 const express = require('express');
 const cors = require('cors');
-const { transformTaskToQuest, generateMotivationalMessage, generateAchievementBadge } = require('./services/graniteService');
+const {
+  transformTaskToQuest,
+  streamQuestNarrative,
+  generateStepChapters,
+  decomposeTask,
+  generateMotivationalMessage,
+  generateAchievementBadge
+} = require('./services/graniteService');
 const { resetTokenCache } = require('./services/authService');
+const { getProvider } = require('./services/providers');
+const { getParseStats } = require('./services/structuredOutput');
+const { getCacheStats } = require('./services/generationCache');
+const { getCircuitBreaker } = require('./services/resilience');
+const { validateConfig, getMissingCredentials, getBuildInfo } = require('./services/config');
+const { getReadiness } = require('./services/healthService');
+const batchService = require('./services/batchService');
+const campaignService = require('./services/campaignService');
+const logger = require('./services/logger');
+const requestContext = require('./middleware/requestContext');
+const requireAuth = require('./middleware/requireAuth');
+const storyTheme = require('./middleware/storyTheme');
+const { rateLimit, getRateLimitStats } = require('./middleware/rateLimit');
+const { generationQuota, chargeGenerations, getDailyQuota } = require('./middleware/generationQuota');
+const authRouter = require('./routes/auth');
+const tasksRouter = require('./routes/tasks');
+const statsRouter = require('./routes/stats');
+const { promptsRouter, promptStatsRouter } = require('./routes/prompts');
+const metricsRouter = require('./routes/metrics');
+const campaignRouter = require('./routes/campaign');
 require('dotenv').config();
 
 // Initialize Express app
@@ -10,12 +37,20 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0'; // Listen on all network interfaces
 
 // Reset session data on server start
-console.log('Server starting - resetting session data');
+logger.info('Server starting - resetting session data');
 resetTokenCache();
 
+// Behind a reverse proxy, TRUST_PROXY lets req.ip (used for rate limits) be the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+// After body parsing, so the request id reaches every later log entry
+app.use(requestContext);
 
 // Routes
 
@@ -24,28 +59,143 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     message: 'TaskFlick backend server is running',
-    version: '1.0.0',
+    version: getBuildInfo().version,
+    provider: getProvider().name,
+    // closed, open (generation uses fallbacks until retryAt) or half-open
+    providerCircuit: getCircuitBreaker(getProvider().name).getState(),
+    // How LLM output was parsed per generation type, to track parse quality
+    parsing: getParseStats(),
+    cache: getCacheStats(),
+    limits: {
+      rateLimits: getRateLimitStats(),
+      dailyGenerationQuota: getDailyQuota()
+    },
     endpoints: [
+      { path: '/api/auth/register', method: 'POST', description: 'Registers an account' },
+      { path: '/api/auth/login', method: 'POST', description: 'Logs in and returns access and refresh tokens' },
+      { path: '/api/auth/refresh', method: 'POST', description: 'Exchanges a refresh token for new tokens' },
+      { path: '/api/auth/logout', method: 'POST', description: 'Revokes refresh tokens' },
       { path: '/api/transform-task', method: 'POST', description: 'Transforms a task into a quest' },
+      { path: '/api/transform-task/stream', method: 'POST', description: 'Streams a quest narrative as Server-Sent Events' },
+      { path: '/api/transform-tasks', method: 'POST', description: 'Transforms a batch of tasks into quests' },
+      { path: '/api/transform-tasks/:jobId', method: 'GET', description: 'Reads the progress and results of a batch job' },
+      { path: '/api/generate-chapters', method: 'POST', description: 'Generates a chapter narrative per quest step' },
+      { path: '/api/decompose-task', method: 'POST', description: 'Splits a task into a chain of smaller quests' },
       { path: '/api/motivational-message', method: 'GET', description: 'Generates a motivational message' },
       { path: '/api/achievement-badge', method: 'POST', description: 'Generates an achievement badge' },
-      { path: '/api/health', method: 'GET', description: 'Health check endpoint' }
+      { path: '/api/tasks', method: 'GET, POST', description: 'Lists or creates tasks' },
+      { path: '/api/tasks/:id', method: 'GET, PUT, DELETE', description: 'Reads, updates or deletes a task' },
+      { path: '/api/tasks/:id/complete', method: 'POST', description: 'Completes a task and awards XP' },
+      { path: '/api/tasks/:id/steps/:stepId', method: 'PUT', description: 'Checks off a sub-step and awards part of the XP' },
+      { path: '/api/stats', method: 'GET', description: 'Reads user stats' },
+      { path: '/api/stats/reset', method: 'POST', description: 'Resets user stats' },
+      { path: '/api/campaign', method: 'GET, DELETE', description: 'Reads the story campaign of completed quests, or starts a new one' },
+      { path: '/api/prompts', method: 'GET', description: 'Lists prompt templates and their versions' },
+      { path: '/api/prompts/stats', method: 'GET', description: 'Compares how often each prompt variant\'s stories are kept' },
+      { path: '/api/metrics', method: 'GET', description: 'Prometheus metrics' },
+      { path: '/api/health', method: 'GET', description: 'Health check endpoint' },
+      { path: '/api/health/live', method: 'GET', description: 'Liveness check: the server is running' },
+      { path: '/api/health/ready', method: 'GET', description: 'Readiness check: ready, degraded or unavailable' }
     ]
   });
 });
 
+// Liveness: the process is up and serving requests
+app.get('/api/health/live', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness: 200 when ready or degraded (generation falls back to templates), 503 when data can't be saved
+app.get('/api/health/ready', async (req, res) => {
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'unavailable' ? 503 : 200).json(readiness);
+  } catch (error) {
+    logger.error('Error checking readiness', error);
+    res.status(503).json({ status: 'unavailable', message: error.message });
+  }
+});
+
+// Prometheus metrics and prompt variant stats, protected with METRICS_TOKEN instead of user accounts
+app.use('/api/metrics', metricsRouter);
+app.use('/api/prompts/stats', promptStatsRouter);
+
 app.get('/', (req, res) => {
   res.send('TaskFlick API is running');
 });
 
-// Transform task to quest
-app.post('/api/transform-task', async (req, res) => {
+// Requests per IP address across the API, before anything else is done with them
+app.use('/api', rateLimit('ip', { max: 300, windowSeconds: 60 }));
+
+// Account registration and login, limited per IP address to slow down password guessing
+app.use('/api/auth', rateLimit('auth', { max: 30, windowSeconds: 15 * 60 }), authRouter);
+
+// Every route registered below requires a valid access token
+app.use('/api', requireAuth);
+app.use('/api', rateLimit('user', { max: 300, windowSeconds: 60 }));
+
+/**
+ * Middleware for a route that calls the LLM: a per-user limit for the route,
+ * the story theme and the daily generation quota
+ * @param {string} name - Rate limiter name
+ * @param {number} max - Default requests per minute
+ */
+const generationLimits = (name, max) => [
+  rateLimit(name, { max, windowSeconds: 60 }),
+  storyTheme,
+  generationQuota
+];
+
+/**
+ * Prompt options for a generation request: the story theme read by
+ * storyTheme, and the prompt variant, which can be forced with
+ * `promptVariant` (body or query), otherwise each user sticks to one
+ */
+const getPromptOptions = (req) => ({
+  variant: req.body?.promptVariant || req.query.promptVariant,
+  seed: req.userId,
+  theme: req.theme
+});
+
+/**
+ * Prompt options for a quest: getPromptOptions plus the user's campaign so
+ * far, so the quest can continue the story
+ */
+const getQuestOptions = async (req) => ({
+  ...getPromptOptions(req),
+  storySoFar: await campaignService.getStorySoFar(req.userId, req.theme)
+});
+
+// Earlier versions of a quest a reroll may send, newest first
+const MAX_PREVIOUS_QUESTS = 5;
+
+/**
+ * Validate the earlier versions sent with a reroll
+ * @param {Array} previousQuests - [{ questTitle, questNarrative }] from the request body
+ * @returns {Object} - { previousQuests } trimmed for the prompt, or { error }
+ */
+const parsePreviousQuests = (previousQuests = []) => {
+  if (!Array.isArray(previousQuests)) {
+    return { error: 'Field previousQuests must be an array' };
+  }
+  if (previousQuests.some(quest => !quest || typeof quest.questTitle !== 'string' || typeof quest.questNarrative !== 'string')) {
+    return { error: 'Every previous quest needs a questTitle and questNarrative string' };
+  }
+  return {
+    previousQuests: previousQuests.slice(0, MAX_PREVIOUS_QUESTS).map(quest => ({
+      questTitle: quest.questTitle.substring(0, 60),
+      questNarrative: quest.questNarrative.substring(0, 500)
+    }))
+  };
+};
+
+// Transform task to quest; send previousQuests to reroll a quest into something new
+app.post('/api/transform-task', generationLimits('transform-task', 10), async (req, res) => {
   try {
-    const { task, description, taskTitle, category, difficulty } = req.body;
+    const { task, taskTitle, category, difficulty } = req.body;
     
     // Support both parameter formats (new frontend and old backend)
     const taskName = task || taskTitle || '';
-    const taskDescription = description || '';
     const taskCategory = category || 'general';
     const taskDifficulty = difficulty || 'medium';
     
@@ -56,37 +206,244 @@ app.post('/api/transform-task', async (req, res) => {
       });
     }
     
-    const quest = await transformTaskToQuest(taskName, taskCategory, taskDifficulty, taskDescription);
+    const { previousQuests, error } = parsePreviousQuests(req.body.previousQuests);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    
+    const quest = await transformTaskToQuest(taskName, taskCategory, taskDifficulty, {
+      ...await getQuestOptions(req),
+      previousQuests
+    });
     
     // Return data in a format the frontend expects
     res.json({ 
       success: true, 
       questTitle: quest.questTitle, 
-      questNarrative: quest.questNarrative 
+      questNarrative: quest.questNarrative,
+      promptVariant: quest.promptVariant
+    });
+  } catch (error) {
+    logger.error('Error in transform-task endpoint', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Stream a quest narrative as it is generated, as Server-Sent Events:
+// `token` events carry each piece of text ({ text }), then a `done` event
+// carries the final narrative ({ questNarrative, promptVariant }), which may
+// differ from the streamed text if that had to be repaired.
+// Closing the connection stops the generation.
+app.post('/api/transform-task/stream', generationLimits('transform-task-stream', 30), async (req, res) => {
+  const { task, taskTitle, category, difficulty } = req.body;
+  const taskName = task || taskTitle || '';
+
+  if (!taskName) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Missing required field: task or taskTitle' 
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Quest narrative stream closed by client');
+      controller.abort();
+    }
+  });
+
+  try {
+    const result = await streamQuestNarrative(taskName, category || 'general', difficulty || 'medium', {
+      ...await getQuestOptions(req),
+      onToken: (text) => sendEvent('token', { text }),
+      signal: controller.signal
+    });
+    sendEvent('done', result);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    logger.error('Error in transform-task stream endpoint', error);
+    sendEvent('error', { message: error.message });
+  }
+  res.end();
+});
+
+// Transform a batch of tasks into quests
+// Body: { tasks: [{ id, taskTitle, category, difficulty }] }. Every valid task
+// counts towards the daily quota. Small batches answer with the results, larger
+// ones answer 202 with a jobId to poll at GET /api/transform-tasks/:jobId.
+app.post('/api/transform-tasks', [
+  rateLimit('transform-tasks', { max: 5, windowSeconds: 60 }),
+  storyTheme,
+  chargeGenerations(req => batchService.countValidTasks(req.body.tasks))
+], async (req, res) => {
+  try {
+    const { tasks } = req.body;
+    const problem = batchService.validateBatch(tasks);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    if (tasks.length > batchService.SYNC_LIMIT) {
+      const job = batchService.startJob(req.userId, tasks, await getQuestOptions(req));
+      res.set('Location', `/api/transform-tasks/${job.jobId}`);
+      return res.status(202).json({ success: true, ...job });
+    }
+
+    const results = await batchService.transformBatch(tasks, await getQuestOptions(req));
+    res.json({
+      success: true,
+      status: 'completed',
+      total: tasks.length,
+      completed: tasks.length,
+      summary: batchService.summarize(results),
+      results
+    });
+  } catch (error) {
+    logger.error('Error in transform-tasks endpoint', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Progress and results of a batch job; items not done yet have status `pending`
+app.get('/api/transform-tasks/:jobId', (req, res) => {
+  const job = batchService.getJob(req.userId, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Batch job not found' });
+  }
+  res.json({ success: true, ...job });
+});
+
+// Generate chapter narratives for the sub-steps of a quest
+app.post('/api/generate-chapters', generationLimits('generate-chapters', 10), async (req, res) => {
+  try {
+    const { questTitle, steps, category } = req.body;
+    
+    if (!questTitle || !Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields: questTitle or steps' 
+      });
+    }
+    if (steps.length > 20 || !steps.every(step => typeof step === 'string' && step.trim())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Field steps must be an array of at most 20 step titles' 
+      });
+    }
+    
+    const chapters = await generateStepChapters(questTitle, steps, category || 'general', getPromptOptions(req));
+    res.json({ 
+      success: true, 
+      chapters 
     });
   } catch (error) {
-    console.error('Error in transform-task endpoint:', error);
+    logger.error('Error in generate-chapters endpoint', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Generate motivational message
-app.get('/api/motivational-message', async (req, res) => {
+// Split a large task into an ordered chain of smaller quests
+app.post('/api/decompose-task', generationLimits('decompose-task', 10), async (req, res) => {
   try {
-    const message = await generateMotivationalMessage();
+    const { task, taskTitle, description, category } = req.body;
+    
+    const textFields = { task, taskTitle, description, category };
+    for (const [field, value] of Object.entries(textFields)) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ success: false, message: `Field ${field} must be a string` });
+      }
+    }
+    
+    // Support both parameter formats, as transform-task does
+    const taskName = (task || taskTitle || '').trim();
+    
+    if (!taskName) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required field: task or taskTitle' 
+      });
+    }
+    
+    const quests = await decomposeTask(taskName, description || '', category || 'general', getPromptOptions(req));
+    res.json({ 
+      success: true, 
+      quests 
+    });
+  } catch (error) {
+    logger.error('Error in decompose-task endpoint', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Counts from the user's progress a motivational message can be about
+const PROGRESS_COUNTS = ['streak', 'completedToday', 'pendingBossQuests', 'overdueQuests'];
+const QUEST_DIFFICULTIES = ['mini', 'normal', 'boss'];
+
+/**
+ * Read the user's progress from the query string of a motivational message request
+ * @param {Object} query - The counts above, and questTitle, questDifficulty and questOverdue for the quest being viewed; all optional
+ * @returns {Object} - { progress } with what was sent, or { error }
+ */
+const parseProgress = (query) => {
+  const progress = {};
+  for (const field of PROGRESS_COUNTS) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const value = Number(query[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `Field ${field} must be a non-negative integer` };
+    }
+    progress[field] = value;
+  }
+  
+  if (typeof query.questTitle === 'string' && query.questTitle.trim()) {
+    if (query.questDifficulty !== undefined && !QUEST_DIFFICULTIES.includes(query.questDifficulty)) {
+      return { error: `Field questDifficulty must be one of: ${QUEST_DIFFICULTIES.join(', ')}` };
+    }
+    progress.quest = {
+      title: query.questTitle.replace(/\s+/g, ' ').trim().substring(0, 100),
+      difficulty: query.questDifficulty || null,
+      overdue: query.questOverdue === 'true'
+    };
+  }
+  return { progress };
+};
+
+// Generate a motivational message, about the user's progress when it is sent in the query string
+app.get('/api/motivational-message', generationLimits('motivational-message', 10), async (req, res) => {
+  try {
+    const { progress, error } = parseProgress(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    
+    const message = await generateMotivationalMessage({ ...getPromptOptions(req), progress });
     // Return in a consistent format that the frontend expects
     res.json({ 
       success: true, 
       motivationalMessage: message 
     });
   } catch (error) {
-    console.error('Error in motivational-message endpoint:', error);
+    logger.error('Error in motivational-message endpoint', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // Generate achievement badge
-app.post('/api/achievement-badge', async (req, res) => {
+app.post('/api/achievement-badge', generationLimits('achievement-badge', 10), async (req, res) => {
   try {
     const { achievementType, milestone } = req.body;
     
@@ -97,32 +454,47 @@ app.post('/api/achievement-badge', async (req, res) => {
       });
     }
     
-    const badge = await generateAchievementBadge(achievementType, milestone);
+    const badge = await generateAchievementBadge(achievementType, milestone, getPromptOptions(req));
     res.json({ 
       success: true,
       badgeName: badge.badgeName,
-      badgeDescription: badge.badgeDescription
+      badgeDescription: badge.badgeDescription,
+      promptVariant: badge.promptVariant
     });
   } catch (error) {
-    console.error('Error in achievement-badge endpoint:', error);
+    logger.error('Error in achievement-badge endpoint', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Reset session data endpoint
-app.post('/api/reset-session', (req, res) => {
-  try {
-    const result = resetTokenCache();
-    res.json(result);
-  } catch (error) {
-    console.error('Error resetting session:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
-});
+// Task, stats and campaign storage, and prompt template reports
+app.use('/api/tasks', tasksRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/campaign', campaignRouter);
+app.use('/api/prompts', promptsRouter);
 
 // Start server
-app.listen(PORT, HOST, () => {
-  console.log(`Server is running on http://${HOST}:${PORT}`);
-  console.log(`For local access: http://localhost:${PORT}`);
-  console.log(`For network access: http://<your-local-ip>:${PORT}`);
-});
\ No newline at end of file
+// Start listening when run directly; the tests load the app without starting it
+if (require.main === module) {
+  // Refuse to start with invalid configuration instead of failing on the first requests
+  const configProblems = validateConfig();
+  if (configProblems.length > 0) {
+    configProblems.forEach(({ variable, problem }) => {
+      logger.error(`Invalid configuration: ${variable} ${problem}`, { variable });
+    });
+    process.exit(1);
+  }
+  getMissingCredentials().forEach((variable) => {
+    logger.warn(`Missing configuration: ${variable} is needed for LLM_PROVIDER=${process.env.LLM_PROVIDER || 'granite'}, AI generation will use templates`, { variable });
+  });
+
+  app.listen(PORT, HOST, () => {
+    logger.info('Server is running', {
+      url: `http://${HOST}:${PORT}`,
+      localUrl: `http://localhost:${PORT}`,
+      networkUrl: `http://<your-local-ip>:${PORT}`
+    });
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const storage = require('./storageService');
+const logger = require('./logger');
+require('dotenv').config();
+
+// Secret used to sign access and refresh tokens
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  logger.warn('JWT_SECRET not set, using a random secret - tokens will not survive a restart');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+const PASSWORD_SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const createAuthError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Public view of an account (never includes the password hash)
+ */
+const toPublicAccount = (account) => ({
+  id: account.id,
+  email: account.email,
+  createdAt: account.createdAt
+});
+
+/**
+ * Sign an access and refresh token pair for an account
+ * Refresh tokens carry the account's token version so logout can revoke them.
+ */
+const issueTokens = (account) => ({
+  accessToken: jwt.sign({ sub: account.id, type: 'access' }, jwtSecret, { expiresIn: ACCESS_TOKEN_TTL }),
+  refreshToken: jwt.sign(
+    { sub: account.id, type: 'refresh', version: account.tokenVersion },
+    jwtSecret,
+    { expiresIn: REFRESH_TOKEN_TTL }
+  )
+});
+
+/**
+ * Register a new account
+ * @param {string} email - Account email
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const register = async (email, password) => {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    throw createAuthError('A valid email is required', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw createAuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (await storage.getAccountByEmail(email)) {
+    throw createAuthError('An account with this email already exists', 409);
+  }
+
+  const passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+
+  // Another signup with this email may have finished while the password was hashed
+  if (await storage.getAccountByEmail(email)) {
+    throw createAuthError('An account with this email already exists', 409);
+  }
+
+  const account = await storage.saveAccount({
+    id: crypto.randomUUID(),
+    email: email.trim().toLowerCase(),
+    passwordHash,
+    tokenVersion: 0,
+    createdAt: new Date().toISOString()
+  });
+
+  logger.info('New account registered');
+  return { user: toPublicAccount(account), ...issueTokens(account) };
+};
+
+/**
+ * Log in with email and password
+ * @param {string} email - Account email
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const login = async (email, password) => {
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    throw createAuthError('Email and password are required', 400);
+  }
+
+  const account = email ? await storage.getAccountByEmail(email) : null;
+
+  // Same error for unknown email and wrong password
+  if (!account || !password || !(await bcrypt.compare(password, account.passwordHash))) {
+    throw createAuthError('Invalid email or password', 401);
+  }
+
+  return { user: toPublicAccount(account), ...issueTokens(account) };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token from login or a previous refresh
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const refresh = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, jwtSecret);
+  } catch (error) {
+    throw createAuthError('Invalid or expired refresh token', 401);
+  }
+
+  const account = payload.type === 'refresh' ? await storage.getAccountById(payload.sub) : null;
+  if (!account || payload.version !== account.tokenVersion) {
+    throw createAuthError('Invalid or expired refresh token', 401);
+  }
+
+  return { user: toPublicAccount(account), ...issueTokens(account) };
+};
+
+/**
+ * Revoke all refresh tokens of an account
+ * @param {string} accountId - Account id
+ */
+const logout = async (accountId) => {
+  const account = await storage.getAccountById(accountId);
+  if (account) {
+    await storage.saveAccount({ ...account, tokenVersion: account.tokenVersion + 1 });
+  }
+  return { success: true, message: 'Logged out successfully' };
+};
+
+/**
+ * Verify an access token
+ * @param {string} accessToken - Bearer token from the Authorization header
+ * @returns {Object} - Token payload ({ sub, type, exp, ... })
+ */
+const verifyAccessToken = (accessToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, jwtSecret);
+  } catch (error) {
+    throw createAuthError('Invalid or expired access token', 401);
+  }
+
+  if (payload.type !== 'access') {
+    throw createAuthError('Invalid or expired access token', 401);
+  }
+
+  return payload;
+};
+
+module.exports = { register, login, refresh, logout, verifyAccessToken, toPublicAccount };
@@ -1,4 +1,6 @@
 const axios = require('axios');
+const logger = require('./logger');
+const metrics = require('./metrics');
 require('dotenv').config();
 
 // Token cache to avoid repeatedly requesting new tokens
@@ -11,7 +13,7 @@ let tokenCache = {
  * Reset the token cache
  */
 const resetTokenCache = () => {
-  console.log('Resetting IBM token cache');
+  logger.info('Resetting IBM token cache');
   tokenCache = {
     token: null,
     expiresAt: 0
@@ -19,41 +21,69 @@ const resetTokenCache = () => {
   return { success: true, message: 'Token cache reset successfully' };
 };
 
+// IAM token requests time out after this many milliseconds
+const IAM_TIMEOUT_MS = 10 * 1000;
+
+// Token request in progress, shared by callers that need a token at the same time
+let pendingToken = null;
+
 /**
- * Get IBM Cloud IAM token, either from cache or by generating a new one
+ * Request a new IAM token and cache it
  */
-const getIBMToken = async () => {
-  const currentTime = Date.now();
-  
-  // If we have a valid token in cache, use it
-  if (tokenCache.token && currentTime < tokenCache.expiresAt) {
-    return tokenCache.token;
-  }
-
+const requestIBMToken = async () => {
   try {
-    // Request a new token
     const response = await axios({
       method: 'POST',
-      url: 'https://iam.cloud.ibm.com/identity/token',
+      url: process.env.IBM_IAM_URL || 'https://iam.cloud.ibm.com/identity/token',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
         'Accept': 'application/json'
       },
-      data: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${process.env.IBM_API_KEY}`
+      data: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${process.env.IBM_API_KEY}`,
+      timeout: IAM_TIMEOUT_MS
     });
 
     // Store token in cache with expiration (token is valid for 3600 seconds = 1 hour)
     // Set expiry 5 minutes before actual expiry to be safe
     const expiresIn = response.data.expires_in;
     tokenCache.token = response.data.access_token;
-    tokenCache.expiresAt = currentTime + (expiresIn - 300) * 1000; // Convert to milliseconds and subtract 5 minutes
-    
-    console.log('New IBM token generated');
+    tokenCache.expiresAt = Date.now() + (expiresIn - 300) * 1000; // Convert to milliseconds and subtract 5 minutes
+
+    metrics.iamTokenRequests.inc({ outcome: 'success' });
+    logger.info('New IBM token generated');
     return tokenCache.token;
   } catch (error) {
-    console.error('Error generating IBM token:', error.response?.data || error.message);
+    metrics.iamTokenRequests.inc({ outcome: 'error' });
+    logger.error('Error generating IBM token', { status: error.response?.status, error: error.response?.data?.errorCode || error.code || error.message });
     throw new Error('Failed to obtain IBM authentication token');
   }
 };
 
-module.exports = { getIBMToken, resetTokenCache };
\ No newline at end of file
+/**
+ * Get IBM Cloud IAM token, either from cache or by generating a new one
+ */
+const getIBMToken = async () => {
+  // If we have a valid token in cache, use it
+  if (tokenCache.token && Date.now() < tokenCache.expiresAt) {
+    return tokenCache.token;
+  }
+
+  if (!pendingToken) {
+    pendingToken = requestIBMToken().finally(() => {
+      pendingToken = null;
+    });
+  }
+  return pendingToken;
+};
+
+/**
+ * State of the token cache, for readiness checks
+ * @returns {Object} - { cached, expiresAt, refreshing }
+ */
+const getTokenStatus = () => ({
+  cached: Boolean(tokenCache.token) && Date.now() < tokenCache.expiresAt,
+  expiresAt: tokenCache.token ? new Date(tokenCache.expiresAt).toISOString() : null,
+  refreshing: Boolean(pendingToken)
+});
+
+module.exports = { getIBMToken, resetTokenCache, getTokenStatus };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { transformTaskToQuest } = require('./graniteService');
+const logger = require('./logger');
+require('dotenv').config();
+
+/**
+ * Batch quest transformation
+ * Transforms many tasks with at most BATCH_CONCURRENCY provider calls in
+ * flight. Items go through transformTaskToQuest, so they share the generation
+ * cache and identical tasks are only generated once. Every item gets its own
+ * status: `generated`, `fallback` (the provider failed and the built-in quest
+ * was used) or `error` (the item itself was invalid), so one bad item never
+ * fails the batch. Large batches run as jobs that are polled by id; finished
+ * jobs are kept for JOB_TTL_MS.
+ */
+
+const readNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const CONCURRENCY = readNumber(process.env.BATCH_CONCURRENCY, 3);
+const MAX_TASKS = 100;
+// Batches up to this size are answered directly, larger ones run as jobs
+const SYNC_LIMIT = 10;
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Jobs by id: { id, userId, status, total, completed, results, createdAt, finishedAt }
+const jobs = new Map();
+
+/**
+ * Read one task of a batch request
+ * @param {Object} task - { id, taskTitle or task or title, category, difficulty }
+ * @returns {Object} - { id, title, category, difficulty } or { id, error }
+ */
+const readTask = (task) => {
+  const id = task && typeof task.id === 'string' ? task.id : null;
+  const title = task && (task.taskTitle || task.task || task.title);
+  if (typeof title !== 'string' || !title.trim()) {
+    return { id, error: 'Missing required field: taskTitle' };
+  }
+  return {
+    id,
+    title: title.trim(),
+    category: task.category || 'general',
+    difficulty: task.difficulty || 'medium'
+  };
+};
+
+/**
+ * Validate a batch request body
+ * @param {Array} tasks - The request's tasks
+ * @returns {string|null} - What is wrong with the batch, or null
+ */
+const validateBatch = (tasks) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return 'Field tasks must be a non-empty array';
+  }
+  if (tasks.length > MAX_TASKS) {
+    return `A batch can have at most ${MAX_TASKS} tasks`;
+  }
+  return null;
+};
+
+/**
+ * Number of tasks in a batch that will be sent to the model, for the generation quota
+ * @param {Array} tasks - The request's tasks
+ * @returns {number} - 0 if the batch itself is invalid
+ */
+const countValidTasks = (tasks) => (validateBatch(tasks) ? 0 : tasks.map(readTask).filter(task => !task.error).length);
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Transform one task of a batch
+ */
+const transformItem = async (task, index, options) => {
+  const item = readTask(task);
+  if (item.error) {
+    return { index, id: item.id, status: 'error', message: item.error };
+  }
+
+  try {
+    const quest = await transformTaskToQuest(item.title, item.category, item.difficulty, options);
+    return {
+      index,
+      id: item.id,
+      status: quest.promptVariant ? 'generated' : 'fallback',
+      questTitle: quest.questTitle,
+      questNarrative: quest.questNarrative,
+      promptVariant: quest.promptVariant
+    };
+  } catch (error) {
+    logger.error('Error transforming batch item', error);
+    return { index, id: item.id, status: 'error', message: error.message };
+  }
+};
+
+/**
+ * Count item statuses
+ * @returns {Object} - { generated, fallback, error }
+ */
+const summarize = (results) => results.reduce((summary, result) => {
+  if (result && summary[result.status] !== undefined) summary[result.status] += 1;
+  return summary;
+}, { generated: 0, fallback: 0, error: 0 });
+
+/**
+ * Transform a batch of tasks
+ * @param {Array<Object>} tasks - Tasks ({ id, taskTitle, category, difficulty })
+ * @param {Object} options - Story theme, the campaign's story so far and prompt variant selection ({ theme, storySoFar, variant, seed })
+ * @param {Function} onResult - Called with each item's result as it finishes
+ * @returns {Promise<Array<Object>>} - One result per task, in order
+ */
+const transformBatch = (tasks, options = {}, onResult = () => {}) => mapWithConcurrency(tasks, CONCURRENCY, async (task, index) => {
+  const result = await transformItem(task, index, options);
+  onResult(result);
+  return result;
+});
+
+/**
+ * Drop finished jobs older than JOB_TTL_MS
+ */
+const sweepJobs = () => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+  }
+};
+
+/**
+ * Public view of a job
+ */
+const describeJob = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  total: job.total,
+  completed: job.completed,
+  summary: summarize(job.results),
+  results: job.results
+});
+
+/**
+ * Start transforming a batch in the background
+ * @param {string} userId - Owner of the job; only they can read it
+ * @param {Array<Object>} tasks - Tasks to transform
+ * @param {Object} options - Story theme, the campaign's story so far and prompt variant selection ({ theme, storySoFar, variant, seed })
+ * @returns {Object} - The job, see describeJob
+ */
+const startJob = (userId, tasks, options = {}) => {
+  sweepJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    status: 'running',
+    total: tasks.length,
+    completed: 0,
+    results: tasks.map((task, index) => ({ index, id: readTask(task).id, status: 'pending' })),
+    createdAt: Date.now(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  transformBatch(tasks, options, (result) => {
+    job.results[result.index] = result;
+    job.completed += 1;
+  })
+    .then(() => {
+      job.status = 'completed';
+    })
+    .catch((error) => {
+      logger.error('Error running batch job', error);
+      job.status = 'failed';
+    })
+    .finally(() => {
+      job.finishedAt = Date.now();
+      logger.info('Batch job finished', { jobId: job.id, status: job.status, total: job.total, ...summarize(job.results) });
+    });
+
+  return describeJob(job);
+};
+
+/**
+ * Get a job of a user
+ * @param {string} userId - The user asking
+ * @param {string} jobId - Job id
+ * @returns {Object|null} - The job, or null if it doesn't exist, expired or belongs to someone else
+ */
+const getJob = (userId, jobId) => {
+  const job = jobs.get(jobId);
+  return job && job.userId === userId ? describeJob(job) : null;
+};
+
+module.exports = {
+  SYNC_LIMIT,
+  validateBatch,
+  countValidTasks,
+  transformBatch,
+  summarize,
+  startJob,
+  getJob
+};
@@ -0,0 +1,117 @@
+const { generateCampaignChapter, fallbackCampaignChapter } = require('./graniteService');
+const { getTheme } = require('./themes');
+const storage = require('./storageService');
+
+/**
+ * Story campaigns
+ * A user's completed quests form one ongoing story. When a quest is completed
+ * a short chapter recap is written for it and the rolling campaign summary is
+ * updated; new quests are generated with that summary so they can refer back
+ * to earlier victories. The summary belongs to one story theme: a chapter in
+ * another theme starts a new summary, while earlier chapters are kept.
+ */
+
+// Chapters kept per user; the oldest are dropped first
+const MAX_CHAPTERS = 200;
+
+// Campaign updates in progress per user, run one after another so no chapter is lost
+const queues = new Map();
+
+/**
+ * Run an update of a user's campaign after the ones already queued
+ */
+const enqueue = (userId, update) => {
+  const run = (queues.get(userId) || Promise.resolve()).catch(() => {}).then(update);
+  queues.set(userId, run);
+  const cleanup = () => {
+    if (queues.get(userId) === run) queues.delete(userId);
+  };
+  run.then(cleanup, cleanup);
+  return run;
+};
+
+/**
+ * The part of a theme a campaign remembers
+ */
+const describeTheme = (theme) => ({ key: theme.key, style: theme.key === 'custom' ? theme.style : null });
+
+const isSameTheme = (stored, theme) => Boolean(stored) &&
+  stored.key === theme.key && (theme.key !== 'custom' || stored.style === theme.style);
+
+/**
+ * Summary of a user's campaign to continue in a theme
+ * @param {string} userId - User id
+ * @param {Object} theme - Story theme of the request, see themes
+ * @returns {Promise<string>} - The story so far, or '' if the campaign is new or in another theme
+ */
+const getStorySoFar = async (userId, theme = getTheme()) => {
+  const campaign = await storage.getCampaign(userId);
+  return campaign && isSameTheme(campaign.theme, theme) ? campaign.summary : '';
+};
+
+/**
+ * Add the chapter of a completed quest to a user's campaign
+ * @param {string} userId - User id
+ * @param {Object} task - The completed task
+ * @param {Object} options - { theme, seed, allowGeneration: false to use the built-in chapter }
+ * @returns {Promise<Object|null>} - The chapter, or null if the quest already has one
+ */
+const recordVictory = (userId, task, { theme = getTheme(), seed, allowGeneration = true } = {}) => enqueue(userId, async () => {
+  const campaign = await storage.getCampaign(userId) || { theme: null, summary: '', chapters: [] };
+  if (campaign.chapters.some(chapter => chapter.taskId === task.id)) {
+    return null;
+  }
+
+  const storySoFar = isSameTheme(campaign.theme, theme) ? campaign.summary : '';
+  const quest = { questTitle: task.questTitle || task.title, questNarrative: task.questNarrative };
+  const { recap, summary, promptVariant } = allowGeneration
+    ? await generateCampaignChapter(quest, storySoFar, { theme, seed })
+    : { ...fallbackCampaignChapter(quest, storySoFar, theme), promptVariant: null };
+
+  const chapter = {
+    taskId: task.id,
+    questTitle: quest.questTitle,
+    recap,
+    completedAt: task.completedAt,
+    theme: theme.key,
+    promptVariant
+  };
+  await storage.saveCampaign(userId, {
+    theme: describeTheme(theme),
+    summary,
+    chapters: [...campaign.chapters, chapter].slice(-MAX_CHAPTERS),
+    updatedAt: new Date().toISOString()
+  });
+  return chapter;
+});
+
+/**
+ * A user's campaign
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} - { theme, summary, chapters (oldest first), updatedAt, writing: whether a chapter is being written }
+ */
+const getCampaign = async (userId) => {
+  const campaign = await storage.getCampaign(userId);
+  return {
+    theme: null,
+    summary: '',
+    chapters: [],
+    updatedAt: null,
+    ...campaign,
+    writing: queues.has(userId)
+  };
+};
+
+/**
+ * Start a new campaign, forgetting the summary and chapters
+ * @param {string} userId - User id
+ * @returns {Promise<null>}
+ */
+const resetCampaign = (userId) => enqueue(userId, () => storage.saveCampaign(userId, null));
+
+module.exports = {
+  getStorySoFar,
+  recordVictory,
+  getCampaign,
+  resetCampaign
+};
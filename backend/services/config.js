@@ -0,0 +1,149 @@
+require('dotenv').config();
+
+/**
+ * Configuration schema
+ * Every environment variable the backend reads, with its type and limits.
+ * validateConfig() checks the environment against it at startup so a typo in
+ * .env stops the server with a clear message instead of surfacing as failed
+ * generations later. Missing provider credentials don't stop it: generation
+ * falls back to templates, getMissingCredentials() lists them for the startup
+ * warnings and the readiness check reports the server as degraded.
+ */
+
+const PROVIDERS = ['granite', 'openai', 'ollama', 'template'];
+
+const isGranite = (env) => (env.LLM_PROVIDER || 'granite').toLowerCase() === 'granite';
+
+const SCHEMA = {
+  PORT: { type: 'integer', min: 1, max: 65535 },
+  HOST: { type: 'string' },
+  TRUST_PROXY: { type: 'string' },
+  DATA_FILE: { type: 'string' },
+  PROMPTS_DIR: { type: 'string' },
+  BUILD_COMMIT: { type: 'string' },
+
+  LLM_PROVIDER: { type: 'enum', values: PROVIDERS },
+  IBM_API_KEY: { type: 'string', required: isGranite },
+  IBM_PROJECT_ID: { type: 'string', required: isGranite },
+  IBM_URL: { type: 'url' },
+  IBM_IAM_URL: { type: 'url' },
+  IBM_STREAM_URL: { type: 'url' },
+  IBM_MODEL_ID: { type: 'string' },
+  IBM_DECODING_METHOD: { type: 'enum', values: ['greedy', 'sample'] },
+  IBM_REPETITION_PENALTY: { type: 'number', min: 1, max: 2 },
+  LLM_BASE_URL: { type: 'url' },
+  LLM_MODEL: { type: 'string' },
+  LLM_API_KEY: { type: 'string' },
+  LLM_TEMPERATURE: { type: 'number', min: 0, max: 2 },
+  LLM_REPAIR_ATTEMPTS: { type: 'integer', min: 0, max: 3 },
+  LLM_TIMEOUT_MS: { type: 'integer', min: 0 },
+  LLM_MAX_RETRIES: { type: 'integer', min: 0, max: 10 },
+  LLM_RETRY_BASE_DELAY_MS: { type: 'integer', min: 0 },
+  LLM_CIRCUIT_FAILURE_THRESHOLD: { type: 'integer', min: 0 },
+  LLM_CIRCUIT_RESET_SECONDS: { type: 'integer', min: 0 },
+
+  GENERATION_CACHE_TTL_SECONDS: { type: 'integer', min: 0 },
+  GENERATION_CACHE_MAX_ENTRIES: { type: 'integer', min: 0 },
+  GENERATION_DAILY_QUOTA: { type: 'integer', min: 0 },
+  BATCH_CONCURRENCY: { type: 'integer', min: 1, max: 20 },
+
+  JWT_SECRET: { type: 'string' },
+  ACCESS_TOKEN_TTL: { type: 'duration' },
+  REFRESH_TOKEN_TTL: { type: 'duration' },
+  METRICS_TOKEN: { type: 'string' },
+
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'] },
+  LOG_REQUESTS: { type: 'boolean' },
+  LOG_USER_TEXT: { type: 'boolean' }
+};
+
+// Per-limiter overrides, see middleware/rateLimit
+const RATE_LIMIT_VARIABLE = /^RATE_LIMIT_[A-Z0-9_]+_(MAX|WINDOW_SECONDS)$/;
+
+/**
+ * Check one value against its rule
+ * @returns {string|null} - What is wrong with the value, or null
+ */
+const checkValue = (value, rule) => {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`;
+      }
+      if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    }
+    case 'url':
+      try {
+        const { protocol } = new URL(value);
+        return ['http:', 'https:'].includes(protocol) ? null : 'must be an http or https URL';
+      } catch (error) {
+        return 'must be a valid URL';
+      }
+    case 'enum':
+      return rule.values.includes(value.toLowerCase()) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'boolean':
+      return ['true', 'false'].includes(value) ? null : 'must be true or false';
+    case 'duration':
+      return /^\d+\s*(ms|s|m|h|d|w|y)?$/.test(value) ? null : 'must be a number of seconds or a duration such as 15m or 30d';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate the environment against the configuration schema
+ * @param {Object} env - Environment variables (process.env by default)
+ * @returns {Array<Object>} - Problems found, [{ variable, problem }]; empty if the configuration is valid
+ */
+const validateConfig = (env = process.env) => {
+  const problems = [];
+
+  Object.entries(SCHEMA).forEach(([variable, rule]) => {
+    const value = env[variable];
+    if (value === undefined || value === '') {
+      return;
+    }
+
+    const problem = checkValue(value, rule);
+    if (problem) problems.push({ variable, problem });
+  });
+
+  Object.keys(env).filter(variable => RATE_LIMIT_VARIABLE.test(variable)).forEach((variable) => {
+    const problem = checkValue(env[variable], { type: 'integer', min: 0 });
+    if (problem) problems.push({ variable, problem });
+  });
+
+  return problems;
+};
+
+/**
+ * Credentials the selected LLM provider needs but that are not set
+ * @param {Object} env - Environment variables (process.env by default)
+ * @returns {Array<string>} - Names of the missing variables
+ */
+const getMissingCredentials = (env = process.env) => (
+  Object.entries(SCHEMA)
+    .filter(([variable, rule]) => rule.required && rule.required(env) && (env[variable] === undefined || env[variable] === ''))
+    .map(([variable]) => variable)
+);
+
+/**
+ * Version of the running build, for readiness checks
+ * @returns {Object} - { version, commit (BUILD_COMMIT, if set), node }
+ */
+const getBuildInfo = () => ({
+  version: require('../package.json').version,
+  commit: process.env.BUILD_COMMIT || null,
+  node: process.version
+});
+
+module.exports = {
+  validateConfig,
+  getMissingCredentials,
+  getBuildInfo
+};
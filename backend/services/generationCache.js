@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * In-memory cache for generated content
+ * Entries are keyed on the prompt variant plus the normalized request
+ * variables, expire after GENERATION_CACHE_TTL_SECONDS and the least recently
+ * used entries are evicted beyond GENERATION_CACHE_MAX_ENTRIES. Identical
+ * requests that arrive while one is being generated share its result.
+ */
+
+const readNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+const TTL_MS = readNumber(process.env.GENERATION_CACHE_TTL_SECONDS, 24 * 60 * 60) * 1000;
+const MAX_ENTRIES = readNumber(process.env.GENERATION_CACHE_MAX_ENTRIES, 1000);
+
+// Map keeps insertion order, so the first key is always the least recently used
+const entries = new Map();
+const inFlight = new Map();
+const counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+
+/**
+ * Normalize a request value so trivially different requests share an entry:
+ * strings are trimmed, lower-cased and have their whitespace collapsed
+ */
+const normalizeValue = (value) => {
+  if (typeof value === 'string') {
+    return value.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      normalized[key] = normalizeValue(value[key]);
+      return normalized;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Build a cache key
+ * @param {string} namespace - What the value depends on besides the variables, e.g. the prompt variant "quest/default@1"
+ * @param {Object} variables - Request variables
+ * @returns {string}
+ */
+const buildCacheKey = (namespace, variables) => {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(normalizeValue(variables))).digest('hex');
+  return `${namespace}:${digest}`;
+};
+
+/**
+ * Read a live entry, refreshing its place in the LRU order
+ */
+const readEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  entries.delete(key);
+  if (entry.expiresAt <= Date.now()) return undefined;
+
+  entries.set(key, entry);
+  return entry.value;
+};
+
+/**
+ * Store an entry, evicting the least recently used ones over the size limit
+ */
+const writeEntry = (key, value) => {
+  entries.delete(key);
+  entries.set(key, { value, expiresAt: Date.now() + TTL_MS });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    counters.evictions += 1;
+  }
+};
+
+/**
+ * Return a cached value or generate it, sharing one generation between
+ * identical concurrent requests. Failed generations are not cached.
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {Function} generate - Async function producing the value
+ * @returns {Promise<*>} - A copy of the value, so callers can't change the cached one
+ */
+const getOrGenerate = async (key, generate) => {
+  if (TTL_MS === 0 || MAX_ENTRIES === 0) {
+    return generate();
+  }
+
+  const cached = readEntry(key);
+  if (cached !== undefined) {
+    counters.hits += 1;
+    return structuredClone(cached);
+  }
+
+  if (inFlight.has(key)) {
+    counters.coalesced += 1;
+    return structuredClone(await inFlight.get(key));
+  }
+
+  counters.misses += 1;
+  const pending = (async () => {
+    try {
+      const value = await generate();
+      writeEntry(key, value);
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, pending);
+
+  return structuredClone(await pending);
+};
+
+/**
+ * Look up a cached value without generating it, for streamed generations
+ * that produce their value piece by piece
+ * @param {string} key - Cache key from buildCacheKey
+ * @returns {*} - A copy of the value, or undefined on a miss
+ */
+const getCached = (key) => {
+  if (TTL_MS === 0 || MAX_ENTRIES === 0) return undefined;
+
+  const cached = readEntry(key);
+  if (cached === undefined) {
+    counters.misses += 1;
+    return undefined;
+  }
+  counters.hits += 1;
+  return structuredClone(cached);
+};
+
+/**
+ * Store a value generated outside getOrGenerate
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {*} value - The value to cache
+ */
+const setCached = (key, value) => {
+  if (TTL_MS === 0 || MAX_ENTRIES === 0) return;
+  writeEntry(key, structuredClone(value));
+};
+
+/**
+ * Cache size and hit counts since the server started, for health checks
+ * @returns {Object}
+ */
+const getCacheStats = () => ({
+  enabled: TTL_MS > 0 && MAX_ENTRIES > 0,
+  size: entries.size,
+  maxEntries: MAX_ENTRIES,
+  ttlSeconds: TTL_MS / 1000,
+  inFlight: inFlight.size,
+  ...counters
+});
+
+/**
+ * Drop every cached entry
+ */
+const clearCache = () => {
+  entries.clear();
+};
+
+module.exports = {
+  buildCacheKey,
+  getOrGenerate,
+  getCached,
+  setCached,
+  getCacheStats,
+  clearCache
+};
@@ -1,323 +1,480 @@
-const axios = require('axios');
-const { getIBMToken } = require('./authService');
+const { getProvider } = require('./providers');
+const {
+  MIN_CHAIN_LENGTH,
+  MAX_CHAIN_LENGTH,
+  CAMPAIGN_SUMMARY_MAX_LENGTH,
+  getSchema,
+  parseOutput,
+  buildRepairPrompt,
+  recordParseStage
+} = require('./structuredOutput');
+const { renderPrompt } = require('./promptRegistry');
+const { getTheme } = require('./themes');
+const { buildCacheKey, getOrGenerate, getCached, setCached } = require('./generationCache');
+const { isProviderFailure, withRetries, getCircuitBreaker, circuitOpenError } = require('./resilience');
+const logger = require('./logger');
+const metrics = require('./metrics');
 require('dotenv').config();
 
 /**
- * Call IBM Granite API with the instruct-based model format
- * @param {string} prompt - The prompt to send to the API
- * @param {number} maxTokens - Maximum number of tokens to generate
- * @returns {Promise<Object>} - The API response
+ * Count the tokens a provider reports in its response
+ */
+const recordTokenUsage = (providerName, response) => {
+  const result = response?.results?.[0] || {};
+  if (Number.isFinite(result.input_token_count)) {
+    metrics.llmTokens.inc({ provider: providerName, kind: 'input' }, result.input_token_count);
+  }
+  if (Number.isFinite(result.generated_token_count)) {
+    metrics.llmTokens.inc({ provider: providerName, kind: 'generated' }, result.generated_token_count);
+  }
+};
+
+/**
+ * Count whether a generation request got generated content or the built-in fallback
+ */
+const countGeneration = (type, result) => metrics.generations.inc({ type, result });
+
+/**
+ * Log why a generator is using its fallback. Calls skipped because the
+ * provider's circuit is open are expected while it is down, so they are only a warning.
  */
-const callGraniteAPI = async (prompt, maxTokens = 200) => {
+const logGenerationError = (msg, error) => {
+  if (error.code === 'CIRCUIT_OPEN') {
+    logger.warn(msg, { reason: error.message });
+  } else {
+    logger.error(msg, error);
+  }
+};
+
+/**
+ * Make a provider call behind the provider's circuit breaker, with retries
+ * (see resilience), and record its latency and outcome
+ * @param {Object} provider - The LLM provider
+ * @param {Object} meta - Request details; meta.type labels the metrics
+ * @param {Function} request - Makes the call, resolving to a watsonx-shaped response
+ * @param {Object} options - { signal: AbortSignal, canRetry: returns false once the call can't be repeated }
+ * @returns {Promise<Object>} - The response ({ results: [{ generated_text }] })
+ */
+const runProviderCall = async (provider, meta, request, { signal, canRetry } = {}) => {
+  const labels = { provider: provider.name, type: meta.type };
+  const breaker = getCircuitBreaker(provider.name);
+  if (!breaker.tryAcquire()) {
+    metrics.llmRequests.inc({ ...labels, outcome: 'short_circuited' });
+    throw circuitOpenError(provider.name);
+  }
+
+  const stopTimer = metrics.llmRequestDuration.startTimer(labels);
   try {
-    const token = await getIBMToken();
-    const url = process.env.IBM_URL || "https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29";
-    const modelId = process.env.IBM_MODEL_ID || "ibm/granite-13b-instruct-v2";
-    const projectId = process.env.IBM_PROJECT_ID;
-    
-    // Validate that required environment variables are present
-    if (!projectId) {
-      console.warn('Warning: IBM_PROJECT_ID environment variable not set');
+    const response = await withRetries(request, { refreshAuth: provider.refreshAuth, signal, canRetry, context: labels });
+    breaker.recordSuccess();
+    stopTimer({ outcome: 'success' });
+    metrics.llmRequests.inc({ ...labels, outcome: 'success' });
+    recordTokenUsage(provider.name, response);
+    return response;
+  } catch (error) {
+    const outcome = signal?.aborted ? 'cancelled' : 'error';
+    if (signal?.aborted) {
+      breaker.release();
+    } else if (isProviderFailure(error)) {
+      breaker.recordFailure();
+    } else {
+      breaker.recordSuccess();
     }
-    
-    const headers = {
-      "Accept": "application/json",
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${token}`
-    };
-    
-    // Using environment variables for API parameters
-    const body = {
-      input: prompt,
-      parameters: {
-        decoding_method: process.env.IBM_DECODING_METHOD || "greedy",
-        max_new_tokens: maxTokens,
-        min_new_tokens: 0,
-        stop_sequences: [],
-        repetition_penalty: Number(process.env.IBM_REPETITION_PENALTY) || 1
-      },
-      model_id: modelId,
-      project_id: projectId,
-      moderations: {
-        hap: {
-          input: {
-            enabled: true,
-            threshold: 0.5,
-            mask: {
-              remove_entity_value: true
-            }
-          },
-          output: {
-            enabled: true,
-            threshold: 0.5,
-            mask: {
-              remove_entity_value: true
-            }
-          }
-        },
-        pii: {
-          input: {
-            enabled: true,
-            threshold: 0.5,
-            mask: {
-              remove_entity_value: true
-            }
-          },
-          output: {
-            enabled: true,
-            threshold: 0.5,
-            mask: {
-              remove_entity_value: true
-            }
-          }
-        }
-      }
-    };
+    stopTimer({ outcome });
+    metrics.llmRequests.inc({ ...labels, outcome });
+    throw error;
+  }
+};
 
-    console.log('Calling IBM Granite API with:', { url, modelId, projectId: projectId ? 'configured' : 'missing' });
-    const response = await axios({
-      url,
-      headers,
-      method: "POST",
-      data: body
-    });
-    
-    if (response.status !== 200) {
-      throw new Error(`API returned status ${response.status}`);
-    }
-    
-    return response.data;
+/**
+ * Call the configured LLM provider (IBM Granite by default, see LLM_PROVIDER)
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @param {Object} meta - Structured request details used by offline providers
+ * @returns {Promise<Object>} - The API response ({ results: [{ generated_text }] })
+ */
+const callGraniteAPI = async (prompt, maxTokens = 200, meta = {}) => {
+  const provider = getProvider();
+  try {
+    return await runProviderCall(provider, meta, () => provider.generate(prompt, maxTokens, meta));
   } catch (error) {
-    console.error('Error calling Granite API:', error.response?.data || error.message);
-    throw new Error('Failed to generate content with Granite API');
+    if (error.code === 'CIRCUIT_OPEN') throw error;
+    logger.error('Error calling LLM provider', { provider: provider.name, error });
+    throw new Error(`Failed to generate content with ${provider.name} provider`);
   }
 };
 
 /**
- * Extract valid JSON from text that might contain non-JSON content
- * @param {string} text - Text that might contain JSON
- * @returns {Object|null} - Parsed JSON object or null if parsing failed
+ * Call the configured LLM provider, passing generated text to onToken as it
+ * arrives. Providers that can't stream pass the complete text at once. A
+ * failed stream is only retried if no text was passed on yet.
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @param {Object} meta - Structured request details used by offline providers
+ * @param {Object} handlers - { onToken: called with each chunk of text, signal: AbortSignal to stop generating }
+ * @returns {Promise<Object>} - The complete response ({ results: [{ generated_text }] })
  */
-function extractJSONFromText(text) {
-  if (!text) return null;
-  
-  console.log('Attempting to extract JSON from:', text.substring(0, 100) + '...');
-  
-  // Try direct parsing first
+const streamGraniteAPI = async (prompt, maxTokens = 200, meta = {}, { onToken, signal } = {}) => {
+  const provider = getProvider();
+  let tokensSent = false;
+  const sendToken = (text) => {
+    tokensSent = true;
+    if (onToken) onToken(text);
+  };
+
+  const request = async () => {
+    if (provider.generateStream) {
+      const generatedText = await provider.generateStream(prompt, maxTokens, meta, { onToken: sendToken, signal });
+      return { results: [{ generated_text: generatedText }] };
+    }
+    const response = await provider.generate(prompt, maxTokens, meta);
+    const generatedText = response.results?.[0]?.generated_text;
+    if (generatedText && !signal?.aborted) sendToken(generatedText);
+    return response;
+  };
+
   try {
-    return JSON.parse(text);
-  } catch (e) {
-    console.log('Direct JSON parsing failed, trying to extract JSON content');
+    return await runProviderCall(provider, meta, request, { signal, canRetry: () => !tokensSent });
+  } catch (error) {
+    if (signal?.aborted || error.code === 'CIRCUIT_OPEN') throw error;
+    logger.error('Error streaming from LLM provider', { provider: provider.name, error });
+    throw new Error(`Failed to stream content with ${provider.name} provider`);
   }
-  
-  // Try to find JSON-like content using regex patterns
-  try {
-    // Look for content between curly braces
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const potentialJson = jsonMatch[0];
-      console.log('Found potential JSON:', potentialJson.substring(0, 50) + '...');
-      try {
-        return JSON.parse(potentialJson);
-      } catch (e) {
-        console.log('Failed to parse extracted JSON with braces');
-      }
+};
+
+// Generation types whose output is cached; messages are meant to vary between requests
+const CACHED_TYPES = ['quest', 'chapters', 'decompose', 'badge'];
+
+// How many times invalid output is sent back to the model to be fixed
+const MAX_REPAIR_ATTEMPTS = (() => {
+  const value = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+  return Number.isInteger(value) && value >= 0 ? Math.min(value, 3) : 1;
+})();
+
+/**
+ * Generate output of a known type and validate it against its schema. Output
+ * that fails validation is sent back with a repair prompt, up to
+ * LLM_REPAIR_ATTEMPTS times. The stage that succeeded is recorded per type.
+ * @param {string} type - Generation type, see structuredOutput SCHEMAS
+ * @param {string} prompt - The prompt to send
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @param {Object} meta - Request details, passed to the provider and the schema
+ * @param {Object} stream - Optional { onToken, signal } to stream the first attempt; repairs are not streamed
+ * @returns {Promise<*>} - Validated output
+ */
+const generateStructured = async (type, prompt, maxTokens, meta = {}, stream = null) => {
+  const schema = getSchema(type, meta);
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let response;
+    try {
+      const requestMeta = { ...meta, type, repairAttempt: attempt };
+      response = stream && attempt === 0
+        ? await streamGraniteAPI(currentPrompt, maxTokens, requestMeta, stream)
+        : await callGraniteAPI(currentPrompt, maxTokens, requestMeta);
+    } catch (error) {
+      // A cancelled stream is not a generation failure
+      if (!stream?.signal?.aborted) recordParseStage(type, 'error');
+      throw error;
     }
-    
-    // Advanced parsing: try to find key-value pairs if the above failed
-    const keyValuePattern = /(["']?)(\w+)\1\s*:\s*(["'])((?:(?=(\\?))\5.)*?)\3/g;
-    let matches = [...text.matchAll(keyValuePattern)];
-    if (matches.length > 0) {
-      const extractedObj = {};
-      matches.forEach(match => {
-        const key = match[2];
-        const value = match[4];
-        extractedObj[key] = value;
-      });
-      if (Object.keys(extractedObj).length > 0) {
-        console.log('Constructed object from key-value pairs:', extractedObj);
-        return extractedObj;
-      }
+    if (stream?.signal?.aborted) {
+      throw new Error(`Generation of ${type} was cancelled`);
     }
-    
-    return null;
-  } catch (e) {
-    console.error('JSON extraction error:', e);
-    return null;
+
+    const generatedText = response.results?.[0]?.generated_text;
+    logger.debug('Generated text', { type, attempt, generatedText });
+
+    const result = parseOutput(generatedText, schema);
+    if (result.data !== null) {
+      const stage = attempt === 0 ? result.stage : 'repaired';
+      recordParseStage(type, stage);
+      logger.info('Parsed generated output', { type, stage, repairAttempts: attempt });
+      return result.data;
+    }
+
+    logger.warn('Invalid generated output', { type, attempt: attempt + 1, errors: result.errors });
+    currentPrompt = buildRepairPrompt(prompt, generatedText, result.errors, schema);
   }
-}
+
+  recordParseStage(type, 'invalid');
+  throw new Error(`No valid ${type} output after ${MAX_REPAIR_ATTEMPTS} repair attempt(s)`);
+};
+
+/**
+ * Render the prompt template selected for a request in its story theme and
+ * generate validated output. Cacheable types are served from the generation
+ * cache, keyed on the prompt variant and the normalized variables, which
+ * include the theme's style.
+ * @param {string} type - Generation type, also the prompt template type
+ * @param {Object} variables - Template variables
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @param {Object} meta - Request details, passed to the provider and the schema
+ * @param {Object} options - Story theme (see themes) and prompt variant selection ({ theme, variant, seed })
+ * @returns {Promise<Object>} - { data, promptVariant }
+ */
+const generateFromTemplate = async (type, variables, maxTokens, meta, options = {}) => {
+  const theme = options.theme || getTheme();
+  const themedVariables = { ...variables, themeStyle: theme.style };
+  const { prompt, promptVariant } = renderPrompt(type, themedVariables, options);
+  const generate = () => generateStructured(type, prompt, maxTokens, { ...meta, theme: theme.key, promptVariant });
+
+  const data = CACHED_TYPES.includes(type)
+    ? await getOrGenerate(buildCacheKey(promptVariant, themedVariables), generate)
+    : await generate();
+  countGeneration(type, 'generated');
+  return { data, promptVariant };
+};
+
+/**
+ * Built-in quest narrative, worded for the story theme
+ */
+const fallbackNarrative = (taskTitle, theme = getTheme()) => `${theme.hero} must complete ${taskTitle} ${theme.goal}.`;
+
+/**
+ * Prompt line with the user's campaign so far, so new quests can refer back to earlier victories
+ */
+const campaignLine = (storySoFar) => (
+  storySoFar ? `Story so far: ${storySoFar}\nWhere it fits, let this quest refer back to these earlier victories.\n` : ''
+);
+
+/**
+ * Prompt line with earlier versions of a quest being rerolled, so the new version differs from them
+ */
+const rerollLine = (previousQuests = []) => (
+  previousQuests.length
+    ? `The user asked for a new version of this quest. Write a clearly different title and story than these earlier versions:\n${
+      previousQuests.map(quest => `- ${quest.questTitle}: ${quest.questNarrative}`).join('\n')}\n`
+    : ''
+);
+
+/**
+ * Prompt lines with the user's progress, so a motivational message is about what they have left to do
+ */
+const progressLines = (progress = {}) => {
+  const lines = [];
+  if (progress.streak !== undefined) lines.push(`- Current streak: ${progress.streak} day(s) in a row`);
+  if (progress.completedToday !== undefined) lines.push(`- Quests completed today: ${progress.completedToday}`);
+  if (progress.pendingBossQuests !== undefined) lines.push(`- Boss quests still open: ${progress.pendingBossQuests}`);
+  if (progress.overdueQuests !== undefined) lines.push(`- Overdue quests: ${progress.overdueQuests}`);
+  if (progress.quest) {
+    const details = [progress.quest.difficulty && `${progress.quest.difficulty} difficulty`, progress.quest.overdue && 'overdue']
+      .filter(Boolean);
+    lines.push(`- The quest they are looking at: "${progress.quest.title}"${details.length ? ` (${details.join(', ')})` : ''}`);
+  }
+  return lines.length
+    ? `The user's progress:\n${lines.join('\n')}\nMake the message about what they have achieved and what they have left to do, mentioning numbers only where it sounds natural.\n`
+    : '';
+};
 
 /**
  * Transform a task into a quest narrative
  * @param {string} taskTitle - The title of the task
  * @param {string} category - The category of the task
  * @param {string} difficulty - The difficulty level of the task
- * @returns {Promise<Object>} - Quest title and narrative
+ * @param {Object} options - Story theme, the campaign's story so far, earlier versions when rerolling and prompt variant selection ({ theme, storySoFar, previousQuests, variant, seed })
+ * @returns {Promise<Object>} - Quest title and narrative, and the prompt variant used (null for the fallback)
  */
-const transformTaskToQuest = async (taskTitle, category, difficulty) => {
-  const prompt = `Transform this ordinary task into an engaging fantasy quest narrative:
-
-Task: "${taskTitle}"
-Category: ${category}
-Difficulty: ${difficulty}
-
-Return a JSON object with these fields:
-- questTitle: A creative fantasy-themed title (maximum 60 characters)
-- questNarrative: A short narrative (2-3 sentences) that transforms the task into an adventure`;
+const transformTaskToQuest = async (taskTitle, category, difficulty, options = {}) => {
+  const previousQuests = options.previousQuests || [];
+  try {
+    const { data, promptVariant } = await generateFromTemplate(
+      'quest',
+      { taskTitle, category, difficulty, campaignLine: campaignLine(options.storySoFar), rerollLine: rerollLine(previousQuests) },
+      200,
+      { taskTitle, category, difficulty, reroll: previousQuests.length },
+      options
+    );
+    return { ...data, promptVariant };
+  } catch (error) {
+    logGenerationError('Error transforming task to quest', error);
+    countGeneration('quest', 'fallback');
+    // Fallback in case of API error
+    return {
+      questTitle: `Quest: ${taskTitle}`,
+      questNarrative: fallbackNarrative(taskTitle, options.theme),
+      promptVariant: null
+    };
+  }
+};
 
+/**
+ * Stream a quest narrative while it is generated, for the live quest preview.
+ * The streamed text is validated once it is complete; if it is invalid, a
+ * repaired narrative replaces it, so the result is what the client should keep.
+ * Cached narratives are passed to onToken in one piece.
+ * @param {string} taskTitle - The title of the task
+ * @param {string} category - The category of the task
+ * @param {string} difficulty - The difficulty level of the task
+ * @param {Object} options - { onToken, signal } for streaming, plus story theme, the campaign's story so far and prompt variant selection ({ theme, storySoFar, variant, seed })
+ * @returns {Promise<Object>} - Quest narrative and the prompt variant used (null for the fallback)
+ */
+const streamQuestNarrative = async (taskTitle, category, difficulty, { onToken, signal, ...options } = {}) => {
+  const theme = options.theme || getTheme();
+  const variables = { taskTitle, category, difficulty, campaignLine: campaignLine(options.storySoFar), themeStyle: theme.style };
   try {
-    const response = await callGraniteAPI(prompt, 200);
-    console.log('Quest generation API response received');
-    
-    // Log the full response for debugging
-    console.log('Raw API response structure:', JSON.stringify(response, null, 2));
-    
-    // Extract the generated text from the IBM Granite response format
-    if (response.results && response.results[0]?.generated_text) {
-      const generatedText = response.results[0].generated_text;
-      console.log('Generated text:', generatedText);
-      
-      // If generatedText is already a JSON object
-      if (typeof generatedText === 'object' && 
-          generatedText.questTitle && 
-          generatedText.questNarrative) {
-        return {
-          questTitle: generatedText.questTitle,
-          questNarrative: generatedText.questNarrative
-        };
-      }
-      
-      // If generatedText is a string, attempt to extract JSON
-      if (typeof generatedText === 'string') {
-        const parsedJson = extractJSONFromText(generatedText);
-        if (parsedJson && parsedJson.questTitle && parsedJson.questNarrative) {
-          return {
-            questTitle: parsedJson.questTitle,
-            questNarrative: parsedJson.questNarrative
-          };
-        }
-        
-        // Manual extraction as last resort
-        console.log('Attempting manual extraction from generated text');
-        const titleMatch = generatedText.match(/questTitle["\s:]+([^"]+)/);
-        const narrativeMatch = generatedText.match(/questNarrative["\s:]+([^"]+)/);
-        
-        if (titleMatch && narrativeMatch) {
-          return {
-            questTitle: titleMatch[1].trim().replace(/[,"}\s]+$/, ''),
-            questNarrative: narrativeMatch[1].trim().replace(/[,"}\s]+$/, '')
-          };
-        }
-      }
+    const { prompt, promptVariant } = renderPrompt('narrative', variables, options);
+    const cacheKey = buildCacheKey(promptVariant, variables);
+
+    const cached = getCached(cacheKey);
+    if (cached !== undefined) {
+      if (onToken) onToken(cached);
+      countGeneration('narrative', 'generated');
+      return { questNarrative: cached, promptVariant };
     }
-    
-    // If we couldn't get a proper JSON response, fall back
-    console.warn('Could not extract valid quest data from API response');
-    throw new Error('Invalid response format from IBM Granite API');
+
+    const questNarrative = await generateStructured(
+      'narrative', prompt, 200, { taskTitle, category, difficulty, theme: theme.key, promptVariant }, { onToken, signal }
+    );
+    setCached(cacheKey, questNarrative);
+    countGeneration('narrative', 'generated');
+    return { questNarrative, promptVariant };
   } catch (error) {
-    console.error('Error transforming task to quest:', error);
+    if (signal?.aborted) throw error;
+    logGenerationError('Error streaming quest narrative', error);
+    countGeneration('narrative', 'fallback');
     // Fallback in case of API error
     return {
-      questTitle: `Quest: ${taskTitle}`,
-      questNarrative: `A brave adventurer must complete ${taskTitle} to help the kingdom thrive.`
+      questNarrative: fallbackNarrative(taskTitle, theme),
+      promptVariant: null
     };
   }
 };
 
+/**
+ * Generate a short "chapter" narrative for each sub-step of a quest
+ * @param {string} questTitle - The quest the steps belong to
+ * @param {Array<string>} steps - Step titles, in order
+ * @param {string} category - The category of the task
+ * @param {Object} options - Story theme and prompt variant selection ({ theme, variant, seed })
+ * @returns {Promise<Array<string>>} - One chapter narrative per step
+ */
+const generateStepChapters = async (questTitle, steps, category, options = {}) => {
+  const variables = {
+    questTitle,
+    category,
+    stepList: steps.map((step, index) => `${index + 1}. ${step}`).join('\n'),
+    stepCount: steps.length
+  };
+
+  try {
+    const { data } = await generateFromTemplate(
+      'chapters', variables, 60 * steps.length + 50, { questTitle, steps, category }, options
+    );
+    return data.chapters;
+  } catch (error) {
+    logGenerationError('Error generating step chapters', error);
+    countGeneration('chapters', 'fallback');
+    // Fallback in case of API error
+    const { chapterEnd } = options.theme || getTheme();
+    return steps.map((step, index) => `Chapter ${index + 1}: ${step}. ${chapterEnd}`);
+  }
+};
+
+/**
+ * Split a large task into an ordered chain of smaller quests
+ * @param {string} taskTitle - The title of the task
+ * @param {string} description - The description of the task
+ * @param {string} category - The category of the task
+ * @param {Object} options - Story theme and prompt variant selection ({ theme, variant, seed })
+ * @returns {Promise<Array<Object>>} - 3 to 8 quests ({ title, questTitle, questNarrative, difficulty, estimatedMinutes, promptVariant })
+ */
+const decomposeTask = async (taskTitle, description, category, options = {}) => {
+  const variables = {
+    taskTitle,
+    category,
+    descriptionLine: description ? `Description: ${description}\n` : '',
+    minQuests: MIN_CHAIN_LENGTH,
+    maxQuests: MAX_CHAIN_LENGTH
+  };
+
+  try {
+    const { data, promptVariant } = await generateFromTemplate(
+      'decompose', variables, 120 * MAX_CHAIN_LENGTH, { taskTitle, description, category }, options
+    );
+    return data.quests.map(quest => ({ ...quest, promptVariant }));
+  } catch (error) {
+    logGenerationError('Error decomposing task', error);
+    countGeneration('decompose', 'fallback');
+    // Fallback in case of API error
+    const { hero, goal } = options.theme || getTheme();
+    return ['Prepare for', 'Work through', 'Finish'].map((phase, index) => {
+      const title = `${phase} ${taskTitle}`.substring(0, 60);
+      return {
+        title,
+        questTitle: `Part ${index + 1}: Quest of ${taskTitle}`.substring(0, 60),
+        questNarrative: `${hero} must ${title.toLowerCase()} ${goal}.`,
+        difficulty: 'normal',
+        estimatedMinutes: 30,
+        promptVariant: null
+      };
+    });
+  }
+};
+
+/**
+ * Built-in campaign chapter: a plain recap, appended to the story so far
+ * with the oldest sentences dropped once the summary gets too long
+ * @param {Object} quest - The completed quest ({ questTitle })
+ * @param {string} storySoFar - Campaign summary before this quest
+ * @param {Object} theme - Story theme, see themes
+ * @returns {Object} - { recap, summary }
+ */
+const fallbackCampaignChapter = ({ questTitle }, storySoFar = '', theme = getTheme()) => {
+  const recap = `${theme.hero} completed "${questTitle}".`;
+  let summary = [storySoFar, recap].filter(Boolean).join(' ');
+  while (summary.length > CAMPAIGN_SUMMARY_MAX_LENGTH) {
+    const shorter = summary.replace(/^[^.!?]*[.!?]+\s*/, '');
+    summary = shorter && shorter.length < summary.length ? shorter : summary.slice(-CAMPAIGN_SUMMARY_MAX_LENGTH);
+  }
+  return { recap, summary };
+};
+
+/**
+ * Write the campaign chapter of a completed quest: a short recap of the
+ * victory and the campaign summary with it woven in
+ * @param {Object} quest - The completed quest ({ questTitle, questNarrative })
+ * @param {string} storySoFar - Campaign summary before this quest, empty for the first chapter
+ * @param {Object} options - Story theme and prompt variant selection ({ theme, variant, seed })
+ * @returns {Promise<Object>} - { recap, summary, promptVariant } (promptVariant is null for the fallback)
+ */
+const generateCampaignChapter = async (quest, storySoFar, options = {}) => {
+  const variables = {
+    questTitle: quest.questTitle,
+    questNarrative: quest.questNarrative || '',
+    storySoFarLine: storySoFar ? `Story so far: ${storySoFar}\n` : 'This is the first chapter of the campaign.\n',
+    summaryMaxLength: CAMPAIGN_SUMMARY_MAX_LENGTH
+  };
+
+  try {
+    const { data, promptVariant } = await generateFromTemplate(
+      'recap', variables, 400, { questTitle: quest.questTitle, storySoFar }, options
+    );
+    return { ...data, promptVariant };
+  } catch (error) {
+    logGenerationError('Error generating campaign chapter', error);
+    countGeneration('recap', 'fallback');
+    // Fallback in case of API error
+    return { ...fallbackCampaignChapter(quest, storySoFar, options.theme), promptVariant: null };
+  }
+};
+
 /**
  * Generate a motivational message
+ * @param {Object} options - Story theme, the user's progress and prompt variant selection ({ theme, progress, variant, seed });
+ * progress has any of streak, completedToday, pendingBossQuests, overdueQuests and quest ({ title, difficulty, overdue })
  * @returns {Promise<string>} - The motivational message
  */
-const generateMotivationalMessage = async () => {
-  // Use a much simpler prompt to ensure the API responds correctly
-  const prompt = `Generate a short motivational message for a fantasy-themed task management app. 
-The message should be encouraging and use fantasy language.
-Return ONLY the message text with no formatting or JSON.`;
-
+const generateMotivationalMessage = async (options = {}) => {
   try {
-    const response = await callGraniteAPI(prompt, 100);
-    console.log('Motivational message API response received');
-    
-    // Log the full response for debugging
-    console.log('Raw API response structure:', JSON.stringify(response, null, 2));
-    
-    // Check if we have valid content in the response
-    if (response.results && 
-        response.results[0]?.generated_text) {
-      
-      const generatedText = response.results[0].generated_text;
-      console.log('Generated text:', generatedText);
-      
-      // Check for empty or too-short responses
-      if (!generatedText || generatedText.trim().length <= 2) {
-        console.log('Empty or too short response received, using fallback');
-        throw new Error('Empty response from IBM Granite API');
-      }
-      
-      // If generatedText is already a JSON object with motivationalMessage
-      if (typeof generatedText === 'object' && generatedText.motivationalMessage) {
-        return generatedText.motivationalMessage;
-      }
-      
-      // If it's just text (as requested in our simplified prompt), use it directly
-      if (typeof generatedText === 'string' && generatedText.length > 5) {
-        return generatedText.trim();
-      }
-      
-      // Try JSON parsing if it looks like JSON
-      if (typeof generatedText === 'string' && 
-          (generatedText.includes('{') || generatedText.includes('motivationalMessage'))) {
-        try {
-          const parsed = JSON.parse(generatedText);
-          if (parsed.motivationalMessage) {
-            return parsed.motivationalMessage;
-          }
-        } catch (e) {
-          console.log('Direct JSON parsing failed, trying other methods');
-        }
-        
-        // Try to extract using regex if it looks like it contains a message
-        if (generatedText.includes('motivationalMessage') || generatedText.includes('"')) {
-          const parsedJson = extractJSONFromText(generatedText);
-          if (parsedJson && parsedJson.motivationalMessage) {
-            return parsedJson.motivationalMessage;
-          }
-          
-          // Look specifically for motivationalMessage pattern
-          const messageMatch = generatedText.match(/motivationalMessage["\s:]+([^"]+)/);
-          if (messageMatch) {
-            return messageMatch[1].trim().replace(/[,"}\s]+$/, '');
-          }
-          
-          // Look for quotes that might contain the message
-          const quotesMatch = generatedText.match(/"([^"]+)"/);
-          if (quotesMatch) {
-            return quotesMatch[1].trim();
-          }
-        }
-      }
-    }
-    
-    // If we couldn't get a proper response, throw error to trigger fallback
-    throw new Error('Invalid or empty response from IBM Granite API');
+    const { data } = await generateFromTemplate('message', { progressLines: progressLines(options.progress) }, 100, {}, options);
+    return data;
   } catch (error) {
-    console.error('Error generating motivational message:', error);
-    // Fallback messages in case of API error - expanded list for more variety
-    const fallbackMessages = [
-      "Every hero's journey begins with a single quest. Keep going!",
-      "The bards will sing of your achievements when all your quests are done!",
-      "Your quests await, brave adventurer! Glory and rewards lie ahead!",
-      "Even the mightiest dragons are defeated one scale at a time. Stay persistent!",
-      "Your legend grows with every task you complete, brave champion!",
-      "Through trials and tribulations, heroes are forged. Press onward!",
-      "The path to glory is paved with completed quests. Each step brings you closer!",
-      "Raise your banner high, for today's victories become tomorrow's legends!",
-      "Magic flows through your dedication. The realm prospers with each task you complete!",
-      "Like a phoenix rising, your determination ignites the path forward!",
-      "The stars themselves chart your course to victory. Keep following their light!",
-      "Your sword is sharp, your shield is strong. No quest is beyond your reach!"
-    ];
-    return fallbackMessages[Math.floor(Math.random() * fallbackMessages.length)];
+    logGenerationError('Error generating motivational message', error);
+    countGeneration('message', 'fallback');
+    // Fallback messages in case of API error, in the request's theme
+    const { messages } = options.theme || getTheme();
+    return messages[Math.floor(Math.random() * messages.length)];
   }
 };
 
@@ -325,76 +482,29 @@ Return ONLY the message text with no formatting or JSON.`;
  * Generate a badge for an achievement
  * @param {string} achievementType - The type of achievement
  * @param {string} milestone - The milestone description
+ * @param {Object} options - Story theme and prompt variant selection ({ theme, variant, seed })
  * @returns {Promise<Object>} - The badge name and description
  */
-const generateAchievementBadge = async (achievementType, milestone) => {
-  const prompt = `Create a fantasy-themed achievement badge for:
-Achievement type: ${achievementType}
-Milestone: ${milestone}
-
-Return a JSON object with these fields:
-- badgeName: A creative fantasy-themed name for the achievement
-- badgeDescription: A short description explaining the achievement in fantasy language`;
-
+const generateAchievementBadge = async (achievementType, milestone, options = {}) => {
   try {
-    const response = await callGraniteAPI(prompt, 200);
-    console.log('Badge generation API response received');
-    
-    // Log the full response for debugging
-    console.log('Raw API response structure:', JSON.stringify(response, null, 2));
-    
-    // Extract the generated text from the IBM Granite response format
-    if (response.results && response.results[0]?.generated_text) {
-      const generatedText = response.results[0].generated_text;
-      console.log('Generated text:', generatedText);
-      
-      // If generatedText is already a JSON object
-      if (typeof generatedText === 'object' && 
-          generatedText.badgeName && 
-          generatedText.badgeDescription) {
-        return {
-          badgeName: generatedText.badgeName,
-          badgeDescription: generatedText.badgeDescription,
-          iconType: determineIconType(achievementType, generatedText.badgeName)
-        };
-      }
-      
-      // If generatedText is a string, attempt to extract JSON
-      if (typeof generatedText === 'string') {
-        const parsedJson = extractJSONFromText(generatedText);
-        if (parsedJson && parsedJson.badgeName && parsedJson.badgeDescription) {
-          return {
-            badgeName: parsedJson.badgeName,
-            badgeDescription: parsedJson.badgeDescription,
-            iconType: determineIconType(achievementType, parsedJson.badgeName)
-          };
-        }
-        
-        // Manual extraction as last resort
-        console.log('Attempting manual extraction from generated text');
-        const nameMatch = generatedText.match(/badgeName["\s:]+([^"]+)/);
-        const descMatch = generatedText.match(/badgeDescription["\s:]+([^"]+)/);
-        
-        if (nameMatch && descMatch) {
-          const badgeName = nameMatch[1].trim().replace(/[,"}\s]+$/, '');
-          return {
-            badgeName: badgeName,
-            badgeDescription: descMatch[1].trim().replace(/[,"}\s]+$/, ''),
-            iconType: determineIconType(achievementType, badgeName)
-          };
-        }
-      }
-    }
-    
-    // If we couldn't get a proper response, fall back
-    throw new Error('Invalid response format from IBM Granite API');
+    const { data, promptVariant } = await generateFromTemplate(
+      'badge', { achievementType, milestone }, 200, { achievementType, milestone }, options
+    );
+    return {
+      ...data,
+      iconType: determineIconType(achievementType, data.badgeName),
+      promptVariant
+    };
   } catch (error) {
-    console.error('Error generating achievement badge:', error);
+    logGenerationError('Error generating achievement badge', error);
+    countGeneration('badge', 'fallback');
     // Fallback in case of API error
+    const { honor } = options.theme || getTheme();
     return {
       badgeName: `${achievementType.charAt(0).toUpperCase() + achievementType.slice(1)} Master`,
-      badgeDescription: `You've reached the impressive milestone of ${milestone}. The kingdom honors your dedication!`,
-      iconType: determineIconType(achievementType)
+      badgeDescription: `You've reached the impressive milestone of ${milestone}. ${honor}`,
+      iconType: determineIconType(achievementType),
+      promptVariant: null
     };
   }
 };
@@ -457,6 +567,11 @@ function determineIconType(achievementType, badgeName = '') {
 
 module.exports = {
   transformTaskToQuest,
+  streamQuestNarrative,
+  generateStepChapters,
+  decomposeTask,
   generateMotivationalMessage,
-  generateAchievementBadge
+  generateAchievementBadge,
+  generateCampaignChapter,
+  fallbackCampaignChapter
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { getProvider } = require('./providers');
+const { getCircuitBreaker } = require('./resilience');
+const { getTokenStatus } = require('./authService');
+const { getStorageStatus } = require('./storageService');
+const { getMissingCredentials, getBuildInfo } = require('./config');
+const logger = require('./logger');
+
+/**
+ * Readiness checks
+ * The server is `ready` when storage can be written and the LLM provider is
+ * reachable, `degraded` when storage works but generation falls back to
+ * templates (provider credentials missing, provider unreachable or its circuit
+ * open, see resilience), and `unavailable` when data can't be saved. Provider
+ * checks are cached for PROBE_CACHE_MS so frequent probes don't reach the
+ * provider every time. The probe needs no token, so storage is only reported as
+ * ok or degraded; its location and contents are logged instead.
+ */
+
+const PROBE_TIMEOUT_MS = 3000;
+const PROBE_CACHE_MS = 30 * 1000;
+
+// Last provider check: { provider, checkedAt (ms), result: Promise }
+let lastProbe = null;
+
+/**
+ * Check whether the provider can be reached, reusing a recent result
+ * @param {Object} provider - The LLM provider
+ * @returns {Promise<Object>} - { reachable, checkedAt, error }
+ */
+const probeProvider = (provider) => {
+  if (lastProbe && lastProbe.provider === provider.name && Date.now() - lastProbe.checkedAt < PROBE_CACHE_MS) {
+    return lastProbe.result;
+  }
+
+  const checkedAt = Date.now();
+  const result = (async () => {
+    if (!provider.checkHealth) {
+      return { reachable: true, checkedAt: new Date(checkedAt).toISOString(), error: null };
+    }
+    try {
+      await provider.checkHealth({ timeout: PROBE_TIMEOUT_MS });
+      return { reachable: true, checkedAt: new Date(checkedAt).toISOString(), error: null };
+    } catch (error) {
+      logger.warn('Provider health check failed', { provider: provider.name, error });
+      return { reachable: false, checkedAt: new Date(checkedAt).toISOString(), error: error.message };
+    }
+  })();
+
+  lastProbe = { provider: provider.name, checkedAt, result };
+  return result;
+};
+
+/**
+ * Check storage, logging the details when something is wrong
+ * @returns {Promise<Object>} - { writable, healthy }
+ */
+const checkStorage = async () => {
+  try {
+    const status = await getStorageStatus();
+    const healthy = status.writable && !status.lastWriteError;
+    if (!healthy) {
+      logger.warn('Storage is degraded', status);
+    }
+    return { writable: status.writable, healthy };
+  } catch (error) {
+    logger.error('Storage health check failed', error);
+    return { writable: false, healthy: false };
+  }
+};
+
+/**
+ * Check whether the server is ready to serve requests
+ * @returns {Promise<Object>} - { status: 'ready' | 'degraded' | 'unavailable', checks, build }
+ */
+const getReadiness = async () => {
+  const provider = getProvider();
+  const circuit = getCircuitBreaker(provider.name).getState();
+  const missingCredentials = getMissingCredentials();
+  const [providerCheck, storage] = await Promise.all([
+    missingCredentials.length > 0
+      ? { reachable: false, checkedAt: new Date().toISOString(), error: `Missing ${missingCredentials.join(', ')}` }
+      : probeProvider(provider),
+    checkStorage()
+  ]);
+
+  const providerOk = providerCheck.reachable && circuit.state !== 'open';
+  let status = 'ready';
+  if (!storage.writable) {
+    status = 'unavailable';
+  } else if (!providerOk || !storage.healthy) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    checks: {
+      provider: {
+        name: provider.name,
+        ...providerCheck,
+        circuit,
+        ...(provider.name === 'granite' ? { iamToken: getTokenStatus() } : {})
+      },
+      storage: { status: storage.healthy ? 'ok' : 'degraded' }
+    },
+    build: getBuildInfo()
+  };
+};
+
+module.exports = { getReadiness };
@@ -0,0 +1,138 @@
+const { AsyncLocalStorage } = require('async_hooks');
+require('dotenv').config();
+
+/**
+ * Structured logger
+ * Writes one JSON object per line ({ time, level, msg, requestId, ...fields }),
+ * or readable lines with LOG_FORMAT=pretty. Entries below LOG_LEVEL (debug,
+ * info, warn, error or silent; default info) are dropped. The id of the request being
+ * handled is added to every entry automatically.
+ *
+ * Secrets (tokens, API keys, passwords) are always redacted. Text users wrote
+ * or that was generated for them (task titles, prompts, narratives...) is
+ * redacted too unless LOG_USER_TEXT=true.
+ */
+
+// silent drops every entry, e.g. for tests
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL).toLowerCase()] ? String(process.env.LOG_LEVEL).toLowerCase() : 'info';
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+const LOG_USER_TEXT = process.env.LOG_USER_TEXT === 'true';
+
+// Field names whose values are never logged
+const SECRET_FIELD = /token|authorization|password|secret|api_?key|cookie/i;
+
+// Fields holding user task text or generated content
+const USER_TEXT_FIELDS = new Set([
+  'taskTitle', 'title', 'description', 'steps', 'prompt', 'generatedText', 'text',
+  'questTitle', 'questNarrative', 'narrative', 'chapters', 'chainTitle'
+]);
+
+// Secrets that can appear inside strings, e.g. in error messages
+const SECRET_PATTERNS = [
+  [/Bearer\s+[\w.~+/-]+=*/gi, 'Bearer [REDACTED]'],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED JWT]'],
+  [/(apikey|api_key|access_token|refresh_token)=[^&\s"]+/gi, '$1=[REDACTED]']
+];
+
+const MAX_DEPTH = 5;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Remove secrets from a string
+ */
+const scrubString = (value) => SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+/**
+ * Describe user text without including it
+ */
+const describeUserText = (value) => {
+  if (typeof value === 'string') return `[REDACTED ${value.length} chars]`;
+  if (Array.isArray(value)) return `[REDACTED ${value.length} items]`;
+  return '[REDACTED]';
+};
+
+/**
+ * Log-safe copy of an error: no request config (which holds credentials) and no response body
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: scrubString(String(error.message)),
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.status || error.response?.status ? { status: error.status || error.response.status } : {}),
+  ...(error.stack ? { stack: scrubString(error.stack) } : {})
+});
+
+/**
+ * Log-safe copy of a value, with secrets and (by default) user text redacted
+ */
+const redact = (value, key = '', depth = 0) => {
+  if (key && SECRET_FIELD.test(key)) return '[REDACTED]';
+  if (key && !LOG_USER_TEXT && USER_TEXT_FIELDS.has(key) && value !== null && value !== undefined) {
+    return describeUserText(value);
+  }
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return scrubString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, '', depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1)]));
+};
+
+/**
+ * Write a log entry
+ * @param {string} level - debug, info, warn or error
+ * @param {string} msg - What happened
+ * @param {Object|Error} fields - Extra fields, or an error
+ */
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const details = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: scrubString(String(msg)),
+    ...requestContext.getStore(),
+    ...redact(details)
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (PRETTY) {
+    const { time, level: entryLevel, msg: message, requestId, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${message}${extra}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+};
+
+/**
+ * Run a function with context fields (such as the request id) added to every
+ * entry logged while it runs, including from async work it starts
+ * @param {Object} context - Fields to add, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ */
+const runWithContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * Add fields to the current context, e.g. the user id once a request is authenticated
+ * @param {Object} fields - Fields to add
+ */
+const addContext = (fields) => {
+  const context = requestContext.getStore();
+  if (context) Object.assign(context, fields);
+};
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  runWithContext,
+  addContext
+};
@@ -0,0 +1,167 @@
+/**
+ * Prometheus metrics registry
+ * Counters and histograms are updated where things happen; collectors add
+ * values that are already tracked elsewhere (cache, parse and rate limit
+ * stats) when the metrics are scraped. renderMetrics() produces the
+ * Prometheus text exposition format.
+ */
+
+const metrics = [];
+const collectors = [];
+
+// Latency buckets in seconds, from fast cache hits to slow model calls
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Format labels as {name="value",...}
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+/**
+ * Values of one metric, keyed by their label values
+ */
+const createSeries = (labelNames) => {
+  const series = new Map();
+  return {
+    get: (labels, create) => {
+      const key = JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+      if (!series.has(key)) {
+        series.set(key, { labels: Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ''])), value: create() });
+      }
+      return series.get(key).value;
+    },
+    entries: () => [...series.values()]
+  };
+};
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name, e.g. taskflick_http_requests_total
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} - { inc(labels, amount = 1) }
+ */
+const createCounter = (name, help, labelNames = []) => {
+  const series = createSeries(labelNames);
+  metrics.push({
+    name,
+    help,
+    type: 'counter',
+    render: () => series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value.count}`)
+  });
+
+  return {
+    inc: (labels = {}, amount = 1) => {
+      series.get(labels, () => ({ count: 0 })).count += amount;
+    }
+  };
+};
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name, e.g. taskflick_llm_request_duration_seconds
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds of the buckets
+ * @returns {Object} - { observe(labels, value), startTimer(labels) returning a function that observes the elapsed seconds }
+ */
+const createHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = createSeries(labelNames);
+  const create = () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 });
+
+  metrics.push({
+    name,
+    help,
+    type: 'histogram',
+    render: () => series.entries().flatMap(({ labels, value }) => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.buckets[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${name}_count${formatLabels(labels)} ${value.count}`
+    ])
+  });
+
+  const observe = (labels = {}, seconds) => {
+    const value = series.get(labels, create);
+    buckets.forEach((bound, index) => {
+      if (seconds <= bound) value.buckets[index] += 1;
+    });
+    value.sum += seconds;
+    value.count += 1;
+  };
+
+  return {
+    observe,
+    startTimer: (labels = {}) => {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  };
+};
+
+/**
+ * Add metrics computed at scrape time
+ * @param {Function} collect - Returns an array of { name, help, type, samples: [{ labels, value }] }
+ */
+const registerCollector = (collect) => {
+  collectors.push(collect);
+};
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string}
+ */
+const renderMetrics = () => {
+  const collected = collectors.flatMap(collect => collect()).map(({ name, help, type, samples }) => ({
+    name,
+    help,
+    type,
+    render: () => samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+  }));
+
+  return [...metrics, ...collected]
+    .map(({ name, help, type, render }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render()].join('\n'))
+    .join('\n') + '\n';
+};
+
+// Metrics shared across modules
+const httpRequests = createCounter(
+  'taskflick_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']
+);
+const httpRequestDuration = createHistogram(
+  'taskflick_http_request_duration_seconds', 'HTTP request duration by route', ['method', 'route']
+);
+const llmRequests = createCounter(
+  'taskflick_llm_requests_total', 'LLM provider calls by generation type and outcome', ['provider', 'type', 'outcome']
+);
+const llmRequestDuration = createHistogram(
+  'taskflick_llm_request_duration_seconds', 'LLM provider call latency by generation type', ['provider', 'type', 'outcome']
+);
+const llmTokens = createCounter(
+  'taskflick_llm_tokens_total', 'Tokens reported by the provider, by kind (input or generated)', ['provider', 'kind']
+);
+const generations = createCounter(
+  'taskflick_generations_total', 'Generation requests by type and result (generated or fallback)', ['type', 'result']
+);
+const iamTokenRequests = createCounter(
+  'taskflick_iam_token_requests_total', 'IBM Cloud IAM token requests by outcome', ['outcome']
+);
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  registerCollector,
+  renderMetrics,
+  httpRequests,
+  httpRequestDuration,
+  llmRequests,
+  llmRequestDuration,
+  llmTokens,
+  generations,
+  iamTokenRequests
+};
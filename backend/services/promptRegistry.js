@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+require('dotenv').config();
+
+/**
+ * Prompt template registry
+ * Prompts live in files under PROMPTS_DIR (backend/prompts by default):
+ *
+ *   prompts/<type>/<variant>.v<version>.txt
+ *
+ * Each file may start with a front matter block of `key: value` lines between
+ * `---` markers (`weight`, `description`), followed by the prompt text with
+ * `{{variable}}` placeholders. The highest version of each variant is active;
+ * `weight` sets its share of requests (0 turns it off). Files are re-read
+ * periodically, so prompts can be changed without a deploy.
+ */
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+const RELOAD_INTERVAL_MS = 30 * 1000;
+const FILE_PATTERN = /^([a-z0-9_-]+)\.v(\d+)\.txt$/i;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const DEFAULT_VARIANT = 'default';
+
+let registry = null;
+let loadedAt = 0;
+
+/**
+ * Split a template file into front matter and prompt text
+ */
+const parseTemplateFile = (content) => {
+  const meta = {};
+  let body = content.replace(/\r\n/g, '\n');
+
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+    body = body.slice(frontMatter[0].length);
+  }
+
+  return { meta, body: body.trimEnd() };
+};
+
+/**
+ * Read every template file
+ * @returns {Object} - { [type]: Array<template> } with templates sorted by variant, then version
+ */
+const loadTemplates = () => {
+  const templates = {};
+  if (!fs.existsSync(PROMPTS_DIR)) {
+    logger.warn('Prompt directory not found', { path: PROMPTS_DIR });
+    return templates;
+  }
+
+  for (const type of fs.readdirSync(PROMPTS_DIR)) {
+    const typeDir = path.join(PROMPTS_DIR, type);
+    if (!fs.statSync(typeDir).isDirectory()) continue;
+
+    templates[type] = fs.readdirSync(typeDir)
+      .map(file => {
+        const match = file.match(FILE_PATTERN);
+        if (!match) return null;
+
+        const { meta, body } = parseTemplateFile(fs.readFileSync(path.join(typeDir, file), 'utf8'));
+        const weight = meta.weight !== undefined ? Number(meta.weight) : 1;
+        const [, variant, version] = match;
+        return {
+          id: `${type}/${variant}@${Number(version)}`,
+          type,
+          variant,
+          version: Number(version),
+          weight: Number.isFinite(weight) && weight >= 0 ? weight : 0,
+          description: meta.description || '',
+          variables: [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(m => m[1]))],
+          text: body
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.variant.localeCompare(b.variant) || a.version - b.version);
+  }
+
+  return templates;
+};
+
+/**
+ * Get the loaded templates, re-reading the files when they are stale
+ */
+const getRegistry = () => {
+  if (!registry || Date.now() - loadedAt > RELOAD_INTERVAL_MS) {
+    try {
+      registry = loadTemplates();
+      loadedAt = Date.now();
+    } catch (error) {
+      // Keep serving the last good set of templates
+      logger.error('Error loading prompt templates', error);
+      if (!registry) throw error;
+    }
+  }
+  return registry;
+};
+
+/**
+ * Latest version of each variant of a type
+ */
+const getActiveTemplates = (type) => {
+  const latest = {};
+  (getRegistry()[type] || []).forEach(template => {
+    latest[template.variant] = template;
+  });
+  return Object.values(latest);
+};
+
+/**
+ * Small stable string hash, so the same seed always picks the same variant
+ */
+const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Pick the template for a request
+ * @param {string} type - Generation type (quest, narrative, chapters, decompose, message, badge)
+ * @param {Object} options - { variant: "name" or "name@version" to force one, seed: stable key such as the user id }
+ * @returns {Object} - The template
+ */
+const selectTemplate = (type, { variant, seed } = {}) => {
+  const active = getActiveTemplates(type);
+  if (active.length === 0) {
+    throw new Error(`No prompt templates for "${type}"`);
+  }
+
+  // An explicitly requested variant wins, including older versions
+  if (variant) {
+    const [name, version] = String(variant).replace(`${type}/`, '').split('@');
+    const requested = version
+      ? (getRegistry()[type] || []).find(t => t.variant === name && t.version === Number(version))
+      : active.find(t => t.variant === name);
+    if (requested) return requested;
+    logger.warn('Requested prompt variant not found, selecting one', { type, variant });
+  }
+
+  const enabled = active.filter(t => t.weight > 0);
+  if (enabled.length === 0) {
+    return active.find(t => t.variant === DEFAULT_VARIANT) || active[0];
+  }
+
+  // Weighted pick; a seed keeps each user on the same variant
+  const totalWeight = enabled.reduce((sum, t) => sum + t.weight, 0);
+  const roll = seed !== undefined && seed !== null
+    ? (hashString(`${type}:${seed}`) % 10000) / 10000 * totalWeight
+    : Math.random() * totalWeight;
+
+  let cumulative = 0;
+  for (const template of enabled) {
+    cumulative += template.weight;
+    if (roll < cumulative) return template;
+  }
+  return enabled[enabled.length - 1];
+};
+
+/**
+ * Fill a template's placeholders
+ * @param {Object} template - Template from selectTemplate
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string} - The prompt
+ */
+const fillTemplate = (template, variables) => {
+  const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${template.id} is missing variables: ${missing.join(', ')}`);
+  }
+  return template.text.replace(VARIABLE_PATTERN, (match, name) => String(variables[name]));
+};
+
+/**
+ * Select a template for a request and render it
+ * @param {string} type - Generation type
+ * @param {Object} variables - Values by placeholder name
+ * @param {Object} options - Variant selection options, see selectTemplate
+ * @returns {Object} - { prompt, promptVariant } where promptVariant is the template id, e.g. "quest/default@1"
+ */
+const renderPrompt = (type, variables, options = {}) => {
+  const template = selectTemplate(type, options);
+  return { prompt: fillTemplate(template, variables), promptVariant: template.id };
+};
+
+/**
+ * Check whether an id names a template, active or not
+ * @param {string} id - Template id, e.g. "quest/default@1"
+ * @returns {boolean}
+ */
+const isTemplateId = (id) => Object.values(getRegistry()).flat().some(template => template.id === id);
+
+/**
+ * Describe every template, for the prompts API
+ * @returns {Array<Object>} - Templates without their text, flagged active if they are the latest version
+ */
+const listTemplates = () => {
+  const templates = getRegistry();
+  const activeIds = new Set(Object.keys(templates).flatMap(type => getActiveTemplates(type).map(t => t.id)));
+
+  return Object.values(templates).flat().map(({ text, ...template }) => ({ ...template, active: activeIds.has(template.id) }));
+};
+
+module.exports = {
+  selectTemplate,
+  renderPrompt,
+  isTemplateId,
+  listTemplates
+};
@@ -0,0 +1,57 @@
+/**
+ * Reader for Server-Sent Events response bodies, used by providers that
+ * stream generated text
+ */
+
+/**
+ * Read an event stream, passing the data of each event to `onData`
+ * @param {Stream} stream - Response body stream
+ * @param {Function} onData - Called with each event's data string; may throw to stop reading
+ * @param {AbortSignal} signal - Stops reading when aborted
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+const readEventStream = (stream, onData, signal) => new Promise((resolve, reject) => {
+  let buffer = '';
+
+  const stop = (error) => {
+    stream.destroy();
+    reject(error);
+  };
+
+  const handleEvent = (event) => {
+    const data = event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) onData(data);
+  };
+
+  if (signal) {
+    if (signal.aborted) return stop(new Error('Stream aborted'));
+    signal.addEventListener('abort', () => stop(new Error('Stream aborted')), { once: true });
+  }
+
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    buffer += chunk;
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    try {
+      events.forEach(handleEvent);
+    } catch (error) {
+      stop(error);
+    }
+  });
+  stream.on('end', () => {
+    try {
+      if (buffer.trim()) handleEvent(buffer);
+      resolve();
+    } catch (error) {
+      reject(error);
+    }
+  });
+  stream.on('error', reject);
+});
+
+module.exports = { readEventStream };
@@ -0,0 +1,169 @@
+const axios = require('axios');
+const { getIBMToken, resetTokenCache } = require('../authService');
+const { readEventStream } = require('./eventStream');
+const { REQUEST_TIMEOUT_MS } = require('../resilience');
+const logger = require('../logger');
+require('dotenv').config();
+
+const DEFAULT_URL = "https://us-south.ml.cloud.ibm.com/ml/v1/text/generation?version=2023-05-29";
+
+/**
+ * Build a watsonx text generation request
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @returns {Promise<Object>} - { url, modelId, projectId, headers, body }
+ */
+const buildRequest = async (prompt, maxTokens) => {
+  const token = await getIBMToken();
+  const url = process.env.IBM_URL || DEFAULT_URL;
+  const modelId = process.env.IBM_MODEL_ID || "ibm/granite-13b-instruct-v2";
+  const projectId = process.env.IBM_PROJECT_ID;
+
+  // Validate that required environment variables are present
+  if (!projectId) {
+    logger.warn('IBM_PROJECT_ID environment variable not set');
+  }
+
+  const headers = {
+    "Accept": "application/json",
+    "Content-Type": "application/json",
+    "Authorization": `Bearer ${token}`
+  };
+
+  // Using environment variables for API parameters
+  const body = {
+    input: prompt,
+    parameters: {
+      decoding_method: process.env.IBM_DECODING_METHOD || "greedy",
+      max_new_tokens: maxTokens,
+      min_new_tokens: 0,
+      stop_sequences: [],
+      repetition_penalty: Number(process.env.IBM_REPETITION_PENALTY) || 1
+    },
+    model_id: modelId,
+    project_id: projectId,
+    moderations: {
+      hap: {
+        input: {
+          enabled: true,
+          threshold: 0.5,
+          mask: {
+            remove_entity_value: true
+          }
+        },
+        output: {
+          enabled: true,
+          threshold: 0.5,
+          mask: {
+            remove_entity_value: true
+          }
+        }
+      },
+      pii: {
+        input: {
+          enabled: true,
+          threshold: 0.5,
+          mask: {
+            remove_entity_value: true
+          }
+        },
+        output: {
+          enabled: true,
+          threshold: 0.5,
+          mask: {
+            remove_entity_value: true
+          }
+        }
+      }
+    }
+  };
+
+  return { url, modelId, projectId, headers, body };
+};
+
+/**
+ * IBM watsonx text generation adapter for IBM Granite models
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @returns {Promise<Object>} - The watsonx response ({ results: [{ generated_text }] })
+ */
+const generate = async (prompt, maxTokens = 200) => {
+  const { url, modelId, projectId, headers, body } = await buildRequest(prompt, maxTokens);
+
+  logger.debug('Calling IBM Granite API', { url, modelId, projectId: projectId ? 'configured' : 'missing' });
+  const response = await axios({
+    url,
+    headers,
+    method: "POST",
+    data: body,
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  if (response.status !== 200) {
+    throw new Error(`API returned status ${response.status}`);
+  }
+
+  return response.data;
+};
+
+/**
+ * Stream generated text from the watsonx generation_stream endpoint
+ * (IBM_STREAM_URL, or IBM_URL with text/generation replaced by text/generation_stream)
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @param {Object} meta - Unused; kept for interface compatibility
+ * @param {Object} handlers - { onToken: called with each chunk of text, signal: AbortSignal }
+ * @returns {Promise<string>} - The complete generated text
+ */
+const generateStream = async (prompt, maxTokens = 200, meta = {}, { onToken, signal } = {}) => {
+  const { url, modelId, projectId, headers, body } = await buildRequest(prompt, maxTokens);
+  const streamUrl = process.env.IBM_STREAM_URL || url.replace('/text/generation?', '/text/generation_stream?');
+
+  logger.debug('Streaming from IBM Granite API', { url: streamUrl, modelId, projectId: projectId ? 'configured' : 'missing' });
+  const response = await axios({
+    url: streamUrl,
+    headers: { ...headers, "Accept": "text/event-stream" },
+    method: "POST",
+    data: body,
+    responseType: 'stream',
+    timeout: REQUEST_TIMEOUT_MS,
+    signal
+  });
+
+  let text = '';
+  await readEventStream(response.data, (data) => {
+    const chunk = JSON.parse(data).results?.[0]?.generated_text || '';
+    if (chunk) {
+      text += chunk;
+      if (onToken) onToken(chunk);
+    }
+  }, signal);
+
+  return text;
+};
+
+/**
+ * Check that an IAM token can be obtained and watsonx answers, without
+ * generating anything (lists one foundation model)
+ * @param {Object} options - { timeout } in milliseconds
+ * @returns {Promise<void>} - Rejects if the provider can't be used
+ */
+const checkHealth = async ({ timeout } = {}) => {
+  await getIBMToken();
+  const { origin } = new URL(process.env.IBM_URL || DEFAULT_URL);
+  await axios({
+    url: `${origin}/ml/v1/foundation_model_specs`,
+    method: "GET",
+    params: { version: '2023-05-29', limit: 1 },
+    timeout
+  });
+};
+
+/**
+ * Drop the cached IAM token so the next request gets a new one, e.g. after a 401
+ */
+const refreshAuth = () => {
+  resetTokenCache();
+};
+
+module.exports = { name: 'granite', generate, generateStream, refreshAuth, checkHealth };
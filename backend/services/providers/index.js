@@ -0,0 +1,42 @@
+const graniteProvider = require('./graniteProvider');
+const openaiProvider = require('./openaiProvider');
+const templateProvider = require('./templateProvider');
+const logger = require('../logger');
+require('dotenv').config();
+
+/**
+ * Registered LLM providers, selected with the LLM_PROVIDER environment variable.
+ * Every provider exposes `generate(prompt, maxTokens, meta)` and resolves to a
+ * watsonx-shaped response: { results: [{ generated_text, ... }] }
+ * Providers that can stream also expose
+ * `generateStream(prompt, maxTokens, meta, { onToken, signal })`, which calls
+ * onToken with each chunk of text and resolves to the complete text, and
+ * providers with expiring credentials expose `refreshAuth()`, called before
+ * retrying a request that was rejected with a 401. `checkHealth({ timeout })`
+ * rejects if the provider can't be reached, for readiness checks.
+ */
+const providers = {
+  granite: graniteProvider,
+  openai: openaiProvider,
+  ollama: openaiProvider,
+  template: templateProvider
+};
+
+const DEFAULT_PROVIDER = 'granite';
+
+/**
+ * Get the configured LLM provider
+ * @returns {Object} - Provider with `name`, `generate` and optionally `generateStream`, `refreshAuth` and `checkHealth`
+ */
+const getProvider = () => {
+  const providerName = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+  if (!providers[providerName]) {
+    logger.warn(`Unknown LLM_PROVIDER "${providerName}", using ${DEFAULT_PROVIDER}`);
+    return providers[DEFAULT_PROVIDER];
+  }
+
+  return providers[providerName];
+};
+
+module.exports = { getProvider, providers };
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const { readEventStream } = require('./eventStream');
+const { REQUEST_TIMEOUT_MS } = require('../resilience');
+const logger = require('../logger');
+require('dotenv').config();
+
+/**
+ * Build a chat completions request
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @returns {Object} - { url, model, apiKey, headers, body }
+ */
+const buildRequest = (prompt, maxTokens) => {
+  const baseUrl = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'granite3.3:8b';
+  const apiKey = process.env.LLM_API_KEY;
+
+  const headers = {
+    "Accept": "application/json",
+    "Content-Type": "application/json"
+  };
+
+  // Local servers such as Ollama accept unauthenticated requests
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const body = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: maxTokens,
+    temperature: Number(process.env.LLM_TEMPERATURE) || 0
+  };
+
+  return { url: `${baseUrl}/chat/completions`, model, apiKey, headers, body };
+};
+
+/**
+ * OpenAI-compatible chat completions adapter (OpenAI, Ollama, LM Studio, vLLM...)
+ * The response is mapped to the watsonx shape so graniteService can parse it unchanged.
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @returns {Promise<Object>} - Normalized response ({ results: [{ generated_text }] })
+ */
+const generate = async (prompt, maxTokens = 200) => {
+  const { url, model, apiKey, headers, body } = buildRequest(prompt, maxTokens);
+
+  logger.debug('Calling OpenAI-compatible API', { url, model, apiKeyConfigured: Boolean(apiKey) });
+  const response = await axios({
+    url,
+    headers,
+    method: "POST",
+    data: body,
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  if (response.status !== 200) {
+    throw new Error(`API returned status ${response.status}`);
+  }
+
+  const choice = response.data.choices?.[0];
+  const usage = response.data.usage || {};
+
+  return {
+    model_id: response.data.model || model,
+    results: [{
+      generated_text: choice?.message?.content || '',
+      generated_token_count: usage.completion_tokens,
+      input_token_count: usage.prompt_tokens,
+      stop_reason: choice?.finish_reason
+    }]
+  };
+};
+
+/**
+ * Stream generated text from the chat completions endpoint
+ * @param {string} prompt - The prompt to send to the API
+ * @param {number} maxTokens - Maximum number of tokens to generate
+ * @param {Object} meta - Unused; kept for interface compatibility
+ * @param {Object} handlers - { onToken: called with each chunk of text, signal: AbortSignal }
+ * @returns {Promise<string>} - The complete generated text
+ */
+const generateStream = async (prompt, maxTokens = 200, meta = {}, { onToken, signal } = {}) => {
+  const { url, model, apiKey, headers, body } = buildRequest(prompt, maxTokens);
+
+  logger.debug('Streaming from OpenAI-compatible API', { url, model, apiKeyConfigured: Boolean(apiKey) });
+  const response = await axios({
+    url,
+    headers: { ...headers, "Accept": "text/event-stream" },
+    method: "POST",
+    data: { ...body, stream: true },
+    responseType: 'stream',
+    timeout: REQUEST_TIMEOUT_MS,
+    signal
+  });
+
+  let text = '';
+  await readEventStream(response.data, (data) => {
+    if (data.trim() === '[DONE]') return;
+    const chunk = JSON.parse(data).choices?.[0]?.delta?.content || '';
+    if (chunk) {
+      text += chunk;
+      if (onToken) onToken(chunk);
+    }
+  }, signal);
+
+  return text;
+};
+
+/**
+ * Check that the server answers and accepts the API key, without generating anything
+ * @param {Object} options - { timeout } in milliseconds
+ * @returns {Promise<void>} - Rejects if the provider can't be used
+ */
+const checkHealth = async ({ timeout } = {}) => {
+  const { url, headers } = buildRequest('', 1);
+  await axios({
+    url: url.replace(/\/chat\/completions$/, '/models'),
+    headers,
+    method: "GET",
+    timeout
+  });
+};
+
+module.exports = { name: 'openai', generate, generateStream, checkHealth };
@@ -0,0 +1,173 @@
+const { getTheme } = require('../themes');
+
+/**
+ * Deterministic template provider
+ * Runs without network access or credentials, so quest, narrative, chapter, chain, message, badge and recap
+ * generation can be developed and tested offline. The same input always
+ * produces the same output. Place names, messages and badges follow the
+ * request's story theme.
+ */
+
+const questTitleTemplates = [
+  (task, realm) => `The ${realm} ${task}`,
+  (task, realm) => `${realm} Mission: ${task}`,
+  (task, realm) => `${task} of the ${realm} Realm`
+];
+
+// Categories that share a theme's place names
+const categoryPlaces = {
+  work: 'work',
+  learning: 'learning',
+  education: 'learning',
+  health: 'health',
+  fitness: 'health',
+  chores: 'chores',
+  home: 'chores'
+};
+
+/**
+ * Where a quest of a category takes place in the request's theme
+ */
+const getRealm = (meta) => {
+  const theme = getTheme(meta.theme);
+  return theme.places[categoryPlaces[String(meta.category || '').toLowerCase()]] || theme.defaultPlace;
+};
+
+const difficultyNarratives = {
+  mini: 'It is a small step, yet every legend is built from them.',
+  normal: 'A worthy challenge that will test your resolve.',
+  boss: 'Beware, for this foe will demand all of your courage.'
+};
+
+// Stages a task is split into when it is decomposed into a quest chain
+const chainStages = [
+  { verb: 'Plan', name: 'The Gathering', difficulty: 'mini', estimatedMinutes: 15 },
+  { verb: 'Start', name: 'The First March', difficulty: 'normal', estimatedMinutes: 45 },
+  { verb: 'Work on', name: 'The Long Road', difficulty: 'normal', estimatedMinutes: 60 },
+  { verb: 'Finish', name: 'The Final Stand', difficulty: 'normal', estimatedMinutes: 45 }
+];
+
+/**
+ * Small stable string hash used to pick templates deterministically
+ */
+const hashString = (value = '') => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+/**
+ * Build generated text for a request
+ * @param {string} prompt - The prompt (used only for hashing)
+ * @param {Object} meta - Structured request details ({ type, taskTitle, category, ... })
+ * @returns {string} - Generated text in the format the prompt asks for
+ */
+const renderTemplate = (prompt, meta) => {
+  switch (meta.type) {
+    case 'quest': {
+      const task = capitalize(String(meta.taskTitle || 'Unknown Task').trim());
+      const realm = getRealm(meta);
+      // Rerolls move on to the next title template
+      const pickTitle = questTitleTemplates[(hashString(task) + (meta.reroll || 0)) % questTitleTemplates.length];
+      return JSON.stringify({
+        questTitle: pickTitle(task, realm).substring(0, 60),
+        questNarrative: `The ${realm} calls upon you to ${task.toLowerCase()}. ${difficultyNarratives[meta.difficulty] || difficultyNarratives.normal}`
+      });
+    }
+    case 'narrative': {
+      const task = String(meta.taskTitle || 'Unknown Task').trim();
+      const realm = getRealm(meta);
+      return `The ${realm} calls upon you to ${task.toLowerCase()}. ${difficultyNarratives[meta.difficulty] || difficultyNarratives.normal}`;
+    }
+    case 'chapters': {
+      const steps = meta.steps || [];
+      return JSON.stringify({
+        chapters: steps.map((step, index) => (
+          `Chapter ${index + 1}: ${capitalize(String(step).trim())}, and the path ahead grows clearer.`
+        ))
+      });
+    }
+    case 'decompose': {
+      const task = String(meta.taskTitle || 'Unknown Task').trim();
+      const realm = getRealm(meta);
+      return JSON.stringify({
+        quests: chainStages.map((stage, index) => ({
+          title: `${stage.verb}: ${task}`.substring(0, 60),
+          questTitle: `${stage.name} of the ${realm}`,
+          questNarrative: `Chapter ${index + 1} of your quest to ${task.toLowerCase()}. ${difficultyNarratives[stage.difficulty]}`,
+          difficulty: stage.difficulty,
+          estimatedMinutes: stage.estimatedMinutes
+        }))
+      });
+    }
+    case 'badge': {
+      const achievement = capitalize(String(meta.achievementType || 'Quest'));
+      return JSON.stringify({
+        badgeName: `${achievement} Champion`,
+        badgeDescription: `Awarded for reaching ${meta.milestone}. ${getTheme(meta.theme).honor}`
+      });
+    }
+    case 'recap': {
+      const recap = `"${meta.questTitle}" is complete. ${getTheme(meta.theme).chapterEnd}`;
+      return JSON.stringify({
+        recap,
+        summary: [meta.storySoFar, recap].filter(Boolean).join(' ').slice(-800)
+      });
+    }
+    default: {
+      const { messages } = getTheme(meta.theme);
+      return messages[hashString(prompt) % messages.length];
+    }
+  }
+};
+
+/**
+ * Generate text from local templates
+ * @param {string} prompt - The prompt that would be sent to a real model
+ * @param {number} maxTokens - Ignored; kept for interface compatibility
+ * @param {Object} meta - Structured request details
+ * @returns {Promise<Object>} - Response in the watsonx shape ({ results: [{ generated_text }] })
+ */
+const generate = async (prompt, maxTokens = 200, meta = {}) => {
+  const generatedText = renderTemplate(prompt, meta);
+  return {
+    model_id: 'template',
+    results: [{
+      generated_text: generatedText,
+      generated_token_count: 0,
+      input_token_count: 0,
+      stop_reason: 'eos_token'
+    }]
+  };
+};
+
+// Pause between streamed words, so streaming clients can be tried out offline
+const STREAM_WORD_DELAY_MS = 30;
+
+/**
+ * Stream text from local templates word by word
+ * @param {string} prompt - The prompt that would be sent to a real model
+ * @param {number} maxTokens - Ignored; kept for interface compatibility
+ * @param {Object} meta - Structured request details
+ * @param {Object} handlers - { onToken: called with each chunk of text, signal: AbortSignal }
+ * @returns {Promise<string>} - The complete generated text
+ */
+const generateStream = async (prompt, maxTokens = 200, meta = {}, { onToken, signal } = {}) => {
+  const generatedText = renderTemplate(prompt, meta);
+
+  for (const chunk of generatedText.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) {
+      throw new Error('Stream aborted');
+    }
+    if (onToken) onToken(chunk);
+    await new Promise(resolve => setTimeout(resolve, STREAM_WORD_DELAY_MS));
+  }
+
+  return generatedText;
+};
+
+module.exports = { name: 'template', generate, generateStream };
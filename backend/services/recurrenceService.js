@@ -0,0 +1,51 @@
+/**
+ * Recurrence rules for recurring quests
+ * Supports the same RFC 5545 RRULE subset as the app:
+ *   FREQ=DAILY|WEEKLY, INTERVAL=n and (weekly only) BYDAY=MO,TU,...
+ */
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY'];
+const MAX_INTERVAL = 365;
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {Object|null} - { freq, interval, byDay } or null if the rule is invalid or unsupported
+ */
+const parseRecurrence = (rule) => {
+  if (!rule || typeof rule !== 'string') return null;
+
+  const parts = {};
+  for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (!key || !value) return null;
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  if (Object.keys(parts).some(key => !SUPPORTED_PARTS.includes(key))) return null;
+
+  const freq = parts.FREQ;
+  if (freq !== 'DAILY' && freq !== 'WEEKLY') return null;
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) return null;
+
+  let byDay = [];
+  if (parts.BYDAY) {
+    if (freq !== 'WEEKLY') return null;
+    byDay = parts.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code));
+    if (byDay.includes(-1)) return null;
+  }
+
+  return { freq, interval, byDay: [...new Set(byDay)].sort() };
+};
+
+/**
+ * Check whether a value is a supported recurrence rule
+ * @param {string} rule - Recurrence rule
+ * @returns {boolean}
+ */
+const isValidRecurrence = (rule) => parseRecurrence(rule) !== null;
+
+module.exports = { parseRecurrence, isValidRecurrence };
@@ -0,0 +1,207 @@
+const logger = require('./logger');
+require('dotenv').config();
+
+/**
+ * Timeouts, retries and circuit breaking for LLM provider calls
+ * Provider requests time out after LLM_TIMEOUT_MS. Calls that failed with a
+ * 429, a 5xx or a dropped connection are retried up to LLM_MAX_RETRIES times
+ * with jittered exponential backoff (or after Retry-After), and a 401 refreshes
+ * the provider's credentials and is retried once. After
+ * LLM_CIRCUIT_FAILURE_THRESHOLD calls in a row failed, the provider's circuit
+ * opens: calls fail at once, so generators use their fallbacks, until
+ * LLM_CIRCUIT_RESET_SECONDS have passed. Then a single trial call is let
+ * through (half-open), which closes the circuit again if it succeeds.
+ */
+
+const readNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+const REQUEST_TIMEOUT_MS = readNumber(process.env.LLM_TIMEOUT_MS, 20 * 1000);
+const MAX_RETRIES = readNumber(process.env.LLM_MAX_RETRIES, 2);
+const RETRY_BASE_DELAY_MS = readNumber(process.env.LLM_RETRY_BASE_DELAY_MS, 500);
+const RETRY_MAX_DELAY_MS = 10 * 1000;
+const FAILURE_THRESHOLD = readNumber(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 5);
+const RESET_TIMEOUT_MS = readNumber(process.env.LLM_CIRCUIT_RESET_SECONDS, 30) * 1000;
+
+// Connection errors worth repeating the request for
+const RETRYABLE_CODES = ['ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+
+const getStatus = (error) => error.response?.status;
+
+/**
+ * Whether repeating the request may succeed. Timed out requests are not
+ * retried: the client has already waited for the whole timeout.
+ */
+const isRetryable = (error) => {
+  const status = getStatus(error);
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+/**
+ * Whether an error means the provider is unavailable, rather than that the
+ * request was rejected (a 400 shows the provider is up)
+ */
+const isProviderFailure = (error) => {
+  const status = getStatus(error);
+  return !status || status >= 500 || [401, 403, 429].includes(status);
+};
+
+/**
+ * Delay before a retry: Retry-After when the provider sent one, otherwise
+ * exponential backoff with jitter so clients that failed together don't retry together
+ */
+const getRetryDelay = (retry, error) => {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (Number.isInteger(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+  }
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** retry, RETRY_MAX_DELAY_MS);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+};
+
+/**
+ * Wait, stopping early if the signal is aborted
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new Error('Aborted'));
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new Error('Aborted'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run a provider request, retrying failures that may be temporary
+ * @param {Function} request - Makes the request
+ * @param {Object} options - { refreshAuth: renews credentials after a 401, signal: AbortSignal,
+ *   canRetry: returns false once repeating the request is no longer possible, context: fields to log }
+ * @returns {Promise<*>} - The request's result
+ */
+const withRetries = async (request, { refreshAuth, signal, canRetry, context = {} } = {}) => {
+  let retries = 0;
+  let authRefreshed = false;
+
+  for (;;) {
+    try {
+      return await request();
+    } catch (error) {
+      if (signal?.aborted || (canRetry && !canRetry())) throw error;
+      const status = getStatus(error);
+
+      if (status === 401 && refreshAuth && !authRefreshed) {
+        authRefreshed = true;
+        logger.warn('Provider rejected credentials, refreshing them', context);
+        await refreshAuth();
+        continue;
+      }
+
+      if (retries >= MAX_RETRIES || !isRetryable(error)) throw error;
+
+      const delayMs = getRetryDelay(retries, error);
+      retries += 1;
+      logger.warn('Retrying provider call', { ...context, retry: retries, status, code: error.code, delayMs });
+      await sleep(delayMs, signal);
+    }
+  }
+};
+
+// Circuit breakers per provider name
+const breakers = new Map();
+
+/**
+ * Get the circuit breaker of a provider
+ * @param {string} name - Provider name
+ * @returns {Object} - { tryAcquire(), recordSuccess(), recordFailure(), release(), getState() }
+ */
+const getCircuitBreaker = (name) => {
+  if (breakers.has(name)) return breakers.get(name);
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const open = () => {
+    if (state !== 'open') {
+      logger.warn('Provider circuit opened, using fallbacks', { provider: name, failures, resetSeconds: RESET_TIMEOUT_MS / 1000 });
+    }
+    state = 'open';
+    openedAt = Date.now();
+  };
+
+  const breaker = {
+    // Whether a call may be made now; in half-open state only one trial call at a time
+    tryAcquire: () => {
+      if (FAILURE_THRESHOLD === 0 || state === 'closed') return true;
+      if (state === 'open' && Date.now() - openedAt >= RESET_TIMEOUT_MS) {
+        state = 'half-open';
+        logger.info('Provider circuit half-open, trying a call', { provider: name });
+      }
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    recordSuccess: () => {
+      if (state !== 'closed') {
+        logger.info('Provider circuit closed', { provider: name });
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    recordFailure: () => {
+      failures += 1;
+      trialInFlight = false;
+      if (FAILURE_THRESHOLD > 0 && (state === 'half-open' || failures >= FAILURE_THRESHOLD)) open();
+    },
+    // A call ended without a result either way, e.g. it was cancelled
+    release: () => {
+      if (!trialInFlight) return;
+      trialInFlight = false;
+      state = 'open';
+    },
+    getState: () => ({
+      state,
+      consecutiveFailures: failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(openedAt + RESET_TIMEOUT_MS).toISOString() : null
+    })
+  };
+
+  breakers.set(name, breaker);
+  return breaker;
+};
+
+/**
+ * State of every provider circuit that has been used
+ * @returns {Object} - e.g. { granite: { state: 'open', consecutiveFailures: 5, openedAt, retryAt } }
+ */
+const getCircuitStats = () => Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.getState()]));
+
+/**
+ * Error for a call that was not made because the provider's circuit is open
+ */
+const circuitOpenError = (name) => Object.assign(
+  new Error(`The ${name} provider is unavailable, skipping the call until its circuit closes`),
+  { code: 'CIRCUIT_OPEN' }
+);
+
+module.exports = {
+  REQUEST_TIMEOUT_MS,
+  isProviderFailure,
+  withRetries,
+  getCircuitBreaker,
+  getCircuitStats,
+  circuitOpenError
+};
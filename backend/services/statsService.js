@@ -0,0 +1,224 @@
+/**
+ * XP and streak rules for completed quests
+ * Mirrors the app's XP engine (TaskFlick/src/utils/xpEngine.js) so server and client agree.
+ */
+
+// XP awarded per difficulty
+const DIFFICULTY_POINTS = {
+  mini: 10,
+  normal: 25,
+  boss: 50
+};
+
+// Share of a quest's XP earned when it is completed after its due date
+const CURSED_XP_MULTIPLIER = 0.5;
+
+// XP bonus while a streak is kept, highest first
+const STREAK_MULTIPLIERS = [
+  { minStreak: 14, multiplier: 1.5 },
+  { minStreak: 7, multiplier: 1.25 },
+  { minStreak: 3, multiplier: 1.1 }
+];
+
+// XP bonus for the first quest completed on a day
+const FIRST_VICTORY_MULTIPLIER = 1.2;
+
+// Share of a quest's XP spread over its sub-steps; the rest is awarded on completion
+const STEP_XP_SHARE = 0.5;
+
+// Badge name -> predicate on the updated stats
+const BADGE_RULES = {
+  'First Quest': stats => stats.completedQuests >= 1,
+  'Quest Novice': stats => stats.completedQuests >= 5,
+  'Quest Adept': stats => stats.completedQuests >= 10,
+  'Quest Master': stats => stats.completedQuests >= 25,
+  'Consistent Adventurer': stats => stats.currentStreak >= 3,
+  'Weekly Warrior': stats => stats.currentStreak >= 7,
+  'Point Collector': stats => stats.points >= 100,
+  'XP Hunter': stats => stats.points >= 500
+};
+
+/**
+ * Get the XP value of a difficulty
+ * @param {string} difficulty - mini, normal or boss
+ * @returns {number} - XP points
+ */
+const getPointsForDifficulty = (difficulty) => {
+  return DIFFICULTY_POINTS[difficulty] || DIFFICULTY_POINTS.normal;
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Number the calendar day a time falls on for the player
+ * @param {Date|string} date - The time
+ * @param {number} [timezoneOffset] - Minutes the player's clock is behind UTC, as
+ *   Date#getTimezoneOffset returns it; the server's timezone if not known
+ * @returns {number} - Days since 1970-01-01 on the player's clock
+ */
+const getLocalDay = (date, timezoneOffset) => {
+  const time = new Date(date);
+  const offset = timezoneOffset ?? time.getTimezoneOffset();
+  return Math.floor((time.getTime() - offset * MINUTE_MS) / DAY_MS);
+};
+
+/**
+ * The player's day of their last completion, on the clock it was completed on
+ */
+const getLastCompletedDay = (stats, timezoneOffset) => {
+  return getLocalDay(stats.lastCompletedDate, stats.lastCompletedTimezoneOffset ?? timezoneOffset);
+};
+
+/**
+ * Compute the new streak after a completion
+ * @param {Object} stats - Stats before the completion
+ * @param {Date} now - Completion time
+ * @param {number} [timezoneOffset] - The player's timezone offset, see getLocalDay
+ * @returns {number}
+ */
+const calculateStreak = (stats, now, timezoneOffset) => {
+  if (!stats.lastCompletedDate) {
+    // First completion ever
+    return 1;
+  }
+
+  const today = getLocalDay(now, timezoneOffset);
+  const lastDay = getLastCompletedDay(stats, timezoneOffset);
+
+  if (lastDay === today) {
+    // Already completed something today, streak doesn't change
+    return Math.max(stats.currentStreak, 1);
+  }
+
+  if (lastDay === today - 1) {
+    return stats.currentStreak + 1;
+  }
+
+  // More than a day has passed
+  return 1;
+};
+
+/**
+ * Check whether a quest is past its due date
+ * @param {Object} task - The task to check
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const isOverdue = (task, now = new Date()) => {
+  return !!task.dueDate && new Date(task.dueDate) < now;
+};
+
+/**
+ * Get the multiplier a quest's XP gets when it is completed: the curse of an
+ * overdue quest, the streak bonus and the first victory of the day
+ * @param {Object} task - The open task
+ * @param {Object} stats - Stats before the completion
+ * @param {Date} now - Completion time
+ * @param {number} [timezoneOffset] - The player's timezone offset, see getLocalDay
+ * @returns {number} - The combined multiplier, rounded to hundredths
+ */
+const getXpMultiplier = (task, stats, now, timezoneOffset) => {
+  let multiplier = isOverdue(task, now) ? CURSED_XP_MULTIPLIER : 1;
+
+  const streakBonus = STREAK_MULTIPLIERS.find(bonus => calculateStreak(stats, now, timezoneOffset) >= bonus.minStreak);
+  if (streakBonus) {
+    multiplier *= streakBonus.multiplier;
+  }
+
+  if (!stats.lastCompletedDate || getLastCompletedDay(stats, timezoneOffset) !== getLocalDay(now, timezoneOffset)) {
+    multiplier *= FIRST_VICTORY_MULTIPLIER;
+  }
+
+  return Math.round(multiplier * 100) / 100;
+};
+
+/**
+ * Get the XP a completed quest is worth, with the multiplier it was completed
+ * with; quests completed before multipliers existed only lose XP to their curse
+ * @param {Object} task - The completed task
+ * @returns {number} - XP points
+ */
+const getPointsForTask = (task) => {
+  const multiplier = task.xpMultiplier ?? (task.cursed ? CURSED_XP_MULTIPLIER : 1);
+  return Math.round(getPointsForDifficulty(task.difficulty) * multiplier);
+};
+
+/**
+ * Split a quest's step XP over its steps, in order; earlier steps get any remainder
+ * @param {Object} task - Task with a `steps` array
+ * @returns {Array<number>} - XP per step
+ */
+const getStepPoints = (task) => {
+  const steps = task.steps || [];
+  if (steps.length === 0) return [];
+
+  const pool = Math.round(getPointsForDifficulty(task.difficulty) * STEP_XP_SHARE);
+  const base = Math.floor(pool / steps.length);
+  const remainder = pool - base * steps.length;
+  return steps.map((step, index) => base + (index < remainder ? 1 : 0));
+};
+
+/**
+ * Total XP already awarded for a task's completed steps
+ * @param {Object} task - Task with a `steps` array
+ * @returns {number}
+ */
+const getAwardedStepPoints = (task) => {
+  return (task.steps || []).reduce((sum, step) => sum + (step.completed ? step.pointsAwarded || 0 : 0), 0);
+};
+
+/**
+ * Add (or with a negative delta, remove) XP from a user's stats
+ * @param {Object} stats - Current stats
+ * @param {number} pointsDelta - XP change
+ * @returns {Object} - Updated stats
+ */
+const adjustPoints = (stats, pointsDelta) => {
+  return { ...stats, points: Math.max(0, stats.points + pointsDelta) };
+};
+
+/**
+ * Apply a quest completion to a user's stats
+ * @param {Object} stats - Current stats
+ * @param {Object} task - The task being completed
+ * @param {Date} now - Completion time
+ * @param {number} [timezoneOffset] - The player's timezone offset, see getLocalDay;
+ *   kept with the completion so the next one compares days on the same clock
+ * @returns {Object} - { stats, pointsEarned, newBadges, cursed, xpMultiplier }
+ */
+const applyCompletion = (stats, task, now = new Date(), timezoneOffset = now.getTimezoneOffset()) => {
+  // Finishing an overdue quest lifts its curse, at the cost of some XP.
+  // XP already earned through sub-steps counts towards the quest's total.
+  const cursed = isOverdue(task, now);
+  const xpMultiplier = getXpMultiplier(task, stats, now, timezoneOffset);
+  const pointsEarned = Math.max(0, getPointsForTask({ ...task, xpMultiplier }) - getAwardedStepPoints(task));
+  const updatedStats = {
+    ...stats,
+    points: stats.points + pointsEarned,
+    completedQuests: stats.completedQuests + 1,
+    currentStreak: calculateStreak(stats, now, timezoneOffset),
+    lastCompletedDate: now.toISOString(),
+    lastCompletedTimezoneOffset: timezoneOffset
+  };
+
+  updatedStats.longestStreak = Math.max(updatedStats.longestStreak || 0, updatedStats.currentStreak);
+
+  const existingBadges = new Set(stats.badges || []);
+  const newBadges = Object.keys(BADGE_RULES)
+    .filter(badge => !existingBadges.has(badge) && BADGE_RULES[badge](updatedStats));
+  updatedStats.badges = [...existingBadges, ...newBadges];
+
+  return { stats: updatedStats, pointsEarned, newBadges, cursed, xpMultiplier };
+};
+
+module.exports = {
+  getPointsForDifficulty,
+  getPointsForTask,
+  getXpMultiplier,
+  isOverdue,
+  getStepPoints,
+  getAwardedStepPoints,
+  adjustPoints,
+  applyCompletion
+};
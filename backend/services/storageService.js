@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+require('dotenv').config();
+
+// Location of the JSON data file - override with DATA_FILE
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, '..', 'data', 'taskflick.json');
+
+// In-memory copy of the data file, loaded on first access
+let store = null;
+
+// Writes are chained so concurrent requests never interleave file writes
+let writeQueue = Promise.resolve();
+
+// Error of the last write, if it failed, for readiness checks
+let lastWriteError = null;
+
+// Frequent small changes (generation usage counts) are written together after this delay
+const DEFERRED_WRITE_MS = 1000;
+let deferredWrite = null;
+
+/**
+ * Default stats for a user with no history
+ */
+const createDefaultStats = () => ({
+  points: 0,
+  completedQuests: 0,
+  currentStreak: 0,
+  longestStreak: 0,
+  lastCompletedDate: null,
+  lastCompletedTimezoneOffset: null,
+  badges: []
+});
+
+/**
+ * Load the data file into memory (once)
+ */
+const loadStore = async () => {
+  if (store) return store;
+
+  try {
+    const raw = await fs.promises.readFile(DATA_FILE, 'utf8');
+    store = JSON.parse(raw);
+    logger.info('Loaded data store', { path: DATA_FILE });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Error reading data store, starting empty', error);
+    }
+    store = { users: {}, accounts: {} };
+  }
+
+  if (!store.users) store.users = {};
+  if (!store.accounts) store.accounts = {};
+  return store;
+};
+
+/**
+ * Persist the in-memory store, writing to a temp file and renaming it into place
+ */
+const persistStore = () => {
+  // This write includes any deferred changes
+  if (deferredWrite) {
+    clearTimeout(deferredWrite);
+    deferredWrite = null;
+  }
+
+  const write = writeQueue
+    .catch(() => {}) // A failed earlier write must not block this one
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+      const tmpFile = `${DATA_FILE}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(store, null, 2));
+      await fs.promises.rename(tmpFile, DATA_FILE);
+    })
+    .then(() => {
+      lastWriteError = null;
+    }, (error) => {
+      lastWriteError = { message: error.message, at: new Date().toISOString() };
+      throw error;
+    });
+  writeQueue = write;
+  return write;
+};
+
+/**
+ * Persist the store soon, writing changes made in the meantime at once
+ */
+const schedulePersist = () => {
+  if (deferredWrite) return;
+  deferredWrite = setTimeout(() => {
+    deferredWrite = null;
+    persistStore().catch(error => logger.error('Error writing data store', error));
+  }, DEFERRED_WRITE_MS);
+  deferredWrite.unref();
+};
+
+/**
+ * Get (and lazily create) the record for a user
+ */
+const getUserRecord = async (userId) => {
+  const data = await loadStore();
+  if (!data.users[userId]) {
+    data.users[userId] = { tasks: {}, stats: createDefaultStats() };
+  }
+  return data.users[userId];
+};
+
+/**
+ * List all tasks for a user, newest first
+ * @param {string} userId - Owner of the tasks
+ * @param {Object} options - { includeDeleted: also return delete tombstones }
+ * @returns {Promise<Array>} - Tasks
+ */
+const listTasks = async (userId, { includeDeleted = false } = {}) => {
+  const user = await getUserRecord(userId);
+  return Object.values(user.tasks)
+    .filter(task => includeDeleted || !task.deleted)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * List the tasks of every user, for aggregate reports
+ * @returns {Promise<Array>} - Tasks without delete tombstones
+ */
+const listAllTasks = async () => {
+  const data = await loadStore();
+  return Object.values(data.users).flatMap(user => Object.values(user.tasks).filter(task => !task.deleted));
+};
+
+/**
+ * Get a single task
+ * @param {string} userId - Owner of the task
+ * @param {string} taskId - Task id
+ * @returns {Promise<Object|null>} - The task (or its tombstone) or null if not found
+ */
+const getTask = async (userId, taskId) => {
+  const user = await getUserRecord(userId);
+  // Own keys only, so ids such as "__proto__" never match a built-in property
+  return Object.hasOwn(user.tasks, taskId) ? user.tasks[taskId] : null;
+};
+
+/**
+ * Insert or replace a task
+ * @param {string} userId - Owner of the task
+ * @param {Object} task - Task with an id
+ * @returns {Promise<Object>} - The stored task
+ */
+const saveTask = async (userId, task) => {
+  const user = await getUserRecord(userId);
+  user.tasks[task.id] = task;
+  await persistStore();
+  return task;
+};
+
+/**
+ * Remove a task, leaving a tombstone so other devices learn about the delete
+ * and stale edits can't bring the task back
+ * @param {string} userId - Owner of the task
+ * @param {string} taskId - Task id
+ * @returns {Promise<boolean>} - Whether the task existed
+ */
+const deleteTask = async (userId, taskId) => {
+  const user = await getUserRecord(userId);
+  const task = Object.hasOwn(user.tasks, taskId) ? user.tasks[taskId] : null;
+  if (!task) return false;
+  if (task.deleted) return true;
+
+  const now = new Date().toISOString();
+  user.tasks[taskId] = {
+    id: taskId,
+    deleted: true,
+    createdAt: task.createdAt,
+    deletedAt: now,
+    updatedAt: now
+  };
+  await persistStore();
+  return true;
+};
+
+/**
+ * Get a user's stats
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} - Stats
+ */
+const getStats = async (userId) => {
+  const user = await getUserRecord(userId);
+  return user.stats;
+};
+
+/**
+ * Replace a user's stats
+ * @param {string} userId - User id
+ * @param {Object} stats - New stats
+ * @returns {Promise<Object>} - The stored stats
+ */
+const saveStats = async (userId, stats) => {
+  const user = await getUserRecord(userId);
+  user.stats = { ...createDefaultStats(), ...stats };
+  await persistStore();
+  return user.stats;
+};
+
+/**
+ * Get a user's story campaign
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} - The campaign, or null before the first chapter
+ */
+const getCampaign = async (userId) => {
+  const user = await getUserRecord(userId);
+  return user.campaign || null;
+};
+
+/**
+ * Replace a user's story campaign
+ * @param {string} userId - User id
+ * @param {Object|null} campaign - New campaign, or null to start over
+ * @returns {Promise<Object|null>} - The stored campaign
+ */
+const saveCampaign = async (userId, campaign) => {
+  const user = await getUserRecord(userId);
+  user.campaign = campaign;
+  await persistStore();
+  return campaign;
+};
+
+/**
+ * Count AI generations towards a user's daily quota, unless they don't fit in what is left.
+ * The count is saved with the next write, at most DEFERRED_WRITE_MS later.
+ * @param {string} userId - User id
+ * @param {string} day - UTC date the generations are counted for (YYYY-MM-DD)
+ * @param {number} limit - Generations allowed per day
+ * @param {number} amount - Generations to count (default 1)
+ * @returns {Promise<Object>} - { allowed, used } where used includes these generations if they were allowed
+ */
+const recordGenerationUsage = async (userId, day, limit, amount = 1) => {
+  const user = await getUserRecord(userId);
+  const used = user.generationUsage?.day === day ? user.generationUsage.count : 0;
+  if (used + amount > limit) {
+    return { allowed: false, used };
+  }
+
+  user.generationUsage = { day, count: used + amount };
+  schedulePersist();
+  return { allowed: true, used: used + amount };
+};
+
+/**
+ * Give back generations counted for a request that was rejected
+ * @param {string} userId - User id
+ * @param {string} day - UTC date the generations were counted for (YYYY-MM-DD)
+ * @param {number} amount - Generations to give back
+ * @returns {Promise<void>}
+ */
+const refundGenerationUsage = async (userId, day, amount) => {
+  const user = await getUserRecord(userId);
+  if (user.generationUsage?.day !== day) return;
+
+  user.generationUsage = { day, count: Math.max(0, user.generationUsage.count - amount) };
+  schedulePersist();
+};
+
+/**
+ * Find an account by email (case-insensitive)
+ * @param {string} email - Account email
+ * @returns {Promise<Object|null>} - The account or null if not found
+ */
+const getAccountByEmail = async (email) => {
+  const data = await loadStore();
+  const normalizedEmail = email.trim().toLowerCase();
+  return Object.values(data.accounts).find(account => account.email === normalizedEmail) || null;
+};
+
+/**
+ * Get an account by id
+ * @param {string} accountId - Account id (also the user id that owns tasks and stats)
+ * @returns {Promise<Object|null>} - The account or null if not found
+ */
+const getAccountById = async (accountId) => {
+  const data = await loadStore();
+  return data.accounts[accountId] || null;
+};
+
+/**
+ * Insert or replace an account
+ * @param {Object} account - Account with an id
+ * @returns {Promise<Object>} - The stored account
+ */
+const saveAccount = async (account) => {
+  const data = await loadStore();
+  data.accounts[account.id] = account;
+  await persistStore();
+  return account;
+};
+
+/**
+ * Report storage status for health checks: whether the data folder can be
+ * written to and whether the last write failed. Includes the file's location
+ * and how many users it holds, so only log it.
+ */
+const getStorageStatus = async () => {
+  const data = await loadStore();
+  let writable = true;
+  try {
+    await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    await fs.promises.access(path.dirname(DATA_FILE), fs.constants.W_OK);
+  } catch (error) {
+    writable = false;
+  }
+
+  return {
+    type: 'file',
+    path: DATA_FILE,
+    writable,
+    lastWriteError,
+    users: Object.keys(data.users).length,
+    accounts: Object.keys(data.accounts).length
+  };
+};
+
+module.exports = {
+  createDefaultStats,
+  listTasks,
+  listAllTasks,
+  getTask,
+  saveTask,
+  deleteTask,
+  getStats,
+  saveStats,
+  getCampaign,
+  saveCampaign,
+  recordGenerationUsage,
+  refundGenerationUsage,
+  getAccountByEmail,
+  getAccountById,
+  saveAccount,
+  getStorageStatus
+};
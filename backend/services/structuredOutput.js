@@ -0,0 +1,327 @@
+/**
+ * Schema-driven parsing of LLM output
+ * Every generation type declares the shape it expects. Output is accepted only
+ * if it matches that shape; otherwise the caller can ask the model to repair it.
+ * Which stage produced a valid result is counted per type to measure parse quality.
+ */
+
+const QUEST_TITLE_MAX_LENGTH = 60;
+const NARRATIVE_MAX_LENGTH = 500;
+const DIFFICULTIES = ['mini', 'normal', 'boss'];
+const MIN_CHAIN_LENGTH = 3;
+const MAX_CHAIN_LENGTH = 8;
+const CAMPAIGN_SUMMARY_MAX_LENGTH = 800;
+
+/**
+ * Expected output per generation type. A schema may be a function of the
+ * request details (`meta`) when its limits depend on the request.
+ *
+ * Field specs: { type: 'string' | 'integer' | 'array' | 'object', ... }
+ *   string:  minLength (default 1), maxLength, values
+ *   integer: min, max
+ *   array:   items, minItems, maxItems
+ *   object:  fields (every field is required)
+ * A top-level string schema is plain text; `jsonKey` names the field to read
+ * if the model answers with a JSON object anyway.
+ */
+const SCHEMAS = {
+  quest: {
+    type: 'object',
+    fields: {
+      questTitle: { type: 'string', maxLength: QUEST_TITLE_MAX_LENGTH },
+      questNarrative: { type: 'string', maxLength: NARRATIVE_MAX_LENGTH }
+    }
+  },
+  narrative: {
+    type: 'string',
+    minLength: 10,
+    maxLength: NARRATIVE_MAX_LENGTH,
+    jsonKey: 'questNarrative'
+  },
+  chapters: (meta) => ({
+    type: 'object',
+    fields: {
+      chapters: {
+        type: 'array',
+        minItems: (meta.steps || []).length,
+        maxItems: (meta.steps || []).length,
+        items: { type: 'string', maxLength: 300 }
+      }
+    }
+  }),
+  decompose: {
+    type: 'object',
+    fields: {
+      quests: {
+        type: 'array',
+        minItems: MIN_CHAIN_LENGTH,
+        maxItems: MAX_CHAIN_LENGTH,
+        items: {
+          type: 'object',
+          fields: {
+            title: { type: 'string', maxLength: QUEST_TITLE_MAX_LENGTH },
+            questTitle: { type: 'string', maxLength: QUEST_TITLE_MAX_LENGTH },
+            questNarrative: { type: 'string', maxLength: NARRATIVE_MAX_LENGTH },
+            difficulty: { type: 'string', values: DIFFICULTIES },
+            estimatedMinutes: { type: 'integer', min: 1, max: 24 * 60 }
+          }
+        }
+      }
+    }
+  },
+  badge: {
+    type: 'object',
+    fields: {
+      badgeName: { type: 'string', maxLength: QUEST_TITLE_MAX_LENGTH },
+      badgeDescription: { type: 'string', maxLength: 200 }
+    }
+  },
+  message: {
+    type: 'string',
+    minLength: 6,
+    maxLength: 280,
+    jsonKey: 'motivationalMessage'
+  },
+  recap: {
+    type: 'object',
+    fields: {
+      recap: { type: 'string', maxLength: 300 },
+      summary: { type: 'string', maxLength: CAMPAIGN_SUMMARY_MAX_LENGTH }
+    }
+  }
+};
+
+// Parse outcomes, counted per generation type
+const STAGES = ['direct', 'extracted', 'repaired', 'invalid', 'error'];
+const parseStats = {};
+
+/**
+ * Get the schema of a generation type
+ * @param {string} type - Generation type (quest, narrative, chapters, decompose, badge, message, recap)
+ * @param {Object} meta - Request details, for schemas that depend on them
+ * @returns {Object}
+ */
+const getSchema = (type, meta = {}) => {
+  const schema = SCHEMAS[type];
+  if (!schema) {
+    throw new Error(`No output schema for generation type "${type}"`);
+  }
+  return typeof schema === 'function' ? schema(meta) : schema;
+};
+
+/**
+ * Validate a value against a field spec, collecting errors
+ * @returns {*} - The value with strings trimmed and unknown object fields dropped
+ */
+const validateValue = (spec, value, path, errors) => {
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        errors.push(`${path}: expected a string`);
+        return value;
+      }
+      const trimmed = value.trim();
+      const minLength = spec.minLength ?? 1;
+      if (trimmed.length < minLength) {
+        errors.push(minLength === 1 ? `${path}: must not be empty` : `${path}: must be at least ${minLength} characters`);
+      }
+      if (spec.maxLength && trimmed.length > spec.maxLength) {
+        errors.push(`${path}: must be at most ${spec.maxLength} characters (got ${trimmed.length})`);
+      }
+      if (spec.values && !spec.values.includes(trimmed)) {
+        errors.push(`${path}: must be one of ${spec.values.map(v => `"${v}"`).join(', ')}`);
+      }
+      return trimmed;
+    }
+    case 'integer': {
+      if (!Number.isInteger(value)) {
+        errors.push(`${path}: expected an integer`);
+      } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        errors.push(`${path}: must be between ${spec.min} and ${spec.max}`);
+      }
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array`);
+        return value;
+      }
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        errors.push(`${path}: must have at least ${spec.minItems} items (got ${value.length})`);
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        errors.push(`${path}: must have at most ${spec.maxItems} items (got ${value.length})`);
+      }
+      return value.map((item, index) => validateValue(spec.items, item, `${path}[${index}]`, errors));
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path || 'response'}: expected an object`);
+        return value;
+      }
+      const result = {};
+      for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+        const fieldPath = path ? `${path}.${field}` : field;
+        if (value[field] === undefined || value[field] === null) {
+          errors.push(`${fieldPath}: missing`);
+          continue;
+        }
+        result[field] = validateValue(fieldSpec, value[field], fieldPath, errors);
+      }
+      return result;
+    }
+    default:
+      throw new Error(`Unknown schema type "${spec.type}"`);
+  }
+};
+
+/**
+ * Validate parsed output against a schema
+ * @param {Object} schema - Output schema
+ * @param {*} value - Parsed output
+ * @returns {Object} - { valid, value, errors }
+ */
+const validateOutput = (schema, value) => {
+  const errors = [];
+  const cleaned = validateValue(schema, value, schema.type === 'object' ? '' : 'text', errors);
+  return { valid: errors.length === 0, value: cleaned, errors };
+};
+
+/**
+ * Parse JSON, returning undefined instead of throwing
+ */
+const tryParseJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * Read generated text as the value a schema expects
+ * @returns {Object|null} - { stage, value }, or null if nothing could be read
+ */
+const readOutput = (generatedText, schema) => {
+  if (typeof generatedText === 'object' && generatedText !== null) {
+    const value = schema.type === 'string' && schema.jsonKey ? generatedText[schema.jsonKey] : generatedText;
+    return { stage: 'direct', value };
+  }
+  if (typeof generatedText !== 'string') return null;
+
+  const text = generatedText.trim();
+  const json = tryParseJSON(text);
+
+  // Plain text output: the text itself, or the named field of a JSON answer
+  if (schema.type === 'string') {
+    if (json && typeof json === 'object' && schema.jsonKey) {
+      return { stage: 'extracted', value: json[schema.jsonKey] };
+    }
+    return { stage: 'direct', value: text.replace(/^["']+|["']+$/g, '') };
+  }
+
+  if (json !== undefined) {
+    return { stage: 'direct', value: json };
+  }
+
+  // JSON surrounded by prose or a code fence
+  const match = text.match(/\{[\s\S]*\}/);
+  const extracted = match ? tryParseJSON(match[0]) : undefined;
+  return extracted !== undefined ? { stage: 'extracted', value: extracted } : null;
+};
+
+/**
+ * Parse generated text against a schema
+ * @param {string|Object} generatedText - Model output
+ * @param {Object} schema - Output schema
+ * @returns {Object} - { data, stage } on success, { data: null, errors } otherwise
+ */
+const parseOutput = (generatedText, schema) => {
+  const output = readOutput(generatedText, schema);
+  if (!output) {
+    return { data: null, errors: [schema.type === 'string' ? 'response is empty' : 'response is not valid JSON'] };
+  }
+
+  const result = validateOutput(schema, output.value);
+  return result.valid
+    ? { data: result.value, stage: output.stage }
+    : { data: null, errors: result.errors };
+};
+
+/**
+ * Describe a field spec for a repair prompt
+ */
+const describeSpec = (spec, indent = '') => {
+  switch (spec.type) {
+    case 'string':
+      if (spec.values) return `one of ${spec.values.map(v => `"${v}"`).join(', ')}`;
+      return spec.maxLength ? `a string of at most ${spec.maxLength} characters` : 'a non-empty string';
+    case 'integer':
+      return `an integer from ${spec.min} to ${spec.max}`;
+    case 'array': {
+      const count = spec.minItems === spec.maxItems ? `exactly ${spec.minItems}` : `${spec.minItems} to ${spec.maxItems}`;
+      return `an array of ${count} items, each ${describeSpec(spec.items, indent)}`;
+    }
+    case 'object':
+      return `an object with these fields:\n${Object.entries(spec.fields)
+        .map(([field, fieldSpec]) => `${indent}  - ${field}: ${describeSpec(fieldSpec, `${indent}  `)}`)
+        .join('\n')}`;
+    default:
+      return spec.type;
+  }
+};
+
+/**
+ * Build a prompt asking the model to fix output that failed validation
+ * @param {string} originalPrompt - The prompt that produced the output
+ * @param {string|Object} generatedText - The invalid output
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} schema - Output schema
+ * @returns {string}
+ */
+const buildRepairPrompt = (originalPrompt, generatedText, errors, schema) => {
+  const previous = typeof generatedText === 'string' ? generatedText : JSON.stringify(generatedText);
+  const format = schema.type === 'string'
+    ? `Return ONLY the corrected text (${schema.minLength} to ${schema.maxLength} characters) with no formatting or JSON.`
+    : `Return ONLY a corrected JSON object, with no other text. It must be ${describeSpec(schema)}`;
+
+  return `${originalPrompt}
+
+Your previous response could not be used:
+${(previous || '(empty)').substring(0, 2000)}
+
+Problems:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+${format}`;
+};
+
+/**
+ * Count how a generation type's output was parsed
+ * @param {string} type - Generation type
+ * @param {string} stage - One of direct, extracted, repaired, invalid or error
+ */
+const recordParseStage = (type, stage) => {
+  if (!parseStats[type]) {
+    parseStats[type] = Object.fromEntries(STAGES.map(s => [s, 0]));
+  }
+  parseStats[type][stage] += 1;
+};
+
+/**
+ * Get parse outcome counts per generation type since the server started
+ * @returns {Object} - e.g. { quest: { direct: 12, extracted: 1, repaired: 2, invalid: 0, error: 1 } }
+ */
+const getParseStats = () => JSON.parse(JSON.stringify(parseStats));
+
+module.exports = {
+  MIN_CHAIN_LENGTH,
+  MAX_CHAIN_LENGTH,
+  CAMPAIGN_SUMMARY_MAX_LENGTH,
+  getSchema,
+  validateOutput,
+  parseOutput,
+  buildRepairPrompt,
+  recordParseStage,
+  getParseStats
+};
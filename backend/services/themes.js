@@ -0,0 +1,178 @@
+/**
+ * Story themes
+ * Every generation request is written in a story theme: one of the built-in
+ * themes below, or `custom` with a short style description from the user.
+ * A theme's `style` fills the `{{themeStyle}}` placeholder of the prompts;
+ * the rest of it words the built-in fallbacks and the template provider.
+ */
+
+const DEFAULT_THEME = 'fantasy';
+const MAX_STYLE_LENGTH = 200;
+
+const THEMES = {
+  fantasy: {
+    name: 'Fantasy',
+    style: 'medieval fantasy, a realm of kingdoms, knights, dragons and magic',
+    hero: 'A brave adventurer',
+    goal: 'to help the kingdom thrive',
+    chapterEnd: 'The quest continues...',
+    honor: 'The kingdom honors your dedication!',
+    // Where quests of each category take place, for template titles
+    places: { work: 'Guild', learning: 'Arcane', health: 'Warrior', chores: 'Village' },
+    defaultPlace: 'Adventure',
+    messages: [
+      "Every hero's journey begins with a single quest. Keep going!",
+      "The bards will sing of your achievements when all your quests are done!",
+      "Your quests await, brave adventurer! Glory and rewards lie ahead!",
+      "Even the mightiest dragons are defeated one scale at a time. Stay persistent!",
+      "Your legend grows with every task you complete, brave champion!",
+      "Through trials and tribulations, heroes are forged. Press onward!",
+      "The path to glory is paved with completed quests. Each step brings you closer!",
+      "Raise your banner high, for today's victories become tomorrow's legends!",
+      "Magic flows through your dedication. The realm prospers with each task you complete!",
+      "Like a phoenix rising, your determination ignites the path forward!",
+      "The stars themselves chart your course to victory. Keep following their light!",
+      "Your sword is sharp, your shield is strong. No quest is beyond your reach!"
+    ]
+  },
+  scifi: {
+    name: 'Sci-Fi',
+    style: 'science fiction, a starfaring future of starships, space stations, colonies and alien worlds',
+    hero: 'A daring starship cadet',
+    goal: 'to keep the colony running',
+    chapterEnd: 'The mission continues...',
+    honor: 'Fleet Command salutes your dedication!',
+    places: { work: 'Command', learning: 'Archive', health: 'Cadet', chores: 'Habitat' },
+    defaultPlace: 'Frontier',
+    messages: [
+      'All systems go, cadet. Your next mission is cleared for launch!',
+      'Every completed mission brings the colony closer to the stars.',
+      'Shields up, focus locked. No task can outrun your thrusters!',
+      'The galaxy was not charted in a day. Keep logging those missions!',
+      'Mission control reports record progress. Keep it up, pilot!',
+      'Your trajectory is true. Fire the engines for the next mission!'
+    ]
+  },
+  noir: {
+    name: 'Noir',
+    style: 'hard-boiled noir, a rain-soaked 1940s city of detectives, smoky offices and cases that need cracking',
+    hero: 'A sharp-eyed detective',
+    goal: 'to close the case',
+    chapterEnd: 'The case goes on...',
+    honor: 'The whole precinct tips its hat to you.',
+    places: { work: 'Precinct', learning: 'Records', health: 'Street', chores: 'Apartment' },
+    defaultPlace: 'Case',
+    messages: [
+      'The city never sleeps, and neither does a good detective. Crack the next case.',
+      'Every closed case is one less shadow in this town.',
+      'The clues are all there, gumshoe. You just have to follow them.',
+      'Rain on the window, a case on the desk. Time to get to work.',
+      "They said it couldn't be solved. They hadn't met you.",
+      'One more case closed, and this town sleeps a little easier.'
+    ]
+  },
+  pirate: {
+    name: 'Pirate',
+    style: 'swashbuckling pirates, the high seas of tall ships, treasure maps, hidden coves and rival crews',
+    hero: 'A bold deckhand',
+    goal: 'to keep the ship afloat',
+    chapterEnd: 'The voyage continues...',
+    honor: 'The whole crew raises a toast to ye!',
+    places: { work: "Captain's", learning: "Navigator's", health: "Boatswain's", chores: 'Galley' },
+    defaultPlace: 'Buccaneer',
+    messages: [
+      'Hoist the sails! Treasure waits for those who finish their voyages.',
+      "Every task ye plunder fills the chest a little more, matey!",
+      'Steady at the helm. The next island is just over the horizon.',
+      'A true pirate never leaves a job half done. Onward, sailor!',
+      'The map is marked and the wind is fair. Set course for victory!',
+      'Yo ho! Another voyage done, and the crew sings your name.'
+    ]
+  },
+  cozy: {
+    name: 'Cozy',
+    style: 'cozy slice of life, a gentle village of warm kitchens, gardens, tea and friendly neighbours, with no danger or villains',
+    hero: 'A kind-hearted villager',
+    goal: 'to make the village a little cozier',
+    chapterEnd: 'The day goes on gently...',
+    honor: 'The whole village baked you a cake!',
+    places: { work: 'Workshop', learning: 'Library', health: 'Meadow', chores: 'Cottage' },
+    defaultPlace: 'Hearth',
+    messages: [
+      'Put the kettle on. One small task at a time makes a lovely day.',
+      'Every little thing you finish makes the village a bit warmer.',
+      'The garden grows one seed at a time, and so do you.',
+      'Take a breath, grab a blanket, and tackle the next gentle errand.',
+      'The neighbours are cheering you on from their porches!',
+      'A tidy cottage and a happy heart. You are doing wonderfully.'
+    ]
+  }
+};
+
+// Fallback wording for custom themes, whose style is only known to the model
+const CUSTOM_THEME = {
+  name: 'Custom',
+  hero: 'Our hero',
+  goal: 'to move the story forward',
+  chapterEnd: 'The story continues...',
+  honor: 'Your dedication will be remembered!',
+  places: {},
+  defaultPlace: 'Story',
+  messages: [
+    'Every task you finish writes a new page of your story. Keep going!',
+    'Your story is just getting good. On to the next chapter!',
+    'One task at a time, the tale unfolds. You are doing great!'
+  ]
+};
+
+/**
+ * Tidy a custom style description for use in a prompt
+ */
+const cleanStyle = (style) => String(style)
+  .replace(/[\u0000-\u001f{}]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .substring(0, MAX_STYLE_LENGTH);
+
+/**
+ * Get the theme a request asked for
+ * @param {string} key - Theme key, see THEMES, or `custom`; the default theme if empty
+ * @param {string} style - Style description of a custom theme
+ * @returns {Object} - { theme } with the theme's key added, or { error } describing what is wrong
+ */
+const resolveTheme = (key, style) => {
+  if (key === undefined || key === null || key === '') {
+    return { theme: { key: DEFAULT_THEME, ...THEMES[DEFAULT_THEME] } };
+  }
+  if (typeof key !== 'string') {
+    return { error: 'Field theme must be a string' };
+  }
+  if (key === 'custom') {
+    const customStyle = typeof style === 'string' ? cleanStyle(style) : '';
+    if (!customStyle) {
+      return { error: 'A custom theme needs a themeStyle description' };
+    }
+    return { theme: { key, ...CUSTOM_THEME, style: customStyle } };
+  }
+  if (!Object.prototype.hasOwnProperty.call(THEMES, key)) {
+    return { error: `Unknown theme "${key}", expected one of: ${[...Object.keys(THEMES), 'custom'].join(', ')}` };
+  }
+  return { theme: { key, ...THEMES[key] } };
+};
+
+/**
+ * Get a theme's wording by key, or the default theme
+ * @param {string} key - Theme key; a `custom` theme has no style here, see resolveTheme
+ * @returns {Object} - The theme with its key
+ */
+const getTheme = (key) => {
+  if (key === 'custom') return { key, ...CUSTOM_THEME };
+  return resolveTheme(Object.prototype.hasOwnProperty.call(THEMES, key) ? key : DEFAULT_THEME).theme;
+};
+
+module.exports = {
+  DEFAULT_THEME,
+  MAX_STYLE_LENGTH,
+  resolveTheme,
+  getTheme
+};
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockWatsonx } = require('./helpers/mockWatsonx');
+const { useTestEnv } = require('./helpers/testEnv');
+
+const VALID_QUEST = '{"questTitle":"The Laundry Saga","questNarrative":"Wash the robes of the realm before the feast."}';
+
+describe('generation quota', () => {
+  let mock;
+  let env;
+  let server;
+  let baseUrl;
+  let accessToken;
+
+  const transform = async (body) => {
+    const response = await fetch(`${baseUrl}/api/transform-task`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  before(async () => {
+    mock = await startMockWatsonx();
+    env = useTestEnv(mock, { GENERATION_DAILY_QUOTA: '1' });
+    const app = require('../server');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const response = await fetch(`${baseUrl}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'quota@example.com', password: 'secret123' })
+    });
+    accessToken = (await response.json()).accessToken;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    env.cleanup();
+  });
+
+  it('gives back the quota of requests rejected as invalid', async () => {
+    const invalid = await transform({ task: '' });
+    assert.equal(invalid.status, 400);
+
+    mock.reply({ text: VALID_QUEST });
+    const valid = await transform({ task: 'Do laundry' });
+    assert.equal(valid.status, 200);
+    assert.equal(valid.headers.get('x-quota-remaining'), '0');
+
+    const overQuota = await transform({ task: 'Do dishes' });
+    assert.equal(overQuota.status, 429);
+  });
+});
@@ -0,0 +1,293 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockWatsonx } = require('./helpers/mockWatsonx');
+const { useTestEnv } = require('./helpers/testEnv');
+const { resolveTheme } = require('../services/themes');
+
+const VALID_QUEST = '{"questTitle":"The Laundry Saga","questNarrative":"Wash the robes of the realm before the feast."}';
+const FALLBACK_NARRATIVE = 'A brave adventurer must complete do laundry to help the kingdom thrive.';
+
+describe('graniteService', () => {
+  let mock;
+  let env;
+  let graniteService;
+  let getParseStats;
+
+  before(async () => {
+    mock = await startMockWatsonx();
+    env = useTestEnv(mock);
+    graniteService = require('../services/graniteService');
+    ({ getParseStats } = require('../services/structuredOutput'));
+  });
+
+  after(async () => {
+    await mock.close();
+    env.cleanup();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  const questStages = () => getParseStats().quest;
+
+  describe('transformTaskToQuest', () => {
+    it('uses well-formed JSON as it is', async () => {
+      const before = questStages()?.direct || 0;
+      mock.reply({ text: VALID_QUEST });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.questTitle, 'The Laundry Saga');
+      assert.equal(result.promptVariant, 'quest/default@4');
+      assert.equal(questStages().direct, before + 1);
+      assert.equal(mock.requests.length, 1);
+      assert.equal(mock.requests[0].body.project_id, 'test-project');
+      assert.match(mock.requests[0].body.input, /do laundry/);
+    });
+
+    it('extracts JSON wrapped in prose', async () => {
+      const before = questStages().extracted;
+      mock.reply({ text: `Here is the quest you asked for:\n${VALID_QUEST}\nGood luck!` });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.questTitle, 'The Laundry Saga');
+      assert.equal(questStages().extracted, before + 1);
+    });
+
+    it('repairs malformed output with a second prompt', async () => {
+      const before = questStages().repaired;
+      mock.reply({ text: 'The Laundry Saga: wash the robes' }, { text: VALID_QUEST });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.questTitle, 'The Laundry Saga');
+      assert.equal(questStages().repaired, before + 1);
+      assert.equal(mock.requests.length, 2);
+      assert.match(mock.requests[1].body.input, /Your previous response could not be used/);
+    });
+
+    it('falls back when output stays malformed', async () => {
+      const before = questStages().invalid;
+      mock.reply({ text: 'no json here' }, { text: '{"questTitle": "unfinished' });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.deepEqual(result, { questTitle: 'Quest: do laundry', questNarrative: FALLBACK_NARRATIVE, promptVariant: null });
+      assert.equal(questStages().invalid, before + 1);
+    });
+
+    it('falls back on empty output', async () => {
+      mock.reply({ text: '' }, { text: '' });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.promptVariant, null);
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it('gets a new IAM token and retries after a 401', async () => {
+      await graniteService.transformTaskToQuest('warm up the token cache', 'chores', 'normal');
+      mock.reset();
+      mock.reply({ status: 401 }, { text: VALID_QUEST });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.questTitle, 'The Laundry Saga');
+      assert.equal(mock.tokenRequests, 1);
+      assert.equal(mock.requests[1].authorization, `Bearer ${mock.issuedTokens[0]}`);
+      assert.notEqual(mock.requests[0].authorization, mock.requests[1].authorization);
+    });
+
+    it('retries a 500', async () => {
+      mock.reply({ status: 500 }, { text: VALID_QUEST });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.questTitle, 'The Laundry Saga');
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it('falls back when the provider keeps failing', async () => {
+      const before = questStages().error;
+      mock.reply({ status: 500 }, { status: 500 });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.promptVariant, null);
+      assert.equal(result.questNarrative, FALLBACK_NARRATIVE);
+      assert.equal(questStages().error, before + 1);
+    });
+
+    it('does not retry a 400', async () => {
+      mock.reply({ status: 400 });
+
+      const result = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal');
+
+      assert.equal(result.promptVariant, null);
+      assert.equal(mock.requests.length, 1);
+    });
+  });
+
+  describe('story themes', () => {
+    it('writes the theme into the prompt', async () => {
+      mock.reply({ text: VALID_QUEST });
+
+      await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal', { theme: resolveTheme('pirate').theme });
+
+      assert.match(mock.requests[0].body.input, /story style: swashbuckling pirates/);
+    });
+
+    it('uses the style of a custom theme', async () => {
+      mock.reply({ text: 'Onward, space cowboy!' });
+      const { theme } = resolveTheme('custom', '  space western,\n dusty {{frontier}} towns  ');
+
+      await graniteService.generateMotivationalMessage({ theme });
+
+      assert.match(mock.requests[0].body.input, /story style: space western, dusty frontier towns\n/);
+    });
+
+    it('words the fallbacks for the theme', async () => {
+      mock.reply({ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 });
+      const { theme } = resolveTheme('scifi');
+
+      const quest = await graniteService.transformTaskToQuest('do laundry', 'chores', 'normal', { theme });
+      const chapters = await graniteService.generateStepChapters('Laundry', ['Sort'], 'chores', { theme });
+
+      assert.equal(quest.questNarrative, 'A daring starship cadet must complete do laundry to keep the colony running.');
+      assert.deepEqual(chapters, ['Chapter 1: Sort. The mission continues...']);
+    });
+
+    it('rejects unknown themes and custom themes without a style', () => {
+      assert.match(resolveTheme('western').error, /Unknown theme "western"/);
+      assert.match(resolveTheme('custom', '   ').error, /needs a themeStyle/);
+      assert.equal(resolveTheme(undefined).theme.key, 'fantasy');
+    });
+  });
+
+  describe('streamQuestNarrative', () => {
+    it('passes text on as it is streamed', async () => {
+      mock.reply({ text: 'The robes of the realm await their washing.' });
+      const tokens = [];
+
+      const result = await graniteService.streamQuestNarrative('do laundry', 'chores', 'normal', {
+        onToken: text => tokens.push(text)
+      });
+
+      assert.equal(result.questNarrative, 'The robes of the realm await their washing.');
+      assert.ok(tokens.length > 1);
+      assert.equal(tokens.join(''), result.questNarrative);
+      assert.equal(mock.requests[0].path, '/ml/v1/text/generation_stream');
+    });
+
+    it('falls back when streaming fails', async () => {
+      mock.reply({ status: 500 }, { status: 500 });
+
+      const result = await graniteService.streamQuestNarrative('do laundry', 'chores', 'normal', { onToken: () => {} });
+
+      assert.deepEqual(result, { questNarrative: FALLBACK_NARRATIVE, promptVariant: null });
+    });
+  });
+
+  describe('other generators', () => {
+    it('generates one chapter per step, or falls back', async () => {
+      mock.reply({ text: '{"chapters":["The sorting begins.","The washing rite."]}' });
+      assert.deepEqual(
+        await graniteService.generateStepChapters('The Laundry Saga', ['Sort', 'Wash'], 'chores'),
+        ['The sorting begins.', 'The washing rite.']
+      );
+
+      mock.reply({ text: '{"chapters":["Only one."]}' }, { text: '{"chapters":["Still one."]}' });
+      assert.deepEqual(
+        await graniteService.generateStepChapters('The Laundry Saga', ['Sort', 'Wash'], 'chores'),
+        ['Chapter 1: Sort. The quest continues...', 'Chapter 2: Wash. The quest continues...']
+      );
+    });
+
+    it('decomposes a task, or falls back to three quests', async () => {
+      const quests = ['Gather', 'Sort', 'Wash'].map(title => ({
+        title,
+        questTitle: `The ${title} Trial`,
+        questNarrative: `${title} like a hero.`,
+        difficulty: 'mini',
+        estimatedMinutes: 15
+      }));
+      mock.reply({ text: JSON.stringify({ quests }) });
+      const chain = await graniteService.decomposeTask('do laundry', '', 'chores');
+      assert.deepEqual(chain.map(quest => quest.questTitle), ['The Gather Trial', 'The Sort Trial', 'The Wash Trial']);
+
+      mock.reply({ status: 500 }, { status: 500 });
+      const fallback = await graniteService.decomposeTask('do laundry', '', 'chores');
+      assert.equal(fallback.length, 3);
+      assert.ok(fallback.every(quest => quest.promptVariant === null));
+    });
+
+    it('generates a motivational message from plain text', async () => {
+      mock.reply({ text: 'Onward, brave launderer!' });
+      assert.equal(await graniteService.generateMotivationalMessage(), 'Onward, brave launderer!');
+    });
+
+    it('only describes progress that was sent', async () => {
+      mock.reply({ text: 'Onward!' }, { text: 'Two down, brave one!' });
+
+      await graniteService.generateMotivationalMessage();
+      await graniteService.generateMotivationalMessage({ progress: { completedToday: 2 } });
+
+      assert.doesNotMatch(mock.requests[0].body.input, /progress/);
+      assert.match(mock.requests[1].body.input, /The user's progress:\n- Quests completed today: 2\n/);
+      assert.doesNotMatch(mock.requests[1].body.input, /streak/);
+    });
+
+    it('generates a badge, or falls back', async () => {
+      mock.reply({ text: '{"badgeName":"Flame Keeper","badgeDescription":"Seven days without rest."}' });
+      const badge = await graniteService.generateAchievementBadge('streak', '7 days');
+      assert.equal(badge.badgeName, 'Flame Keeper');
+      assert.equal(badge.iconType, 'flame');
+
+      mock.reply({ text: 'not a badge' }, { text: 'still not a badge' });
+      const fallback = await graniteService.generateAchievementBadge('streak', '7 days');
+      assert.equal(fallback.badgeName, 'Streak Master');
+      assert.equal(fallback.promptVariant, null);
+    });
+  });
+
+  describe('campaigns', () => {
+    it('tells a new quest the story so far', async () => {
+      mock.reply({ text: VALID_QUEST });
+
+      await graniteService.transformTaskToQuest('wash dishes', 'chores', 'normal', { storySoFar: 'The hero defeated the laundry hydra.' });
+
+      assert.match(mock.requests[0].body.input, /Story so far: The hero defeated the laundry hydra\./);
+    });
+
+    it('writes a chapter recap and the updated summary', async () => {
+      mock.reply({ text: '{"recap":"The dishes gleamed.","summary":"The hydra fell, and the dishes gleamed."}' });
+
+      const chapter = await graniteService.generateCampaignChapter(
+        { questTitle: 'The Dish Quest', questNarrative: 'Scrub the plates.' }, 'The hydra fell.'
+      );
+
+      assert.deepEqual(chapter, {
+        recap: 'The dishes gleamed.',
+        summary: 'The hydra fell, and the dishes gleamed.',
+        promptVariant: 'recap/default@1'
+      });
+      assert.match(mock.requests[0].body.input, /Story so far: The hydra fell\./);
+    });
+
+    it('appends a built-in recap to the summary, dropping the oldest sentences', async () => {
+      mock.reply({ status: 500 }, { status: 500 });
+      const chapter = await graniteService.generateCampaignChapter({ questTitle: 'The Dish Quest' }, 'The hydra fell.');
+      assert.equal(chapter.recap, 'A brave adventurer completed "The Dish Quest".');
+      assert.equal(chapter.summary, 'The hydra fell. A brave adventurer completed "The Dish Quest".');
+      assert.equal(chapter.promptVariant, null);
+
+      const longStory = 'An old battle was won. '.repeat(40).trim();
+      const { summary } = graniteService.fallbackCampaignChapter({ questTitle: 'The Dish Quest' }, longStory);
+      assert.ok(summary.length <= 800);
+      assert.ok(summary.startsWith('An old battle was won.'));
+      assert.ok(summary.endsWith('completed "The Dish Quest".'));
+    });
+  });
+});
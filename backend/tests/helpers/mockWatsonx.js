@@ -0,0 +1,105 @@
+const http = require('http');
+
+/**
+ * Fake IBM Cloud IAM and watsonx server for the tests
+ * Serves /identity/token, /ml/v1/text/generation, /ml/v1/text/generation_stream
+ * and /ml/v1/foundation_model_specs. Tests queue what the generation
+ * endpoints answer with reply(); once the queue is empty, every call gets
+ * DEFAULT_REPLY. Replies are either generated text ({ text }) or an error
+ * ({ status, body }).
+ */
+
+const DEFAULT_REPLY = { text: '' };
+
+/**
+ * Read a request body as a string
+ */
+const readBody = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(body));
+});
+
+const sendJSON = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Start the fake server on a free port
+ * @returns {Promise<Object>} - { url, generationUrl, reply(...replies), requests, tokenRequests, issuedTokens, reset(), close() }
+ */
+const startMockWatsonx = async () => {
+  const queue = [];
+  // Never reset, so every token issued is different
+  let tokenCount = 0;
+  const mock = {
+    // Generation requests received: { path, authorization, body }
+    requests: [],
+    tokenRequests: 0,
+    issuedTokens: [],
+    reply: (...replies) => {
+      queue.push(...replies);
+    },
+    reset: () => {
+      queue.length = 0;
+      mock.requests.length = 0;
+      mock.tokenRequests = 0;
+      mock.issuedTokens.length = 0;
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const path = req.url.split('?')[0];
+
+    if (path === '/identity/token') {
+      mock.tokenRequests += 1;
+      tokenCount += 1;
+      const token = `test-token-${tokenCount}`;
+      mock.issuedTokens.push(token);
+      return sendJSON(res, 200, { access_token: token, expires_in: 3600 });
+    }
+
+    if (path === '/ml/v1/foundation_model_specs') {
+      return sendJSON(res, 200, { resources: [{ model_id: 'ibm/granite-13b-instruct-v2' }] });
+    }
+
+    if (path === '/ml/v1/text/generation' || path === '/ml/v1/text/generation_stream') {
+      mock.requests.push({ path, authorization: req.headers.authorization, body: JSON.parse(body || '{}') });
+      const next = queue.length > 0 ? queue.shift() : DEFAULT_REPLY;
+
+      if (next.status) {
+        return sendJSON(res, next.status, next.body || { errors: [{ message: `status ${next.status}` }] });
+      }
+
+      if (path === '/ml/v1/text/generation') {
+        return sendJSON(res, 200, {
+          results: [{ generated_text: next.text, input_token_count: 12, generated_token_count: 34 }]
+        });
+      }
+
+      // Stream the text word by word as watsonx does
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      next.text.split(/(?<= )/).forEach((chunk, index) => {
+        res.write(`id: ${index + 1}\nevent: message\ndata: ${JSON.stringify({ results: [{ generated_text: chunk }] })}\n\n`);
+      });
+      return res.end();
+    }
+
+    sendJSON(res, 404, { error: 'not found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return Object.assign(mock, {
+    url,
+    generationUrl: `${url}/ml/v1/text/generation?version=2023-05-29`,
+    close: () => new Promise(resolve => server.close(resolve))
+  });
+};
+
+module.exports = { startMockWatsonx };
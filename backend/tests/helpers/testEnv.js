@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the backend at the fake watsonx server with a throwaway data file.
+ * Must run before any backend module is required: modules read their
+ * settings when they are loaded.
+ * @param {Object} mock - The fake server, see mockWatsonx
+ * @param {Object} overrides - Extra environment variables
+ * @returns {Object} - { dataFile, cleanup() }
+ */
+const useTestEnv = (mock, overrides = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskflick-test-'));
+  const dataFile = path.join(dataDir, 'taskflick.json');
+
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'granite',
+    IBM_API_KEY: 'test-api-key',
+    IBM_PROJECT_ID: 'test-project',
+    IBM_URL: mock.generationUrl,
+    IBM_STREAM_URL: `${mock.url}/ml/v1/text/generation_stream?version=2023-05-29`,
+    IBM_IAM_URL: `${mock.url}/identity/token`,
+    DATA_FILE: dataFile,
+    JWT_SECRET: 'test-secret',
+    METRICS_TOKEN: 'test-metrics-token',
+    LOG_LEVEL: 'silent',
+    LLM_REPAIR_ATTEMPTS: '1',
+    LLM_MAX_RETRIES: '1',
+    LLM_RETRY_BASE_DELAY_MS: '0',
+    LLM_CIRCUIT_FAILURE_THRESHOLD: '0',
+    // Every test sees the model's answer, not a cached one
+    GENERATION_CACHE_MAX_ENTRIES: '0',
+    GENERATION_DAILY_QUOTA: '0',
+    RATE_LIMIT_IP_MAX: '0',
+    RATE_LIMIT_AUTH_MAX: '0',
+    RATE_LIMIT_USER_MAX: '0',
+    RATE_LIMIT_TRANSFORM_TASK_MAX: '0',
+    RATE_LIMIT_TRANSFORM_TASK_STREAM_MAX: '0',
+    RATE_LIMIT_TRANSFORM_TASKS_MAX: '0',
+    ...overrides
+  });
+
+  return {
+    dataFile,
+    cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+  };
+};
+
+module.exports = { useTestEnv };
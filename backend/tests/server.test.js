@@ -0,0 +1,552 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockWatsonx } = require('./helpers/mockWatsonx');
+const { useTestEnv } = require('./helpers/testEnv');
+
+const VALID_QUEST = '{"questTitle":"The Laundry Saga","questNarrative":"Wash the robes of the realm before the feast."}';
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+const parseEvents = (body) => body.trim().split('\n\n').map((block) => {
+  const lines = block.split('\n');
+  return {
+    event: lines.find(line => line.startsWith('event: ')).slice(7),
+    data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6))
+  };
+});
+
+describe('server routes', () => {
+  let mock;
+  let env;
+  let server;
+  let baseUrl;
+  let accessToken;
+
+  /**
+   * Call the API, authenticated unless `token: null` is passed
+   */
+  const api = async (path, { method = 'GET', body, token = accessToken, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJSON = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJSON ? JSON.parse(text) : text };
+  };
+
+  before(async () => {
+    mock = await startMockWatsonx();
+    env = useTestEnv(mock);
+    const app = require('../server');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const registered = await api('/api/auth/register', {
+      method: 'POST',
+      body: { email: 'hero@example.com', password: 'secret123' },
+      token: null
+    });
+    accessToken = registered.body.accessToken;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    env.cleanup();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  describe('health', () => {
+    it('answers liveness checks', async () => {
+      const response = await api('/api/health/live', { token: null });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { status: 'ok' });
+    });
+
+    it('reports readiness with provider, token and storage checks', async () => {
+      const response = await api('/api/health/ready', { token: null });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'ready');
+      assert.equal(response.body.checks.provider.name, 'granite');
+      assert.equal(response.body.checks.provider.reachable, true);
+      assert.equal(response.body.checks.provider.iamToken.cached, true);
+      assert.deepEqual(response.body.checks.storage, { status: 'ok' });
+      assert.equal(response.body.build.version, require('../package.json').version);
+    });
+
+    it('reports missing provider credentials as degraded', async () => {
+      const apiKey = process.env.IBM_API_KEY;
+      delete process.env.IBM_API_KEY;
+      try {
+        const response = await api('/api/health/ready', { token: null });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'degraded');
+        assert.equal(response.body.checks.provider.reachable, false);
+        assert.match(response.body.checks.provider.error, /IBM_API_KEY/);
+      } finally {
+        process.env.IBM_API_KEY = apiKey;
+      }
+    });
+
+    it('serves health statistics without a token', async () => {
+      const response = await api('/api/health', { token: null });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.provider, 'granite');
+      assert.equal(response.body.providerCircuit.state, 'closed');
+    });
+  });
+
+  describe('auth', () => {
+    it('rejects requests without a token', async () => {
+      const response = await api('/api/tasks', { token: null });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.success, false);
+    });
+
+    it('logs in with the registered password only', async () => {
+      const ok = await api('/api/auth/login', {
+        method: 'POST',
+        body: { email: 'hero@example.com', password: 'secret123' },
+        token: null
+      });
+      assert.equal(ok.status, 200);
+      assert.ok(ok.body.accessToken);
+
+      const wrong = await api('/api/auth/login', {
+        method: 'POST',
+        body: { email: 'hero@example.com', password: 'wrong-password' },
+        token: null
+      });
+      assert.equal(wrong.status, 401);
+    });
+
+    it('creates one account when the same email signs up twice at once', async () => {
+      const signup = () => api('/api/auth/register', {
+        method: 'POST',
+        body: { email: 'twin@example.com', password: 'secret123' },
+        token: null
+      });
+      const statuses = (await Promise.all([signup(), signup()])).map(response => response.status).sort();
+      assert.deepEqual(statuses, [201, 409]);
+    });
+
+    it('rejects credentials that are not strings', async () => {
+      const register = await api('/api/auth/register', {
+        method: 'POST',
+        body: { email: ['hero@example.com'], password: 'secret123' },
+        token: null
+      });
+      assert.equal(register.status, 400);
+
+      const login = await api('/api/auth/login', {
+        method: 'POST',
+        body: { email: 'hero@example.com', password: { $ne: '' } },
+        token: null
+      });
+      assert.equal(login.status, 400);
+    });
+
+    it('echoes the request id', async () => {
+      const response = await api('/api/health/live', { token: null, headers: { 'X-Request-Id': 'test-request-1' } });
+      assert.equal(response.headers.get('x-request-id'), 'test-request-1');
+    });
+  });
+
+  describe('POST /api/transform-task', () => {
+    it('requires a task title', async () => {
+      const response = await api('/api/transform-task', { method: 'POST', body: {} });
+      assert.equal(response.status, 400);
+    });
+
+    it('returns the generated quest', async () => {
+      mock.reply({ text: `Sure!\n${VALID_QUEST}` });
+
+      const response = await api('/api/transform-task', { method: 'POST', body: { taskTitle: 'do laundry', category: 'chores' } });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, {
+        success: true,
+        questTitle: 'The Laundry Saga',
+        questNarrative: 'Wash the robes of the realm before the feast.',
+        promptVariant: 'quest/default@4'
+      });
+    });
+
+    it('rejects an unknown theme', async () => {
+      const response = await api('/api/transform-task', { method: 'POST', body: { taskTitle: 'do laundry', theme: 'western' } });
+      assert.equal(response.status, 400);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('generates in the requested theme', async () => {
+      mock.reply({ text: VALID_QUEST });
+
+      await api('/api/transform-task', {
+        method: 'POST',
+        body: { taskTitle: 'do laundry', theme: 'custom', themeStyle: 'a cat running a bakery' }
+      });
+
+      assert.match(mock.requests[0].body.input, /story style: a cat running a bakery/);
+    });
+
+    it('rerolls a quest into something other than its earlier versions', async () => {
+      mock.reply({ text: VALID_QUEST });
+
+      const response = await api('/api/transform-task', {
+        method: 'POST',
+        body: {
+          taskTitle: 'do laundry',
+          previousQuests: [{ questTitle: 'The Sock Hunt', questNarrative: 'Find the missing socks.' }]
+        }
+      });
+
+      assert.equal(response.status, 200);
+      assert.match(mock.requests[0].body.input, /different title and story than these earlier versions/);
+      assert.match(mock.requests[0].body.input, /- The Sock Hunt: Find the missing socks\./);
+    });
+
+    it('rejects malformed earlier versions', async () => {
+      const response = await api('/api/transform-task', {
+        method: 'POST',
+        body: { taskTitle: 'do laundry', previousQuests: [{ questTitle: 'The Sock Hunt' }] }
+      });
+      assert.equal(response.status, 400);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('returns the fallback quest when the provider fails', async () => {
+      mock.reply({ status: 500 }, { status: 500 });
+
+      const response = await api('/api/transform-task', { method: 'POST', body: { taskTitle: 'do laundry' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.questTitle, 'Quest: do laundry');
+      assert.equal(response.body.promptVariant, null);
+    });
+  });
+
+  describe('POST /api/transform-task/stream', () => {
+    it('streams tokens and then the validated narrative', async () => {
+      mock.reply({ text: 'The robes of the realm await their washing.' });
+
+      const response = await api('/api/transform-task/stream', { method: 'POST', body: { taskTitle: 'do laundry' } });
+
+      assert.equal(response.status, 200);
+      const events = parseEvents(response.body);
+      const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text);
+      const done = events.find(({ event }) => event === 'done');
+      assert.equal(tokens.join(''), 'The robes of the realm await their washing.');
+      assert.equal(done.data.questNarrative, 'The robes of the realm await their washing.');
+    });
+  });
+
+  describe('POST /api/transform-tasks', () => {
+    /**
+     * Poll a batch job until it is no longer running
+     */
+    const waitForJob = async (jobId) => {
+      for (;;) {
+        const { body } = await api(`/api/transform-tasks/${jobId}`);
+        if (body.status !== 'running') return body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    it('rejects a batch that is not a non-empty array', async () => {
+      const response = await api('/api/transform-tasks', { method: 'POST', body: { tasks: [] } });
+      assert.equal(response.status, 400);
+    });
+
+    it('returns a quest or an error per task', async () => {
+      mock.reply({ text: VALID_QUEST }, { text: VALID_QUEST });
+
+      const response = await api('/api/transform-tasks', {
+        method: 'POST',
+        body: { tasks: [{ id: 'a', taskTitle: 'do laundry' }, { id: 'b' }, { id: 'c', taskTitle: 'wash dishes' }] }
+      });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.results.map(result => [result.id, result.status]), [['a', 'generated'], ['b', 'error'], ['c', 'generated']]);
+      assert.equal(response.body.results[0].questTitle, 'The Laundry Saga');
+      assert.deepEqual(response.body.summary, { generated: 2, fallback: 0, error: 1 });
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it('marks tasks that got the fallback quest', async () => {
+      mock.reply({ status: 500 }, { status: 500 });
+
+      const response = await api('/api/transform-tasks', { method: 'POST', body: { tasks: [{ taskTitle: 'do laundry' }] } });
+
+      assert.equal(response.body.results[0].status, 'fallback');
+      assert.equal(response.body.results[0].questTitle, 'Quest: do laundry');
+    });
+
+    it('runs large batches as a job to poll', async () => {
+      const tasks = Array.from({ length: 12 }, (_, index) => ({ id: `task-${index}`, taskTitle: `chore ${index}` }));
+
+      const started = await api('/api/transform-tasks', { method: 'POST', body: { tasks } });
+      assert.equal(started.status, 202);
+      assert.equal(started.headers.get('location'), `/api/transform-tasks/${started.body.jobId}`);
+      assert.equal(started.body.total, 12);
+
+      const job = await waitForJob(started.body.jobId);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.completed, 12);
+      assert.deepEqual(job.results.map(result => result.id), tasks.map(task => task.id));
+      assert.ok(job.results.every(result => result.status === 'fallback'));
+    });
+
+    it('does not show a job to other users', async () => {
+      const tasks = Array.from({ length: 11 }, (_, index) => ({ taskTitle: `chore ${index}` }));
+      const started = await api('/api/transform-tasks', { method: 'POST', body: { tasks } });
+      const other = await api('/api/auth/register', {
+        method: 'POST',
+        body: { email: 'rival@example.com', password: 'secret123' },
+        token: null
+      });
+
+      const response = await api(`/api/transform-tasks/${started.body.jobId}`, { token: other.body.accessToken });
+      assert.equal(response.status, 404);
+      await waitForJob(started.body.jobId);
+    });
+  });
+
+  describe('other generation routes', () => {
+    it('generates chapters for each step', async () => {
+      mock.reply({ text: '{"chapters":["The sorting begins.","The washing rite."]}' });
+
+      const response = await api('/api/generate-chapters', {
+        method: 'POST',
+        body: { questTitle: 'The Laundry Saga', steps: ['Sort', 'Wash'], category: 'chores' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.chapters, ['The sorting begins.', 'The washing rite.']);
+    });
+
+    it('returns a motivational message', async () => {
+      mock.reply({ text: 'Onward, brave launderer!' });
+
+      const response = await api('/api/motivational-message');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.motivationalMessage, 'Onward, brave launderer!');
+    });
+
+    it('writes the message about the progress that was sent', async () => {
+      mock.reply({ text: 'One boss stands between you and glory!' });
+
+      const response = await api('/api/motivational-message?streak=4&completedToday=2&pendingBossQuests=1&overdueQuests=0' +
+        '&questTitle=The%20Laundry%20Saga&questDifficulty=boss&questOverdue=true');
+
+      assert.equal(response.status, 200);
+      const { input } = mock.requests[0].body;
+      assert.match(input, /Current streak: 4 day\(s\)/);
+      assert.match(input, /Quests completed today: 2/);
+      assert.match(input, /Boss quests still open: 1/);
+      assert.match(input, /Overdue quests: 0/);
+      assert.match(input, /looking at: "The Laundry Saga" \(boss difficulty, overdue\)/);
+    });
+
+    it('rejects malformed progress', async () => {
+      const response = await api('/api/motivational-message?streak=-1');
+      assert.equal(response.status, 400);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('rejects a quest chain for a task that is not text', async () => {
+      const response = await api('/api/decompose-task', { method: 'POST', body: { task: 5 } });
+      assert.equal(response.status, 400);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('reads the theme of a message from the query string', async () => {
+      mock.reply({ text: 'Steady at the helm, sailor!' });
+
+      const response = await api('/api/motivational-message?theme=pirate');
+
+      assert.equal(response.status, 200);
+      assert.match(mock.requests[0].body.input, /story style: swashbuckling pirates/);
+    });
+  });
+
+  describe('tasks', () => {
+    it('creates, completes and deletes a task', async () => {
+      const created = await api('/api/tasks', { method: 'POST', body: { title: 'Do laundry', difficulty: 'normal' } });
+      assert.equal(created.status, 201);
+      const { id } = created.body.task;
+
+      const completed = await api(`/api/tasks/${id}/complete`, { method: 'POST', body: {} });
+      assert.equal(completed.status, 200);
+      assert.equal(completed.body.task.completed, true);
+      assert.ok(completed.body.pointsEarned > 0);
+
+      const again = await api(`/api/tasks/${id}/complete`, { method: 'POST', body: {} });
+      assert.equal(again.body.pointsEarned, 0);
+
+      const badOffset = await api(`/api/tasks/${id}/complete`, { method: 'POST', body: { timezoneOffset: '+02:00' } });
+      assert.equal(badOffset.status, 400);
+
+      const deleted = await api(`/api/tasks/${id}`, { method: 'DELETE' });
+      assert.equal(deleted.status, 200);
+      const missing = await api(`/api/tasks/${id}`);
+      assert.notEqual(missing.status, 200);
+    });
+
+    it('validates new tasks', async () => {
+      const response = await api('/api/tasks', { method: 'POST', body: { title: '' } });
+      assert.equal(response.status, 400);
+    });
+
+    it('only stores text in text fields', async () => {
+      const invalid = [
+        { description: { evil: 1 } },
+        { category: [1, 2] },
+        { questTitle: 123 },
+        { questNarrative: 'x'.repeat(2001) },
+        { isAIGenerated: 'yes' }
+      ];
+      for (const fields of invalid) {
+        const response = await api('/api/tasks', { method: 'POST', body: { title: 'Do laundry', ...fields } });
+        assert.equal(response.status, 400);
+      }
+    });
+
+    it('only accepts prompt variants the registry knows', async () => {
+      const unknown = await api('/api/tasks', { method: 'POST', body: { title: 'Do laundry', promptVariant: 'quest/rigged@1' } });
+      assert.equal(unknown.status, 400);
+
+      const known = await api('/api/tasks', { method: 'POST', body: { title: 'Do laundry', promptVariant: 'quest/default@1' } });
+      assert.equal(known.status, 201);
+    });
+
+    it('only shows prompt variant stats with the metrics token', async () => {
+      const asUser = await api('/api/prompts/stats');
+      assert.equal(asUser.status, 401);
+
+      const asOperator = await api('/api/prompts/stats', { token: 'test-metrics-token' });
+      assert.equal(asOperator.status, 200);
+      assert.ok(asOperator.body.variants.some(variant => variant.promptVariant === 'quest/default@1'));
+    });
+
+    it('only accepts plain ids for new tasks', async () => {
+      for (const id of ['__proto__', { a: 1 }, 'x'.repeat(101)]) {
+        const response = await api('/api/tasks', { method: 'POST', body: { id, title: 'Do laundry' } });
+        assert.equal(response.status, 400);
+      }
+
+      const missing = await api('/api/tasks/constructor');
+      assert.equal(missing.status, 404);
+    });
+
+    it('keeps the earlier stories of a quest', async () => {
+      const created = await api('/api/tasks', {
+        method: 'POST',
+        body: { title: 'Do laundry', questTitle: 'The Laundry Saga', questNarrative: 'Wash the robes.' }
+      });
+      const { id } = created.body.task;
+
+      const edited = await api(`/api/tasks/${id}`, {
+        method: 'PUT',
+        body: {
+          questTitle: 'Sock Patrol',
+          questNarrative: 'My own story.',
+          isNarrativeEdited: true,
+          narrativeHistory: [{ questTitle: 'The Laundry Saga', questNarrative: 'Wash the robes.' }]
+        }
+      });
+      assert.equal(edited.status, 200);
+      assert.equal(edited.body.task.isNarrativeEdited, true);
+      assert.equal(edited.body.task.narrativeHistory[0].questTitle, 'The Laundry Saga');
+
+      const invalid = await api(`/api/tasks/${id}`, { method: 'PUT', body: { narrativeHistory: [{ questTitle: 'No story' }] } });
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe('campaign', () => {
+    /**
+     * Poll the campaign until no chapter is being written
+     */
+    const waitForCampaign = async () => {
+      for (;;) {
+        const { body } = await api('/api/campaign');
+        if (!body.writing) return body;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    it('writes a chapter for each completed quest and continues the story in new quests', async () => {
+      // Resetting waits for chapters still being written for earlier tests
+      await api('/api/campaign', { method: 'DELETE' });
+      mock.reset();
+      const created = await api('/api/tasks', {
+        method: 'POST',
+        body: { title: 'Do laundry', questTitle: 'The Laundry Saga', questNarrative: 'Wash the robes of the realm.' }
+      });
+      mock.reply({ text: '{"recap":"The robes were washed.","summary":"The hero washed the robes of the realm."}' });
+
+      await api(`/api/tasks/${created.body.task.id}/complete`, { method: 'POST', body: { theme: 'pirate' } });
+      const campaign = await waitForCampaign();
+
+      assert.equal(campaign.summary, 'The hero washed the robes of the realm.');
+      assert.deepEqual(campaign.theme, { key: 'pirate', style: null });
+      assert.deepEqual(campaign.chapters.map(chapter => [chapter.taskId, chapter.recap]), [[created.body.task.id, 'The robes were washed.']]);
+      assert.match(mock.requests[0].body.input, /The Laundry Saga/);
+
+      mock.reply({ text: VALID_QUEST });
+      await api('/api/transform-task', { method: 'POST', body: { taskTitle: 'wash dishes', theme: 'pirate' } });
+      assert.match(mock.requests[1].body.input, /Story so far: The hero washed the robes of the realm\./);
+
+      // The summary is only continued in the campaign's theme
+      mock.reply({ text: VALID_QUEST });
+      await api('/api/transform-task', { method: 'POST', body: { taskTitle: 'wash dishes', theme: 'noir' } });
+      assert.doesNotMatch(mock.requests[2].body.input, /Story so far/);
+    });
+
+    it('starts a new campaign', async () => {
+      const response = await api('/api/campaign', { method: 'DELETE' });
+      assert.equal(response.status, 200);
+
+      const campaign = await api('/api/campaign');
+      assert.equal(campaign.body.summary, '');
+      assert.deepEqual(campaign.body.chapters, []);
+    });
+  });
+
+  describe('metrics', () => {
+    it('only serves metrics with the metrics token', async () => {
+      const missing = await api('/api/metrics', { token: null });
+      assert.equal(missing.status, 401);
+
+      const metricsToken = process.env.METRICS_TOKEN;
+      delete process.env.METRICS_TOKEN;
+      try {
+        const unset = await api('/api/metrics', { token: 'anything' });
+        assert.equal(unset.status, 403);
+      } finally {
+        process.env.METRICS_TOKEN = metricsToken;
+      }
+    });
+
+    it('exposes request and provider metrics', async () => {
+      const response = await api('/api/metrics', { token: 'test-metrics-token' });
+      assert.equal(response.status, 200);
+      assert.match(response.body, /taskflick_http_requests_total\{method="POST",route="\/api\/transform-task",status="200"\} \d+/);
+      assert.match(response.body, /taskflick_llm_requests_total\{provider="granite",type="quest",outcome="success"\} \d+/);
+      assert.match(response.body, /taskflick_llm_tokens_total\{provider="granite",kind="generated"\} \d+/);
+    });
+  });
+});
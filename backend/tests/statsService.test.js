@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCompletion, getPointsForTask } = require('../services/statsService');
+
+const NOW = new Date(2026, 5, 10, 12);
+const daysAgo = (days) => new Date(2026, 5, 10 - days, 9).toISOString();
+
+const stats = (overrides = {}) => ({
+  points: 0,
+  completedQuests: 0,
+  currentStreak: 0,
+  longestStreak: 0,
+  lastCompletedDate: null,
+  badges: [],
+  ...overrides
+});
+
+describe('applyCompletion', () => {
+  it('gives the first victory of the day a bonus', () => {
+    const result = applyCompletion(stats(), { difficulty: 'normal' }, NOW);
+    assert.equal(result.xpMultiplier, 1.2);
+    assert.equal(result.pointsEarned, 30);
+  });
+
+  it('earns base XP for later quests of the same day', () => {
+    const result = applyCompletion(stats({ currentStreak: 1, lastCompletedDate: daysAgo(0) }), { difficulty: 'normal' }, NOW);
+    assert.equal(result.xpMultiplier, 1);
+    assert.equal(result.pointsEarned, 25);
+  });
+
+  it('multiplies XP while a streak is kept', () => {
+    const week = applyCompletion(stats({ currentStreak: 6, lastCompletedDate: daysAgo(1) }), { difficulty: 'boss' }, NOW);
+    assert.equal(week.stats.currentStreak, 7);
+    assert.equal(week.xpMultiplier, 1.5);
+    assert.equal(week.pointsEarned, 75);
+
+    const broken = applyCompletion(stats({ currentStreak: 6, lastCompletedDate: daysAgo(3) }), { difficulty: 'boss' }, NOW);
+    assert.equal(broken.stats.currentStreak, 1);
+    assert.equal(broken.xpMultiplier, 1.2);
+  });
+
+  it('combines the curse with bonuses and subtracts step XP', () => {
+    const task = {
+      difficulty: 'boss',
+      dueDate: daysAgo(1),
+      steps: [{ completed: true, pointsAwarded: 13 }]
+    };
+    const result = applyCompletion(stats({ currentStreak: 2, lastCompletedDate: daysAgo(1) }), task, NOW);
+    assert.equal(result.cursed, true);
+    assert.equal(result.xpMultiplier, 0.66);
+    assert.equal(result.pointsEarned, 33 - 13);
+  });
+
+  it('counts days on the player\'s clock', () => {
+    // 06:00 and 22:00 on 10 June in UTC+10, but two different days in UTC
+    const lastCompletedDate = new Date(Date.UTC(2026, 5, 9, 20)).toISOString();
+    const now = new Date(Date.UTC(2026, 5, 10, 12));
+    const sameDay = applyCompletion(stats({ currentStreak: 2, lastCompletedDate }), { difficulty: 'normal' }, now, -600);
+    assert.equal(sameDay.stats.currentStreak, 2);
+    assert.equal(sameDay.xpMultiplier, 1);
+    assert.equal(sameDay.stats.lastCompletedTimezoneOffset, -600);
+
+    // 23:00 on 9 June and 01:00 on 10 June in UTC-5 keep the streak going
+    const evening = new Date(Date.UTC(2026, 5, 10, 4)).toISOString();
+    const nextDay = applyCompletion(
+      stats({ currentStreak: 2, lastCompletedDate: evening, lastCompletedTimezoneOffset: 300 }),
+      { difficulty: 'normal' },
+      new Date(Date.UTC(2026, 5, 10, 6)),
+      300
+    );
+    assert.equal(nextDay.stats.currentStreak, 3);
+    assert.equal(nextDay.xpMultiplier, 1.32);
+  });
+});
+
+describe('getPointsForTask', () => {
+  it('uses the multiplier a quest was completed with', () => {
+    assert.equal(getPointsForTask({ difficulty: 'mini', xpMultiplier: 1.5 }), 15);
+  });
+
+  it('only halves cursed quests completed before multipliers existed', () => {
+    assert.equal(getPointsForTask({ difficulty: 'boss', cursed: true }), 25);
+    assert.equal(getPointsForTask({ difficulty: 'boss' }), 50);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSchema, parseOutput, buildRepairPrompt } = require('../services/structuredOutput');
+
+const quest = getSchema('quest');
+const narrative = getSchema('narrative');
+
+describe('parseOutput', () => {
+  it('reads well-formed JSON directly', () => {
+    const result = parseOutput('{"questTitle":"The Laundry Saga","questNarrative":"Wash the robes of the realm."}', quest);
+    assert.equal(result.stage, 'direct');
+    assert.deepEqual(result.data, { questTitle: 'The Laundry Saga', questNarrative: 'Wash the robes of the realm.' });
+  });
+
+  it('extracts JSON wrapped in prose', () => {
+    const text = 'Sure! Here is your quest:\n{"questTitle":"The Laundry Saga","questNarrative":"Wash the robes."}\nEnjoy!';
+    const result = parseOutput(text, quest);
+    assert.equal(result.stage, 'extracted');
+    assert.equal(result.data.questTitle, 'The Laundry Saga');
+  });
+
+  it('extracts JSON from a code fence', () => {
+    const text = '```json\n{"questTitle":"The Laundry Saga","questNarrative":"Wash the robes."}\n```';
+    const result = parseOutput(text, quest);
+    assert.equal(result.stage, 'extracted');
+    assert.equal(result.data.questNarrative, 'Wash the robes.');
+  });
+
+  it('trims strings and drops unknown fields', () => {
+    const result = parseOutput('{"questTitle":"  Saga  ","questNarrative":"Go.","mood":"epic"}', quest);
+    assert.deepEqual(result.data, { questTitle: 'Saga', questNarrative: 'Go.' });
+  });
+
+  it('rejects malformed text', () => {
+    const result = parseOutput('questTitle: The Laundry Saga {broken', quest);
+    assert.equal(result.data, null);
+    assert.deepEqual(result.errors, ['response is not valid JSON']);
+  });
+
+  it('rejects empty output', () => {
+    assert.deepEqual(parseOutput('', quest).errors, ['response is not valid JSON']);
+    assert.deepEqual(parseOutput(undefined, quest).errors, ['response is not valid JSON']);
+    assert.deepEqual(parseOutput('   ', narrative).errors, ['text: must be at least 10 characters']);
+  });
+
+  it('reports missing fields and limits', () => {
+    const result = parseOutput(JSON.stringify({ questTitle: 'x'.repeat(61) }), quest);
+    assert.equal(result.data, null);
+    assert.deepEqual(result.errors, [
+      'questTitle: must be at most 60 characters (got 61)',
+      'questNarrative: missing'
+    ]);
+  });
+
+  it('reads plain text output and strips quotes', () => {
+    const result = parseOutput('"The river of chores parts before you."', narrative);
+    assert.equal(result.stage, 'direct');
+    assert.equal(result.data, 'The river of chores parts before you.');
+  });
+
+  it('reads the named field when plain text comes back as JSON', () => {
+    const result = parseOutput('{"questNarrative":"The river of chores parts before you."}', narrative);
+    assert.equal(result.stage, 'extracted');
+    assert.equal(result.data, 'The river of chores parts before you.');
+  });
+
+  it('checks array lengths against the request', () => {
+    const chapters = getSchema('chapters', { steps: ['Sort', 'Wash'] });
+    assert.ok(parseOutput('{"chapters":["One","Two"]}', chapters).data);
+    assert.deepEqual(parseOutput('{"chapters":["One"]}', chapters).errors, ['chapters: must have at least 2 items (got 1)']);
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  it('includes the previous output, the problems and the expected format', () => {
+    const prompt = buildRepairPrompt('Original prompt', 'not json', ['response is not valid JSON'], quest);
+    assert.match(prompt, /^Original prompt/);
+    assert.match(prompt, /not json/);
+    assert.match(prompt, /- response is not valid JSON/);
+    assert.match(prompt, /questTitle: a string of at most 60 characters/);
+  });
+});